@@ -0,0 +1,237 @@
+// PID auto-tuning experiments for the RPM controllers
+// Each experiment is fed one RPM sample per control tick and returns the PWM to apply.
+// The caller owns the timer and the I/O; this module only holds the math.
+
+const TUNING_RULES = {
+  relay: ['ziegler-nichols', 'ziegler-nichols-pi', 'tyreus-luyben'],
+  step: ['ziegler-nichols', 'cohen-coon']
+};
+
+function clampPWM(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Convert proportional gain + integral/derivative times into the controller's kp/ki/kd
+// (the RPM loop integrates ki * error * dt and differentiates kd * Δerror / dt).
+function toParallelGains(kp, ti, td) {
+  return {
+    kp: kp,
+    ki: ti > 0 ? kp / ti : 0,
+    kd: kp * td
+  };
+}
+
+// ==============================================
+// RELAY (BANG-BANG) FEEDBACK EXPERIMENT
+// ==============================================
+
+// Relay around setpointRPM: PWM = bias ± amplitude, switching with hysteresis.
+// Measures the limit cycle's amplitude and period → ultimate gain Ku and period Pu.
+function createRelayExperiment({ setpointRPM, bias, amplitude = 40, hysteresis = 1, cycles = 4, discardCycles = 1 }) {
+  const state = {
+    high: true,
+    upSwitchTimes: [],  // Times of low→high switches (one per full cycle)
+    cycleMax: -Infinity,
+    cycleMin: Infinity,
+    cycleAmplitudes: [],
+    cyclePeriods: []
+  };
+
+  const totalCycles = cycles + discardCycles;
+
+  return {
+    method: 'relay',
+
+    // Feed one sample; returns { output, done }
+    sample(t, rpm) {
+      state.cycleMax = Math.max(state.cycleMax, rpm);
+      state.cycleMin = Math.min(state.cycleMin, rpm);
+
+      if (state.high && rpm > setpointRPM + hysteresis) {
+        state.high = false;
+      } else if (!state.high && rpm < setpointRPM - hysteresis) {
+        state.high = true;
+
+        // A low→high switch closes one oscillation cycle
+        const last = state.upSwitchTimes[state.upSwitchTimes.length - 1];
+        if (last !== undefined) {
+          state.cyclePeriods.push(t - last);
+          state.cycleAmplitudes.push((state.cycleMax - state.cycleMin) / 2);
+        }
+        state.upSwitchTimes.push(t);
+        state.cycleMax = -Infinity;
+        state.cycleMin = Infinity;
+      }
+
+      return {
+        output: clampPWM(bias + (state.high ? amplitude : -amplitude)),
+        done: state.cyclePeriods.length >= totalCycles
+      };
+    },
+
+    progress() {
+      return {
+        cyclesCompleted: Math.max(0, state.cyclePeriods.length - discardCycles),
+        cyclesRequired: cycles,
+        relayHigh: state.high
+      };
+    },
+
+    // Ultimate gain/period from the settled cycles
+    result() {
+      const periods = state.cyclePeriods.slice(discardCycles);
+      const amplitudes = state.cycleAmplitudes.slice(discardCycles);
+
+      if (periods.length === 0) {
+        throw new Error('No complete relay oscillation cycles were measured');
+      }
+
+      const a = average(amplitudes);
+      if (a <= 0) {
+        throw new Error('Relay oscillation amplitude is zero - check the sensor and motor');
+      }
+
+      // Describing-function estimate, corrected for the relay hysteresis
+      const effective = a > hysteresis ? Math.sqrt(a * a - hysteresis * hysteresis) : a;
+      const ultimateGain = (4 * amplitude) / (Math.PI * effective);
+      const ultimatePeriod = average(periods);
+
+      return {
+        oscillationAmplitude: a,
+        ultimateGain: ultimateGain,
+        ultimatePeriod: ultimatePeriod
+      };
+    }
+  };
+}
+
+// Gains from ultimate gain Ku and period Pu
+function relayRuleGains(rule, { ultimateGain: ku, ultimatePeriod: pu }) {
+  switch (rule) {
+    case 'ziegler-nichols':
+      return toParallelGains(0.6 * ku, 0.5 * pu, 0.125 * pu);
+    case 'ziegler-nichols-pi':
+      return toParallelGains(0.45 * ku, pu / 1.2, 0);
+    case 'tyreus-luyben':
+      return toParallelGains(ku / 2.2, 2.2 * pu, pu / 6.3);
+    default:
+      throw new Error(`Unknown relay tuning rule "${rule}"`);
+  }
+}
+
+// ==============================================
+// OPEN-LOOP STEP RESPONSE EXPERIMENT
+// ==============================================
+
+// Hold startPWM for settleTime, then step to stepPWM for duration seconds.
+// Fits a first-order-plus-dead-time (FOPDT) model with the 28.3% / 63.2% two-point method.
+function createStepExperiment({ startPWM = 60, stepPWM = 140, settleTime = 2, duration = 5 }) {
+  const state = {
+    baseline: [],  // { t, rpm } during settle
+    response: [],  // { t, rpm } after the step
+    stepTime: null
+  };
+
+  return {
+    method: 'step',
+
+    sample(t, rpm) {
+      if (t < settleTime) {
+        state.baseline.push({ t, rpm });
+        return { output: clampPWM(startPWM), done: false };
+      }
+
+      if (state.stepTime === null) {
+        state.stepTime = t;
+      }
+      state.response.push({ t: t - state.stepTime, rpm });
+
+      return {
+        output: clampPWM(stepPWM),
+        done: t - state.stepTime >= duration
+      };
+    },
+
+    progress() {
+      return {
+        phase: state.stepTime === null ? 'settle' : 'step',
+        samples: state.baseline.length + state.response.length
+      };
+    },
+
+    result() {
+      if (state.baseline.length === 0 || state.response.length < 5) {
+        throw new Error('Not enough samples recorded for the step response');
+      }
+
+      // Average the tail of each phase to reject encoder noise
+      const tailOf = (samples) => samples.slice(-Math.max(1, Math.floor(samples.length * 0.25)));
+      const y0 = average(tailOf(state.baseline).map(s => s.rpm));
+      const y1 = average(tailOf(state.response).map(s => s.rpm));
+      const dy = y1 - y0;
+      const du = stepPWM - startPWM;
+
+      if (Math.abs(dy) < 1) {
+        throw new Error('Step produced no measurable RPM change - increase the step size');
+      }
+
+      const crossing = (fraction) => {
+        const level = y0 + fraction * dy;
+        const hit = state.response.find(s => (dy > 0 ? s.rpm >= level : s.rpm <= level));
+        return hit ? hit.t : null;
+      };
+
+      const t28 = crossing(0.283);
+      const t63 = crossing(0.632);
+      if (t28 === null || t63 === null) {
+        throw new Error('Step response did not settle - increase the duration');
+      }
+
+      const samplePeriod = state.response.length > 1 ? state.response[1].t - state.response[0].t : 0.1;
+      const timeConstant = Math.max(1.5 * (t63 - t28), samplePeriod);
+      const deadTime = Math.max(t63 - timeConstant, samplePeriod / 2);
+
+      return {
+        processGain: dy / du,      // RPM per PWM count
+        timeConstant: timeConstant,
+        deadTime: deadTime,
+        initialRPM: y0,
+        finalRPM: y1
+      };
+    }
+  };
+}
+
+// Gains from a FOPDT model (K, τ, θ)
+function stepRuleGains(rule, { processGain: k, timeConstant: tau, deadTime: theta }) {
+  const r = theta / tau;
+
+  switch (rule) {
+    case 'ziegler-nichols':
+      return toParallelGains((1.2 * tau) / (k * theta), 2 * theta, 0.5 * theta);
+    case 'cohen-coon':
+      return toParallelGains(
+        (1 / k) * (1 / r) * (4 / 3 + r / 4),
+        theta * (32 + 6 * r) / (13 + 8 * r),
+        (4 * theta) / (11 + 2 * r)
+      );
+    default:
+      throw new Error(`Unknown step tuning rule "${rule}"`);
+  }
+}
+
+// Proposed gains for a finished experiment
+function proposeGains(method, rule, measurement) {
+  return method === 'relay' ? relayRuleGains(rule, measurement) : stepRuleGains(rule, measurement);
+}
+
+module.exports = {
+  TUNING_RULES,
+  createRelayExperiment,
+  createStepExperiment,
+  proposeGains
+};
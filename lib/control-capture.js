@@ -0,0 +1,159 @@
+// Control loop capture and performance report
+// Records every RPM controller tick into a bounded buffer and computes step-response
+// metrics (rise time, overshoot, settling time, steady-state error, IAE) per commanded step.
+
+const CSV_COLUMNS = ['t', 'setpointRPM', 'targetRPM', 'currentRPM', 'filteredRPM', 'p', 'i', 'd', 'pwm', 'saturated'];
+
+const SETTLING_BAND = 0.02;       // ±2% of the step size...
+const MIN_SETTLING_BAND_RPM = 1;  // ...but never tighter than ±1 RPM
+const STEADY_STATE_FRACTION = 0.2; // Tail of each segment used for steady-state error
+const SETTLED_HOLD_S = 0.5;       // Time the response must stay in the band to count as settled
+
+// Create a capture buffer; the oldest samples are dropped once maxSamples is reached
+function createCapture({ maxSamples = 10000 } = {}) {
+  return {
+    active: true,
+    startedAt: Date.now(),
+    stoppedAt: null,
+    maxSamples: maxSamples,
+    dropped: 0,
+    samples: []
+  };
+}
+
+// Append one control tick
+function recordSample(capture, sample) {
+  if (!capture || !capture.active) return;
+
+  capture.samples.push({
+    t: (Date.now() - capture.startedAt) / 1000,
+    ...sample
+  });
+
+  if (capture.samples.length > capture.maxSamples) {
+    capture.samples.shift();
+    capture.dropped++;
+  }
+}
+
+// CSV export, one row per tick
+function toCSV(capture) {
+  const rows = capture.samples.map(sample => CSV_COLUMNS.map(column => {
+    const value = sample[column];
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return Math.round(value * 1000) / 1000;
+    return value ?? '';
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Requested setpoint of a sample (the profiled reference may still be ramping toward it)
+function setpointOf(sample) {
+  return sample.setpointRPM ?? sample.targetRPM;
+}
+
+// Commanded RPM of a sample: where a sequence step's ramp ends, else the requested setpoint
+function commandOf(sample) {
+  return sample.commandRPM ?? setpointOf(sample);
+}
+
+// Ticks belong to the same command while its RPM and sequence step are unchanged
+function sameCommand(a, b) {
+  return commandOf(a) === commandOf(b) && (a.sequenceStep ?? null) === (b.sequenceStep ?? null);
+}
+
+// Metrics for one commanded step (including any ramp toward it)
+function analyzeSegment(samples, previousTarget) {
+  const target = commandOf(samples[0]);
+  const startTime = samples[0].t;
+  const initial = samples[0].currentRPM;
+  const step = target - initial;
+  const direction = step >= 0 ? 1 : -1;
+  const magnitude = Math.abs(step);
+  const band = Math.max(magnitude * SETTLING_BAND, MIN_SETTLING_BAND_RPM);
+
+  // Rise time: 10% → 90% of the step
+  let t10 = null;
+  let t90 = null;
+  // Overshoot: furthest excursion past the target in the step direction
+  let peakExcursion = 0;
+  // Settling: the response enters the band after the last sample outside it
+  let lastOutside = -1;
+  // IAE: integral of |tracking error| over the segment
+  let iae = 0;
+
+  samples.forEach((sample, index) => {
+    const progress = magnitude > 0 ? (sample.currentRPM - initial) * direction / magnitude : 1;
+    if (t10 === null && progress >= 0.1) t10 = sample.t;
+    if (t90 === null && progress >= 0.9) t90 = sample.t;
+
+    peakExcursion = Math.max(peakExcursion, (sample.currentRPM - target) * direction);
+
+    if (Math.abs(sample.currentRPM - target) > band) {
+      lastOutside = index;
+    }
+
+    if (index > 0) {
+      iae += Math.abs(setpointOf(sample) - sample.currentRPM) * (sample.t - samples[index - 1].t);
+    }
+  });
+
+  // Settled only if it stayed in the band for the rest of the segment, for long enough to tell
+  const endTime = samples[samples.length - 1].t;
+  const settledAt = lastOutside + 1 < samples.length ? samples[lastOutside + 1].t : null;
+  const settled = settledAt !== null && endTime - settledAt >= SETTLED_HOLD_S;
+  const tail = samples.slice(-Math.max(1, Math.floor(samples.length * STEADY_STATE_FRACTION)));
+  const steadyStateError = tail.reduce((sum, sample) => sum + (target - sample.currentRPM), 0) / tail.length;
+
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+  return {
+    startTime: round(startTime),
+    duration: round(samples[samples.length - 1].t - startTime),
+    fromTarget: previousTarget,
+    targetRPM: target,
+    initialRPM: round(initial),
+    riseTime: t10 !== null && t90 !== null ? round(t90 - t10) : null,
+    overshootPercent: magnitude > 0 ? round((peakExcursion / magnitude) * 100) : 0,
+    settlingTime: settled ? round(settledAt - startTime) : null,
+    settlingBand: round(band),
+    steadyStateError: round(steadyStateError),
+    iae: round(iae),
+    samples: samples.length
+  };
+}
+
+// Split the capture at every commanded step and analyze each segment
+function buildReport(capture) {
+  const segments = [];
+  let current = [];
+  let previousTarget = null;
+
+  capture.samples.forEach(sample => {
+    if (current.length > 0 && !sameCommand(sample, current[0])) {
+      segments.push(analyzeSegment(current, previousTarget));
+      previousTarget = commandOf(current[0]);
+      current = [];
+    }
+    current.push(sample);
+  });
+
+  if (current.length > 0) {
+    segments.push(analyzeSegment(current, previousTarget));
+  }
+
+  return {
+    samples: capture.samples.length,
+    dropped: capture.dropped,
+    duration: capture.samples.length ? capture.samples[capture.samples.length - 1].t : 0,
+    setpointChanges: segments
+  };
+}
+
+module.exports = {
+  createCapture,
+  recordSample,
+  toCSV,
+  buildReport
+};
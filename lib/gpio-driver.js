@@ -0,0 +1,40 @@
+// GPIO driver selection
+// Every route module goes through this shared driver instead of requiring pigpio itself.
+//
+// Driver interface:
+//   name, isHardware
+//   openOutput(pin)          -> { pin, digitalWrite(level), pwmWrite(duty), pwmFrequency(hz), close() }
+//   openInput(pin, options)  -> EventEmitter emitting 'alert' (level, tick) with digitalRead(), close()
+//                               options: { pull: 'up' | 'down' | 'off', alert: true }
+//   getTick()                -> µs tick (wraps at 2^32)
+//   terminate()
+//
+// GPIO_DRIVER=pigpio | mock | auto (default). auto falls back to the mock driver off-Pi.
+
+const { createPigpioDriver } = require('./pigpio-driver');
+const { createMockDriver } = require('./mock-gpio-driver');
+
+function selectDriver() {
+  const requested = (process.env.GPIO_DRIVER || 'auto').toLowerCase();
+
+  if (requested === 'mock') {
+    return createMockDriver();
+  }
+
+  const pigpioDriver = createPigpioDriver();
+  if (pigpioDriver) {
+    return pigpioDriver;
+  }
+
+  if (requested === 'pigpio') {
+    throw new Error('GPIO_DRIVER=pigpio requested but pigpio is not available');
+  }
+
+  console.log('⚠️  Falling back to mock GPIO driver - running in simulation mode');
+  return createMockDriver();
+}
+
+// Single driver instance shared by the whole process
+const driver = selectDriver();
+
+module.exports = driver;
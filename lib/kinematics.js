@@ -0,0 +1,103 @@
+// Drive kinematics
+// Converts a body velocity (linear, lateral, angular) into wheel RPM targets for a
+// differential (skid-steer) or mecanum base.
+//
+// Conventions: linear is forward (m/s), lateral is to the left (m/s, mecanum only),
+// angular is counter-clockwise seen from above (rad/s). Wheels carry a `side`
+// (left | right) and an `axle` (front | rear) in ROBOT_CONFIG.
+
+const DRIVE_TYPES = ['differential', 'mecanum'];
+const OUTPUT_MODES = ['pwm', 'rpm'];
+
+function defaultKinematics() {
+  return {
+    type: 'differential', // differential | mecanum
+    wheelBase: 0.16,      // Front to rear axle (m)
+    trackWidth: 0.14,     // Left to right wheel centres (m)
+    wheelRadius: 0.033,   // Wheel radius (m)
+    maxWheelRPM: 120,     // Wheel speed at full duty, and the highest RPM target in closed loop
+    output: 'pwm'         // Default drive output: pwm (open loop) | rpm (per-wheel RPM controllers)
+  };
+}
+
+// Numeric fields: [name, min, max]
+const KINEMATICS_LIMITS = [
+  ['wheelBase', 0.01, 10],
+  ['trackWidth', 0.01, 10],
+  ['wheelRadius', 0.005, 1],
+  ['maxWheelRPM', 1, 10000]
+];
+
+// Validate a partial kinematics update. Returns { error } or { config }.
+function validateKinematics(update) {
+  const config = {};
+
+  for (const [key, min, max] of KINEMATICS_LIMITS) {
+    if (update[key] === undefined) continue;
+    const value = update[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      return { error: `Invalid ${key}. Must be a number between ${min}-${max}` };
+    }
+    config[key] = value;
+  }
+
+  if (update.type !== undefined) {
+    if (!DRIVE_TYPES.includes(update.type)) {
+      return { error: `Invalid type. Must be one of: ${DRIVE_TYPES.join(', ')}` };
+    }
+    config.type = update.type;
+  }
+
+  if (update.output !== undefined) {
+    if (!OUTPUT_MODES.includes(update.output)) {
+      return { error: `Invalid output. Must be one of: ${OUTPUT_MODES.join(', ')}` };
+    }
+    config.output = update.output;
+  }
+
+  return { config: config };
+}
+
+// Wheel surface speed (m/s) of one wheel for a body velocity
+function wheelSpeed(config, wheel, { linear, lateral, angular }) {
+  const sideSign = wheel.side === 'left' ? -1 : 1;
+
+  if (config.type === 'mecanum') {
+    // X-pattern rollers: front-left and rear-right strafe against the lateral direction
+    const diagonal = (wheel.side === 'left') === (wheel.axle === 'front') ? -1 : 1;
+    const lever = (config.wheelBase + config.trackWidth) / 2;
+    return linear + diagonal * lateral + sideSign * lever * angular;
+  }
+
+  return linear + sideSign * (config.trackWidth / 2) * angular;
+}
+
+// Wheel RPM targets for a body velocity. `trims` are per-wheel percent adjustments.
+// If any wheel would exceed maxWheelRPM, every wheel is scaled down by the same factor
+// so the robot keeps its path and only slows down. Returns { rpm, scale }.
+function wheelRPMs(config, wheels, velocity, trims = {}) {
+  const rpm = {};
+  const circumference = 2 * Math.PI * config.wheelRadius;
+
+  Object.entries(wheels).forEach(([wheelKey, wheel]) => {
+    const trim = 1 + (trims[wheelKey] || 0) / 100;
+    rpm[wheelKey] = (wheelSpeed(config, wheel, velocity) / circumference) * 60 * trim;
+  });
+
+  const fastest = Math.max(...Object.values(rpm).map(Math.abs));
+  const scale = fastest > config.maxWheelRPM ? config.maxWheelRPM / fastest : 1;
+
+  Object.keys(rpm).forEach(wheelKey => {
+    rpm[wheelKey] = Math.round(rpm[wheelKey] * scale * 10) / 10;
+  });
+
+  return { rpm: rpm, scale: Math.round(scale * 1000) / 1000 };
+}
+
+module.exports = {
+  DRIVE_TYPES,
+  OUTPUT_MODES,
+  defaultKinematics,
+  validateKinematics,
+  wheelRPMs
+};
@@ -0,0 +1,135 @@
+// Mission programs
+// Validates uploaded missions: a named list of robot steps run one after another.
+//
+// Steps:
+//   { type: 'drive', distance, ...move options }      Drive straight (cm), as /api/robot/move
+//   { type: 'turn', angle, ...turn options }          Turn in place (degrees), as /api/robot/turn
+//   { type: 'setRPM', controller, rpm }               Hold an RPM controller at a speed (0 stops it)
+//   { type: 'wait', seconds }                         Pause the program
+//   { type: 'setPWM', pin, dutyCycle, frequency? }    Write a PWM output
+//   { type: 'waitForSensorCount', sensor, count, timeout? }  Wait for `count` more pulses on a sensor
+//   { type: 'stop', mode? }                           Stop the robot (brake | coast)
+
+const robotMotion = require('./robot-motion');
+const kinematics = require('./kinematics');
+const motorDriver = require('./motor-driver');
+
+const STEP_TYPES = ['drive', 'turn', 'setRPM', 'wait', 'setPWM', 'waitForSensorCount', 'stop'];
+const MAX_STEPS = 200;
+
+function isNumberIn(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate one step. Returns { error } or { step } with defaults filled in.
+function validateStep(step) {
+  if (!step || typeof step !== 'object' || !STEP_TYPES.includes(step.type)) {
+    return { error: `Invalid type. Must be one of: ${STEP_TYPES.join(', ')}` };
+  }
+
+  switch (step.type) {
+    case 'drive':
+    case 'turn': {
+      const { error, motion } = robotMotion.validateMotion(step.type === 'drive' ? 'move' : 'turn', step);
+      if (error) return { error: error };
+      if (step.output !== undefined && !kinematics.OUTPUT_MODES.includes(step.output)) {
+        return { error: `Invalid output. Must be one of: ${kinematics.OUTPUT_MODES.join(', ')}` };
+      }
+      return { step: { type: step.type, motion: motion, output: step.output } };
+    }
+
+    case 'setRPM':
+      if (typeof step.controller !== 'string' || step.controller.length === 0) {
+        return { error: 'controller must be an RPM controller id' };
+      }
+      if (!isNumberIn(step.rpm, 0, 10000)) {
+        return { error: 'Invalid rpm. Must be a number between 0-10000' };
+      }
+      return { step: { type: 'setRPM', controller: step.controller, rpm: step.rpm } };
+
+    case 'wait':
+      if (!isNumberIn(step.seconds, 0, 3600)) {
+        return { error: 'Invalid seconds. Must be a number between 0-3600' };
+      }
+      return { step: { type: 'wait', seconds: step.seconds } };
+
+    case 'setPWM': {
+      const { pin, dutyCycle, frequency = 1000 } = step;
+      if (!Number.isInteger(pin) || pin < 0 || pin > 27) {
+        return { error: 'Invalid pin number. Must be between 0-27' };
+      }
+      if (!isNumberIn(dutyCycle, 0, 255)) {
+        return { error: 'Invalid duty cycle. Must be between 0-255' };
+      }
+      if (!isNumberIn(frequency, 1, 8000)) {
+        return { error: 'Invalid frequency. Must be between 1-8000 Hz' };
+      }
+      return { step: { type: 'setPWM', pin: pin, dutyCycle: dutyCycle, frequency: frequency } };
+    }
+
+    case 'waitForSensorCount': {
+      const { sensor, count, timeout = 30 } = step;
+      if (!Number.isInteger(sensor) || sensor < 1) {
+        return { error: 'Invalid sensor. Must be a sensor number' };
+      }
+      if (!Number.isInteger(count) || count < 1 || count > 100000000) {
+        return { error: 'Invalid count. Must be an integer between 1-100000000' };
+      }
+      if (!isNumberIn(timeout, 1, 3600)) {
+        return { error: 'Invalid timeout. Must be a number between 1-3600' };
+      }
+      return { step: { type: 'waitForSensorCount', sensor: sensor, count: count, timeout: timeout } };
+    }
+
+    case 'stop': {
+      const { mode } = step;
+      if (mode !== undefined && !motorDriver.STOP_MODES.includes(mode)) {
+        return { error: `Invalid mode. Must be one of: ${motorDriver.STOP_MODES.join(', ')}` };
+      }
+      return { step: { type: 'stop', mode: mode } };
+    }
+  }
+}
+
+// One-line summary of a validated step, for progress reports
+function describeStep(step) {
+  switch (step.type) {
+    case 'drive': return `drive ${Math.round(step.motion.target * 1000) / 10} cm`;
+    case 'turn': return `turn ${Math.round(step.motion.target * 180 / Math.PI * 10) / 10}°`;
+    case 'setRPM': return `setRPM ${step.controller} = ${step.rpm}`;
+    case 'wait': return `wait ${step.seconds}s`;
+    case 'setPWM': return `setPWM GPIO ${step.pin} = ${step.dutyCycle}`;
+    case 'waitForSensorCount': return `waitForSensorCount sensor ${step.sensor} +${step.count}`;
+    case 'stop': return `stop${step.mode ? ` (${step.mode})` : ''}`;
+  }
+}
+
+// Validate an uploaded mission ({ name?, steps }). Returns { error } or { mission }.
+function validateMission(body) {
+  const { name = 'mission', steps } = body;
+
+  if (typeof name !== 'string' || name.length === 0 || name.length > 64) {
+    return { error: 'Invalid name. Must be a string of 1-64 characters' };
+  }
+
+  if (!Array.isArray(steps) || steps.length === 0 || steps.length > MAX_STEPS) {
+    return { error: `steps must be an array of 1-${MAX_STEPS} steps` };
+  }
+
+  const validated = [];
+  for (let i = 0; i < steps.length; i++) {
+    const { error, step } = validateStep(steps[i]);
+    if (error) {
+      return { error: `Step ${i + 1}${steps[i] && steps[i].type ? ` (${steps[i].type})` : ''}: ${error}` };
+    }
+    validated.push(step);
+  }
+
+  return { mission: { name: name, steps: validated } };
+}
+
+module.exports = {
+  STEP_TYPES,
+  validateMission,
+  describeStep
+};
@@ -0,0 +1,164 @@
+// Mock GPIO driver
+// In-process stand-in for pigpio: records every write and lets callers inject input edges.
+// Used automatically off-Pi so the whole server (PWM, encoders, RPM loop) runs on any machine.
+
+const EventEmitter = require('events');
+
+const MAX_RECORDED_WRITES = 10000; // Keep the write log bounded on long runs
+
+function createMockDriver() {
+  const driver = new EventEmitter();
+  const startTime = process.hrtime.bigint();
+
+  // Map of pin -> { mode, level, dutyCycle, frequency, pull, input }
+  const pins = new Map();
+
+  // Chronological log of every output write: { pin, type, value, tick, timestamp }
+  const writes = [];
+
+  function getPinState(pin) {
+    if (!pins.has(pin)) {
+      pins.set(pin, {
+        mode: null,
+        level: 0,
+        dutyCycle: 0,
+        frequency: 1000,
+        pull: 'off',
+        input: null
+      });
+    }
+    return pins.get(pin);
+  }
+
+  function recordWrite(pin, type, value) {
+    const entry = {
+      pin: pin,
+      type: type,
+      value: value,
+      tick: driver.getTick(),
+      timestamp: Date.now()
+    };
+
+    writes.push(entry);
+    if (writes.length > MAX_RECORDED_WRITES) {
+      writes.shift();
+    }
+
+    // Let simulators and recorders observe outputs as they happen
+    driver.emit('write', entry);
+  }
+
+  driver.name = 'mock';
+  driver.isHardware = false;
+  driver.writes = writes;
+
+  // Open a pin as a digital/PWM output
+  driver.openOutput = (pin) => {
+    const state = getPinState(pin);
+    state.mode = 'output';
+
+    return {
+      pin: pin,
+      digitalWrite: (level) => {
+        state.level = level ? 1 : 0;
+        state.dutyCycle = level ? 255 : 0;
+        recordWrite(pin, 'digital', state.level);
+      },
+      pwmWrite: (dutyCycle) => {
+        state.dutyCycle = dutyCycle;
+        state.level = dutyCycle > 0 ? 1 : 0;
+        recordWrite(pin, 'pwm', dutyCycle);
+      },
+      pwmFrequency: (frequency) => {
+        state.frequency = frequency;
+        recordWrite(pin, 'frequency', frequency);
+      },
+      close: () => {
+        state.level = 0;
+        state.dutyCycle = 0;
+        recordWrite(pin, 'digital', 0);
+      }
+    };
+  };
+
+  // Open a pin as an input; edges arrive through injectEdge()
+  driver.openInput = (pin, options = {}) => {
+    const state = getPinState(pin);
+    const input = new EventEmitter();
+
+    state.mode = 'input';
+    state.pull = options.pull || 'off';
+    state.level = state.pull === 'up' ? 1 : 0;
+    state.input = input;
+
+    input.pin = pin;
+    input.alertEnabled = options.alert !== false;
+    input.digitalRead = () => state.level;
+    input.close = () => {
+      input.removeAllListeners('alert');
+      if (state.input === input) {
+        state.input = null;
+      }
+    };
+
+    return input;
+  };
+
+  // Microsecond tick since driver start, wrapping at 2^32 like pigpio
+  driver.getTick = () => {
+    const elapsedMicros = (process.hrtime.bigint() - startTime) / 1000n;
+    return Number(elapsedMicros % 4294967296n);
+  };
+
+  driver.terminate = () => {
+    pins.forEach(state => {
+      if (state.input) state.input.close();
+    });
+  };
+
+  // ==============================================
+  // TEST / SIMULATION HOOKS (mock only)
+  // ==============================================
+
+  // Drive an input pin to a level and fire its alert as pigpio would
+  driver.injectEdge = (pin, level, tick = driver.getTick()) => {
+    const state = getPinState(pin);
+    state.level = level ? 1 : 0;
+
+    if (state.input && state.input.alertEnabled) {
+      state.input.emit('alert', state.level, tick);
+    }
+  };
+
+  // Inject a full pulse (rising then falling edge) on an input pin
+  driver.pulse = (pin, tick = driver.getTick(), widthMicros = 100) => {
+    driver.injectEdge(pin, 1, tick);
+    driver.injectEdge(pin, 0, (tick + widthMicros) >>> 0);
+  };
+
+  // Snapshot of a pin's current mock state
+  driver.getPin = (pin) => {
+    const state = pins.get(pin);
+    if (!state) return null;
+
+    return {
+      pin: pin,
+      mode: state.mode,
+      level: state.level,
+      dutyCycle: state.dutyCycle,
+      frequency: state.frequency,
+      pull: state.pull
+    };
+  };
+
+  driver.clearWrites = () => {
+    writes.length = 0;
+  };
+
+  console.log('🧪 Mock GPIO driver active - writes are recorded, inputs come from injected edges');
+  return driver;
+}
+
+module.exports = {
+  createMockDriver
+};
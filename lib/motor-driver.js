@@ -0,0 +1,115 @@
+// Motor drivers (H-bridges)
+// Maps a signed wheel speed onto the pin levels of the bridge driving that wheel.
+//
+// Each wheel in ROBOT_CONFIG has a speed PWM pin (`pin`) and a `driver`:
+//   { type: 'pwm' }                          single PWM pin, forward only (no bridge)
+//   { type: 'l298n', in1, in2 }              L298N: IN1/IN2 direction, PWM on EN (= pin)
+//   { type: 'tb6612', in1, in2, stby }       TB6612FNG: IN1/IN2 direction, PWM on PWMx (= pin), STBY high to enable
+//   { type: 'drv8833', in2 }                 DRV8833: PWM on IN1 (= pin) forward or IN2 reverse
+//
+// Stop modes: 'brake' shorts the motor terminals (stops quickly), 'coast' lets them float.
+
+const DRIVER_TYPES = ['pwm', 'l298n', 'tb6612', 'drv8833'];
+const STOP_MODES = ['brake', 'coast'];
+
+// Direction/enable pins each driver type needs besides the speed pin
+const DRIVER_PINS = {
+  pwm: [],
+  l298n: ['in1', 'in2'],
+  tb6612: ['in1', 'in2', 'stby'],
+  drv8833: ['in2']
+};
+
+function isValidPin(pin) {
+  return Number.isInteger(pin) && pin >= 0 && pin <= 27;
+}
+
+// Every pin a wheel's driver drives
+function driverPins(pin, driver) {
+  return [pin, ...DRIVER_PINS[driver.type].map(key => driver[key])];
+}
+
+function canReverse(driver) {
+  return driver.type !== 'pwm';
+}
+
+// Validate one wheel's driver config, returning an error message or null
+function validateDriver(pin, driver) {
+  if (!driver || !DRIVER_TYPES.includes(driver.type)) {
+    return `Invalid driver type. Must be one of: ${DRIVER_TYPES.join(', ')}`;
+  }
+
+  for (const key of DRIVER_PINS[driver.type]) {
+    if (!isValidPin(driver[key])) {
+      return `Invalid ${driver.type} ${key} pin. Must be between 0-27`;
+    }
+  }
+
+  // A TB6612 drives two motors, so its STBY pin may be shared; no other pin may repeat
+  const pins = driverPins(pin, driver);
+  if (new Set(pins).size !== pins.length) {
+    return `${driver.type} pins must all be different (got ${pins.join(', ')})`;
+  }
+
+  return null;
+}
+
+// Pin writes for a signed duty (-255..255). A zero duty stops the motor in `stopMode`.
+// Direction pins come before the speed pin so the bridge never drives the old direction
+// at the new duty. Returns [{ pin, type: 'digital' | 'pwm', value }].
+function motorOutputs(pin, driver, duty, stopMode = 'brake') {
+  const magnitude = Math.min(255, Math.abs(Math.round(duty)));
+  const forward = duty > 0;
+  const brake = magnitude === 0 && stopMode === 'brake';
+
+  switch (driver.type) {
+    case 'l298n':
+    case 'tb6612': {
+      const outputs = [];
+      if (driver.type === 'tb6612') {
+        outputs.push({ pin: driver.stby, type: 'digital', value: 1 });
+      }
+
+      if (magnitude === 0) {
+        // Brake: both inputs high with the bridge enabled. Coast: both low, bridge off.
+        outputs.push(
+          { pin: driver.in1, type: 'digital', value: brake ? 1 : 0 },
+          { pin: driver.in2, type: 'digital', value: brake ? 1 : 0 },
+          { pin: pin, type: 'pwm', value: brake ? 255 : 0 }
+        );
+      } else {
+        outputs.push(
+          { pin: driver.in1, type: 'digital', value: forward ? 1 : 0 },
+          { pin: driver.in2, type: 'digital', value: forward ? 0 : 1 },
+          { pin: pin, type: 'pwm', value: magnitude }
+        );
+      }
+      return outputs;
+    }
+
+    case 'drv8833':
+      // Fast decay: PWM one input, hold the other low. Brake is both high, coast both low.
+      if (magnitude === 0) {
+        return [
+          { pin: pin, type: 'pwm', value: brake ? 255 : 0 },
+          { pin: driver.in2, type: 'pwm', value: brake ? 255 : 0 }
+        ];
+      }
+      return forward
+        ? [{ pin: driver.in2, type: 'pwm', value: 0 }, { pin: pin, type: 'pwm', value: magnitude }]
+        : [{ pin: pin, type: 'pwm', value: 0 }, { pin: driver.in2, type: 'pwm', value: magnitude }];
+
+    default:
+      // Plain PWM pin: no direction and no brake
+      return [{ pin: pin, type: 'pwm', value: forward ? magnitude : 0 }];
+  }
+}
+
+module.exports = {
+  DRIVER_TYPES,
+  STOP_MODES,
+  driverPins,
+  canReverse,
+  validateDriver,
+  motorOutputs
+};
@@ -0,0 +1,253 @@
+// DC motor + encoder plant simulator
+// Turns PWM duty written to the mock GPIO driver into synthetic encoder edges, so the
+// sensor pipeline (detectRealPulseInterrupt), the RPM controller and the dashboards
+// behave as they would on hardware.
+
+const gpioDriver = require('./gpio-driver');
+
+const STEP_MS = 5; // Integration step of the simulation loop
+
+// Default plant parameters (roughly a small 6 V gear motor with a 45 PPR encoder)
+const DEFAULT_MOTOR_PARAMS = {
+  maxRPM: 120,            // No-load speed at full duty
+  inertia: 0.003,         // Rotor + load inertia (normalized torque·s/RPM) - higher is slower to respond
+  friction: 0.1,          // Coulomb friction as a fraction of full-duty torque (also the stiction level)
+  deadband: 20,           // Duty counts (0-255) below which the driver produces no torque
+  noise: 0.02,            // Encoder edge jitter as a fraction of the pulse period
+  pulsesPerRotation: 45   // Encoder pulses per output shaft rotation
+};
+
+// Default wheel plants: robot PWM pins paired with the dashboard encoder pins
+const DEFAULT_SIM_MOTORS = [
+  { sensor: 1, pwmPin: 18, encoderPin: 23 }, // Front Left
+  { sensor: 2, pwmPin: 12, encoderPin: 22 }, // Front Right
+  { sensor: 3, pwmPin: 19, encoderPin: 4 },  // Back Right
+  { sensor: 4, pwmPin: 13, encoderPin: 27 }  // Back Left
+];
+
+// Simulator state
+const simState = {
+  running: false,
+  motors: new Map(),  // Map of pwmPin -> plant
+  interval: null,
+  lastStepTime: null,
+  lastStepTick: null
+};
+
+// Signed µs from tick a to tick b on the 32-bit wrapping tick counter
+function tickDiff(a, b) {
+  return (b - a) | 0;
+}
+
+// Gaussian noise via Box-Muller
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Validate plant parameters, returning an error message or null
+function validateParams(params) {
+  const checks = [
+    ['maxRPM', 1, 10000],
+    ['inertia', 0.0001, 10],
+    ['friction', 0, 0.99],
+    ['deadband', 0, 254],
+    ['noise', 0, 0.5],
+    ['pulsesPerRotation', 1, 10000]
+  ];
+
+  for (const [key, min, max] of checks) {
+    if (params[key] === undefined) continue;
+    if (typeof params[key] !== 'number' || !Number.isFinite(params[key]) || params[key] < min || params[key] > max) {
+      return `Invalid ${key}. Must be a number between ${min}-${max}`;
+    }
+  }
+  return null;
+}
+
+// Keep only known plant parameters
+function pickParams(params) {
+  const picked = {};
+  Object.keys(DEFAULT_MOTOR_PARAMS).forEach(key => {
+    if (params[key] !== undefined) picked[key] = params[key];
+  });
+  return picked;
+}
+
+// Track PWM writes on simulated motor pins
+function onDriverWrite(entry) {
+  const motor = simState.motors.get(entry.pin);
+  if (!motor) return;
+
+  if (entry.type === 'pwm') {
+    motor.dutyCycle = entry.value;
+  } else if (entry.type === 'digital') {
+    motor.dutyCycle = entry.value ? 255 : 0;
+  }
+}
+
+// Advance one plant by dt seconds and emit the encoder pulses it produced
+function stepMotor(motor, dt, startTick, endTick) {
+  const p = motor.params;
+
+  // Driver output: nothing below the deadband, linear above it
+  const torque = Math.max(0, motor.dutyCycle - p.deadband) / (255 - p.deadband);
+  const viscous = (1 - p.friction) / p.maxRPM; // Chosen so full duty settles at maxRPM
+
+  if (motor.rpm <= 0 && torque <= p.friction) {
+    // Stiction: not enough torque to break away. At rest the last edge no longer orders the
+    // next one (and after a long stop its tick could be more than half a wrap old).
+    motor.rpm = 0;
+    motor.lastPulseTick = null;
+  } else {
+    const accel = (torque - p.friction - viscous * motor.rpm) / p.inertia;
+    motor.rpm = Math.max(0, motor.rpm + accel * dt);
+  }
+
+  // Integrate shaft angle (rotations) and emit pulses crossed during this step
+  const startRotations = motor.rotations;
+  motor.rotations += (motor.rpm / 60) * dt;
+
+  const startPulse = Math.floor(startRotations * p.pulsesPerRotation);
+  const endPulse = Math.floor(motor.rotations * p.pulsesPerRotation);
+  if (endPulse <= startPulse) return;
+
+  const revolved = motor.rotations - startRotations;
+  const periodMicros = motor.rpm > 0 ? 60e6 / (motor.rpm * p.pulsesPerRotation) : 0;
+  const stepMicros = (endTick - startTick) >>> 0; // Ticks wrap at 2^32, like pigpio's
+
+  for (let n = startPulse + 1; n <= endPulse; n++) {
+    // Interpolate the edge time within the step, then jitter it
+    const fraction = (n / p.pulsesPerRotation - startRotations) / revolved;
+    const offset = fraction * stepMicros + gaussian() * p.noise * periodMicros;
+    let tick = (startTick + Math.round(offset)) >>> 0;
+
+    // Edges stay in order (compared across the wrap)
+    if (motor.lastPulseTick !== null && tickDiff(motor.lastPulseTick, tick) <= 0) {
+      tick = (motor.lastPulseTick + 1) >>> 0;
+    }
+
+    motor.lastPulseTick = tick;
+    motor.pulses++;
+    gpioDriver.pulse(motor.encoderPin, tick);
+  }
+}
+
+// Simulation loop - advance every plant by the real elapsed time
+function stepSimulation() {
+  const now = Date.now();
+  const tick = gpioDriver.getTick();
+  const dt = (now - simState.lastStepTime) / 1000;
+
+  if (dt > 0) {
+    simState.motors.forEach(motor => stepMotor(motor, dt, simState.lastStepTick, tick));
+  }
+
+  simState.lastStepTime = now;
+  simState.lastStepTick = tick;
+}
+
+// ==============================================
+// PUBLIC API
+// ==============================================
+
+// Add (or replace) a simulated motor driven by pwmPin with its encoder on encoderPin
+function addMotor({ pwmPin, encoderPin, sensor = null, params = {} }) {
+  const error = validateParams(params);
+  if (error) throw Object.assign(new Error(error), { status: 400 });
+
+  const motor = {
+    pwmPin: pwmPin,
+    encoderPin: encoderPin,
+    sensor: sensor,
+    params: { ...DEFAULT_MOTOR_PARAMS, ...pickParams(params) },
+    dutyCycle: 0,
+    rpm: 0,
+    rotations: 0,
+    pulses: 0,
+    lastPulseTick: null
+  };
+
+  simState.motors.set(pwmPin, motor);
+  console.log(`🧪 Simulated motor on GPIO ${pwmPin} → encoder GPIO ${encoderPin}`);
+  return motor;
+}
+
+function removeMotor(pwmPin) {
+  return simState.motors.delete(pwmPin);
+}
+
+// Change plant parameters of a running motor
+function updateMotor(pwmPin, params) {
+  const motor = simState.motors.get(pwmPin);
+  if (!motor) return null;
+
+  const error = validateParams(params);
+  if (error) throw Object.assign(new Error(error), { status: 400 });
+
+  Object.assign(motor.params, pickParams(params));
+  return motor;
+}
+
+// Start the simulation loop (mock GPIO driver only)
+function start() {
+  if (gpioDriver.isHardware) {
+    throw Object.assign(new Error('Simulation requires the mock GPIO driver'), { status: 409 });
+  }
+  if (simState.running) return;
+
+  gpioDriver.on('write', onDriverWrite);
+  simState.lastStepTime = Date.now();
+  simState.lastStepTick = gpioDriver.getTick();
+  simState.interval = setInterval(stepSimulation, STEP_MS);
+  simState.running = true;
+
+  console.log(`🧪 Motor simulation started (${simState.motors.size} motors)`);
+}
+
+function stop() {
+  if (!simState.running) return;
+
+  clearInterval(simState.interval);
+  simState.interval = null;
+  gpioDriver.removeListener('write', onDriverWrite);
+  simState.running = false;
+
+  simState.motors.forEach(motor => {
+    motor.rpm = 0;
+    motor.dutyCycle = 0;
+    motor.lastPulseTick = null;
+  });
+
+  console.log('🧪 Motor simulation stopped');
+}
+
+function getStatus() {
+  return {
+    running: simState.running,
+    stepMs: STEP_MS,
+    motors: Array.from(simState.motors.values()).map(motor => ({
+      pwmPin: motor.pwmPin,
+      encoderPin: motor.encoderPin,
+      sensor: motor.sensor,
+      dutyCycle: motor.dutyCycle,
+      rpm: Math.round(motor.rpm * 10) / 10,
+      rotations: Math.round(motor.rotations * 1000) / 1000,
+      pulses: motor.pulses,
+      params: motor.params
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_MOTOR_PARAMS,
+  DEFAULT_SIM_MOTORS,
+  addMotor,
+  removeMotor,
+  updateMotor,
+  start,
+  stop,
+  getStatus,
+  simState
+};
@@ -0,0 +1,62 @@
+// Wheel odometry
+// Integrates left/right wheel travel into a planar pose. x is forward at reset, y is to
+// the left and heading is counter-clockwise in radians (the same frame as /api/robot/drive).
+
+function createPose({ x = 0, y = 0, heading = 0 } = {}) {
+  return {
+    x: x,
+    y: y,
+    heading: normalizeAngle(heading),
+    distance: 0,   // Total path length travelled (m)
+    linear: 0,     // Current speed along the heading (m/s)
+    angular: 0     // Current turn rate (rad/s)
+  };
+}
+
+// Wrap an angle to (-π, π]
+function normalizeAngle(angle) {
+  let wrapped = angle % (2 * Math.PI);
+  if (wrapped > Math.PI) wrapped -= 2 * Math.PI;
+  if (wrapped <= -Math.PI) wrapped += 2 * Math.PI;
+  return wrapped;
+}
+
+// Advance a pose by the distance each side travelled (m) over dt seconds. The step is
+// applied along the mean heading of the interval, which is exact for constant-curvature arcs.
+function integrate(pose, left, right, trackWidth, dt) {
+  const distance = (left + right) / 2;
+  const turn = (right - left) / trackWidth;
+  const midHeading = pose.heading + turn / 2;
+
+  pose.x += distance * Math.cos(midHeading);
+  pose.y += distance * Math.sin(midHeading);
+  pose.heading = normalizeAngle(pose.heading + turn);
+  pose.distance += Math.abs(distance);
+
+  if (dt > 0) {
+    pose.linear = distance / dt;
+    pose.angular = turn / dt;
+  }
+  return pose;
+}
+
+// Public view of a pose, rounded for display
+function describePose(pose) {
+  const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+  return {
+    x: round(pose.x, 4),
+    y: round(pose.y, 4),
+    heading: round(pose.heading, 4),
+    headingDegrees: round(pose.heading * 180 / Math.PI, 2),
+    distance: round(pose.distance, 4),
+    linear: round(pose.linear, 3),
+    angular: round(pose.angular, 3)
+  };
+}
+
+module.exports = {
+  createPose,
+  normalizeAngle,
+  integrate,
+  describePose
+};
@@ -0,0 +1,151 @@
+// PID tuning helpers for the RPM controllers
+// Validates runtime tuning updates and looks up gains from an N-breakpoint schedule
+
+const NOMINAL_GAIN = 2.0;      // Overall `gain` at which the schedule is applied unscaled
+const MAX_BREAKPOINTS = 16;
+
+// Default schedule reproduces the original two-zone controller (step at 20 RPM)
+function defaultGainSchedule() {
+  return {
+    interpolation: 'step',
+    breakpoints: [
+      { rpm: 0, kp: 0.35, ki: 0.05, kd: 0 },    // remove derivative on very low speed
+      { rpm: 20, kp: 2.5, ki: 0.35, kd: 0.04 }  // Aggressive gains for high speed
+    ]
+  };
+}
+
+// Numeric tuning fields: [name, min, max]
+const TUNING_LIMITS = [
+  ['gain', 0.1, 10],
+  ['integralLimit', 0, 255],
+  ['errorDeadband', 0, 50],
+  ['baseKick', 0, 255],
+  ['feedForward', 0, 10],
+  ['updateRate', 10, 1000],
+  ['stallPWM', 1, 255],
+  ['stallTimeout', 0.1, 30]
+];
+
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+// Validate a gain schedule, returning an error message or null
+function validateGainSchedule(schedule) {
+  if (!schedule || typeof schedule !== 'object') {
+    return 'gainSchedule must be an object with interpolation and breakpoints';
+  }
+
+  const { interpolation = 'step', breakpoints } = schedule;
+
+  if (interpolation !== 'step' && interpolation !== 'linear') {
+    return 'gainSchedule.interpolation must be "step" or "linear"';
+  }
+
+  if (!Array.isArray(breakpoints) || breakpoints.length < 1 || breakpoints.length > MAX_BREAKPOINTS) {
+    return `gainSchedule.breakpoints must be an array of 1-${MAX_BREAKPOINTS} entries`;
+  }
+
+  for (let i = 0; i < breakpoints.length; i++) {
+    const bp = breakpoints[i];
+
+    if (!bp || !isNumberInRange(bp.rpm, 0, 10000)) {
+      return `gainSchedule.breakpoints[${i}].rpm must be a number between 0-10000`;
+    }
+
+    for (const key of ['kp', 'ki', 'kd']) {
+      if (!isNumberInRange(bp[key], 0, 1000)) {
+        return `gainSchedule.breakpoints[${i}].${key} must be a number between 0-1000`;
+      }
+    }
+
+    if (i > 0 && bp.rpm <= breakpoints[i - 1].rpm) {
+      return 'gainSchedule.breakpoints must be sorted by strictly increasing rpm';
+    }
+  }
+
+  return null;
+}
+
+// Validate a partial tuning update. Flat kp/ki/kd replace the schedule with a single
+// breakpoint. Returns { error } or { tuning } holding only the normalized fields to apply.
+function validateTuningUpdate(update) {
+  const tuning = {};
+
+  for (const [key, min, max] of TUNING_LIMITS) {
+    if (update[key] === undefined) continue;
+    if (!isNumberInRange(update[key], min, max)) {
+      return { error: `Invalid ${key}. Must be a number between ${min}-${max}` };
+    }
+    tuning[key] = update[key];
+  }
+
+  const hasFlatGains = ['kp', 'ki', 'kd'].some(key => update[key] !== undefined);
+
+  if (hasFlatGains && update.gainSchedule !== undefined) {
+    return { error: 'Provide either kp/ki/kd or gainSchedule, not both' };
+  }
+
+  if (hasFlatGains) {
+    const breakpoint = { rpm: 0, kp: update.kp ?? 0, ki: update.ki ?? 0, kd: update.kd ?? 0 };
+    const error = validateGainSchedule({ interpolation: 'step', breakpoints: [breakpoint] });
+    if (error) return { error: error.replace('gainSchedule.breakpoints[0].', '') };
+    tuning.gainSchedule = { interpolation: 'step', breakpoints: [breakpoint] };
+  }
+
+  if (update.gainSchedule !== undefined) {
+    const error = validateGainSchedule(update.gainSchedule);
+    if (error) return { error: error };
+    tuning.gainSchedule = {
+      interpolation: update.gainSchedule.interpolation || 'step',
+      breakpoints: update.gainSchedule.breakpoints.map(({ rpm, kp, ki, kd }) => ({ rpm, kp, ki, kd }))
+    };
+  }
+
+  if (Object.keys(tuning).length === 0) {
+    return { error: 'No tuning parameters provided' };
+  }
+
+  return { tuning: tuning };
+}
+
+// Gains for a target RPM from the schedule, scaled by the overall gain
+function gainsForTarget(schedule, targetRPM, gain = NOMINAL_GAIN) {
+  const { breakpoints, interpolation } = schedule;
+  const scale = gain / NOMINAL_GAIN;
+
+  let g;
+  if (targetRPM <= breakpoints[0].rpm) {
+    g = breakpoints[0];
+  } else if (targetRPM >= breakpoints[breakpoints.length - 1].rpm) {
+    g = breakpoints[breakpoints.length - 1];
+  } else {
+    // Find the segment [lower, upper) that contains the target
+    let i = 0;
+    while (targetRPM >= breakpoints[i + 1].rpm) i++;
+    const lower = breakpoints[i];
+    const upper = breakpoints[i + 1];
+
+    if (interpolation === 'linear') {
+      const t = (targetRPM - lower.rpm) / (upper.rpm - lower.rpm);
+      g = {
+        kp: lower.kp + t * (upper.kp - lower.kp),
+        ki: lower.ki + t * (upper.ki - lower.ki),
+        kd: lower.kd + t * (upper.kd - lower.kd)
+      };
+    } else {
+      g = lower;
+    }
+  }
+
+  return { kp: g.kp * scale, ki: g.ki * scale, kd: g.kd * scale };
+}
+
+module.exports = {
+  NOMINAL_GAIN,
+  defaultGainSchedule,
+  validateGainSchedule,
+  validateTuningUpdate,
+  gainsForTarget
+};
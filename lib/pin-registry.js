@@ -0,0 +1,108 @@
+// GPIO pin registry
+// Records which subsystem owns each pin and how it uses it, so two subsystems never drive
+// the same pin or write to an encoder input. Owners are 'subsystem' or 'subsystem/instance'
+// strings (e.g. 'robot/frontLeft', 'sensor/1', 'rpm-control/default', 'pwm').
+
+const PIN_COUNT = 28;                    // BCM GPIO 0-27
+const HARDWARE_PWM_PINS = [12, 13, 18, 19];
+const PIN_MODES = ['pwm', 'output', 'input'];
+
+// pin -> { owner, mode, label, since }
+const claims = new Map();
+
+function isValidPin(pin) {
+  return Number.isInteger(pin) && pin >= 0 && pin < PIN_COUNT;
+}
+
+function describeClaim(claim) {
+  return `${claim.owner} (${claim.label}, ${claim.mode})`;
+}
+
+// Why `owner` cannot use `pin` as `mode`, or null if it can. A pin belongs to one owner at a
+// time; the owner may change how it uses it.
+function conflictError(pin, owner, mode) {
+  const claim = claims.get(pin);
+  if (!claim || claim.owner === owner) {
+    return null;
+  }
+  return `GPIO ${pin} is owned by ${describeClaim(claim)} and cannot be used by ${owner} as ${mode}`;
+}
+
+// Take a pin for an owner. Throws a 409 error describing the current owner on conflict.
+function claim(pin, owner, mode, label = owner) {
+  if (!isValidPin(pin)) {
+    throw Object.assign(new Error(`Invalid pin number ${pin}. Must be between 0-${PIN_COUNT - 1}`), { status: 400 });
+  }
+  if (!PIN_MODES.includes(mode)) {
+    throw new Error(`Invalid pin mode "${mode}". Must be one of: ${PIN_MODES.join(', ')}`);
+  }
+
+  const error = conflictError(pin, owner, mode);
+  if (error) {
+    throw Object.assign(new Error(error), { status: 409, pin: pin, owner: claims.get(pin) });
+  }
+
+  const existing = claims.get(pin);
+  claims.set(pin, {
+    owner: owner,
+    mode: mode,
+    label: label,
+    since: existing ? existing.since : new Date().toISOString()
+  });
+  return claims.get(pin);
+}
+
+// Give a pin back if `owner` holds it
+function release(pin, owner) {
+  const existing = claims.get(pin);
+  if (existing && existing.owner === owner) {
+    claims.delete(pin);
+    return true;
+  }
+  return false;
+}
+
+// Give back every pin `owner` holds, except those listed in `keep`
+function releaseOwner(owner, keep = []) {
+  const released = [];
+  claims.forEach((existing, pin) => {
+    if (existing.owner === owner && !keep.includes(pin)) {
+      claims.delete(pin);
+      released.push(pin);
+    }
+  });
+  return released;
+}
+
+function getClaim(pin) {
+  return claims.get(pin) || null;
+}
+
+// Every GPIO pin with its owner (null when free)
+function getBoardMap() {
+  const pins = [];
+  for (let pin = 0; pin < PIN_COUNT; pin++) {
+    const existing = claims.get(pin);
+    pins.push({
+      pin: pin,
+      hardwarePwm: HARDWARE_PWM_PINS.includes(pin),
+      owner: existing ? existing.owner : null,
+      subsystem: existing ? existing.owner.split('/')[0] : null,
+      mode: existing ? existing.mode : null,
+      label: existing ? existing.label : null,
+      since: existing ? existing.since : null
+    });
+  }
+  return pins;
+}
+
+module.exports = {
+  PIN_MODES,
+  HARDWARE_PWM_PINS,
+  conflictError,
+  claim,
+  release,
+  releaseOwner,
+  getClaim,
+  getBoardMap
+};
@@ -0,0 +1,81 @@
+// Encoder position moves for the RPM controllers
+// Outer position loop of the cascade: turns the remaining distance into an RPM setpoint
+// for the controller's velocity loop, slowing down so the wheel arrives without overshoot.
+
+const MOVE_DEFAULTS = {
+  maxRPM: 60,         // Cruise speed
+  decel: 60,          // Deceleration into the target, RPM per second
+  minRPM: 5,          // Creep speed for the last pulses so the wheel never stalls short
+  tolerance: 1,       // Pulses either side of the target that count as arrived
+  settleTime: 0.5,    // Seconds to let the wheel coast to rest before reporting
+  timeout: 60         // Seconds before the move is aborted
+};
+
+// Numeric move options: [name, min, max]
+const MOVE_LIMITS = [
+  ['maxRPM', 1, 10000],
+  ['decel', 1, 10000],
+  ['minRPM', 0, 1000],
+  ['tolerance', 0, 1000],
+  ['settleTime', 0, 10],
+  ['timeout', 1, 3600]
+];
+
+// Validate a move request. Exactly one of revolutions/pulses is required.
+// Returns { error } or { move } with the target converted to pulses.
+function validateMove(body, pulsesPerRotation) {
+  const { revolutions, pulses } = body;
+
+  if ((revolutions === undefined) === (pulses === undefined)) {
+    return { error: 'Provide either revolutions or pulses' };
+  }
+
+  let targetPulses;
+  if (revolutions !== undefined) {
+    if (typeof revolutions !== 'number' || !Number.isFinite(revolutions) || revolutions <= 0 || revolutions > 100000) {
+      return { error: 'Invalid revolutions. Must be a number greater than 0 and at most 100000' };
+    }
+    targetPulses = Math.round(revolutions * pulsesPerRotation);
+  } else {
+    if (!Number.isInteger(pulses) || pulses <= 0 || pulses > 100000000) {
+      return { error: 'Invalid pulses. Must be an integer greater than 0 and at most 100000000' };
+    }
+    targetPulses = pulses;
+  }
+
+  const move = { ...MOVE_DEFAULTS, targetPulses: targetPulses };
+
+  for (const [key, min, max] of MOVE_LIMITS) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < min || body[key] > max) {
+      return { error: `Invalid ${key}. Must be a number between ${min}-${max}` };
+    }
+    move[key] = body[key];
+  }
+
+  if (move.minRPM > move.maxRPM) {
+    return { error: 'minRPM must not exceed maxRPM' };
+  }
+
+  return { move: move };
+}
+
+// RPM setpoint for the remaining distance: the speed from which the wheel can still
+// stop within `remainingPulses` at `decel`, capped at maxRPM (v = √(2·a·d)).
+function commandRPM(move, remainingPulses, pulsesPerRotation) {
+  if (remainingPulses <= move.tolerance) {
+    return 0;
+  }
+
+  const remainingRevolutions = remainingPulses / pulsesPerRotation;
+  const decelRevPerSec2 = move.decel / 60;
+  const brakingRPM = Math.sqrt(2 * decelRevPerSec2 * remainingRevolutions) * 60;
+
+  return Math.max(move.minRPM, Math.min(move.maxRPM, brakingRPM));
+}
+
+module.exports = {
+  MOVE_DEFAULTS,
+  validateMove,
+  commandRPM
+};
@@ -0,0 +1,59 @@
+// Quadrature (A/B) encoder decoding
+// Turns edges on the A and B channels into signed counts at 1x, 2x or 4x resolution.
+// Forward = A leads B. Bounces cancel out (+1 then -1) and transitions where both
+// channels changed at once are ignored, so no time-based debounce is needed.
+
+const DECODING_MODES = ['1x', '2x', '4x'];
+
+// Counts per encoder line (per A-channel pulse) for each mode
+const MODE_MULTIPLIER = { '1x': 1, '2x': 2, '4x': 4 };
+
+// Gray-code transition table indexed by (previous << 2) | current, with state = (A << 1) | B.
+// Forward sequence: 00 → 10 → 11 → 01 → 00
+const TRANSITIONS = [
+  0, -1, 1, 0,
+  1, 0, 0, -1,
+  -1, 0, 0, 1,
+  0, 1, -1, 0
+];
+
+// Create a decoder from the current channel levels
+function createDecoder(mode, levelA, levelB) {
+  return {
+    mode: mode,
+    state: ((levelA ? 1 : 0) << 1) | (levelB ? 1 : 0)
+  };
+}
+
+// Feed one edge on channel 'A' or 'B'; returns the signed count change (-1, 0 or +1)
+function decodeEdge(decoder, channel, level) {
+  const previous = decoder.state;
+  const bit = channel === 'A' ? 2 : 1;
+  const current = level ? (previous | bit) : (previous & ~bit);
+
+  if (current === previous) return 0;  // Repeated level, nothing moved
+
+  decoder.state = current;
+  const direction = TRANSITIONS[(previous << 2) | current];
+
+  switch (decoder.mode) {
+    case '4x':
+      return direction;
+    case '2x':
+      return channel === 'A' ? direction : 0;
+    default:
+      // 1x: one count per cycle, on the A rising edge in either direction
+      return channel === 'A' && level ? direction : 0;
+  }
+}
+
+function countsPerLine(mode) {
+  return MODE_MULTIPLIER[mode] || 1;
+}
+
+module.exports = {
+  DECODING_MODES,
+  createDecoder,
+  decodeEdge,
+  countsPerLine
+};
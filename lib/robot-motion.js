@@ -0,0 +1,111 @@
+// Robot motion commands
+// Go-to-distance and turn-by-angle for the whole robot. The remaining distance (or angle),
+// measured by wheel odometry, becomes a body speed that slows down into the target.
+//
+// Units: moves are in metres and m/s, turns in radians and rad/s. The API takes centimetres
+// and degrees and converts them in validateMotion.
+
+const DEG = Math.PI / 180;
+
+const MOTION_DEFAULTS = {
+  move: {
+    speed: 0.2,         // Cruise speed (m/s)
+    decel: 0.25,        // Deceleration into the target (m/s²)
+    minSpeed: 0.08,     // Creep speed for the last centimetres so the robot never stalls short (m/s)
+    tolerance: 0.005,   // Distance either side of the target that counts as arrived (m)
+    headingGain: 2,     // Turn rate per radian of heading drift, to keep the robot straight (1/s)
+    settleTime: 0.3,    // Seconds to let the robot come to rest before reporting
+    timeout: 30         // Seconds before the motion is aborted
+  },
+  turn: {
+    speed: 120 * DEG,   // Cruise turn rate (rad/s)
+    decel: 240 * DEG,   // Deceleration into the target (rad/s²)
+    minSpeed: 60 * DEG, // Creep turn rate (rad/s)
+    tolerance: 1 * DEG, // Angle either side of the target that counts as arrived (rad)
+    settleTime: 0.3,
+    timeout: 30
+  }
+};
+
+// Options accepted in API units: [name, min, max, factor to internal units]
+const MOTION_LIMITS = {
+  move: [
+    ['speed', 0.01, 5, 1],
+    ['decel', 0.01, 20, 1],
+    ['minSpeed', 0, 5, 1],
+    ['tolerance', 0.1, 100, 0.01],   // cm
+    ['headingGain', 0, 20, 1],
+    ['settleTime', 0, 10, 1],
+    ['timeout', 1, 600, 1]
+  ],
+  turn: [
+    ['speed', 1, 3600, DEG],         // deg/s
+    ['decel', 1, 36000, DEG],        // deg/s²
+    ['minSpeed', 0, 3600, DEG],      // deg/s
+    ['tolerance', 0.1, 90, DEG],     // deg
+    ['settleTime', 0, 10, 1],
+    ['timeout', 1, 600, 1]
+  ]
+};
+
+// Validate a move ({ distance } in cm) or turn ({ angle } in degrees, positive is
+// counter-clockwise). Returns { error } or { motion } in internal units.
+function validateMotion(kind, body) {
+  const targetKey = kind === 'move' ? 'distance' : 'angle';
+  const target = body[targetKey];
+  const maxTarget = kind === 'move' ? 100000 : 36000;
+
+  if (typeof target !== 'number' || !Number.isFinite(target) || target === 0 || Math.abs(target) > maxTarget) {
+    return { error: `Invalid ${targetKey}. Must be a non-zero number between -${maxTarget} and ${maxTarget} ${kind === 'move' ? 'cm' : 'degrees'}` };
+  }
+
+  const motion = {
+    ...MOTION_DEFAULTS[kind],
+    kind: kind,
+    target: kind === 'move' ? target / 100 : target * DEG
+  };
+
+  for (const [key, min, max, factor] of MOTION_LIMITS[kind]) {
+    if (body[key] === undefined) continue;
+    if (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < min || body[key] > max) {
+      return { error: `Invalid ${key}. Must be a number between ${min}-${max}` };
+    }
+    motion[key] = body[key] * factor;
+  }
+
+  if (motion.minSpeed > motion.speed) {
+    return { error: 'minSpeed must not exceed speed' };
+  }
+
+  return { motion: motion };
+}
+
+// Signed body speed for the remaining distance or angle: the speed from which the robot
+// can still stop within `remaining` at `decel`, capped at `speed` (v = √(2·a·d)).
+// Returns 0 once within tolerance, including after an overshoot.
+function commandSpeed(motion, remaining) {
+  const direction = Math.sign(motion.target);
+  const ahead = remaining * direction;
+
+  if (ahead <= motion.tolerance) {
+    return 0;
+  }
+
+  const brakingSpeed = Math.sqrt(2 * motion.decel * ahead);
+  return direction * Math.max(motion.minSpeed, Math.min(motion.speed, brakingSpeed));
+}
+
+// Turn rate that steers a straight move back onto its start heading. Limited so the
+// slower side never has to reverse: |angular| · trackWidth/2 stays below half the linear speed.
+function headingCorrection(motion, headingError, linear, trackWidth) {
+  const limit = Math.abs(linear) / trackWidth;
+  const correction = -motion.headingGain * headingError;
+  return Math.max(-limit, Math.min(limit, correction));
+}
+
+module.exports = {
+  MOTION_DEFAULTS,
+  validateMotion,
+  commandSpeed,
+  headingCorrection
+};
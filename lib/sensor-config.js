@@ -0,0 +1,107 @@
+// Per-sensor encoder configuration and RPM filters
+// Holds the settings the sensor pipeline used to hard-code (PPR, debounce, window,
+// minimum window, IIR weights) and the filters that smooth the measured RPM.
+
+const FILTER_TYPES = ['iir', 'moving-average', 'median', 'period'];
+
+function defaultSensorConfig() {
+  return {
+    pulsesPerRotation: 45, // Encoder lines per wheel rotation (based on measurement)
+    debounceMs: 5,         // Ignore edges closer than this on a single-channel sensor
+    windowMs: 1000,        // Rolling window of edge times used for the rate
+    minWindowMs: 25,       // Window must span at least this long before RPM is computed
+    filter: 'iir',         // iir | moving-average | median | period (1/T of the last edge interval)
+    iirAlpha: 0.4,         // IIR weight of the newest reading (0.4 new / 0.6 previous)
+    filterSize: 5,         // Readings averaged by moving-average / median
+    zeroSpeedTimeoutMs: 1000 // No edge for this long = zero speed (RPM decays toward 0 before that)
+  };
+}
+
+// Numeric config fields: [name, min, max, integer]
+const CONFIG_LIMITS = [
+  ['pulsesPerRotation', 1, 100000, true],
+  ['debounceMs', 0, 1000, false],
+  ['windowMs', 10, 10000, false],
+  ['minWindowMs', 0, 10000, false],
+  ['iirAlpha', 0.01, 1, false],
+  ['filterSize', 1, 100, true],
+  ['zeroSpeedTimeoutMs', 50, 60000, false]
+];
+
+// Validate a partial config update. Unknown keys are ignored so the same body can
+// carry other fields (e.g. sensor, pin). Returns { error } or { config }.
+function validateSensorConfig(update) {
+  const config = {};
+
+  for (const [key, min, max, integer] of CONFIG_LIMITS) {
+    if (update[key] === undefined) continue;
+    const value = update[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      return { error: `Invalid ${key}. Must be ${integer ? 'an integer' : 'a number'} between ${min}-${max}` };
+    }
+    config[key] = value;
+  }
+
+  if (update.filter !== undefined) {
+    if (!FILTER_TYPES.includes(update.filter)) {
+      return { error: `Invalid filter. Must be one of: ${FILTER_TYPES.join(', ')}` };
+    }
+    config.filter = update.filter;
+  }
+
+  return { config: config };
+}
+
+// Merge an update into a config, checking fields that depend on each other
+function mergeSensorConfig(current, update) {
+  const merged = { ...current, ...update };
+  if (merged.minWindowMs >= merged.windowMs) {
+    return { error: 'minWindowMs must be less than windowMs' };
+  }
+  return { config: merged };
+}
+
+// Instantaneous RPM from the edge-time window (seconds). The period filter measures
+// the last edge interval (1/T); every other filter uses the average rate over the window.
+function instantRPM(config, pulseTimes, countsPerRevolution) {
+  const last = pulseTimes[pulseTimes.length - 1];
+
+  if (config.filter === 'period') {
+    const period = last - pulseTimes[pulseTimes.length - 2];
+    return period > 0 ? 60 / (countsPerRevolution * period) : 0;
+  }
+
+  const windowTime = last - pulseTimes[0];
+  return ((pulseTimes.length - 1) / windowTime) * 60 / countsPerRevolution;
+}
+
+// Smooth one reading. `history` holds the recent readings for moving-average / median.
+function applyFilter(config, previous, history, reading) {
+  switch (config.filter) {
+    case 'moving-average':
+    case 'median': {
+      history.push(reading);
+      while (history.length > config.filterSize) history.shift();
+
+      if (config.filter === 'moving-average') {
+        return history.reduce((sum, value) => sum + value, 0) / history.length;
+      }
+      const sorted = [...history].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    case 'period':
+      return reading;
+    default:
+      return previous * (1 - config.iirAlpha) + reading * config.iirAlpha;
+  }
+}
+
+module.exports = {
+  FILTER_TYPES,
+  defaultSensorConfig,
+  validateSensorConfig,
+  mergeSensorConfig,
+  instantRPM,
+  applyFilter
+};
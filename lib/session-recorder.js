@@ -0,0 +1,274 @@
+// Session recording
+// Records a full run - incoming REST/socket commands, sensor edges with their GPIO
+// ticks and PWM writes - and saves it as an NDJSON file for offline replay.
+//
+// File format: one JSON object per line. The first line is the header
+// { type: 'header', version, name, startedAt, driver, startTick, sensors, controllers }, then events:
+//   { type: 'command', t, source: 'rest', method, path, body }
+//   { type: 'command', t, source: 'socket', event, data }
+//   { type: 'edge', t, pin, level, tick }
+//   { type: 'pwm', t, pin, dutyCycle, frequency }
+// where t is milliseconds since the recording started.
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+
+const SESSION_VERSION = 1;
+const MAX_EVENTS = 250000; // Recording stops growing past this (about 25 MB of JSON)
+
+const recorderState = {
+  recording: null // { name, startedAt, startTime, startTick, driver, sensors, controllers, events, truncated }
+};
+
+function sessionDir() {
+  return process.env.SESSION_DIR || path.join(__dirname, '..', 'sessions');
+}
+
+// Session names become file names: keep them to letters, digits, - and _
+function isValidName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(name);
+}
+
+function sessionPath(name) {
+  return path.join(sessionDir(), `${name}.ndjson`);
+}
+
+function isRecording() {
+  return recorderState.recording !== null;
+}
+
+// Start recording. `sensors` and `controllers` snapshot the encoder and loop setup so a
+// replay can start from the same state.
+function startRecording({ name, driver, startTick, sensors = [], controllers = [] }) {
+  if (isRecording()) {
+    throw Object.assign(new Error(`Already recording session "${recorderState.recording.name}"`), { status: 409 });
+  }
+
+  recorderState.recording = {
+    name: name,
+    startedAt: new Date().toISOString(),
+    startTime: performance.now(),
+    startTick: startTick,
+    driver: driver,
+    sensors: sensors,
+    controllers: controllers,
+    events: [],
+    truncated: false
+  };
+
+  console.log(`⏺️  Session recording started: ${name}`);
+  return getRecordingStatus();
+}
+
+function addEvent(event) {
+  const recording = recorderState.recording;
+  if (!recording) return;
+
+  if (recording.events.length >= MAX_EVENTS) {
+    recording.truncated = true;
+    return;
+  }
+
+  recording.events.push({ t: Math.round((performance.now() - recording.startTime) * 1000) / 1000, ...event });
+}
+
+// ==============================================
+// CHOKE POINT HOOKS (no-ops unless recording)
+// ==============================================
+
+function recordRestCommand(method, requestPath, body) {
+  addEvent({ type: 'command', source: 'rest', method: method, path: requestPath, body: body });
+}
+
+function recordSocketCommand(event, data) {
+  addEvent({ type: 'command', source: 'socket', event: event, data: data });
+}
+
+function recordEdge(pin, level, tick) {
+  addEvent({ type: 'edge', pin: pin, level: level, tick: tick });
+}
+
+function recordPWM(pin, dutyCycle, frequency) {
+  addEvent({ type: 'pwm', pin: pin, dutyCycle: dutyCycle, frequency: frequency });
+}
+
+// ==============================================
+// FILES
+// ==============================================
+
+function summarize(header, events) {
+  const counts = { command: 0, edge: 0, pwm: 0 };
+  events.forEach(event => { counts[event.type] = (counts[event.type] || 0) + 1; });
+
+  return {
+    name: header.name,
+    startedAt: header.startedAt,
+    driver: header.driver,
+    duration: events.length ? events[events.length - 1].t / 1000 : 0,
+    events: events.length,
+    commands: counts.command,
+    edges: counts.edge,
+    pwmWrites: counts.pwm,
+    truncated: header.truncated || false
+  };
+}
+
+function getRecordingStatus() {
+  const recording = recorderState.recording;
+  if (!recording) return null;
+
+  return {
+    ...summarize(recording, recording.events),
+    duration: Math.round(performance.now() - recording.startTime) / 1000
+  };
+}
+
+// Stop recording and write the session file
+async function stopRecording() {
+  const recording = recorderState.recording;
+  if (!recording) {
+    throw Object.assign(new Error('Not recording'), { status: 409 });
+  }
+  recorderState.recording = null;
+
+  const header = {
+    type: 'header',
+    version: SESSION_VERSION,
+    name: recording.name,
+    startedAt: recording.startedAt,
+    driver: recording.driver,
+    startTick: recording.startTick,
+    sensors: recording.sensors,
+    controllers: recording.controllers,
+    truncated: recording.truncated
+  };
+
+  const lines = [header, ...recording.events].map(entry => JSON.stringify(entry));
+  await fs.promises.mkdir(sessionDir(), { recursive: true });
+  await fs.promises.writeFile(sessionPath(recording.name), lines.join('\n') + '\n');
+
+  console.log(`⏹️  Session recording saved: ${sessionPath(recording.name)} (${recording.events.length} events)`);
+  return summarize(header, recording.events);
+}
+
+async function loadSession(name) {
+  let text;
+  try {
+    text = await fs.promises.readFile(sessionPath(name), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw Object.assign(new Error(`Session "${name}" not found`), { status: 404 });
+    }
+    throw error;
+  }
+
+  const [header, ...events] = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  if (!header || header.type !== 'header' || header.version !== SESSION_VERSION) {
+    throw Object.assign(new Error(`Session "${name}" is not a version ${SESSION_VERSION} session file`), { status: 422 });
+  }
+
+  return { header, events, summary: summarize(header, events) };
+}
+
+async function listSessions() {
+  let files;
+  try {
+    files = await fs.promises.readdir(sessionDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const file of files.filter(f => f.endsWith('.ndjson')).sort()) {
+    const stats = await fs.promises.stat(path.join(sessionDir(), file));
+    sessions.push({ name: file.slice(0, -'.ndjson'.length), bytes: stats.size, modified: stats.mtime.toISOString() });
+  }
+  return sessions;
+}
+
+async function deleteSession(name) {
+  try {
+    await fs.promises.unlink(sessionPath(name));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw Object.assign(new Error(`Session "${name}" not found`), { status: 404 });
+    }
+    throw error;
+  }
+}
+
+// ==============================================
+// COMPARISON
+// ==============================================
+
+// Compare two PWM write logs ({ t, pin, dutyCycle }) per pin. Each log is treated as a
+// step function of time and sampled every `step` ms, so small timing jitter between
+// the recorded and the replayed control loop does not count as a difference.
+function comparePWM(recorded, replayed, { duration, step = 50, tolerance = 5 } = {}) {
+  const pins = Array.from(new Set([...recorded, ...replayed].map(write => write.pin))).sort((a, b) => a - b);
+
+  const dutyAt = (writes, t, cursor) => {
+    while (cursor.index < writes.length && writes[cursor.index].t <= t) {
+      cursor.value = writes[cursor.index].dutyCycle;
+      cursor.index++;
+    }
+    return cursor.value;
+  };
+
+  const results = pins.map(pin => {
+    const a = recorded.filter(write => write.pin === pin);
+    const b = replayed.filter(write => write.pin === pin);
+    const cursorA = { index: 0, value: 0 };
+    const cursorB = { index: 0, value: 0 };
+
+    let samples = 0;
+    let sumDiff = 0;
+    let maxDiff = 0;
+    let firstDivergence = null;
+
+    for (let t = 0; t <= duration; t += step) {
+      const diff = Math.abs(dutyAt(a, t, cursorA) - dutyAt(b, t, cursorB));
+      samples++;
+      sumDiff += diff;
+      maxDiff = Math.max(maxDiff, diff);
+      if (firstDivergence === null && diff > tolerance) {
+        firstDivergence = t / 1000;
+      }
+    }
+
+    return {
+      pin: pin,
+      recordedWrites: a.length,
+      replayedWrites: b.length,
+      meanAbsDiff: samples ? Math.round((sumDiff / samples) * 100) / 100 : 0,
+      maxAbsDiff: maxDiff,
+      firstDivergence: firstDivergence,
+      match: firstDivergence === null
+    };
+  });
+
+  return {
+    tolerance: tolerance,
+    step: step,
+    match: results.every(result => result.match),
+    pins: results
+  };
+}
+
+module.exports = {
+  isValidName,
+  isRecording,
+  startRecording,
+  stopRecording,
+  getRecordingStatus,
+  recordRestCommand,
+  recordSocketCommand,
+  recordEdge,
+  recordPWM,
+  loadSession,
+  listSessions,
+  deleteSession,
+  comparePWM
+};
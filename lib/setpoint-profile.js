@@ -0,0 +1,127 @@
+// Setpoint profiling for the RPM controllers
+// Moves the controller's reference toward the requested setpoint with limited
+// acceleration (trapezoidal) or limited acceleration and jerk (S-curve).
+
+const PROFILE_MODES = ['step', 'trapezoidal', 's-curve'];
+
+function defaultProfile() {
+  return {
+    mode: 'step',    // step = jump straight to the setpoint (original behavior)
+    maxAccel: 40,    // RPM per second
+    maxJerk: 80      // RPM per second²
+  };
+}
+
+// Validate a partial profile update, returning an error message or null
+function validateProfile(update) {
+  if (update.mode !== undefined && !PROFILE_MODES.includes(update.mode)) {
+    return `Invalid mode. Must be one of: ${PROFILE_MODES.join(', ')}`;
+  }
+
+  for (const [key, max] of [['maxAccel', 10000], ['maxJerk', 100000]]) {
+    if (update[key] === undefined) continue;
+    if (typeof update[key] !== 'number' || !Number.isFinite(update[key]) || update[key] <= 0 || update[key] > max) {
+      return `Invalid ${key}. Must be a number greater than 0 and at most ${max}`;
+    }
+  }
+
+  return null;
+}
+
+// Advance the reference one tick of dt seconds toward goal.
+// state = { value, rate } where rate is the reference's current RPM/s.
+function advanceSetpoint(state, goal, dt, profile) {
+  const remaining = goal - state.value;
+
+  if (profile.mode === 'step' || remaining === 0) {
+    return { value: goal, rate: 0 };
+  }
+
+  const direction = Math.sign(remaining);
+
+  if (profile.mode === 'trapezoidal') {
+    const stepSize = Math.min(profile.maxAccel * dt, Math.abs(remaining));
+    return { value: state.value + direction * stepSize, rate: direction * profile.maxAccel };
+  }
+
+  // S-curve: jerk-limited change of rate, braking early enough to arrive with zero rate
+  let rate = state.rate;
+  const brakingDistance = (rate * rate) / (2 * profile.maxJerk);
+  const movingTowardGoal = Math.sign(rate) === direction;
+
+  if (movingTowardGoal && brakingDistance >= Math.abs(remaining)) {
+    // Ease out: bring the rate back toward zero
+    rate -= Math.sign(rate) * Math.min(profile.maxJerk * dt, Math.abs(rate));
+  } else {
+    // Ease in / cruise: build the rate up to ±maxAccel
+    rate += direction * profile.maxJerk * dt;
+    rate = Math.max(-profile.maxAccel, Math.min(profile.maxAccel, rate));
+  }
+
+  // Always creep forward so the profile cannot stall just short of the goal
+  if (rate === 0) {
+    rate = direction * Math.min(profile.maxJerk * dt, profile.maxAccel);
+  }
+
+  const value = state.value + rate * dt;
+
+  // Never overshoot the goal
+  if ((goal - value) * direction <= 0) {
+    return { value: goal, rate: 0 };
+  }
+
+  return { value: value, rate: rate };
+}
+
+// ==============================================
+// TIMED SETPOINT SEQUENCES
+// ==============================================
+
+// A sequence step is { rpm, ramp?, hold? }: ramp linearly to rpm over `ramp` seconds,
+// then hold it for `hold` seconds. rpm 0 stops the motor.
+function validateSequence(steps) {
+  if (!Array.isArray(steps) || steps.length < 1 || steps.length > 100) {
+    return 'steps must be an array of 1-100 entries';
+  }
+
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+
+    if (!step || typeof step.rpm !== 'number' || !Number.isFinite(step.rpm) || step.rpm < 0 || step.rpm > 10000) {
+      return `steps[${i}].rpm must be a number between 0-10000`;
+    }
+
+    for (const key of ['ramp', 'hold']) {
+      if (step[key] === undefined) continue;
+      if (typeof step[key] !== 'number' || !Number.isFinite(step[key]) || step[key] < 0 || step[key] > 3600) {
+        return `steps[${i}].${key} must be a number of seconds between 0-3600`;
+      }
+    }
+  }
+
+  return null;
+}
+
+// Setpoint a step asks for `elapsed` seconds after it began, ramping from `from`
+function sequenceSetpoint(step, from, elapsed) {
+  const ramp = step.ramp || 0;
+  if (ramp <= 0 || elapsed >= ramp) {
+    return step.rpm;
+  }
+  return from + (step.rpm - from) * (elapsed / ramp);
+}
+
+// Total length of a step in seconds
+function stepDuration(step) {
+  return (step.ramp || 0) + (step.hold || 0);
+}
+
+module.exports = {
+  PROFILE_MODES,
+  defaultProfile,
+  validateProfile,
+  advanceSetpoint,
+  validateSequence,
+  sequenceSetpoint,
+  stepDuration
+};
@@ -0,0 +1,284 @@
+// Telemetry history
+// Samples every registered source on a timer into one ring buffer per signal, and
+// optionally appends each sample to an NDJSON file so history survives a restart.
+
+const fs = require('fs');
+
+const telemetryState = {
+  sources: [],              // Functions returning { signalName: number }
+  series: new Map(),        // signalName -> ring buffer
+  capacity: 3000,           // Samples kept per signal
+  interval: 200,            // Sampling period (ms)
+  timer: null,
+  file: null,               // NDJSON persistence file (null = memory only)
+  maxFileBytes: 20 * 1024 * 1024,
+  pending: [],              // Lines waiting to be flushed to the file
+  flushTimer: null,
+  flushing: false
+};
+
+const FLUSH_INTERVAL_MS = 5000;
+
+// ==============================================
+// RING BUFFERS
+// ==============================================
+
+function createSeries(capacity) {
+  return {
+    t: new Array(capacity),
+    v: new Array(capacity),
+    start: 0,
+    length: 0
+  };
+}
+
+function pushSample(series, t, v) {
+  const capacity = series.t.length;
+  const index = (series.start + series.length) % capacity;
+  series.t[index] = t;
+  series.v[index] = v;
+
+  if (series.length < capacity) {
+    series.length++;
+  } else {
+    series.start = (series.start + 1) % capacity;
+  }
+}
+
+// i-th oldest sample of a series
+function sampleAt(series, i) {
+  const index = (series.start + i) % series.t.length;
+  return [series.t[index], series.v[index]];
+}
+
+// First index with time >= t (samples are stored in time order)
+function lowerBound(series, t) {
+  let lo = 0;
+  let hi = series.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sampleAt(series, mid)[0] < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Record one value of one signal. Booleans are stored as 1/0; anything else non-numeric is skipped.
+function record(signal, value, t = Date.now()) {
+  if (typeof value === 'boolean') value = value ? 1 : 0;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return;
+
+  let series = telemetryState.series.get(signal);
+  if (!series) {
+    series = createSeries(telemetryState.capacity);
+    telemetryState.series.set(signal, series);
+  }
+  pushSample(series, t, value);
+}
+
+// ==============================================
+// SAMPLING
+// ==============================================
+
+function addSource(source) {
+  telemetryState.sources.push(source);
+}
+
+// Take one sample of every source
+function sample(t = Date.now()) {
+  const values = {};
+
+  telemetryState.sources.forEach(source => {
+    try {
+      Object.assign(values, source());
+    } catch (error) {
+      console.error('❌ Telemetry source failed:', error.message);
+    }
+  });
+
+  Object.entries(values).forEach(([signal, value]) => record(signal, value, t));
+
+  if (telemetryState.file) {
+    telemetryState.pending.push(JSON.stringify({ t: t, v: values }));
+  }
+}
+
+// Start sampling. Options: interval (ms), capacity (samples per signal), file, maxFileBytes.
+function start({ interval, capacity, file, maxFileBytes } = {}) {
+  stop();
+
+  if (interval) telemetryState.interval = interval;
+  if (capacity) telemetryState.capacity = capacity;
+  if (maxFileBytes) telemetryState.maxFileBytes = maxFileBytes;
+  telemetryState.file = file || null;
+
+  if (telemetryState.file) {
+    loadFile(telemetryState.file);
+    telemetryState.flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+  }
+
+  telemetryState.timer = setInterval(() => sample(), telemetryState.interval);
+  console.log(`📈 Telemetry sampling every ${telemetryState.interval} ms (${telemetryState.capacity} samples per signal${telemetryState.file ? `, persisted to ${telemetryState.file}` : ''})`);
+}
+
+// Stop sampling and flush whatever is pending
+function stop() {
+  if (telemetryState.timer) {
+    clearInterval(telemetryState.timer);
+    telemetryState.timer = null;
+  }
+  if (telemetryState.flushTimer) {
+    clearInterval(telemetryState.flushTimer);
+    telemetryState.flushTimer = null;
+  }
+  if (telemetryState.file && telemetryState.pending.length > 0) {
+    // Synchronous on shutdown so the last samples are not lost
+    try {
+      fs.appendFileSync(telemetryState.file, telemetryState.pending.join('\n') + '\n');
+    } catch (error) {
+      console.error(`❌ Telemetry: could not write ${telemetryState.file}:`, error.message);
+    }
+    telemetryState.pending = [];
+  }
+}
+
+// ==============================================
+// PERSISTENCE
+// ==============================================
+
+// Replay the rotated file and then the current one into the ring buffers
+function loadFile(file) {
+  let loaded = 0;
+
+  [`${file}.1`, file].forEach(path => {
+    if (!fs.existsSync(path)) return;
+
+    fs.readFileSync(path, 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      try {
+        const { t, v } = JSON.parse(line);
+        Object.entries(v).forEach(([signal, value]) => record(signal, value, t));
+        loaded++;
+      } catch (error) {
+        // A torn last line after a crash is expected - skip it
+      }
+    });
+  });
+
+  if (loaded > 0) {
+    console.log(`📈 Telemetry: restored ${loaded} samples from ${file}`);
+  }
+}
+
+// Append pending samples; rotate the file to <file>.1 once it grows past maxFileBytes
+async function flush() {
+  if (telemetryState.flushing || telemetryState.pending.length === 0) return;
+
+  const file = telemetryState.file;
+  const lines = telemetryState.pending;
+  telemetryState.pending = [];
+  telemetryState.flushing = true;
+
+  try {
+    await fs.promises.appendFile(file, lines.join('\n') + '\n');
+
+    const { size } = await fs.promises.stat(file);
+    if (size > telemetryState.maxFileBytes) {
+      await fs.promises.rename(file, `${file}.1`);
+      console.log(`📈 Telemetry: rotated ${file} (${size} bytes)`);
+    }
+  } catch (error) {
+    console.error(`❌ Telemetry: could not write ${file}:`, error.message);
+  } finally {
+    telemetryState.flushing = false;
+  }
+}
+
+// ==============================================
+// QUERIES
+// ==============================================
+
+// Signal names matching a list of names or prefix wildcards (e.g. "rpm.frontLeft.*")
+function matchSignals(patterns) {
+  const names = Array.from(telemetryState.series.keys());
+  const matched = new Set();
+
+  patterns.forEach(pattern => {
+    if (pattern.endsWith('*')) {
+      const prefix = pattern.slice(0, -1);
+      names.filter(name => name.startsWith(prefix)).forEach(name => matched.add(name));
+    } else if (telemetryState.series.has(pattern)) {
+      matched.add(pattern);
+    }
+  });
+
+  return Array.from(matched).sort();
+}
+
+// Samples of one signal in [from, to] as [t, value] pairs. With downsample (ms) the
+// range is split into buckets of that width, each reduced to [bucketStart, mean].
+function querySeries(signal, from, to, downsample) {
+  const series = telemetryState.series.get(signal);
+  if (!series) return [];
+
+  const points = [];
+  const mean = (b) => Math.round((b.sum / b.count) * 1000) / 1000;
+  let bucket = null;
+
+  for (let i = lowerBound(series, from); i < series.length; i++) {
+    const [t, v] = sampleAt(series, i);
+    if (t > to) break;
+
+    if (!downsample) {
+      points.push([t, v]);
+      continue;
+    }
+
+    const bucketStart = Math.floor(t / downsample) * downsample;
+    if (!bucket || bucket.start !== bucketStart) {
+      if (bucket) points.push([bucket.start, mean(bucket)]);
+      bucket = { start: bucketStart, sum: 0, count: 0 };
+    }
+    bucket.sum += v;
+    bucket.count++;
+  }
+
+  if (bucket) points.push([bucket.start, mean(bucket)]);
+  return points;
+}
+
+// Overview of every signal currently held
+function listSignals() {
+  return Array.from(telemetryState.series.entries())
+    .map(([name, series]) => ({
+      signal: name,
+      samples: series.length,
+      from: series.length ? sampleAt(series, 0)[0] : null,
+      to: series.length ? sampleAt(series, series.length - 1)[0] : null
+    }))
+    .sort((a, b) => a.signal.localeCompare(b.signal));
+}
+
+function getConfig() {
+  return {
+    running: telemetryState.timer !== null,
+    interval: telemetryState.interval,
+    capacity: telemetryState.capacity,
+    file: telemetryState.file,
+    maxFileBytes: telemetryState.maxFileBytes,
+    sources: telemetryState.sources.length
+  };
+}
+
+module.exports = {
+  addSource,
+  record,
+  sample,
+  start,
+  stop,
+  flush,
+  matchSignals,
+  querySeries,
+  listSignals,
+  getConfig
+};
@@ -0,0 +1,182 @@
+// Dead-man watchdog
+// Remote clients that drive outputs hold a lease that they must keep renewing (every motion
+// command and every heartbeat renews it). A lease remembers the outputs its client drove and
+// is released once they are all back at zero. When a lease lapses, or its client disconnects,
+// while one of its outputs is still running, the watchdog trips: the lease table is cleared
+// and every trip listener is called so the outputs can be brought to a stop.
+
+const watchdogState = {
+  timeout: 1000,        // Lease length (ms)
+  leases: new Map(),    // client id -> { since, renewedAt, expiresAt, outputs }
+  listeners: [],        // Functions called with each trip
+  isRunning: () => true, // Whether an output (e.g. 'robot', 'pwm/18') is still running
+  timer: null,
+  trips: 0,
+  lastTrip: null
+};
+
+const CHECK_INTERVAL_MS = 50;
+const TIMEOUT_LIMITS = [100, 60000];
+
+function validateTimeout(timeout) {
+  const [min, max] = TIMEOUT_LIMITS;
+  if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < min || timeout > max) {
+    return `Invalid timeout. Must be a number between ${min}-${max} ms`;
+  }
+  return null;
+}
+
+// Take or extend a client's lease
+function renew(client, now = Date.now()) {
+  const lease = watchdogState.leases.get(client) || { since: now, outputs: new Set() };
+  lease.renewedAt = now;
+  lease.expiresAt = now + watchdogState.timeout;
+  watchdogState.leases.set(client, lease);
+  return lease;
+}
+
+// Extend a lease the client already holds (heartbeats never take a new one)
+function heartbeat(client, now = Date.now()) {
+  return watchdogState.leases.has(client) ? renew(client, now) : null;
+}
+
+// Record a command from `client` on `output`: a running output takes or extends the lease,
+// one back at zero leaves it, and the lease is released once none of its outputs is left
+function track(client, output, running, now = Date.now()) {
+  if (running) {
+    const lease = renew(client, now);
+    lease.outputs.add(output);
+    return lease;
+  }
+
+  const lease = watchdogState.leases.get(client);
+  if (!lease) {
+    return null;
+  }
+  lease.outputs.delete(output);
+  if (lease.outputs.size === 0) {
+    release(client);
+    return null;
+  }
+  return renew(client, now);
+}
+
+// Give a lease up without tripping
+function release(client) {
+  return watchdogState.leases.delete(client);
+}
+
+// A lease ran out or its client left: trip if one of its outputs is still running (they
+// may have been stopped since, e.g. by another client), otherwise just release it
+function expire(client, reason) {
+  const lease = watchdogState.leases.get(client);
+  if (!Array.from(lease.outputs).some(output => watchdogState.isRunning(output))) {
+    release(client);
+    return false;
+  }
+  trip(reason, client);
+  return true;
+}
+
+// A client went away: trips if it held a lease (and the watchdog is running)
+function drop(client, reason = 'disconnect') {
+  if (watchdogState.timer && watchdogState.leases.has(client)) {
+    expire(client, reason);
+  }
+}
+
+function trip(reason, client) {
+  watchdogState.leases.clear();
+  watchdogState.trips++;
+  watchdogState.lastTrip = {
+    reason: reason,
+    client: client,
+    timeout: watchdogState.timeout,
+    at: new Date().toISOString()
+  };
+
+  watchdogState.listeners.forEach(listener => {
+    try {
+      listener(watchdogState.lastTrip);
+    } catch (error) {
+      console.error('Watchdog trip listener error:', error);
+    }
+  });
+}
+
+function check(now = Date.now()) {
+  for (const [client, lease] of watchdogState.leases) {
+    if (now >= lease.expiresAt && expire(client, 'timeout')) {
+      return;
+    }
+  }
+}
+
+function onTrip(listener) {
+  watchdogState.listeners.push(listener);
+}
+
+// `isRunning(output)` tells whether an output a lease drove is still running
+function start({ timeout, isRunning } = {}) {
+  stop();
+  if (isRunning) {
+    watchdogState.isRunning = isRunning;
+  }
+  if (timeout !== undefined) {
+    const error = validateTimeout(timeout);
+    if (error) {
+      console.warn(`⚠️  Watchdog: ${error}, keeping ${watchdogState.timeout} ms`);
+    } else {
+      watchdogState.timeout = timeout;
+    }
+  }
+  watchdogState.timer = setInterval(check, CHECK_INTERVAL_MS);
+}
+
+function stop() {
+  if (watchdogState.timer) {
+    clearInterval(watchdogState.timer);
+    watchdogState.timer = null;
+  }
+  watchdogState.leases.clear();
+}
+
+// Lease of one client, for heartbeat acknowledgements
+function getLease(client, now = Date.now()) {
+  const lease = watchdogState.leases.get(client);
+  return {
+    leased: Boolean(lease),
+    timeout: watchdogState.timeout,
+    expiresIn: lease ? Math.max(0, lease.expiresAt - now) : null
+  };
+}
+
+function getStatus(now = Date.now()) {
+  return {
+    running: watchdogState.timer !== null,
+    timeout: watchdogState.timeout,
+    leases: Array.from(watchdogState.leases, ([client, lease]) => ({
+      client: client,
+      since: new Date(lease.since).toISOString(),
+      outputs: Array.from(lease.outputs),
+      expiresIn: Math.max(0, lease.expiresAt - now)
+    })),
+    trips: watchdogState.trips,
+    lastTrip: watchdogState.lastTrip
+  };
+}
+
+module.exports = {
+  TIMEOUT_LIMITS,
+  validateTimeout,
+  renew,
+  heartbeat,
+  track,
+  release,
+  drop,
+  onTrip,
+  start,
+  stop,
+  getLease,
+  getStatus
+};
@@ -0,0 +1,279 @@
+// Control lock routes module
+// Single-operator ownership of the robot: one client holds the driver lock and every other
+// client is an observer whose commands are rejected. The emergency stop is always accepted.
+// HTTP clients are identified by an X-Client-Id header, socket clients by the clientId they
+// connect with (or their socket id). The lock is a lease: the holder's commands renew it and
+// it is released when it runs out, so a closed tab or crashed client never locks everyone out.
+
+const express = require('express');
+const router = express.Router();
+
+// Current holder: { client, name, source, since, expiresAt } or null when nobody holds the lock.
+// The client id is never shown to other clients, since HTTP clients could reuse it.
+let holder = null;
+
+const LEASE_LIMITS = [1000, 3600000];
+let leaseTimeout = 30000; // ms without a command from the holder before the lock is released
+let leaseTimer = null;
+
+// Socket.IO instance (will be set from server.js)
+let io = null;
+
+function setSocket(socketInstance) {
+  io = socketInstance;
+}
+
+// Force-taking the lock needs this token (X-Admin-Token header or adminToken socket field)
+function adminToken() {
+  return process.env.ADMIN_TOKEN || null;
+}
+
+// Lease length from CONTROL_LOCK_TIMEOUT_MS (an invalid value keeps the default)
+function setLeaseTimeout(timeout) {
+  const [min, max] = LEASE_LIMITS;
+  if (typeof timeout !== 'number' || !Number.isFinite(timeout) || timeout < min || timeout > max) {
+    console.warn(`⚠️  Control lock: invalid lease timeout ${timeout} (must be ${min}-${max} ms), keeping ${leaseTimeout} ms`);
+    return;
+  }
+  leaseTimeout = timeout;
+}
+
+// ==============================================
+// CONTROL LOCK
+// ==============================================
+
+function getControlStatus(client = null) {
+  return {
+    locked: holder !== null,
+    holder: holder ? {
+      name: holder.name,
+      source: holder.source,
+      since: holder.since,
+      expiresIn: Math.max(0, holder.expiresAt - Date.now())
+    } : null,
+    youHold: Boolean(holder && client && holder.client === client),
+    forceEnabled: adminToken() !== null,
+    leaseTimeout: leaseTimeout
+  };
+}
+
+// Extend the holder's lease (any accepted command, heartbeat or repeated lock request)
+function renewControl(client) {
+  if (!holder || holder.client !== client) {
+    return false;
+  }
+
+  holder.expiresAt = Date.now() + leaseTimeout;
+  clearTimeout(leaseTimer);
+  leaseTimer = setTimeout(() => releaseControl(client, 'expired'), leaseTimeout);
+  return true;
+}
+
+// Tell every client who holds the lock now
+function broadcastControl(event) {
+  if (io) {
+    io.emit('robotUpdate', {
+      type: 'controlLock',
+      event: event,
+      control: getControlStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Error for a command from `client`, or null when it may go ahead (nobody holds the lock,
+// or the client is the holder)
+function controlError(client) {
+  if (!holder || (client && holder.client === client)) {
+    return null;
+  }
+  return `Robot control is held by ${holder.name} (${holder.source}) - request the control lock to send commands`;
+}
+
+// Take the lock ({ name?, force?, adminToken? }). Returns { status, body }; shared by
+// POST /api/control/lock and the requestControl socket event.
+function acquireCommand(client, { name, force = false, adminToken: token } = {}, source = 'rest') {
+  const fail = (status, error) => ({
+    status: status,
+    body: {
+      success: false,
+      error: error,
+      control: getControlStatus(client),
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  if (typeof client !== 'string' || client.length === 0 || client.length > 128) {
+    return fail(400, 'Missing client id. Send an X-Client-Id header of 1-128 characters');
+  }
+  if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > 64)) {
+    return fail(400, 'Invalid name. Must be a string of 1-64 characters');
+  }
+  if (typeof force !== 'boolean') {
+    return fail(400, 'Invalid force. Must be true or false');
+  }
+
+  const previous = holder;
+  const taken = previous !== null && previous.client !== client;
+
+  if (taken && !force) {
+    return fail(423, controlError(client));
+  }
+  if (taken && (adminToken() === null || token !== adminToken())) {
+    return fail(403, adminToken() === null
+      ? 'Force-taking control is disabled (no ADMIN_TOKEN configured)'
+      : 'Invalid admin token');
+  }
+
+  holder = {
+    client: client,
+    name: name || (previous && !taken ? previous.name : `${source} client`),
+    source: source,
+    since: previous && !taken ? previous.since : new Date().toISOString(),
+    expiresAt: null
+  };
+  renewControl(client);
+
+  if (taken) {
+    console.log(`🔐 Control lock force-taken by ${holder.name} from ${previous.name}`);
+  } else if (!previous) {
+    console.log(`🔐 Control lock taken by ${holder.name}`);
+  }
+  broadcastControl(taken ? 'forced' : 'acquired');
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: taken ? `Control taken over from ${previous.name}` : `Control held by ${holder.name}`,
+      control: getControlStatus(client),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Give the lock up. Returns { status, body }; shared by DELETE /api/control/lock and the
+// releaseControl socket event.
+function releaseCommand(client) {
+  if (!holder || holder.client !== client) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'You do not hold the control lock',
+        control: getControlStatus(client),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  releaseControl(client, 'released');
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Control released',
+      control: getControlStatus(client),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Drop the lock if `client` holds it (e.g. its socket disconnected)
+function releaseControl(client, reason = 'released') {
+  if (!holder || holder.client !== client) {
+    return false;
+  }
+
+  console.log(`🔓 Control lock released by ${holder.name} (${reason})`);
+  clearTimeout(leaseTimer);
+  leaseTimer = null;
+  holder = null;
+  broadcastControl(reason);
+  return true;
+}
+
+// Middleware for state-changing requests: rejects clients other than the holder, and
+// renews the holder's lease
+function requireControl(req, res, next) {
+  const client = req.get('X-Client-Id');
+  const error = controlError(client);
+
+  if (error) {
+    return res.status(423).json({
+      success: false,
+      error: error,
+      control: getControlStatus(client),
+      timestamp: new Date().toISOString()
+    });
+  }
+  renewControl(client);
+  next();
+}
+
+// Paths whose state-changing requests need the lock, and the stops that never do
+const CONTROLLED_PATHS = ['/api/robot', '/api/pwm', '/api/rpm-control', '/api/missions', '/api/safety'];
+const UNCONTROLLED_PATHS = ['/api/robot/stop', '/api/safety/estop'];
+
+// App-wide middleware: applies requireControl to state-changing requests under CONTROLLED_PATHS.
+// Express routes paths case-insensitively, so they are matched lower-cased here too.
+function controlGate(req, res, next) {
+  const requestPath = req.path.toLowerCase();
+
+  if (['POST', 'PUT', 'DELETE'].includes(req.method) &&
+      CONTROLLED_PATHS.some(prefix => requestPath.startsWith(prefix)) &&
+      !UNCONTROLLED_PATHS.includes(requestPath)) {
+    return requireControl(req, res, next);
+  }
+  next();
+}
+
+// ==============================================
+// CONTROL LOCK ENDPOINTS
+// ==============================================
+
+// Who holds the lock (youHold is relative to the X-Client-Id header)
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    control: getControlStatus(req.get('X-Client-Id')),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Request (or, for the holder, renew) the lock: { name?, force? }. Forcing needs the X-Admin-Token header.
+router.post('/lock', (req, res) => {
+  const { status, body } = acquireCommand(req.get('X-Client-Id'), {
+    ...req.body,
+    adminToken: req.get('X-Admin-Token')
+  });
+  res.status(status).json(body);
+});
+
+// Release the lock
+router.delete('/lock', (req, res) => {
+  const { status, body } = releaseCommand(req.get('X-Client-Id'));
+  res.status(status).json(body);
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  clearTimeout(leaseTimer);
+  leaseTimer = null;
+}
+
+module.exports = {
+  router,
+  setSocket,
+  setLeaseTimeout,
+  getControlStatus,
+  renewControl,
+  controlError,
+  acquireCommand,
+  releaseCommand,
+  releaseControl,
+  requireControl,
+  controlGate,
+  cleanup
+};
@@ -0,0 +1,158 @@
+// GPIO driver routes module
+// Exposes the active GPIO driver and, with the mock driver, edge injection for off-Pi testing
+
+const express = require('express');
+const router = express.Router();
+
+const gpioDriver = require('../lib/gpio-driver');
+const pinRegistry = require('../lib/pin-registry');
+
+// Reject mock-only endpoints when real hardware is attached
+function requireMockDriver(req, res, next) {
+  if (gpioDriver.isHardware) {
+    return res.status(409).json({
+      success: false,
+      error: 'Edge injection is only available with the mock GPIO driver',
+      driver: gpioDriver.name,
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+function isValidPin(pin) {
+  return Number.isInteger(pin) && pin >= 0 && pin <= 27;
+}
+
+// ==============================================
+// GPIO DRIVER ENDPOINTS
+// ==============================================
+
+// Get active driver information
+router.get('/driver', (req, res) => {
+  res.json({
+    success: true,
+    driver: gpioDriver.name,
+    isHardware: gpioDriver.isHardware,
+    tick: gpioDriver.getTick(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Board map: every GPIO pin with the subsystem that owns it and how it is used
+router.get('/pins', (req, res) => {
+  const pins = pinRegistry.getBoardMap();
+
+  res.json({
+    success: true,
+    pins: pins,
+    owned: pins.filter(pin => pin.owner !== null).length,
+    free: pins.filter(pin => pin.owner === null).length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get recorded output writes (mock driver only)
+router.get('/mock/writes', requireMockDriver, (req, res) => {
+  const { pin, limit = 100 } = req.query;
+
+  let writes = gpioDriver.writes;
+  if (pin !== undefined) {
+    writes = writes.filter(entry => entry.pin === parseInt(pin));
+  }
+
+  res.json({
+    success: true,
+    writes: writes.slice(-parseInt(limit)),
+    total: writes.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Clear the recorded write log (mock driver only)
+router.delete('/mock/writes', requireMockDriver, (req, res) => {
+  gpioDriver.clearWrites();
+
+  res.json({
+    success: true,
+    message: 'Mock write log cleared',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Inject a single edge on an input pin (mock driver only)
+router.post('/mock/edge', requireMockDriver, (req, res) => {
+  const { pin, level, tick } = req.body;
+
+  if (!isValidPin(pin)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid pin number. Must be between 0-27',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (level !== 0 && level !== 1) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid level. Must be 0 or 1',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  gpioDriver.injectEdge(pin, level, tick);
+
+  res.json({
+    success: true,
+    message: `Edge injected on GPIO ${pin}`,
+    pin: gpioDriver.getPin(pin),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Inject a train of pulses on an input pin (mock driver only)
+router.post('/mock/pulses', requireMockDriver, (req, res) => {
+  const { pin, count = 1, intervalMicros = 10000 } = req.body;
+
+  if (!isValidPin(pin)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid pin number. Must be between 0-27',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!Number.isInteger(count) || count < 1 || count > 10000) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid count. Must be between 1-10000',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Each pulse is high for 100 µs, so the next one cannot start before it falls
+  if (!Number.isInteger(intervalMicros) || intervalMicros < 200 || intervalMicros > 10000000) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid intervalMicros. Must be an integer between 200-10000000',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Pulses get synthetic ticks spaced intervalMicros apart, starting now (wrapping at 2^32)
+  const startTick = gpioDriver.getTick();
+  for (let i = 0; i < count; i++) {
+    gpioDriver.pulse(pin, (startTick + i * intervalMicros) >>> 0);
+  }
+
+  res.json({
+    success: true,
+    message: `${count} pulses injected on GPIO ${pin}`,
+    pin: pin,
+    count: count,
+    intervalMicros: intervalMicros,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
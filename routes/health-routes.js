@@ -4,6 +4,8 @@
 const express = require('express');
 const router = express.Router();
 
+const watchdog = require('../lib/watchdog');
+
 // ==============================================
 // HEALTH CHECK ENDPOINTS
 // ==============================================
@@ -37,7 +39,8 @@ router.get('/detailed', (req, res) => {
       architecture: process.arch,
       memory: process.memoryUsage(),
       cpu: process.cpuUsage()
-    }
+    },
+    watchdog: watchdog.getStatus()
   });
 });
 
@@ -0,0 +1,535 @@
+// Mission routes module
+// Runs uploaded missions (lists of robot steps, see lib/mission) one after another, with
+// pause/resume/abort. Steps go through the robot, RPM control and PWM modules.
+
+const express = require('express');
+const router = express.Router();
+
+const mission = require('../lib/mission');
+const pinRegistry = require('../lib/pin-registry');
+const robotRoutes = require('./robot-routes');
+const rpmControlRoutes = require('./rpm-control-routes');
+const pwmRoutes = require('./pwm-routes');
+const sensorRoutes = require('./sensor-routes');
+
+const MISSION_TICK_MS = 50;  // How often the running step is checked
+const MISSION_HISTORY = 20;  // Finished missions kept for status queries
+
+let nextMissionId = 1;
+
+// Queued, running/paused and recently finished missions, oldest first. Each:
+// { id, name, steps, status, index, step, touched, createdAt, startedAt, finishedAt, error }
+// `step` is the running step's state: { startedAt, elapsed, resumedAt, motion, travelled, remaining, sensorData, startPulses }
+// `touched` records the outputs the mission drove, so an abort can stop them: { robot, controllers, pins }
+const missions = [];
+let current = null; // The running or paused mission
+let tickTimer = null;
+
+// Socket.IO instance (will be set from server.js)
+let io = null;
+
+function setSocket(socketInstance) {
+  io = socketInstance;
+}
+
+// ==============================================
+// MISSION STATUS
+// ==============================================
+
+function stepElapsed(state) {
+  return state.elapsed + (state.resumedAt ? Date.now() - state.resumedAt : 0);
+}
+
+// Live state of the running step
+function getStepStatus(entry) {
+  if (entry.index >= entry.steps.length) return null;
+
+  const step = entry.steps[entry.index];
+  const state = entry.step;
+  const status = {
+    index: entry.index,
+    type: step.type,
+    description: mission.describeStep(step),
+    elapsed: state ? Math.round(stepElapsed(state) / 100) / 10 : 0
+  };
+
+  if (state && ['drive', 'turn'].includes(step.type)) {
+    const scale = step.type === 'drive' ? 100 : 180 / Math.PI;
+    const progress = state.travelled + (state.motion ? state.motion.progress : 0);
+    status.progress = Math.round(progress * scale * 10) / 10;
+  }
+  if (state && state.sensorData) {
+    status.pulses = state.sensorData.pulses - state.startPulses;
+  }
+  return status;
+}
+
+function getMissionStatus(entry, { withSteps = false } = {}) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    status: entry.status,
+    stepCount: entry.steps.length,
+    currentStep: ['running', 'paused'].includes(entry.status) ? getStepStatus(entry) : null,
+    steps: withSteps ? entry.steps.map(mission.describeStep) : undefined,
+    createdAt: entry.createdAt,
+    startedAt: entry.startedAt,
+    finishedAt: entry.finishedAt,
+    error: entry.error
+  };
+}
+
+// Broadcast a mission event: queued, started, step, paused, resumed, complete, aborted or failed
+function broadcastMission(event, entry) {
+  if (io) {
+    io.emit('missionUpdate', {
+      event: event,
+      mission: getMissionStatus(entry),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// ==============================================
+// STEP EXECUTION
+// ==============================================
+
+// Start the mission's current step. Immediate steps (setRPM, setPWM, stop) finish here.
+function beginStep(entry) {
+  const step = entry.steps[entry.index];
+  const state = { startedAt: Date.now(), elapsed: 0, resumedAt: Date.now(), motion: null, travelled: 0, remaining: null, sensorData: null, startPulses: 0 };
+  entry.step = state;
+
+  console.log(`📋 Mission ${entry.id} step ${entry.index + 1}/${entry.steps.length}: ${mission.describeStep(step)}`);
+  broadcastMission('step', entry);
+
+  switch (step.type) {
+    case 'drive':
+    case 'turn':
+      entry.touched.robot = true;
+      state.motion = robotRoutes.startMotion(step.type === 'drive' ? 'move' : 'turn', step.motion, step.output || robotRoutes.ROBOT_CONFIG.kinematics.output);
+      break;
+
+    case 'setRPM': {
+      const ctrl = rpmControlRoutes.getController(step.controller);
+      if (!ctrl) {
+        throw new Error(`RPM controller "${step.controller}" not found`);
+      }
+      entry.touched.controllers.add(ctrl.id);
+      rpmControlRoutes.driveController(ctrl, step.rpm);
+      break;
+    }
+
+    case 'setPWM':
+      // Same ownership as POST /api/pwm/set: free pins and other PWM outputs only
+      pinRegistry.claim(step.pin, 'pwm', 'pwm', 'PWM output');
+      entry.touched.pins.add(step.pin);
+      if (!pwmRoutes.setPWMDirect(step.pin, step.dutyCycle, step.frequency)) {
+        throw new Error(`Failed to set PWM on GPIO ${step.pin}`);
+      }
+      break;
+
+    case 'waitForSensorCount': {
+      const sensorData = sensorRoutes.sensorState.activeSensors.get(step.sensor);
+      if (!sensorData || !sensorData.enabled) {
+        throw new Error(`Sensor ${step.sensor} is not enabled`);
+      }
+      state.sensorData = sensorData;
+      state.startPulses = sensorData.pulses;
+      break;
+    }
+
+    case 'stop':
+      entry.touched.robot = true;
+      if (!robotRoutes.stopRobot(step.mode).success) {
+        throw new Error('Wheel motor driver failed while stopping');
+      }
+      break;
+  }
+}
+
+// Whether the current step has finished. Throws if it can no longer finish.
+function stepDone(entry) {
+  const step = entry.steps[entry.index];
+  const state = entry.step;
+
+  switch (step.type) {
+    case 'drive':
+    case 'turn':
+      if (!state.motion) return true; // Resumed with nothing left to travel
+      if (state.motion.status === 'running') return false;
+      if (state.motion.status === 'complete') return true;
+      throw new Error(`${mission.describeStep(step)} ${state.motion.status}${state.motion.error ? `: ${state.motion.error}` : ''}`);
+
+    case 'wait':
+      return stepElapsed(state) >= step.seconds * 1000;
+
+    case 'waitForSensorCount':
+      if (sensorRoutes.sensorState.activeSensors.get(step.sensor) !== state.sensorData || !state.sensorData.enabled) {
+        throw new Error(`Sensor ${step.sensor} was disabled or reset`);
+      }
+      if (state.sensorData.pulses - state.startPulses >= step.count) return true;
+      if (stepElapsed(state) > step.timeout * 1000) {
+        throw new Error(`Sensor ${step.sensor} counted ${state.sensorData.pulses - state.startPulses}/${step.count} pulses within ${step.timeout}s`);
+      }
+      return false;
+
+    default:
+      return true;
+  }
+}
+
+// Mission tick: start steps and advance past finished ones until one is still running
+function runMission() {
+  const entry = current;
+  if (!entry || entry.status !== 'running') return;
+
+  try {
+    while (entry.status === 'running') {
+      if (!entry.step) {
+        beginStep(entry);
+      }
+      if (entry.status !== 'running' || !stepDone(entry)) break;
+
+      entry.step = null;
+      entry.index++;
+      if (entry.index >= entry.steps.length) {
+        finishMission(entry, 'complete');
+      }
+    }
+  } catch (error) {
+    finishMission(entry, 'failed', error.message);
+  }
+}
+
+// Stop whatever the mission was driving
+function haltOutputs(entry) {
+  if (entry.step && entry.step.motion && entry.step.motion.status === 'running') {
+    robotRoutes.abortMotion(`Mission ${entry.status}`);
+  }
+  if (entry.touched.robot) {
+    robotRoutes.stopRobot();
+  }
+  entry.touched.controllers.forEach(id => {
+    const ctrl = rpmControlRoutes.getController(id);
+    if (ctrl && ctrl.active) rpmControlRoutes.stopController(ctrl);
+  });
+  entry.touched.pins.forEach(pin => {
+    pwmRoutes.setPWMDirect(pin, 0);
+    pinRegistry.release(pin, 'pwm');
+  });
+}
+
+// End the current mission and start the next queued one. Outputs are left as the program
+// set them on completion, and stopped otherwise.
+function finishMission(entry, status, error = null) {
+  entry.status = status;
+  entry.error = error;
+  entry.finishedAt = new Date().toISOString();
+
+  if (status !== 'complete') {
+    haltOutputs(entry);
+  }
+  entry.step = null;
+
+  console.log(`📋 Mission ${entry.id} "${entry.name}" ${status}${error ? ` - ${error}` : ''}`);
+  broadcastMission(status, entry);
+
+  if (entry === current) {
+    current = null;
+    startNext();
+  }
+}
+
+// Start the oldest queued mission, or stop ticking if there is none
+function startNext() {
+  const next = missions.find(entry => entry.status === 'queued');
+
+  if (!next) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    trimHistory();
+    return;
+  }
+
+  current = next;
+  next.status = 'running';
+  next.startedAt = new Date().toISOString();
+  console.log(`📋 Mission ${next.id} "${next.name}" started (${next.steps.length} steps)`);
+  broadcastMission('started', next);
+
+  if (!tickTimer) {
+    tickTimer = setInterval(runMission, MISSION_TICK_MS);
+  }
+  runMission();
+}
+
+// Keep only the most recent finished missions
+function trimHistory() {
+  const finished = missions.filter(entry => ['complete', 'aborted', 'failed'].includes(entry.status));
+  finished.slice(0, Math.max(0, finished.length - MISSION_HISTORY)).forEach(entry => {
+    missions.splice(missions.indexOf(entry), 1);
+  });
+}
+
+function enqueueMission({ name, steps }) {
+  const entry = {
+    id: nextMissionId++,
+    name: name,
+    steps: steps,
+    status: 'queued',
+    index: 0,
+    step: null,
+    touched: { robot: false, controllers: new Set(), pins: new Set() },
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null
+  };
+  missions.push(entry);
+  trimHistory();
+
+  console.log(`📋 Mission ${entry.id} "${name}" queued (${steps.length} steps)`);
+  broadcastMission('queued', entry);
+
+  if (!current) {
+    startNext();
+  }
+  return entry;
+}
+
+function pauseMission(entry) {
+  const state = entry.step;
+  entry.status = 'paused';
+
+  if (state) {
+    state.elapsed = stepElapsed(state);
+    state.resumedAt = null;
+
+    // Stop a drive/turn where it is and keep what is left of it for the resume
+    if (state.motion && state.motion.status === 'running') {
+      state.remaining = state.motion.target - state.motion.progress;
+      state.travelled += state.motion.progress;
+      robotRoutes.abortMotion('Mission paused');
+      robotRoutes.stopRobot();
+      state.motion = null;
+    }
+  }
+
+  console.log(`⏸️  Mission ${entry.id} paused`);
+  broadcastMission('paused', entry);
+}
+
+// Resume a paused mission. Throws if a paused drive/turn cannot be restarted.
+function resumeMission(entry) {
+  const state = entry.step;
+  entry.status = 'running';
+
+  if (state) {
+    state.resumedAt = Date.now();
+
+    if (state.remaining !== null) {
+      const step = entry.steps[entry.index];
+      const remaining = state.remaining;
+      state.remaining = null;
+
+      if (Math.abs(remaining) > step.motion.tolerance) {
+        state.motion = robotRoutes.startMotion(step.type === 'drive' ? 'move' : 'turn', { ...step.motion, target: remaining }, step.output || robotRoutes.ROBOT_CONFIG.kinematics.output);
+      }
+    }
+  }
+
+  console.log(`▶️  Mission ${entry.id} resumed`);
+  broadcastMission('resumed', entry);
+}
+
+// Abort the current mission and empty the queue (e.g. on an emergency stop)
+function abortAll(reason) {
+  missions.filter(entry => entry.status === 'queued').forEach(entry => {
+    entry.status = 'aborted';
+    entry.error = reason;
+    entry.finishedAt = new Date().toISOString();
+    broadcastMission('aborted', entry);
+  });
+
+  if (current) {
+    finishMission(current, 'aborted', reason);
+  }
+}
+
+// ==============================================
+// MISSION ENDPOINTS
+// ==============================================
+
+function loadMission(req, res, next) {
+  const entry = missions.find(candidate => String(candidate.id) === req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `Mission ${req.params.id} not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  req.mission = entry;
+  next();
+}
+
+// List queued, running and recent missions
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    current: current ? current.id : null,
+    missions: missions.map(entry => getMissionStatus(entry)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Upload a mission, e.g. { name, steps: [{ type: 'drive', distance: 50 }, { type: 'turn', angle: 90 }] }.
+// It starts at once if nothing else is running, otherwise it is queued.
+router.post('/', (req, res) => {
+  const { error, mission: program } = mission.validateMission(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const unknown = program.steps.find(step => step.type === 'setRPM' && !rpmControlRoutes.getController(step.controller));
+  if (unknown) {
+    return res.status(400).json({
+      success: false,
+      error: `RPM controller "${unknown.controller}" not found`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const index = program.steps.findIndex(step => step.type === 'setPWM' && pinRegistry.conflictError(step.pin, 'pwm', 'pwm'));
+  if (index !== -1) {
+    const { pin } = program.steps[index];
+    return res.status(409).json({
+      success: false,
+      error: `Step ${index + 1} (setPWM): ${pinRegistry.conflictError(pin, 'pwm', 'pwm')}`,
+      owner: pinRegistry.getClaim(pin),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const entry = enqueueMission(program);
+
+  res.status(202).json({
+    success: true,
+    message: entry.status === 'queued' ? `Mission ${entry.id} queued` : `Mission ${entry.id} started`,
+    mission: getMissionStatus(entry, { withSteps: true }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get one mission with its steps
+router.get('/:id', loadMission, (req, res) => {
+  res.json({
+    success: true,
+    mission: getMissionStatus(req.mission, { withSteps: true }),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Pause the running mission. A drive or turn in progress stops and continues on resume.
+router.post('/:id/pause', loadMission, (req, res) => {
+  if (req.mission.status !== 'running') {
+    return res.status(409).json({
+      success: false,
+      error: `Mission ${req.mission.id} is ${req.mission.status}, not running`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  pauseMission(req.mission);
+
+  res.json({
+    success: true,
+    message: `Mission ${req.mission.id} paused`,
+    mission: getMissionStatus(req.mission),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Resume a paused mission
+router.post('/:id/resume', loadMission, (req, res) => {
+  if (req.mission.status !== 'paused') {
+    return res.status(409).json({
+      success: false,
+      error: `Mission ${req.mission.id} is ${req.mission.status}, not paused`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    resumeMission(req.mission);
+  } catch (error) {
+    finishMission(req.mission, 'failed', error.message);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: `Mission ${req.mission.id} could not resume: ${error.message}`,
+      mission: getMissionStatus(req.mission),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Mission ${req.mission.id} resumed`,
+    mission: getMissionStatus(req.mission),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Abort a queued, running or paused mission and stop the outputs it was driving
+router.post('/:id/abort', loadMission, (req, res) => {
+  const entry = req.mission;
+
+  if (!['queued', 'running', 'paused'].includes(entry.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Mission ${entry.id} already ${entry.status}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (entry === current) {
+    finishMission(entry, 'aborted', 'Aborted by request');
+  } else {
+    entry.status = 'aborted';
+    entry.error = 'Aborted by request';
+    entry.finishedAt = new Date().toISOString();
+    broadcastMission('aborted', entry);
+  }
+
+  res.json({
+    success: true,
+    message: `Mission ${entry.id} aborted`,
+    mission: getMissionStatus(entry),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  clearInterval(tickTimer);
+  tickTimer = null;
+  if (current) {
+    current.status = 'aborted';
+    current.error = 'Server shutting down';
+  }
+}
+
+module.exports = {
+  router,
+  setSocket,
+  abortAll,
+  cleanup
+};
@@ -4,50 +4,76 @@
 const express = require('express');
 const router = express.Router();
 
-// Initialize pigpio for GPIO control
-let Gpio;
-let pigpioAvailable = false;
+// Shared GPIO driver (pigpio on the Pi, mock driver elsewhere)
+const gpioDriver = require('../lib/gpio-driver');
+const sessionRecorder = require('../lib/session-recorder');
+const pinRegistry = require('../lib/pin-registry');
+
 let activePins = new Map(); // Track active PWM pins
 
-// Try to initialize pigpio (will work on Raspberry Pi)
-try {
-  const pigpio = require('pigpio');
-  Gpio = pigpio.Gpio;
-  
-  // Test if pigpio can actually work by creating a test GPIO instance
-  try {
-    // Try to create a test GPIO instance - this is the real test for Node.js pigpio
-    const testPin = new Gpio(18, { mode: Gpio.OUTPUT });
-    testPin.digitalWrite(0); // Set to low (safe state)
-    
-    pigpioAvailable = true;
-    console.log('✅ pigpio initialized successfully - Hardware PWM control available');
-    console.log('🎛️  Ready to control real GPIO pins!');
-    console.log('🚀 pigpiod daemon is running properly');
-    
-  } catch (initError) {
-    console.log('⚠️  pigpio hardware not available - running in simulation mode');
-    console.log('   Reason:', initError.message);
-    
-    // Check if we're on a Raspberry Pi but pigpiod isn't running
-    const fs = require('fs');
-    if (fs.existsSync('/proc/cpuinfo')) {
-      const cpuinfo = fs.readFileSync('/proc/cpuinfo', 'utf8');
-      if (cpuinfo.includes('Raspberry Pi')) {
-        console.log('🔧 You\'re on a Raspberry Pi! Make sure pigpiod is running:');
-        console.log('   sudo systemctl status pigpiod');
-        console.log('   sudo systemctl start pigpiod');
-        console.log('   sudo systemctl enable pigpiod');
-      }
-    }
-    
-    pigpioAvailable = false;
+// Error while the E-STOP is latched, or null (loaded lazily: the safety module requires this one)
+function latchedError() {
+  return require('./safety-routes').latchedError();
+}
+
+// Active pin data, opening the pin through the GPIO driver on first use
+function openPin(pin) {
+  if (!activePins.has(pin)) {
+    activePins.set(pin, {
+      gpio: gpioDriver.openOutput(pin),
+      dutyCycle: 0,
+      frequency: 1000,
+      enabled: false
+    });
+  }
+  return activePins.get(pin);
+}
+
+// Write PWM to a pin through the GPIO driver
+function writePWM(pin, dutyCycle, frequency, enabled) {
+  const pinData = openPin(pin);
+
+  if (enabled) {
+    // Set PWM frequency and duty cycle
+    pinData.gpio.pwmFrequency(frequency);
+    pinData.gpio.pwmWrite(dutyCycle);
+    pinData.enabled = true;
+  } else {
+    // Disable PWM (set to 0)
+    pinData.gpio.pwmWrite(0);
+    pinData.enabled = false;
+  }
+
+  // Update stored values
+  pinData.dutyCycle = dutyCycle;
+  pinData.frequency = frequency;
+
+  sessionRecorder.recordPWM(pin, enabled ? dutyCycle : 0, frequency);
+}
+
+// Drive a pin fully high or low (e.g. H-bridge direction and standby pins)
+function writeDigital(pin, level) {
+  const pinData = openPin(pin);
+
+  pinData.gpio.digitalWrite(level);
+  pinData.dutyCycle = level ? 255 : 0;
+  pinData.enabled = level === 1;
+
+  sessionRecorder.recordPWM(pin, pinData.dutyCycle, pinData.frequency);
+}
+
+// Drive a pin low and forget it
+function releasePin(pin) {
+  const pinData = activePins.get(pin);
+  if (pinData && pinData.gpio) {
+    pinData.gpio.pwmWrite(0);
+    pinData.gpio = null;
+    sessionRecorder.recordPWM(pin, 0, pinData.frequency);
   }
-} catch (error) {
-  console.log('⚠️  pigpio module not available - running in simulation mode');
-  console.log('   This is normal when not running on a Raspberry Pi');
-  console.log('   Install with: npm install pigpio');
-  pigpioAvailable = false;
+  activePins.delete(pin);
+
+  // A released manual output frees the pin; pins of other subsystems stay theirs
+  pinRegistry.release(pin, 'pwm');
 }
 
 // ==============================================
@@ -68,106 +94,115 @@ router.get('/status', (req, res) => {
 
   res.json({
     success: true,
-    pigpioAvailable: pigpioAvailable,
+    pigpioAvailable: gpioDriver.isHardware,
+    driver: gpioDriver.name,
     hardwarePwmPins: pwmPins,
     softwarePwmPins: softwarePwmPins,
     activePins: activePinsList,
-    message: pigpioAvailable ? 'PWM control ready' : 'Running in simulation mode',
+    message: gpioDriver.isHardware ? 'PWM control ready' : 'Running in simulation mode',
     timestamp: new Date().toISOString()
   });
 });
 
-// Set PWM on a specific pin
-router.post('/set', (req, res) => {
-  const { pin, dutyCycle, frequency = 1000, enabled = true } = req.body;
-
+// Validate and apply a set-PWM command. Shared by POST /set and the setPWM socket event.
+// Returns { status, body } with the JSON response.
+function setPWMCommand({ pin, dutyCycle, frequency = 1000, enabled = true } = {}) {
   // Validation - fix to allow pin 0 and dutyCycle 0
-  if (pin === undefined || pin === null || pin < 0 || pin > 27) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid pin number. Must be between 0-27',
-      timestamp: new Date().toISOString()
-    });
+  if (!Number.isInteger(pin) || pin < 0 || pin > 27) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid pin number. Must be between 0-27',
+        timestamp: new Date().toISOString()
+      }
+    };
   }
 
-  if (dutyCycle === undefined || dutyCycle === null || dutyCycle < 0 || dutyCycle > 255) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid duty cycle. Must be between 0-255',
-      timestamp: new Date().toISOString()
-    });
+  if (typeof dutyCycle !== 'number' || dutyCycle < 0 || dutyCycle > 255) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid duty cycle. Must be between 0-255',
+        timestamp: new Date().toISOString()
+      }
+    };
   }
 
-  if (frequency < 1 || frequency > 8000) {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid frequency. Must be between 1-8000 Hz',
-      timestamp: new Date().toISOString()
-    });
+  if (typeof frequency !== 'number' || frequency < 1 || frequency > 8000) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid frequency. Must be between 1-8000 Hz',
+        timestamp: new Date().toISOString()
+      }
+    };
   }
 
-  try {
-    if (pigpioAvailable && Gpio) {
-      // Real Raspberry Pi - set actual PWM
-      if (!activePins.has(pin)) {
-        // Initialize new pin
-        const gpioPin = new Gpio(pin, { mode: Gpio.OUTPUT });
-        activePins.set(pin, {
-          gpio: gpioPin,
-          dutyCycle: 0,
-          frequency: 1000,
-          enabled: false
-        });
+  if (latchedError()) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: latchedError(),
+        timestamp: new Date().toISOString()
       }
+    };
+  }
 
-      const pinData = activePins.get(pin);
-      
-      if (enabled) {
-        // Set PWM frequency and duty cycle
-        pinData.gpio.pwmFrequency(frequency);
-        pinData.gpio.pwmWrite(dutyCycle);
-        pinData.enabled = true;
-      } else {
-        // Disable PWM (set to 0)
-        pinData.gpio.pwmWrite(0);
-        pinData.enabled = false;
+  // Pins of the robot, RPM controllers, sensors, ... are not free to write
+  const conflict = pinRegistry.conflictError(pin, 'pwm', 'pwm');
+  if (conflict) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: conflict,
+        owner: pinRegistry.getClaim(pin),
+        timestamp: new Date().toISOString()
       }
+    };
+  }
 
-      // Update stored values
-      pinData.dutyCycle = dutyCycle;
-      pinData.frequency = frequency;
-
-    } else {
-      // Simulation mode - just store the values
-      activePins.set(pin, {
-        gpio: null,
+  try {
+    pinRegistry.claim(pin, 'pwm', 'pwm', 'PWM output');
+    writePWM(pin, dutyCycle, frequency, enabled);
+
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: enabled ? 'PWM signal set successfully' : 'PWM disabled',
+        pin: pin,
         dutyCycle: dutyCycle,
         frequency: frequency,
-        enabled: enabled
-      });
-    }
-
-    res.json({
-      success: true,
-      message: enabled ? 'PWM signal set successfully' : 'PWM disabled',
-      pin: pin,
-      dutyCycle: dutyCycle,
-      frequency: frequency,
-      enabled: enabled,
-      dutyPercentage: Math.round((dutyCycle / 255) * 100),
-      mode: pigpioAvailable ? 'hardware' : 'simulation',
-      timestamp: new Date().toISOString()
-    });
+        enabled: enabled,
+        dutyPercentage: Math.round((dutyCycle / 255) * 100),
+        mode: gpioDriver.isHardware ? 'hardware' : 'simulation',
+        timestamp: new Date().toISOString()
+      }
+    };
 
   } catch (error) {
     console.error('PWM Error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to set PWM',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to set PWM',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
   }
+}
+
+// Set PWM on a specific pin
+router.post('/set', (req, res) => {
+  const { status, body } = setPWMCommand(req.body);
+  res.status(status).json(body);
 });
 
 // Stop PWM on a specific pin
@@ -182,18 +217,21 @@ router.post('/stop', (req, res) => {
     });
   }
 
+  // Pins driven by another subsystem (a robot wheel, an RPM controller) are stopped through it
+  const conflict = pinRegistry.conflictError(pin, 'pwm', 'pwm');
+  if (conflict) {
+    return res.status(409).json({
+      success: false,
+      error: conflict,
+      owner: pinRegistry.getClaim(pin),
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
     if (activePins.has(pin)) {
-      const pinData = activePins.get(pin);
-      
-      if (pigpioAvailable && pinData.gpio) {
-        // Stop PWM and clean up GPIO
-        pinData.gpio.pwmWrite(0);
-        pinData.gpio = null;
-      }
-      
-      // Remove from active pins
-      activePins.delete(pin);
+      // Stop PWM, clean up GPIO and remove from active pins
+      releasePin(pin);
     }
 
     res.json({
@@ -214,20 +252,30 @@ router.post('/stop', (req, res) => {
   }
 });
 
-// Stop all PWM signals
-router.post('/stop-all', (req, res) => {
-  try {
-    let stoppedPins = [];
-
-    for (const [pin, pinData] of activePins) {
-      if (pigpioAvailable && pinData.gpio) {
-        pinData.gpio.pwmWrite(0);
-        pinData.gpio = null;
-      }
+// Release every active manual output (pins owned by 'pwm' or by nobody); pins of other
+// subsystems keep running. Returns the pins that were stopped.
+function stopAll() {
+  const stoppedPins = [];
+  for (const pin of Array.from(activePins.keys())) {
+    if (!pinRegistry.conflictError(pin, 'pwm', 'pwm')) {
+      releasePin(pin);
       stoppedPins.push(pin);
     }
+  }
+  return stoppedPins;
+}
 
-    activePins.clear();
+// Release every active pin, whoever drives it (emergency stop). Returns the pins stopped.
+function haltAll() {
+  const stoppedPins = Array.from(activePins.keys());
+  stoppedPins.forEach(releasePin);
+  return stoppedPins;
+}
+
+// Stop all PWM signals
+router.post('/stop-all', (req, res) => {
+  try {
+    const stoppedPins = stopAll();
 
     res.json({
       success: true,
@@ -250,14 +298,11 @@ router.post('/stop-all', (req, res) => {
 // Cleanup function for graceful shutdown
 function cleanup() {
   console.log('🧹 Cleaning up PWM pins...');
-  for (const [pin, pinData] of activePins) {
-    if (pigpioAvailable && pinData.gpio) {
-      try {
-        pinData.gpio.pwmWrite(0);
-        pinData.gpio = null;
-      } catch (error) {
-        console.error(`Error cleaning up pin ${pin}:`, error);
-      }
+  for (const pin of Array.from(activePins.keys())) {
+    try {
+      releasePin(pin);
+    } catch (error) {
+      console.error(`Error cleaning up pin ${pin}:`, error);
     }
   }
   activePins.clear();
@@ -266,55 +311,48 @@ function cleanup() {
 // Direct PWM function for internal use (RPM controller)
 function setPWMDirect(pin, dutyCycle, frequency = 1000) {
   try {
-    if (pigpioAvailable && Gpio) {
-      // Real Raspberry Pi - set actual PWM
-      if (!activePins.has(pin)) {
-        // Initialize new pin
-        const gpioPin = new Gpio(pin, { mode: Gpio.OUTPUT });
-        activePins.set(pin, {
-          gpio: gpioPin,
-          dutyCycle: 0,
-          frequency: 1000,
-          enabled: false
-        });
-      }
-
-      const pinData = activePins.get(pin);
-      
-      if (dutyCycle > 0) {
-        // Set PWM frequency and duty cycle
-        pinData.gpio.pwmFrequency(frequency);
-        pinData.gpio.pwmWrite(dutyCycle);
-        pinData.enabled = true;
-      } else {
-        // Disable PWM (set to 0)
-        pinData.gpio.pwmWrite(0);
-        pinData.enabled = false;
-      }
-
-      // Update stored values
-      pinData.dutyCycle = dutyCycle;
-      pinData.frequency = frequency;
-      
-      return true;
-    } else {
-      // Simulation mode - just store the values
-      activePins.set(pin, {
-        gpio: null,
-        dutyCycle: dutyCycle,
-        frequency: frequency,
-        enabled: dutyCycle > 0
-      });
-      return true;
-    }
+    writePWM(pin, dutyCycle, frequency, dutyCycle > 0);
+    return true;
   } catch (error) {
     console.error(`❌ Failed to set PWM directly on GPIO ${pin}:`, error);
     return false;
   }
 }
 
+// Direct digital output for internal use (motor driver direction pins)
+function setDigitalDirect(pin, level) {
+  try {
+    writeDigital(pin, level ? 1 : 0);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to set GPIO ${pin} ${level ? 'high' : 'low'}:`, error);
+    return false;
+  }
+}
+
+// Whether a pin is outputting a non-zero duty
+function isPinRunning(pin) {
+  const pinData = activePins.get(pin);
+  return Boolean(pinData && pinData.enabled && pinData.dutyCycle > 0);
+}
+
+// Current duty cycle of every active pin, for telemetry history
+function getTelemetry() {
+  const values = {};
+  activePins.forEach((pinData, pin) => {
+    values[`pwm.${pin}.duty`] = pinData.enabled ? pinData.dutyCycle : 0;
+  });
+  return values;
+}
+
 // Export cleanup function for use in main server
 router.cleanup = cleanup;
 router.setPWMDirect = setPWMDirect;
+router.setDigitalDirect = setDigitalDirect;
+router.setPWMCommand = setPWMCommand;
+router.stopAll = stopAll;
+router.haltAll = haltAll;
+router.isPinRunning = isPinRunning;
+router.getTelemetry = getTelemetry;
 
 module.exports = router; 
\ No newline at end of file
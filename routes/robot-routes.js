@@ -4,30 +4,110 @@
 const express = require('express');
 const router = express.Router();
 
+// In-process PWM layer (same choke point the RPM controllers use)
+const pwmRoutes = require('./pwm-routes');
+const rpmControlRoutes = require('./rpm-control-routes');
+const sensorRoutes = require('./sensor-routes');
+const motorDriver = require('../lib/motor-driver');
+const kinematics = require('../lib/kinematics');
+const odometry = require('../lib/odometry');
+const robotMotion = require('../lib/robot-motion');
+const pinRegistry = require('../lib/pin-registry');
+
 // Robot configuration
+// `pin` is each wheel's speed PWM pin; `driver` is the bridge behind it (see lib/motor-driver), e.g.
+//   driver: { type: 'l298n', in1: 5, in2: 6 }
+//   driver: { type: 'tb6612', in1: 5, in2: 6, stby: 26 }
+//   driver: { type: 'drv8833', in2: 6 }
+// The default 'pwm' driver is a single forward-only PWM pin.
 const ROBOT_CONFIG = {
   wheels: {
-    frontLeft: { pin: 18, name: 'Front Left' },    // Hardware PWM pins
-    frontRight: { pin: 12, name: 'Front Right' },
-    backLeft: { pin: 13, name: 'Back Left' },
-    backRight: { pin: 19, name: 'Back Right' }
+    frontLeft: { pin: 18, name: 'Front Left', sensor: 1, side: 'left', axle: 'front', driver: { type: 'pwm' } },    // Hardware PWM pins + encoder sensor number
+    frontRight: { pin: 12, name: 'Front Right', sensor: 2, side: 'right', axle: 'front', driver: { type: 'pwm' } },
+    backLeft: { pin: 13, name: 'Back Left', sensor: 4, side: 'left', axle: 'rear', driver: { type: 'pwm' } },
+    backRight: { pin: 19, name: 'Back Right', sensor: 3, side: 'right', axle: 'rear', driver: { type: 'pwm' } }
   },
   maxSpeed: 255,        // Maximum PWM duty cycle
-  speedSmoothness: 10   // Adjustment step size for smooth speed changes
+  speedSmoothness: 10,  // Soft start: max duty change per wheel per 50 ms ramp tick for /speed and /spin (0 = no ramp)
+  stopMode: 'brake',    // How stopped wheels are held: brake | coast (bridges only)
+  kinematics: kinematics.defaultKinematics() // Geometry for /drive (see lib/kinematics)
 };
 
+// Check the wheel drivers once at startup - a bad pin map must not reach the motors
+Object.entries(ROBOT_CONFIG.wheels).forEach(([wheelKey, wheel]) => {
+  const error = motorDriver.validateDriver(wheel.pin, wheel.driver);
+  if (error) {
+    throw new Error(`ROBOT_CONFIG.wheels.${wheelKey}: ${error}`);
+  }
+});
+
+// Pins a wheel drives, with their registry owners: the speed pin and any bridge pins.
+// A TB6612 standby pin may be shared by two wheels, so it belongs to the robot as a whole.
+function wheelPinClaims(wheelKey) {
+  const wheel = ROBOT_CONFIG.wheels[wheelKey];
+  return [
+    { pin: wheel.pin, owner: `robot/${wheelKey}`, mode: 'pwm', label: `${wheel.name} wheel speed` },
+    ...Object.entries(wheel.driver)
+      .filter(([key]) => key !== 'type')
+      .map(([key, pin]) => key === 'stby'
+        ? { pin: pin, owner: 'robot', mode: 'output', label: `${wheel.driver.type} standby` }
+        : { pin: pin, owner: `robot/${wheelKey}`, mode: 'output', label: `${wheel.name} wheel ${key}` })
+  ];
+}
+
+// The robot holds a wheel's pins only while it drives that wheel, so the same motors stay
+// usable from /api/pwm and the RPM controller bench while the robot is at rest.
+// Throws a 409 error naming the owner if another subsystem has one of them.
+function claimWheel(wheelKey) {
+  const claims = wheelPinClaims(wheelKey);
+
+  // Check every pin first so a conflict never leaves the wheel half-claimed
+  claims.forEach(({ pin, owner, mode }) => {
+    const error = pinRegistry.conflictError(pin, owner, mode);
+    if (error) {
+      throw Object.assign(new Error(error), { status: 409, pin: pin, owner: pinRegistry.getClaim(pin) });
+    }
+  });
+  claims.forEach(({ pin, owner, mode, label }) => pinRegistry.claim(pin, owner, mode, label));
+}
+
+// Give a stopped wheel's pins back (the shared standby pin once every wheel is stopped)
+function releaseWheel(wheelKey) {
+  pinRegistry.releaseOwner(`robot/${wheelKey}`);
+  if (Object.values(appliedSpeeds).every(speed => speed === 0)) {
+    pinRegistry.releaseOwner('robot');
+  }
+}
+
+// True when another subsystem holds one of the wheel's pins
+function wheelPinsTaken(wheelKey) {
+  return wheelPinClaims(wheelKey).some(({ pin, owner, mode }) => pinRegistry.conflictError(pin, owner, mode));
+}
+
+// Check the pin map once at startup: two wheels (or a wheel and a bridge) must not share a pin
+Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => {
+  try {
+    claimWheel(wheelKey);
+  } catch (error) {
+    throw new Error(`ROBOT_CONFIG.wheels.${wheelKey}: ${error.message}`);
+  }
+});
+Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => pinRegistry.releaseOwner(`robot/${wheelKey}`));
+pinRegistry.releaseOwner('robot');
+
 // Robot state tracking
 let robotState = {
-  totalSpeed: 0,           // Current total robot speed (0-100%)
+  totalSpeed: 0,           // Current total robot speed (-100 to 100%, negative = reverse)
   targetSpeed: 0,          // Target total robot speed
   wheels: {
-    frontLeft: { speed: 0, adjustment: 0 },     // adjustment: -50 to +50%
+    frontLeft: { speed: 0, adjustment: 0 },     // speed: signed duty (-255 to 255), adjustment: -50 to +50%
     frontRight: { speed: 0, adjustment: 0 },
     backLeft: { speed: 0, adjustment: 0 },
     backRight: { speed: 0, adjustment: 0 }
   },
   isMoving: false,
-  direction: 'stopped'     // stopped, forward, backward, left, right
+  direction: 'stopped',    // stopped, forward, backward, left, right
+  drive: null              // Active /drive command { linear, lateral, angular, output, rpm, scale }, null under /speed control
 };
 
 // Socket.IO instance (will be set from server.js)
@@ -43,185 +123,1269 @@ function setSocket(io) {
 // ROBOT SPEED CALCULATION FUNCTIONS
 // ==============================================
 
-// Calculate individual wheel speeds based on total speed and adjustments
-function calculateWheelSpeeds(totalSpeedPercent) {
+// Calculate individual wheel speeds based on total speed and adjustments.
+// While spinning, the right-hand wheels turn opposite to the left-hand ones.
+function calculateWheelSpeeds(totalSpeedPercent, spin = isSpinning()) {
   const baseSpeed = (totalSpeedPercent / 100) * ROBOT_CONFIG.maxSpeed;
   
   Object.keys(robotState.wheels).forEach(wheelKey => {
     const wheel = robotState.wheels[wheelKey];
+    const sign = spin && ROBOT_CONFIG.wheels[wheelKey].side === 'right' ? -1 : 1;
     
     // Apply individual wheel adjustment (-50% to +50%)
     const adjustmentFactor = 1 + (wheel.adjustment / 100);
-    let adjustedSpeed = baseSpeed * adjustmentFactor;
+    let adjustedSpeed = sign * baseSpeed * adjustmentFactor;
     
     // Ensure speed stays within valid PWM range
-    adjustedSpeed = Math.max(0, Math.min(ROBOT_CONFIG.maxSpeed, adjustedSpeed));
+    adjustedSpeed = Math.max(-ROBOT_CONFIG.maxSpeed, Math.min(ROBOT_CONFIG.maxSpeed, adjustedSpeed));
     
-    wheel.speed = Math.round(adjustedSpeed);
+    // Round the magnitude so forward and reverse give the same duty
+    wheel.speed = Math.sign(adjustedSpeed) * Math.round(Math.abs(adjustedSpeed));
+  });
+}
+
+function isSpinning() {
+  return robotState.direction === 'left' || robotState.direction === 'right';
+}
+
+// Wheels whose driver cannot run backwards
+function forwardOnlyWheels() {
+  return Object.keys(ROBOT_CONFIG.wheels).filter(wheelKey => !motorDriver.canReverse(ROBOT_CONFIG.wheels[wheelKey].driver));
+}
+
+// Error message for a reverse command when some wheels cannot reverse, or null
+function reverseError(action) {
+  const wheels = forwardOnlyWheels();
+  if (wheels.length === 0) return null;
+  return `Cannot ${action}: ${wheels.join(', ')} ${wheels.length === 1 ? 'has' : 'have'} a forward-only 'pwm' driver. Configure an H-bridge driver in ROBOT_CONFIG`;
+}
+
+// Duty cycle last written successfully to each wheel, i.e. what the motor is really doing
+const appliedSpeeds = {};
+Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => { appliedSpeeds[wheelKey] = 0; });
+
+// Write one wheel's signed duty through its motor driver. Returns true if every pin was written.
+// A moving wheel must have been claimed (claimWheel); stopping releases it.
+function writeWheel(wheelKey, dutyCycle, stopMode = ROBOT_CONFIG.stopMode) {
+  const { pin, driver } = ROBOT_CONFIG.wheels[wheelKey];
+
+  if (dutyCycle === 0 && wheelPinsTaken(wheelKey)) {
+    // Another subsystem drives this motor now; the robot has nothing of its own to stop
+    appliedSpeeds[wheelKey] = 0;
+    return true;
+  }
+
+  const success = motorDriver.motorOutputs(pin, driver, dutyCycle, stopMode)
+    .map(output => output.type === 'digital'
+      ? pwmRoutes.setDigitalDirect(output.pin, output.value)
+      : pwmRoutes.setPWMDirect(output.pin, output.value, 1000))
+    .every(Boolean);
+
+  if (success) {
+    appliedSpeeds[wheelKey] = dutyCycle;
+    if (dutyCycle === 0) {
+      releaseWheel(wheelKey);
+    }
+  }
+  return success;
+}
+
+// Write the calculated wheel speeds through each wheel's motor driver, one result per wheel.
+// Stopped wheels are held in `stopMode` (brake or coast).
+function applyWheelSpeeds(stopMode = ROBOT_CONFIG.stopMode) {
+  return Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => {
+    const { pin, driver } = ROBOT_CONFIG.wheels[wheelKey];
+    const dutyCycle = robotState.wheels[wheelKey].speed;
+
+    try {
+      if (dutyCycle !== 0) claimWheel(wheelKey);
+    } catch (error) {
+      return { wheel: wheelKey, pin: pin, dutyCycle: dutyCycle, success: false, error: error.message, status: error.status };
+    }
+
+    const success = writeWheel(wheelKey, dutyCycle, stopMode);
+
+    return {
+      wheel: wheelKey,
+      pin: pin,
+      dutyCycle: dutyCycle,
+      success: success,
+      error: success ? undefined : `Motor driver write failed (GPIO ${motorDriver.driverPins(pin, driver).join('/')})`
+    };
+  });
+}
+
+// Drive the wheels from robotState. If any wheel cannot be written the robot is stopped
+// rather than left running on some of its motors, and robotState is reset to match what
+// the pins actually output. Returns { success, wheels } with the per-wheel results.
+function driveWheels(stopMode = ROBOT_CONFIG.stopMode, { quiet = false } = {}) {
+  const wheels = applyWheelSpeeds(stopMode);
+  const failed = wheels.filter(result => !result.success);
+
+  if (failed.length === 0) {
+    if (!quiet) console.log('✅ All wheel speeds applied successfully');
+    return { success: true, wheels: wheels };
+  }
+
+  console.error(`❌ Wheel motor driver failed on ${failed.map(result => `${result.wheel} (${result.error})`).join(', ')} - stopping all wheels`);
+
+  robotState.totalSpeed = 0;
+  robotState.targetSpeed = 0;
+  robotState.drive = null;
+  Object.keys(robotState.wheels).forEach(wheelKey => {
+    robotState.wheels[wheelKey].speed = 0;
+  });
+  applyWheelSpeeds(stopMode);
+
+  // A wheel that could not even be stopped still runs at its last written speed
+  Object.keys(robotState.wheels).forEach(wheelKey => {
+    robotState.wheels[wheelKey].speed = appliedSpeeds[wheelKey];
+  });
+  robotState.isMoving = Object.values(appliedSpeeds).some(speed => speed !== 0);
+  robotState.direction = robotState.isMoving ? robotState.direction : 'stopped';
+
+  if (socketIO) {
+    socketIO.emit('robotUpdate', {
+      type: 'wheelFailure',
+      failedWheels: failed.map(result => result.wheel),
+      robotState: robotState,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return { success: false, wheels: wheels, status: failed[0].status };
+}
+
+// ==============================================
+// DRIVE KINEMATICS
+// ==============================================
+
+// Stop any RPM controller holding a wheel, so open-loop commands do not fight it
+function stopWheelControllers() {
+  Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => {
+    const ctrl = rpmControlRoutes.getController(wheelKey);
+    if (ctrl && ctrl.active) {
+      rpmControlRoutes.stopController(ctrl);
+    }
+  });
+}
+
+// Leave /drive control before a /speed, /spin or /stop command takes over
+function leaveDriveMode() {
+  robotState.drive = null;
+  stopWheelControllers();
+}
+
+// Error while the E-STOP is latched, or null (loaded lazily: the safety module requires this one)
+function latchedError() {
+  return require('./safety-routes').latchedError();
+}
+
+// Listeners told about every emergency stop, before the wheels are stopped (e.g. missions cancel themselves)
+const emergencyStopListeners = [];
+
+function onEmergencyStop(listener) {
+  emergencyStopListeners.push(listener);
+}
+
+function notifyEmergencyStop(source) {
+  emergencyStopListeners.forEach(listener => {
+    try {
+      listener(source);
+    } catch (error) {
+      console.error('Emergency stop listener error:', error);
+    }
+  });
+}
+
+// Stop every wheel at once, bypassing the speed ramp (adjustments are kept for the next movement). Returns the driveWheels outcome.
+function stopRobot(stopMode = ROBOT_CONFIG.stopMode) {
+  cancelRamp();
+  leaveDriveMode();
+
+  robotState.totalSpeed = 0;
+  robotState.targetSpeed = 0;
+  robotState.isMoving = false;
+  robotState.direction = 'stopped';
+  Object.keys(robotState.wheels).forEach(wheelKey => {
+    robotState.wheels[wheelKey].speed = 0;
   });
+
+  return driveWheels(stopMode);
+}
+
+// Motor output for a wheel's RPM controller. The controller regulates speed magnitude;
+// the sign comes from the active drive command, written through the wheel's motor driver.
+function wheelOutput(wheelKey) {
+  const output = (dutyCycle) => {
+    const target = robotState.drive && robotState.drive.output === 'rpm' ? robotState.drive.rpm[wheelKey] : 0;
+    const speed = target < 0 ? -dutyCycle : dutyCycle;
+    robotState.wheels[wheelKey].speed = speed;
+    writeWheel(wheelKey, speed);
+  };
+  // The controller claims the wheel through this when it starts; halting it writes 0, which releases it
+  output.claim = () => claimWheel(wheelKey);
+  return output;
+}
+
+// Direction label for a body velocity
+function driveDirection({ linear, lateral, angular }) {
+  if (linear > 0) return 'forward';
+  if (linear < 0) return 'backward';
+  if (angular > 0 || (angular === 0 && lateral > 0)) return 'left';
+  if (angular < 0 || lateral < 0) return 'right';
+  return 'stopped';
+}
+
+// Wheel percent adjustments, applied as trims on top of the kinematics
+function wheelTrims() {
+  const trims = {};
+  Object.entries(robotState.wheels).forEach(([wheelKey, wheel]) => { trims[wheelKey] = wheel.adjustment; });
+  return trims;
+}
+
+// Apply a drive command ({ linear, lateral, angular, output }). Open loop scales each wheel's
+// RPM target to duty against maxWheelRPM; closed loop hands the targets to the wheel RPM
+// controllers. Any failure stops every wheel. Returns { success, wheels, status? }.
+// `quiet` skips the success log, for callers that re-apply a command on every tick.
+function applyDrive(command, { quiet = false } = {}) {
+  cancelRamp();
+  const config = ROBOT_CONFIG.kinematics;
+  const { rpm, scale } = kinematics.wheelRPMs(config, ROBOT_CONFIG.wheels, command, wheelTrims());
+  const fastest = Math.max(...Object.values(rpm).map(Math.abs));
+
+  robotState.drive = {
+    linear: command.linear,
+    lateral: command.lateral,
+    angular: command.angular,
+    output: command.output,
+    rpm: rpm,
+    scale: scale
+  };
+  robotState.totalSpeed = Math.round((fastest / config.maxWheelRPM) * 100);
+  robotState.targetSpeed = robotState.totalSpeed;
+  robotState.isMoving = fastest > 0;
+  robotState.direction = driveDirection(command);
+
+  if (command.output === 'pwm') {
+    stopWheelControllers();
+    Object.keys(robotState.wheels).forEach(wheelKey => {
+      robotState.wheels[wheelKey].speed = Math.round((rpm[wheelKey] / config.maxWheelRPM) * ROBOT_CONFIG.maxSpeed);
+    });
+    return driveWheels(ROBOT_CONFIG.stopMode, { quiet: quiet });
+  }
+
+  const wheels = Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => {
+    const ctrl = rpmControlRoutes.getController(wheelKey);
+    try {
+      if (!ctrl) {
+        throw Object.assign(new Error(`No RPM controller for ${wheelKey}`), { status: 409 });
+      }
+      rpmControlRoutes.driveController(ctrl, Math.abs(rpm[wheelKey]));
+      return { wheel: wheelKey, pin: ROBOT_CONFIG.wheels[wheelKey].pin, rpm: rpm[wheelKey], success: true };
+    } catch (error) {
+      return { wheel: wheelKey, pin: ROBOT_CONFIG.wheels[wheelKey].pin, rpm: rpm[wheelKey], success: false, error: error.message, status: error.status };
+    }
+  });
+
+  const failed = wheels.filter(result => !result.success);
+  if (failed.length === 0) {
+    return { success: true, wheels: wheels };
+  }
+
+  // Never leave some wheels under closed-loop control and others idle
+  console.error(`❌ Wheel RPM control failed on ${failed.map(result => result.wheel).join(', ')} - stopping all wheels`);
+  leaveDriveMode();
+  robotState.totalSpeed = 0;
+  robotState.targetSpeed = 0;
+  Object.keys(robotState.wheels).forEach(wheelKey => {
+    robotState.wheels[wheelKey].speed = 0;
+  });
+  applyWheelSpeeds();
+  robotState.isMoving = Object.values(appliedSpeeds).some(speed => speed !== 0);
+  robotState.direction = robotState.isMoving ? robotState.direction : 'stopped';
+
+  if (socketIO) {
+    socketIO.emit('robotUpdate', {
+      type: 'wheelFailure',
+      failedWheels: failed.map(result => result.wheel),
+      robotState: robotState,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return { success: false, wheels: wheels, status: failed[0].status };
+}
+
+// Recalculate and apply every wheel after an adjustment change, in whichever mode is active
+function refreshWheels() {
+  if (robotState.drive) {
+    return applyDrive(robotState.drive);
+  }
+  calculateWheelSpeeds(robotState.totalSpeed);
+  return driveWheels();
+}
+
+// Error result for a command whose wheel outputs did not all succeed
+function wheelFailure(error, outcome) {
+  const failed = outcome.wheels.filter(result => !result.success);
+  return {
+    status: outcome.status || 500,
+    body: {
+      success: false,
+      error: error,
+      details: `${failed.map(result => `${result.wheel}: ${result.error}`).join('; ')}; all wheels stopped`,
+      wheels: outcome.wheels,
+      robotState: robotState,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+function sendWheelFailure(res, error, outcome) {
+  const { status, body } = wheelFailure(error, outcome);
+  res.status(status).json(body);
+}
+
+// ==============================================
+// SPEED RAMP (SOFT START)
+// ==============================================
+
+const RAMP_INTERVAL_MS = 50; // Ramp tick; speedSmoothness is the duty change per wheel per tick
+
+// Where /speed and /spin are heading: { speed, spin }. `rampSpin` is the mode the wheels run in now;
+// switching between straight and spin happens only at rest, so the wheels never flip direction at speed.
+let rampTarget = { speed: 0, spin: false };
+let rampSpin = false;
+let rampTimer = null;
+
+function isRamping() {
+  return rampTimer !== null;
+}
+
+// Largest change of totalSpeed (%) per tick that keeps every wheel within speedSmoothness duty
+function rampStep() {
+  const largestFactor = Math.max(...Object.values(robotState.wheels).map(wheel => 1 + wheel.adjustment / 100));
+  return ROBOT_CONFIG.speedSmoothness / (ROBOT_CONFIG.maxSpeed / 100 * largestFactor);
+}
+
+function speedDirection(speed, spin) {
+  if (speed === 0) return 'stopped';
+  if (spin) return speed > 0 ? 'right' : 'left';
+  return speed > 0 ? 'forward' : 'backward';
+}
+
+function getRampStatus() {
+  return {
+    rate: ROBOT_CONFIG.speedSmoothness,
+    interval: RAMP_INTERVAL_MS,
+    active: isRamping(),
+    target: { ...rampTarget }
+  };
+}
+
+// Stop ramping where the robot is. Stop commands and /drive call this before taking over the wheels.
+function cancelRamp() {
+  clearInterval(rampTimer);
+  rampTimer = null;
+  rampTarget = { speed: 0, spin: false };
+}
+
+// Move totalSpeed one step toward the target and write the wheels. Returns the driveWheels outcome.
+function stepRamp() {
+  // Head for zero first if the target needs the other mode
+  const goal = rampTarget.spin === rampSpin ? rampTarget.speed : 0;
+  const step = rampStep();
+  const current = robotState.totalSpeed;
+  const next = Math.abs(goal - current) <= step ? goal : current + Math.sign(goal - current) * step;
+
+  robotState.totalSpeed = Math.round(next * 10) / 10;
+  if (robotState.totalSpeed === 0) {
+    rampSpin = rampTarget.spin;
+  }
+  robotState.isMoving = robotState.totalSpeed !== 0;
+  robotState.direction = speedDirection(robotState.totalSpeed, rampSpin);
+
+  calculateWheelSpeeds(robotState.totalSpeed, rampSpin);
+  const outcome = driveWheels(ROBOT_CONFIG.stopMode, { quiet: true });
+
+  const arrived = robotState.totalSpeed === rampTarget.speed && rampSpin === rampTarget.spin;
+  if (!outcome.success) {
+    // driveWheels has stopped every wheel; do not ramp them back up
+    cancelRamp();
+  } else if (arrived) {
+    clearInterval(rampTimer);
+    rampTimer = null;
+  }
+
+  if (outcome.success && socketIO) {
+    socketIO.emit('robotUpdate', {
+      type: arrived ? 'rampComplete' : 'ramp',
+      robotState: robotState,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return outcome;
+}
+
+// Set the /speed or /spin target. With a ramp rate the first step is taken now and the rest
+// every RAMP_INTERVAL_MS; `immediate` (or a rate of 0) jumps straight there. Returns the first outcome.
+function setTargetSpeed(speed, spin, { immediate = false } = {}) {
+  robotState.targetSpeed = speed;
+  rampTarget = { speed: speed, spin: spin };
+
+  if (immediate || ROBOT_CONFIG.speedSmoothness === 0) {
+    clearInterval(rampTimer);
+    rampTimer = null;
+    rampSpin = spin;
+    robotState.totalSpeed = speed;
+    robotState.isMoving = speed !== 0;
+    robotState.direction = speedDirection(speed, spin);
+    calculateWheelSpeeds(speed, spin);
+    return driveWheels();
+  }
+
+  const outcome = stepRamp();
+  if (outcome.success && !rampTimer && (robotState.totalSpeed !== speed || rampSpin !== spin)) {
+    rampTimer = setInterval(stepRamp, RAMP_INTERVAL_MS);
+  }
+  return outcome;
+}
+
+// ==============================================
+// WHEEL ODOMETRY
+// ==============================================
+
+const ODOMETRY_UPDATE_MS = 100; // How often encoder counts are integrated into the pose
+
+let pose = odometry.createPose();
+let odometryTimer = null;
+let lastOdometryUpdate = 0;
+
+// Per wheel: { sensorData, position, sign } - the encoder reading the last update started from.
+// `sensorData` is kept to notice a re-enabled sensor, whose count restarts from zero.
+const odometryBaselines = {};
+
+// Travel direction of a wheel with a single-channel encoder, which counts up either way.
+// A coasting wheel keeps the direction it was last driven in.
+function wheelSign(wheelKey, baseline) {
+  const speed = robotState.wheels[wheelKey].speed;
+  return speed === 0 ? baseline.sign : Math.sign(speed);
+}
+
+// Distance (m) each wheel's encoder moved since the last update, or null if it has no enabled sensor
+function wheelTravel(wheelKey) {
+  const sensorData = sensorRoutes.sensorState.activeSensors.get(ROBOT_CONFIG.wheels[wheelKey].sensor);
+  const baseline = odometryBaselines[wheelKey] || (odometryBaselines[wheelKey] = { sensorData: null, position: 0, sign: 1 });
+
+  if (!sensorData || !sensorData.enabled) {
+    baseline.sensorData = null;
+    return null;
+  }
+
+  if (baseline.sensorData !== sensorData) {
+    // New or re-enabled sensor: start counting from here
+    baseline.sensorData = sensorData;
+    baseline.position = sensorData.position;
+    return 0;
+  }
+
+  const counts = sensorData.position - baseline.position;
+  baseline.position = sensorData.position;
+  baseline.sign = wheelSign(wheelKey, baseline);
+
+  // Quadrature positions are signed already
+  const signedCounts = sensorData.pinB === null ? counts * baseline.sign : counts;
+  const metresPerCount = (2 * Math.PI * ROBOT_CONFIG.kinematics.wheelRadius) / sensorRoutes.countsPerRevolution(sensorData);
+  return signedCounts * metresPerCount;
+}
+
+// Mean travel of the tracked wheels on one side, or null if none are tracked
+function sideTravel(travel, side) {
+  const values = Object.keys(ROBOT_CONFIG.wheels)
+    .filter(wheelKey => ROBOT_CONFIG.wheels[wheelKey].side === side && travel[wheelKey] !== null)
+    .map(wheelKey => travel[wheelKey]);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Pose as reported by the API and robotPose events
+function getPose() {
+  const trackedWheels = Object.keys(ROBOT_CONFIG.wheels)
+    .filter(wheelKey => odometryBaselines[wheelKey] && odometryBaselines[wheelKey].sensorData !== null);
+
+  return {
+    ...odometry.describePose(pose),
+    tracking: ['left', 'right'].every(side => trackedWheels.some(wheelKey => ROBOT_CONFIG.wheels[wheelKey].side === side)),
+    trackedWheels: trackedWheels
+  };
+}
+
+function broadcastPose() {
+  if (socketIO) {
+    socketIO.emit('robotPose', { ...getPose(), timestamp: new Date().toISOString() });
+  }
+}
+
+// Integrate the wheel travel since the last update. Both sides need a tracked wheel;
+// otherwise the counts are consumed without moving the pose.
+function updateOdometry() {
+  const now = Date.now();
+  const dt = lastOdometryUpdate ? (now - lastOdometryUpdate) / 1000 : 0;
+  lastOdometryUpdate = now;
+
+  const travel = {};
+  Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => { travel[wheelKey] = wheelTravel(wheelKey); });
+
+  const left = sideTravel(travel, 'left');
+  const right = sideTravel(travel, 'right');
+  if (left === null || right === null) return;
+
+  const moved = left !== 0 || right !== 0;
+  const wasMoving = pose.linear !== 0 || pose.angular !== 0;
+  odometry.integrate(pose, left, right, ROBOT_CONFIG.kinematics.trackWidth, dt);
+
+  // Broadcast while moving, plus once when the robot comes to rest
+  if (moved || wasMoving) {
+    broadcastPose();
+  }
+}
+
+function startOdometry() {
+  if (odometryTimer) return;
+  lastOdometryUpdate = 0;
+  updateOdometry();
+  odometryTimer = setInterval(updateOdometry, ODOMETRY_UPDATE_MS);
+  console.log('🧭 Wheel odometry started');
+}
+
+// Set the pose (default: origin) without touching the encoder counts
+function resetPose(start = {}) {
+  updateOdometry();
+  pose = odometry.createPose(start);
+  console.log(`🧭 Robot pose reset to x=${pose.x} y=${pose.y} heading=${pose.heading}`);
+  broadcastPose();
+}
+
+// ==============================================
+// MOTION COMMANDS (MOVE / TURN)
+// ==============================================
+
+const MOTION_UPDATE_MS = 50; // Motion loop period; each tick refreshes the odometry first
+
+// Current/last motion: { kind, target, speed, decel, minSpeed, tolerance, headingGain, settleTime,
+// timeout, output, status, phase, start, progress, turned, lastHeading, command, startedAt,
+// settleStartedAt, finishedAt, error, interval }
+let motion = null;
+
+function isMotionRunning() {
+  return motion !== null && motion.status === 'running';
+}
+
+// Public view of a motion in API units (cm or degrees)
+function getMotionStatus() {
+  if (!motion) return null;
+
+  const scale = motion.kind === 'move' ? 100 : 180 / Math.PI;
+  const round = (value) => Math.round(value * scale * 10) / 10;
+
+  return {
+    kind: motion.kind,
+    status: motion.status,
+    phase: motion.phase,
+    unit: motion.kind === 'move' ? 'cm' : 'degrees',
+    target: round(motion.target),
+    progress: round(motion.progress),
+    remaining: round(motion.target - motion.progress),
+    headingError: motion.kind === 'move' ? Math.round(motion.headingError * 180 / Math.PI * 10) / 10 : undefined,
+    command: {
+      linear: Math.round(motion.command.linear * 1000) / 1000,
+      angular: Math.round(motion.command.angular * 1000) / 1000
+    },
+    output: motion.output,
+    elapsed: Math.round(((motion.finishedAt || Date.now()) - motion.startedAt) / 100) / 10,
+    error: motion.error
+  };
+}
+
+// Broadcast a motion event: start, progress, complete or aborted
+function broadcastMotion(event) {
+  if (socketIO) {
+    socketIO.emit('robotMotion', {
+      event: event,
+      ...getMotionStatus(),
+      pose: getPose(),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// End a motion. Anything but 'complete' is reported as aborted. The caller decides whether the robot stops.
+function finishMotion(status, error = null) {
+  if (!isMotionRunning()) return;
+
+  clearInterval(motion.interval);
+  motion.interval = null;
+  motion.status = status;
+  motion.error = error;
+  motion.command = { linear: 0, angular: 0 };
+  motion.finishedAt = Date.now();
+
+  const summary = getMotionStatus();
+  console.log(`🎯 Robot ${motion.kind} ${status}: ${summary.progress}/${summary.target} ${summary.unit}${error ? ` - ${error}` : ''}`);
+  broadcastMotion(status === 'complete' ? 'complete' : 'aborted');
+}
+
+// Cancel a running motion because another command takes over the wheels
+function abortMotion(reason) {
+  finishMotion('cancelled', reason);
+}
+
+// Stop the robot from inside the motion loop. Returns false (after failing the motion) if a wheel could not be stopped.
+function haltMotion() {
+  const outcome = stopRobot();
+  if (!outcome.success) {
+    finishMotion('failed', 'Wheel motor driver failed');
+  }
+  return outcome.success;
+}
+
+// Distance along the start heading (move) or accumulated rotation (turn) since the start
+function measureMotion() {
+  if (motion.kind === 'move') {
+    const dx = pose.x - motion.start.x;
+    const dy = pose.y - motion.start.y;
+    motion.progress = dx * Math.cos(motion.start.heading) + dy * Math.sin(motion.start.heading);
+    motion.headingError = odometry.normalizeAngle(pose.heading - motion.start.heading);
+  } else {
+    // Sum the small per-tick changes so turns past ±180° keep counting
+    motion.turned += odometry.normalizeAngle(pose.heading - motion.lastHeading);
+    motion.lastHeading = pose.heading;
+    motion.progress = motion.turned;
+  }
+}
+
+// Motion tick: refresh the pose, command a body speed from the remaining distance or
+// angle, then let the robot settle once it has arrived
+function stepMotion() {
+  updateOdometry();
+
+  if (!getPose().tracking) {
+    haltMotion();
+    finishMotion('failed', 'Odometry lost tracking - a wheel encoder was disabled');
+    return;
+  }
+
+  measureMotion();
+
+  if (motion.phase === 'moving') {
+    if (Date.now() - motion.startedAt > motion.timeout * 1000) {
+      if (haltMotion()) {
+        finishMotion('timeout', `Target not reached within ${motion.timeout}s`);
+      }
+      return;
+    }
+
+    const speed = robotMotion.commandSpeed(motion, motion.target - motion.progress);
+
+    if (speed === 0) {
+      // Arrived: stop the wheels and wait for the robot to come to rest
+      if (!haltMotion()) return;
+      motion.command = { linear: 0, angular: 0 };
+      motion.phase = 'settling';
+      motion.settleStartedAt = Date.now();
+    } else {
+      motion.command = motion.kind === 'move'
+        ? { linear: speed, angular: robotMotion.headingCorrection(motion, motion.headingError, speed, ROBOT_CONFIG.kinematics.trackWidth) }
+        : { linear: 0, angular: speed };
+
+      const outcome = applyDrive({ ...motion.command, lateral: 0, output: motion.output }, { quiet: true });
+      if (!outcome.success) {
+        finishMotion('failed', 'Wheel output failed - all wheels stopped');
+        return;
+      }
+    }
+  } else if (Date.now() - motion.settleStartedAt >= motion.settleTime * 1000) {
+    finishMotion('complete');
+    return;
+  }
+
+  broadcastMotion('progress');
+}
+
+// Start a move or turn from the current pose. Throws with a status on a request the robot cannot run.
+// Returns the motion, whose `status` leaves 'running' when it completes or aborts.
+function startMotion(kind, options, output) {
+  if (latchedError()) {
+    throw Object.assign(new Error(latchedError()), { status: 409 });
+  }
+
+  if (!getPose().tracking) {
+    throw Object.assign(new Error('Odometry is not tracking - enable a wheel encoder on each side first'), { status: 409 });
+  }
+
+  if (kind === 'turn' || options.target < 0) {
+    const error = reverseError(kind === 'turn' ? 'turn in place' : 'move backwards');
+    if (error) {
+      throw Object.assign(new Error(error), { status: 400 });
+    }
+  }
+
+  abortMotion(`Superseded by a new ${kind}`);
+  updateOdometry();
+
+  motion = {
+    ...options,
+    output: output,
+    status: 'running',
+    phase: 'moving',
+    start: { x: pose.x, y: pose.y, heading: pose.heading },
+    progress: 0,
+    headingError: 0,
+    turned: 0,
+    lastHeading: pose.heading,
+    command: { linear: 0, angular: 0 },
+    startedAt: Date.now(),
+    settleStartedAt: null,
+    finishedAt: null,
+    error: null,
+    interval: null
+  };
+  motion.interval = setInterval(stepMotion, MOTION_UPDATE_MS);
+
+  const summary = getMotionStatus();
+  console.log(`🎯 Robot ${kind} started: ${summary.target} ${summary.unit} (${output === 'rpm' ? 'closed loop' : 'open loop'} wheels)`);
+  broadcastMotion('start');
+  const started = motion;
+  stepMotion();
+  return started;
+}
+
+// Shared handler for /move and /turn
+function handleMotionRequest(kind, req, res) {
+  const { error, motion: options } = robotMotion.validateMotion(kind, req.body);
+  const { output = ROBOT_CONFIG.kinematics.output } = req.body;
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!kinematics.OUTPUT_MODES.includes(output)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid output. Must be one of: ${kinematics.OUTPUT_MODES.join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    startMotion(kind, options, output);
+
+    res.status(202).json({
+      success: true,
+      message: kind === 'move' ? `Moving ${req.body.distance} cm` : `Turning ${req.body.angle} degrees`,
+      motion: getMotionStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (!error.status) console.error(`Robot ${kind} error:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : `Failed to start ${kind}`,
+      details: error.status ? undefined : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// ==============================================
+// ROBOT CONTROL ENDPOINTS
+// ==============================================
+
+// Get robot status
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    robotState: robotState,
+    wheelConfiguration: ROBOT_CONFIG.wheels,
+    stopMode: ROBOT_CONFIG.stopMode,
+    ramp: getRampStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Set total robot speed (-100 to 100%, negative drives backwards)
+// Returns { status, body }; shared by POST /speed and the setRobotSpeed socket event.
+function speedCommand({ speed, immediate = false } = {}) {
+  // Validate speed input
+  if (typeof speed !== 'number' || speed < -100 || speed > 100) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid speed. Must be between -100 and 100%',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  if (speed < 0 && reverseError('drive backwards')) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: reverseError('drive backwards'),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  if (typeof immediate !== 'boolean') {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid immediate. Must be true or false',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  if (latchedError()) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: latchedError(),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  try {
+    abortMotion('Superseded by /speed');
+    leaveDriveMode();
+    
+    // Ramp the wheels toward the new speed (or jump there with immediate)
+    const outcome = setTargetSpeed(speed, false, { immediate: immediate });
+    
+    if (!outcome.success) {
+      return wheelFailure('Failed to set robot speed', outcome);
+    }
+    
+    // Broadcast to all connected clients via WebSocket
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'speedChange',
+        robotState: robotState,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return {
+      status: 200,
+      body: {
+        success: true,
+        message: isRamping() ? `Robot speed ramping to ${speed}%` : `Robot speed set to ${speed}%`,
+        robotState: robotState,
+        ramp: getRampStatus(),
+        wheelDetails: Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => ({
+          wheel: wheelKey,
+          pin: ROBOT_CONFIG.wheels[wheelKey].pin,
+          speed: robotState.wheels[wheelKey].speed,
+          pwmDutyCycle: robotState.wheels[wheelKey].speed,
+          adjustment: robotState.wheels[wheelKey].adjustment
+        })),
+        wheels: outcome.wheels,
+        timestamp: new Date().toISOString()
+      }
+    };
+    
+  } catch (error) {
+    console.error('Robot speed control error:', error);
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to set robot speed',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
 }
 
-// Apply calculated speeds to actual PWM pins using fetch to PWM endpoints
-async function applyWheelSpeeds() {
-  const pwmPromises = [];
+router.post('/speed', (req, res) => {
+  const { status, body } = speedCommand(req.body);
+  res.status(status).json(body);
+});
+
+// Spin in place (-100 to 100%, positive turns clockwise): the left and right wheels run in opposite directions
+router.post('/spin', (req, res) => {
+  const { speed, immediate = false } = req.body;
   
-  Object.keys(ROBOT_CONFIG.wheels).forEach(wheelKey => {
-    const wheelConfig = ROBOT_CONFIG.wheels[wheelKey];
-    const wheelState = robotState.wheels[wheelKey];
-    
-    // Create HTTP request to set PWM for this wheel
-    const pwmRequest = fetch('/api/pwm/set', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        pin: wheelConfig.pin,
-        dutyCycle: wheelState.speed,
-        frequency: 1000,
-        enabled: wheelState.speed > 0
-      })
+  if (typeof speed !== 'number' || speed < -100 || speed > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid speed. Must be between -100 and 100%',
+      timestamp: new Date().toISOString()
     });
-    
-    pwmPromises.push(pwmRequest);
-  });
+  }
+  
+  if (typeof immediate !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid immediate. Must be true or false',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (reverseError('spin')) {
+    return res.status(400).json({
+      success: false,
+      error: reverseError('spin'),
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (latchedError()) {
+    return res.status(409).json({
+      success: false,
+      error: latchedError(),
+      timestamp: new Date().toISOString()
+    });
+  }
   
   try {
-    const responses = await Promise.all(pwmPromises);
+    abortMotion('Superseded by /spin');
+    leaveDriveMode();
+    const outcome = setTargetSpeed(speed, true, { immediate: immediate });
     
-    // Check if all requests were successful
-    for (let response of responses) {
-      if (!response.ok) {
-        const errorData = await response.json();
-        console.error('PWM request failed:', errorData);
-        return false;
-      }
+    if (!outcome.success) {
+      return sendWheelFailure(res, 'Failed to spin robot', outcome);
     }
     
-    console.log('✅ All wheel speeds applied successfully');
-    return true;
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'spin',
+        robotState: robotState,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: speed === 0 ? 'Robot stopped spinning' : `Robot spinning ${speed > 0 ? 'clockwise' : 'counter-clockwise'} at ${Math.abs(speed)}%`,
+      robotState: robotState,
+      ramp: getRampStatus(),
+      wheels: outcome.wheels,
+      timestamp: new Date().toISOString()
+    });
+    
   } catch (error) {
-    console.error('Error applying wheel speeds:', error);
-    return false;
+    console.error('Robot spin error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to spin robot',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
-}
-
-// ==============================================
-// ROBOT CONTROL ENDPOINTS
-// ==============================================
-
-// Get robot status
-router.get('/status', (req, res) => {
-  res.json({
-    success: true,
-    robotState: robotState,
-    wheelConfiguration: ROBOT_CONFIG.wheels,
-    timestamp: new Date().toISOString()
-  });
 });
 
-// Set total robot speed (0-100%)
-router.post('/speed', async (req, res) => {
-  const { speed } = req.body;
+// Drive with a body velocity: linear (m/s forward), angular (rad/s counter-clockwise) and,
+// for mecanum, lateral (m/s to the left). output: pwm (open loop) | rpm (wheel RPM controllers)
+router.post('/drive', (req, res) => {
+  const { linear = 0, angular = 0, lateral = 0, output = ROBOT_CONFIG.kinematics.output } = req.body;
+  const config = ROBOT_CONFIG.kinematics;
   
-  // Validate speed input
-  if (speed === undefined || speed < 0 || speed > 100) {
+  if (![linear, angular, lateral].every(value => typeof value === 'number' && Number.isFinite(value))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid velocity. linear, angular and lateral must be numbers',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (lateral !== 0 && config.type !== 'mecanum') {
+    return res.status(400).json({
+      success: false,
+      error: `Lateral velocity needs a mecanum base (kinematics type is ${config.type})`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (!kinematics.OUTPUT_MODES.includes(output)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid output. Must be one of: ${kinematics.OUTPUT_MODES.join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const command = { linear, lateral, angular, output };
+  
+  // Reject up front if a forward-only wheel would have to turn backwards
+  const { rpm } = kinematics.wheelRPMs(config, ROBOT_CONFIG.wheels, command, wheelTrims());
+  const blocked = forwardOnlyWheels().filter(wheelKey => rpm[wheelKey] < 0);
+  if (blocked.length > 0) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid speed. Must be between 0-100%',
+      error: `Cannot drive: ${blocked.join(', ')} would need to reverse but ${blocked.length === 1 ? 'has' : 'have'} a forward-only 'pwm' driver`,
+      wheelRPM: rpm,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  if (latchedError()) {
+    return res.status(409).json({
+      success: false,
+      error: latchedError(),
       timestamp: new Date().toISOString()
     });
   }
   
   try {
-    // Update robot state
-    robotState.targetSpeed = speed;
-    robotState.totalSpeed = speed;
-    robotState.isMoving = speed > 0;
-    robotState.direction = speed > 0 ? 'forward' : 'stopped';
+    abortMotion('Superseded by /drive');
+    const outcome = applyDrive(command);
     
-    // Calculate and apply new wheel speeds
-    calculateWheelSpeeds(speed);
-    const success = await applyWheelSpeeds();
+    if (!outcome.success) {
+      return sendWheelFailure(res, 'Failed to drive robot', outcome);
+    }
     
-    if (success) {
-      // Broadcast to all connected clients via WebSocket
-      if (socketIO) {
-        socketIO.emit('robotUpdate', {
-          type: 'speedChange',
-          robotState: robotState,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      res.json({
-        success: true,
-        message: `Robot speed set to ${speed}%`,
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'drive',
         robotState: robotState,
-        wheelDetails: Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => ({
-          wheel: wheelKey,
-          pin: ROBOT_CONFIG.wheels[wheelKey].pin,
-          speed: robotState.wheels[wheelKey].speed,
-          pwmDutyCycle: robotState.wheels[wheelKey].speed,
-          adjustment: robotState.wheels[wheelKey].adjustment
-        })),
         timestamp: new Date().toISOString()
       });
-    } else {
-      throw new Error('Failed to apply wheel speeds to PWM pins');
     }
     
+    res.json({
+      success: true,
+      message: `Driving ${robotState.direction} (${output === 'rpm' ? 'closed loop' : 'open loop'}${robotState.drive.scale < 1 ? `, scaled to ${Math.round(robotState.drive.scale * 100)}%` : ''})`,
+      drive: robotState.drive,
+      robotState: robotState,
+      wheels: outcome.wheels,
+      timestamp: new Date().toISOString()
+    });
+    
   } catch (error) {
-    console.error('Robot speed control error:', error);
+    console.error('Robot drive error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to set robot speed',
+      error: 'Failed to drive robot',
       details: error.message,
       timestamp: new Date().toISOString()
     });
   }
 });
 
-// Adjust individual wheel speed (-50% to +50% of total speed)
-router.post('/wheel', async (req, res) => {
-  const { wheel, adjustment } = req.body;
+// Get the speed ramp: rate (duty per wheel per tick), tick interval and the current target
+router.get('/ramp', (req, res) => {
+  res.json({
+    success: true,
+    ramp: getRampStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Set the ramp rate (0-255 duty per wheel per tick, 0 disables the ramp)
+router.put('/ramp', (req, res) => {
+  const { rate } = req.body;
   
-  // Validate inputs
-  if (!wheel || !ROBOT_CONFIG.wheels[wheel]) {
+  if (!Number.isInteger(rate) || rate < 0 || rate > ROBOT_CONFIG.maxSpeed) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid wheel. Must be one of: frontLeft, frontRight, backLeft, backRight',
+      error: `Invalid rate. Must be an integer between 0-${ROBOT_CONFIG.maxSpeed}`,
       timestamp: new Date().toISOString()
     });
   }
   
-  if (adjustment === undefined || adjustment < -50 || adjustment > 50) {
+  ROBOT_CONFIG.speedSmoothness = rate;
+  console.log(`🤖 Robot speed ramp set to ${rate} duty per wheel per ${RAMP_INTERVAL_MS} ms`);
+  
+  res.json({
+    success: true,
+    message: rate === 0 ? 'Speed ramp disabled' : 'Speed ramp updated',
+    ramp: getRampStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get drive kinematics configuration
+router.get('/kinematics', (req, res) => {
+  res.json({
+    success: true,
+    kinematics: ROBOT_CONFIG.kinematics,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Update drive kinematics (type, wheelBase, trackWidth, wheelRadius, maxWheelRPM, output).
+// Takes effect with the next drive command.
+router.put('/kinematics', (req, res) => {
+  const { error, config } = kinematics.validateKinematics(req.body);
+  
+  if (error) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid adjustment. Must be between -50% to +50%',
+      error: error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  Object.assign(ROBOT_CONFIG.kinematics, config);
+  console.log(`🤖 Robot kinematics updated: ${JSON.stringify(config)}`);
+  
+  res.json({
+    success: true,
+    message: 'Robot kinematics updated',
+    kinematics: ROBOT_CONFIG.kinematics,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get the odometry pose: x/y in metres from the last reset, heading in radians (CCW positive)
+router.get('/pose', (req, res) => {
+  res.json({
+    success: true,
+    pose: getPose(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Drive straight for a distance, e.g. { distance: 50 } (cm, negative reverses). Optional: speed (m/s),
+// decel (m/s²), minSpeed (m/s), tolerance (cm), headingGain, settleTime (s), timeout (s), output
+router.post('/move', (req, res) => handleMotionRequest('move', req, res));
+
+// Turn in place by an angle, e.g. { angle: 90 } (degrees, positive is counter-clockwise). Optional:
+// speed (deg/s), decel (deg/s²), minSpeed (deg/s), tolerance (deg), settleTime (s), timeout (s), output
+router.post('/turn', (req, res) => handleMotionRequest('turn', req, res));
+
+// Get the running move/turn, or the result of the last one
+router.get('/motion', (req, res) => {
+  res.json({
+    success: true,
+    motion: getMotionStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cancel the running move/turn and stop the robot
+router.post('/motion/cancel', (req, res) => {
+  if (!isMotionRunning()) {
+    return res.status(409).json({
+      success: false,
+      error: 'No move or turn running',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  abortMotion('Cancelled');
+  const outcome = stopRobot();
+  
+  if (!outcome.success) {
+    return sendWheelFailure(res, 'Failed to stop robot', outcome);
+  }
+  
+  res.json({
+    success: true,
+    message: `${motion.kind === 'move' ? 'Move' : 'Turn'} cancelled`,
+    motion: getMotionStatus(),
+    robotState: robotState,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Reset the pose to the origin, or to a given { x, y, heading }
+router.post('/pose/reset', (req, res) => {
+  const start = {};
+  
+  if (isMotionRunning()) {
+    return res.status(409).json({
+      success: false,
+      error: `Cannot reset the pose during a ${motion.kind}. Cancel it first`,
       timestamp: new Date().toISOString()
     });
   }
   
+  for (const key of ['x', 'y', 'heading']) {
+    if (req.body[key] === undefined) continue;
+    if (typeof req.body[key] !== 'number' || !Number.isFinite(req.body[key])) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${key}. Must be a number`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    start[key] = req.body[key];
+  }
+  
+  resetPose(start);
+  
+  res.json({
+    success: true,
+    message: 'Robot pose reset',
+    pose: getPose(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Adjust individual wheel speed (-50% to +50% of total speed)
+// Returns { status, body }; shared by POST /wheel and the setWheelAdjustment socket event.
+function wheelCommand({ wheel, adjustment } = {}) {
+  // Validate inputs
+  if (!wheel || !ROBOT_CONFIG.wheels[wheel]) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid wheel. Must be one of: frontLeft, frontRight, backLeft, backRight',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
+  if (typeof adjustment !== 'number' || adjustment < -50 || adjustment > 50) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: 'Invalid adjustment. Must be between -50% to +50%',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
   try {
     // Update wheel adjustment
     robotState.wheels[wheel].adjustment = adjustment;
     
-    // Recalculate all wheel speeds based on current total speed
-    calculateWheelSpeeds(robotState.totalSpeed);
-    const success = await applyWheelSpeeds();
+    // Recalculate all wheel speeds based on current total speed (or drive command)
+    const outcome = refreshWheels();
     
-    if (success) {
-      // Broadcast to all connected clients via WebSocket
-      if (socketIO) {
-        socketIO.emit('robotUpdate', {
-          type: 'wheelAdjustment',
-          wheel: wheel,
-          adjustment: adjustment,
-          robotState: robotState,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      res.json({
+    if (!outcome.success) {
+      return wheelFailure('Failed to adjust wheel speed', outcome);
+    }
+    
+    // Broadcast to all connected clients via WebSocket
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'wheelAdjustment',
+        wheel: wheel,
+        adjustment: adjustment,
+        robotState: robotState,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    return {
+      status: 200,
+      body: {
         success: true,
         message: `${ROBOT_CONFIG.wheels[wheel].name} wheel adjusted by ${adjustment}%`,
         wheel: wheel,
@@ -229,75 +1393,96 @@ router.post('/wheel', async (req, res) => {
         pin: ROBOT_CONFIG.wheels[wheel].pin,
         newSpeed: robotState.wheels[wheel].speed,
         robotState: robotState,
+        wheels: outcome.wheels,
         timestamp: new Date().toISOString()
-      });
-    } else {
-      throw new Error('Failed to apply wheel adjustment to PWM pins');
-    }
+      }
+    };
     
   } catch (error) {
     console.error('Wheel adjustment error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to adjust wheel speed',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to adjust wheel speed',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
   }
+}
+
+router.post('/wheel', (req, res) => {
+  const { status, body } = wheelCommand(req.body);
+  res.status(status).json(body);
 });
 
-// Emergency stop - immediately stop all wheels
-router.post('/stop', async (req, res) => {
+// Emergency stop - immediately stop all wheels (mode: brake | coast, default ROBOT_CONFIG.stopMode)
+// Returns { status, body }; shared by POST /stop and the emergencyStop socket event.
+function stopCommand({ mode = ROBOT_CONFIG.stopMode } = {}, source = 'rest') {
+  if (!motorDriver.STOP_MODES.includes(mode)) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        error: `Invalid mode. Must be one of: ${motorDriver.STOP_MODES.join(', ')}`,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+  
   try {
-    // Reset robot state
-    robotState.totalSpeed = 0;
-    robotState.targetSpeed = 0;
-    robotState.isMoving = false;
-    robotState.direction = 'stopped';
+    notifyEmergencyStop(source);
+    abortMotion(`Emergency stop (${source})`);
+    const outcome = stopRobot(mode);
     
-    // Reset all wheels
-    Object.keys(robotState.wheels).forEach(wheelKey => {
-      robotState.wheels[wheelKey].speed = 0;
-      // Keep adjustments for next movement
-    });
+    if (!outcome.success) {
+      return wheelFailure('Failed to execute emergency stop', outcome);
+    }
     
-    // Apply zero speeds to all wheels
-    const success = await applyWheelSpeeds();
+    // Broadcast emergency stop to all connected clients
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'emergencyStop',
+        robotState: robotState,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    if (success) {
-      // Broadcast emergency stop to all connected clients
-      if (socketIO) {
-        socketIO.emit('robotUpdate', {
-          type: 'emergencyStop',
-          robotState: robotState,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      res.json({
+    return {
+      status: 200,
+      body: {
         success: true,
-        message: 'Emergency stop executed - all wheels stopped',
+        message: `Emergency stop executed - all wheels stopped (${mode})`,
+        mode: mode,
         robotState: robotState,
         stoppedPins: Object.values(ROBOT_CONFIG.wheels).map(wheel => wheel.pin),
+        wheels: outcome.wheels,
         timestamp: new Date().toISOString()
-      });
-    } else {
-      throw new Error('Failed to stop all wheels via PWM');
-    }
+      }
+    };
     
   } catch (error) {
     console.error('Emergency stop error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to execute emergency stop',
-      details: error.message,
-      timestamp: new Date().toISOString()
-    });
+    return {
+      status: 500,
+      body: {
+        success: false,
+        error: 'Failed to execute emergency stop',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    };
   }
+}
+
+router.post('/stop', (req, res) => {
+  const { status, body } = stopCommand(req.body);
+  res.status(status).json(body);
 });
 
 // Reset all wheel adjustments to 0
-router.post('/reset-adjustments', async (req, res) => {
+router.post('/reset-adjustments', (req, res) => {
   try {
     // Reset all wheel adjustments
     Object.keys(robotState.wheels).forEach(wheelKey => {
@@ -305,35 +1490,35 @@ router.post('/reset-adjustments', async (req, res) => {
     });
     
     // Recalculate speeds with no adjustments
-    calculateWheelSpeeds(robotState.totalSpeed);
-    const success = await applyWheelSpeeds();
+    const outcome = refreshWheels();
     
-    if (success) {
-      // Broadcast adjustment reset to all connected clients
-      if (socketIO) {
-        socketIO.emit('robotUpdate', {
-          type: 'adjustmentsReset',
-          robotState: robotState,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      res.json({
-        success: true,
-        message: 'All wheel adjustments reset to 0%',
+    if (!outcome.success) {
+      return sendWheelFailure(res, 'Failed to reset wheel adjustments', outcome);
+    }
+    
+    // Broadcast adjustment reset to all connected clients
+    if (socketIO) {
+      socketIO.emit('robotUpdate', {
+        type: 'adjustmentsReset',
         robotState: robotState,
-        wheelDetails: Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => ({
-          wheel: wheelKey,
-          pin: ROBOT_CONFIG.wheels[wheelKey].pin,
-          speed: robotState.wheels[wheelKey].speed,
-          adjustment: robotState.wheels[wheelKey].adjustment
-        })),
         timestamp: new Date().toISOString()
       });
-    } else {
-      throw new Error('Failed to apply reset adjustments to PWM pins');
     }
     
+    res.json({
+      success: true,
+      message: 'All wheel adjustments reset to 0%',
+      robotState: robotState,
+      wheelDetails: Object.keys(ROBOT_CONFIG.wheels).map(wheelKey => ({
+        wheel: wheelKey,
+        pin: ROBOT_CONFIG.wheels[wheelKey].pin,
+        speed: robotState.wheels[wheelKey].speed,
+        adjustment: robotState.wheels[wheelKey].adjustment
+      })),
+      wheels: outcome.wheels,
+      timestamp: new Date().toISOString()
+    });
+    
   } catch (error) {
     console.error('Reset adjustments error:', error);
     res.status(500).json({
@@ -345,8 +1530,52 @@ router.post('/reset-adjustments', async (req, res) => {
   }
 });
 
+// Robot speed signals, for telemetry history
+function getTelemetry() {
+  const values = {
+    'robot.totalSpeed': robotState.totalSpeed,
+    'robot.targetSpeed': robotState.targetSpeed,
+    'robot.moving': robotState.isMoving,
+    'robot.pose.x': pose.x,
+    'robot.pose.y': pose.y,
+    'robot.pose.heading': pose.heading
+  };
+  Object.entries(robotState.wheels).forEach(([wheelKey, wheel]) => {
+    values[`robot.${wheelKey}.speed`] = wheel.speed;
+    values[`robot.${wheelKey}.adjustment`] = wheel.adjustment;
+  });
+  return values;
+}
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  clearInterval(rampTimer);
+  rampTimer = null;
+  if (isMotionRunning()) {
+    clearInterval(motion.interval);
+    motion.status = 'cancelled';
+  }
+  if (odometryTimer) {
+    clearInterval(odometryTimer);
+    odometryTimer = null;
+  }
+}
+
 // Export router and helper functions
 module.exports = router;
 module.exports.setSocket = setSocket;
 module.exports.robotState = robotState;
-module.exports.ROBOT_CONFIG = ROBOT_CONFIG; 
\ No newline at end of file
+module.exports.ROBOT_CONFIG = ROBOT_CONFIG;
+module.exports.getTelemetry = getTelemetry;
+module.exports.wheelOutput = wheelOutput; 
+module.exports.startOdometry = startOdometry;
+module.exports.getPose = getPose;
+module.exports.cleanup = cleanup;
+module.exports.startMotion = startMotion;
+module.exports.abortMotion = abortMotion;
+module.exports.stopRobot = stopRobot;
+module.exports.onEmergencyStop = onEmergencyStop;
+module.exports.notifyEmergencyStop = notifyEmergencyStop;
+module.exports.speedCommand = speedCommand;
+module.exports.wheelCommand = wheelCommand;
+module.exports.stopCommand = stopCommand;
@@ -1,34 +1,70 @@
 // RPM Control Routes Module - Server-side closed-loop RPM control
-// This module handles real-time RPM control with sensor feedback on the server
+// This module handles real-time RPM control with sensor feedback on the server.
+// Each named controller owns its own pin, sensor, PID state and control interval,
+// so several motors (e.g. all four wheels) can hold speed at the same time.
 
 const express = require('express');
 const router = express.Router();
 
-// RPM Controller state (server-side)
-const rpmControlState = {
-    active: false,
-    targetRPM: 0,
-    currentRPM: 0,
-    currentPWM: 0,
-    error: 0,
-    controlPin: 18,
-    sensorNumber: 1,
-    gain: 2.0,
-    lastPulseCount: 0,
-    lastUpdateTime: 0,
-    controlInterval: null,
-    PULSES_PER_ROTATION: 45, // Based on measurement
-    UPDATE_RATE: 100, // Control loop update rate in ms (slower for stability)
-    maxPWM: 255,
-    minPWM: 0,
-    baseKick: 4,       // reduced to just break static friction
-    // Two-zone PID controller state
-    integralTerm: 0,   // Integral accumulator (I_term)
-    lastError: 0,
-    satTimer: 0,       // Saturation timer for anti-windup
-    // Control improvements
-    errorDeadband: 1.0  // widen deadband to ±1 RPM
-};
+const pidTuning = require('../lib/pid-tuning');
+const autotune = require('../lib/autotune');
+const controlCapture = require('../lib/control-capture');
+const setpointProfile = require('../lib/setpoint-profile');
+const sensorConfig = require('../lib/sensor-config');
+const positionMove = require('../lib/position-move');
+const pinRegistry = require('../lib/pin-registry');
+
+const DEFAULT_CONTROLLER_ID = 'default'; // Used by the legacy single-controller endpoints
+
+// Create the state for one RPM controller
+function createControllerState(id, { controlPin = 18, sensorNumber = 1, output = null } = {}) {
+    return {
+        id: id,
+        active: false,
+        targetRPM: 0,      // Profiled reference the PID tracks this tick
+        setpointRPM: 0,    // Requested setpoint the profile moves toward
+        setpointRate: 0,   // Current rate of change of the reference (RPM/s)
+        profile: setpointProfile.defaultProfile(),
+        sequence: null,    // Running timed setpoint sequence
+        move: null,        // Current/last position move (see lib/position-move)
+        currentRPM: 0,
+        currentPWM: 0,
+        error: 0,
+        controlPin: controlPin,
+        sensorNumber: sensorNumber,
+        output: output,    // Custom motor output (dutyCycle) => void, e.g. a robot wheel's H-bridge; null writes PWM to controlPin
+        gain: pidTuning.NOMINAL_GAIN, // Overall multiplier on the gain schedule
+        lastPulseCount: 0,
+        lastUpdateTime: 0,
+        controlInterval: null,
+        UPDATE_RATE: 100, // Control loop update rate in ms (slower for stability)
+        maxPWM: 255,
+        minPWM: 0,
+        baseKick: 4,       // reduced to just break static friction
+        feedForward: 0.15, // Feed-forward PWM per target RPM
+        integralLimit: 100, // Integral accumulator clamp (±)
+        gainSchedule: pidTuning.defaultGainSchedule(), // Gains by target RPM
+        // PID controller state
+        integralTerm: 0,   // Integral accumulator (I_term)
+        lastError: 0,
+        satTimer: 0,       // Saturation timer for anti-windup
+        stallPWM: 80,      // PWM at or above which zero speed counts as a stall
+        stallTimeout: 1.0, // Seconds of stall before the controller faults
+        stallTimer: 0,
+        fault: null,       // Latched fault (e.g. stall) until the next start
+        autotune: null,    // Current/last auto-tuning session
+        capture: null,     // Control tick recorder (see lib/control-capture)
+        // Control improvements
+        errorDeadband: 1.0  // widen deadband to ±1 RPM
+    };
+}
+
+// All controllers by id
+const controllers = new Map();
+
+// Legacy single controller, kept for /start, /stop, /set-rpm, /set-params and /status
+const rpmControlState = createControllerState(DEFAULT_CONTROLLER_ID);
+controllers.set(DEFAULT_CONTROLLER_ID, rpmControlState);
 
 // Socket.IO instance for real-time updates
 let io = null;
@@ -45,13 +81,86 @@ function setSensorRoutes(sensorRoutesInstance) {
     console.log('🎯 RPM Control: Sensor routes reference set');
 }
 
+// Create a named controller, returning the existing one if the id is taken
+function createController(id, options = {}) {
+    if (controllers.has(id)) {
+        return controllers.get(id);
+    }
+    
+    const ctrl = createControllerState(id, options);
+    controllers.set(id, ctrl);
+    console.log(`🎯 RPM Control: Controller "${id}" created (GPIO ${ctrl.controlPin}, Sensor ${ctrl.sensorNumber})`);
+    return ctrl;
+}
+
+function getController(id) {
+    return controllers.get(id);
+}
+
+// Error while the E-STOP is latched, or null (loaded lazily: the safety module requires this one)
+function latchedError() {
+    return require('./safety-routes').latchedError();
+}
+
+// Find another running controller already driving this pin or reading this sensor
+function findConflictingController(ctrl, controlPin, sensorNumber) {
+    for (const other of controllers.values()) {
+        if (other === ctrl || !other.active) continue;
+        if (other.controlPin === controlPin || other.sensorNumber === sensorNumber) {
+            return other;
+        }
+    }
+    return null;
+}
+
+// Take the controller's motor pin in the pin registry (throws a 409 error if another subsystem
+// owns it). Controllers with a custom output drive through their owner, e.g. the robot, which
+// claims its own pins through output.claim.
+function claimControlPin(ctrl, controlPin) {
+    if (ctrl.output) {
+        if (ctrl.output.claim) ctrl.output.claim();
+        return;
+    }
+    
+    const owner = `rpm-control/${ctrl.id}`;
+    pinRegistry.claim(controlPin, owner, 'pwm', `RPM controller "${ctrl.id}" motor`);
+    pinRegistry.releaseOwner(owner, [controlPin]);
+}
+
+function releaseControlPin(ctrl) {
+    pinRegistry.releaseOwner(`rpm-control/${ctrl.id}`);
+}
+
+// Whether the controller still holds its motor pin in the pin registry
+function ownsControlPin(ctrl) {
+    const claim = pinRegistry.getClaim(ctrl.controlPin);
+    return Boolean(claim && claim.owner === `rpm-control/${ctrl.id}`);
+}
+
+// Check an optional control pin and sensor number from a request body. Returns an error or null.
+function validatePinAndSensor({ controlPin, sensorNumber } = {}) {
+    if (controlPin !== undefined && (!Number.isInteger(controlPin) || controlPin < 0 || controlPin > 27)) {
+        return 'Invalid control pin. Must be between 0-27';
+    }
+    if (sensorNumber !== undefined && (!Number.isInteger(sensorNumber) || sensorNumber < 1)) {
+        return 'Invalid sensor number. Must be a positive integer';
+    }
+    return null;
+}
+
+// Pulses per rotation of the controller's sensor (configured per sensor)
+function getPulsesPerRotation(ctrl) {
+    const sensorData = sensorRoutes && sensorRoutes.sensorState.activeSensors.get(ctrl.sensorNumber);
+    return sensorData && sensorData.config ? sensorData.config.pulsesPerRotation : sensorConfig.defaultSensorConfig().pulsesPerRotation;
+}
+
 // Calculate current RPM from sensor data using filtered interrupt-based readings
-function calculateCurrentRPM() {
+function calculateCurrentRPM(ctrl) {
     if (!sensorRoutes || !sensorRoutes.sensorState) {
         return 0;
     }
     
-    const sensor = rpmControlState.sensorNumber;
+    const sensor = ctrl.sensorNumber;
     const sensorData = sensorRoutes.sensorState.activeSensors.get(sensor); // Fixed: use number not string
     
     if (!sensorData || !sensorData.enabled) {
@@ -60,128 +169,200 @@ function calculateCurrentRPM() {
     
     // Use the filtered RPM from interrupt-based calculation - fall back to last valid reading
     if (sensorData.filteredRPM !== undefined && sensorData.filteredRPM > 0) {
-        rpmControlState.currentRPM = Math.round(sensorData.filteredRPM * 10) / 10;
-    } else if (rpmControlState.currentRPM > 0) {
+        ctrl.currentRPM = Math.round(sensorData.filteredRPM * 10) / 10;
+    } else if (ctrl.currentRPM > 0 && !sensorData.zeroSpeed) {
         // Keep last valid RPM reading instead of falling back to 0
         // This prevents control disruption during brief sensor gaps
+        // (the sensor's zero-speed detection ends the gap once the wheel has really stopped)
     } else {
         // Fallback to old calculation if no filtered RPM available and no previous reading
         const currentPulses = sensorData.pulses || 0;
         const currentTime = Date.now();
         
-        if (rpmControlState.lastUpdateTime > 0) {
-            const timeDelta = (currentTime - rpmControlState.lastUpdateTime) / 1000;
-            const pulseDelta = currentPulses - rpmControlState.lastPulseCount;
+        if (ctrl.lastUpdateTime > 0) {
+            const timeDelta = (currentTime - ctrl.lastUpdateTime) / 1000;
+            const pulseDelta = currentPulses - ctrl.lastPulseCount;
             
             if (timeDelta > 0 && pulseDelta >= 0) {
                 const pulsesPerSecond = pulseDelta / timeDelta;
-                const rotationsPerSecond = pulsesPerSecond / rpmControlState.PULSES_PER_ROTATION;
+                const rotationsPerSecond = pulsesPerSecond / getPulsesPerRotation(ctrl);
                 const instantRPM = rotationsPerSecond * 60;
-                rpmControlState.currentRPM = Math.round(instantRPM * 10) / 10;
+                ctrl.currentRPM = Math.round(instantRPM * 10) / 10;
             }
         }
         
-        rpmControlState.lastPulseCount = currentPulses;
-        rpmControlState.lastUpdateTime = currentTime;
+        ctrl.lastPulseCount = currentPulses;
+        ctrl.lastUpdateTime = currentTime;
     }
     
-    console.log(`🔍 [calculateCurrentRPM] sensor #${rpmControlState.sensorNumber} → rawPulses=${sensorData ? sensorData.pulses : 0}, filteredRPM=${sensorData ? (sensorData.filteredRPM ?? 0).toFixed(1) : 0}, currentRPM=${rpmControlState.currentRPM.toFixed(1)}`);
-    return rpmControlState.currentRPM;
+    console.log(`🔍 [calculateCurrentRPM:${ctrl.id}] sensor #${ctrl.sensorNumber} → rawPulses=${sensorData ? sensorData.pulses : 0}, filteredRPM=${sensorData ? (sensorData.filteredRPM ?? 0).toFixed(1) : 0}, currentRPM=${ctrl.currentRPM.toFixed(1)}`);
+    return ctrl.currentRPM;
 }
 
-// Two-zone PID Controller with feed-forward start torque
-function updateRPMController() {
-    if (!rpmControlState.active) return;
+// Gain-scheduled PID Controller with feed-forward start torque
+function updateRPMController(ctrl) {
+    if (!ctrl.active) return;
+    
+    // Move the reference toward the requested setpoint within the profile limits
+    const reference = setpointProfile.advanceSetpoint(
+        { value: ctrl.targetRPM, rate: ctrl.setpointRate },
+        ctrl.setpointRPM,
+        ctrl.UPDATE_RATE / 1000,
+        ctrl.profile
+    );
+    ctrl.targetRPM = reference.value;
+    ctrl.setpointRate = reference.rate;
     
     // Calculate current RPM from sensor data
-    const currentRPM = calculateCurrentRPM();
-    const sd = sensorRoutes.sensorState.activeSensors.get(rpmControlState.sensorNumber) || {};
-    console.log(`🔍 [PID Loop] target=${rpmControlState.targetRPM}, rawCurrentRPM=${currentRPM.toFixed(1)}, rawPulses=${sd.pulses || 0}, filteredRPM=${(sd.filteredRPM||0).toFixed(1)}`);
+    const currentRPM = calculateCurrentRPM(ctrl);
+    const sd = sensorRoutes.sensorState.activeSensors.get(ctrl.sensorNumber) || {};
+    
+    // Stall: driving hard while the encoder reports zero speed
+    if (checkStall(ctrl, sd)) return;
+    console.log(`🔍 [PID Loop:${ctrl.id}] target=${ctrl.targetRPM}, rawCurrentRPM=${currentRPM.toFixed(1)}, rawPulses=${sd.pulses || 0}, filteredRPM=${(sd.filteredRPM||0).toFixed(1)}`);
     
     // Calculate error
-    const error = rpmControlState.targetRPM - currentRPM;
+    const error = ctrl.targetRPM - currentRPM;
     
     // Apply deadband to reduce oscillation for small errors
-    if (Math.abs(error) < rpmControlState.errorDeadband) {
+    if (Math.abs(error) < ctrl.errorDeadband) {
         // Small error - don't adjust PWM, just maintain current output
-        rpmControlState.error = Math.round(error * 10) / 10;
-        broadcastRPMStatus();
+        ctrl.error = Math.round(error * 10) / 10;
+        controlCapture.recordSample(ctrl.capture, {
+            ...captureCommand(ctrl),
+            setpointRPM: ctrl.setpointRPM,
+            targetRPM: ctrl.targetRPM,
+            currentRPM: currentRPM,
+            filteredRPM: sd.filteredRPM ?? 0,
+            p: 0,
+            i: ctrl.integralTerm,
+            d: 0,
+            pwm: ctrl.currentPWM,
+            saturated: false
+        });
+        broadcastRPMStatus(ctrl);
         return;
     }
     
-    // Two-zone PID gains based on target RPM
-    const LOW_SPEED = 20; // rpm threshold
-    const gainsLow  = {kp: 0.35, ki: 0.05, kd: 0};  // remove derivative on very low speed
-    const gainsHigh = {kp: 2.5, ki: 0.35, kd: 0.04};  // Aggressive gains for high speed
-    const g = (rpmControlState.targetRPM < LOW_SPEED) ? gainsLow : gainsHigh;
+    // Scheduled PID gains based on target RPM
+    const g = pidTuning.gainsForTarget(ctrl.gainSchedule, ctrl.targetRPM, ctrl.gain);
     
     // PID calculations with improved integral handling
-    const dt = rpmControlState.UPDATE_RATE / 1000; // Convert to seconds
+    const dt = ctrl.UPDATE_RATE / 1000; // Convert to seconds
     
     // Proportional term
     const proportional = g.kp * error;
     
     // Integral term with proper scaling and clamping
-    rpmControlState.integralTerm += g.ki * error * dt;
-    rpmControlState.integralTerm = Math.max(-100, Math.min(100, rpmControlState.integralTerm));
+    ctrl.integralTerm += g.ki * error * dt;
+    ctrl.integralTerm = Math.max(-ctrl.integralLimit, Math.min(ctrl.integralLimit, ctrl.integralTerm));
     
     // Derivative term - avoid spike on first iteration
     let derivative = 0;
-    if (rpmControlState.lastError !== rpmControlState.targetRPM) {
-        derivative = g.kd * (error - rpmControlState.lastError) / dt;
+    if (ctrl.lastError !== ctrl.targetRPM) {
+        derivative = g.kd * (error - ctrl.lastError) / dt;
     }
     
     // Absolute‑output PID
-    let u = proportional + rpmControlState.integralTerm + derivative;
-
+    let u = proportional + ctrl.integralTerm + derivative;
+    
     // Feed‑forward kick proportional to target RPM
-    const kick = rpmControlState.baseKick + 0.15 * rpmControlState.targetRPM;  // lower feed-forward
+    const kick = ctrl.baseKick + ctrl.feedForward * ctrl.targetRPM;
     if (error > 0 && u < kick) u = kick;
-
+    
     // ── Dynamic lower clamp ──────────────────────────────────
     // Need to accelerate → guarantee static‑friction break‑away.
     // Need to decelerate (error<0) → allow 0 so wheel can slow.
-    const minAllowed = (error > 0) ? kick : rpmControlState.minPWM;
-
+    const minAllowed = (error > 0) ? kick : ctrl.minPWM;
+    
     // Clamp to actuator limits
-    u = Math.max(minAllowed, Math.min(rpmControlState.maxPWM, u));
-    rpmControlState.currentPWM = Math.round(u);
+    u = Math.max(minAllowed, Math.min(ctrl.maxPWM, u));
+    ctrl.currentPWM = Math.round(u);
     
     // Anti‑wind‑up: if PWM has been hard‑clamped for >250 ms, bleed off ITerm
     const saturated =
-          rpmControlState.currentPWM === rpmControlState.maxPWM
-       || rpmControlState.currentPWM === rpmControlState.minPWM;
-    rpmControlState.satTimer = saturated ? (rpmControlState.satTimer ?? 0) + dt : 0;
-    if (rpmControlState.satTimer > 0.25) {
-        rpmControlState.integralTerm *= 0.7;
+          ctrl.currentPWM === ctrl.maxPWM
+       || ctrl.currentPWM === ctrl.minPWM;
+    ctrl.satTimer = saturated ? (ctrl.satTimer ?? 0) + dt : 0;
+    if (ctrl.satTimer > 0.25) {
+        ctrl.integralTerm *= 0.7;
     }
     
     // Send PWM command to motor
-    console.log(`🔍 [PID OUTPUT] P=${proportional.toFixed(2)}, I=${rpmControlState.integralTerm.toFixed(2)}, D=${derivative.toFixed(2)}, PWM=${rpmControlState.currentPWM}`);
-    sendPWMCommand(rpmControlState.controlPin, rpmControlState.currentPWM);
+    console.log(`🔍 [PID OUTPUT:${ctrl.id}] P=${proportional.toFixed(2)}, I=${ctrl.integralTerm.toFixed(2)}, D=${derivative.toFixed(2)}, PWM=${ctrl.currentPWM}`);
+    writeMotor(ctrl, ctrl.currentPWM);
     
     // Update state
-    rpmControlState.error = Math.round(error * 10) / 10;
-    rpmControlState.lastError = error;
+    ctrl.error = Math.round(error * 10) / 10;
+    ctrl.lastError = error;
+    
+    controlCapture.recordSample(ctrl.capture, {
+        ...captureCommand(ctrl),
+        setpointRPM: ctrl.setpointRPM,
+        targetRPM: ctrl.targetRPM,
+        currentRPM: currentRPM,
+        filteredRPM: sd.filteredRPM ?? 0,
+        p: proportional,
+        i: ctrl.integralTerm,
+        d: derivative,
+        pwm: ctrl.currentPWM,
+        saturated: saturated
+    });
     
     // Broadcast status update to clients
-    broadcastRPMStatus();
+    broadcastRPMStatus(ctrl);
     
     // Enhanced logging with filteredRPM and final PWM
     if (Math.abs(error) > 1) {
-        const sensorData = sensorRoutes.sensorState.activeSensors.get(rpmControlState.sensorNumber);
+        const sensorData = sensorRoutes.sensorState.activeSensors.get(ctrl.sensorNumber);
         const pulseCount = sensorData ? sensorData.pulses : 'N/A';
         const filteredRPM = sensorData ? (sensorData.filteredRPM || 0) : 0;
-        const gainZone = (rpmControlState.targetRPM < LOW_SPEED) ? 'LOW' : 'HIGH';
-        console.log(`🎯 RPM Control [${gainZone}]: Target=${rpmControlState.targetRPM}, Current=${currentRPM.toFixed(1)}, Filtered=${filteredRPM.toFixed(1)}, Error=${error.toFixed(1)}, PWM=${rpmControlState.currentPWM}, P=${proportional.toFixed(2)}, I=${rpmControlState.integralTerm.toFixed(2)}, D=${derivative.toFixed(2)}, Pulses=${pulseCount}`);
+        console.log(`🎯 RPM Control [${ctrl.id}] kp=${g.kp.toFixed(2)}: Target=${ctrl.targetRPM}, Current=${currentRPM.toFixed(1)}, Filtered=${filteredRPM.toFixed(1)}, Error=${error.toFixed(1)}, PWM=${ctrl.currentPWM}, P=${proportional.toFixed(2)}, I=${ctrl.integralTerm.toFixed(2)}, D=${derivative.toFixed(2)}, Pulses=${pulseCount}`);
+    }
+}
+
+// Track how long the motor has been driven at stallPWM or more without any encoder edges.
+// Returns true when the controller faulted and was halted.
+function checkStall(ctrl, sensorData) {
+    const stalled = sensorData.zeroSpeed && ctrl.currentPWM >= ctrl.stallPWM;
+    ctrl.stallTimer = stalled ? ctrl.stallTimer + ctrl.UPDATE_RATE / 1000 : 0;
+    
+    if (ctrl.stallTimer < ctrl.stallTimeout) {
+        return false;
+    }
+    
+    raiseFault(ctrl, 'stall', `Motor stalled: PWM ${ctrl.currentPWM} on GPIO ${ctrl.controlPin} with no pulses from sensor ${ctrl.sensorNumber} for ${ctrl.stallTimeout}s`);
+    return true;
+}
+
+// Latch a fault: cut power, end any sequence or move, and tell clients
+function raiseFault(ctrl, type, message) {
+    ctrl.fault = {
+        type: type,
+        message: message,
+        pwm: ctrl.currentPWM,
+        targetRPM: ctrl.targetRPM,
+        timestamp: Date.now()
+    };
+    
+    console.error(`🚨 RPM Control fault [${ctrl.id}]: ${message}`);
+    
+    finishSequence(ctrl, 'failed', message);
+    finishMove(ctrl, 'failed', message);
+    haltController(ctrl);
+    
+    if (io) {
+        io.emit('rpmFault', {
+            controllerId: ctrl.id,
+            ...ctrl.fault
+        });
     }
+    broadcastRPMStatus(ctrl);
 }
 
-// Send PWM command (placeholder - will use PWM routes)
+// Send PWM command through the PWM routes
 async function sendPWMCommand(pin, dutyCycle) {
     try {
-        // This will be integrated with the PWM routes
-        // For now, we'll use a direct approach
         const pwmRoutes = require('./pwm-routes');
         if (pwmRoutes.setPWMDirect) {
             await pwmRoutes.setPWMDirect(pin, dutyCycle, 1000);
@@ -191,278 +372,1595 @@ async function sendPWMCommand(pin, dutyCycle) {
     }
 }
 
+// Drive the controller's motor through its custom output, or as plain PWM on controlPin
+function writeMotor(ctrl, dutyCycle) {
+    if (ctrl.output) {
+        ctrl.output(dutyCycle);
+    } else {
+        sendPWMCommand(ctrl.controlPin, dutyCycle);
+    }
+}
+
+// Status snapshot of one controller
+function getControllerStatus(ctrl) {
+    return {
+        controllerId: ctrl.id,
+        active: ctrl.active,
+        targetRPM: ctrl.targetRPM,
+        setpointRPM: ctrl.setpointRPM,
+        currentRPM: ctrl.currentRPM,
+        currentPWM: ctrl.currentPWM,
+        error: ctrl.error,
+        controlPin: ctrl.controlPin,
+        sensorNumber: ctrl.sensorNumber,
+        profile: ctrl.profile,
+        sequence: getSequenceStatus(ctrl.sequence),
+        move: getMoveStatus(ctrl),
+        fault: ctrl.fault,
+        baseKick: ctrl.baseKick,
+        updateRate: ctrl.UPDATE_RATE,
+        pulsesPerRotation: getPulsesPerRotation(ctrl),
+        tuning: getTuning(ctrl)
+    };
+}
+
+// Current tuning of one controller, including the gains in effect right now
+function getTuning(ctrl) {
+    return {
+        gain: ctrl.gain,
+        gainSchedule: ctrl.gainSchedule,
+        activeGains: pidTuning.gainsForTarget(ctrl.gainSchedule, ctrl.targetRPM, ctrl.gain),
+        integralLimit: ctrl.integralLimit,
+        errorDeadband: ctrl.errorDeadband,
+        baseKick: ctrl.baseKick,
+        feedForward: ctrl.feedForward,
+        updateRate: ctrl.UPDATE_RATE,
+        stallPWM: ctrl.stallPWM,
+        stallTimeout: ctrl.stallTimeout
+    };
+}
+
+// Apply a validated tuning update, live if the loop is running
+function applyTuning(ctrl, tuning) {
+    if (tuning.gain !== undefined) ctrl.gain = tuning.gain;
+    if (tuning.gainSchedule !== undefined) ctrl.gainSchedule = tuning.gainSchedule;
+    if (tuning.errorDeadband !== undefined) ctrl.errorDeadband = tuning.errorDeadband;
+    if (tuning.baseKick !== undefined) ctrl.baseKick = tuning.baseKick;
+    if (tuning.feedForward !== undefined) ctrl.feedForward = tuning.feedForward;
+    if (tuning.stallPWM !== undefined) ctrl.stallPWM = tuning.stallPWM;
+    if (tuning.stallTimeout !== undefined) ctrl.stallTimeout = tuning.stallTimeout;
+
+    if (tuning.integralLimit !== undefined) {
+        ctrl.integralLimit = tuning.integralLimit;
+        ctrl.integralTerm = Math.max(-ctrl.integralLimit, Math.min(ctrl.integralLimit, ctrl.integralTerm));
+    }
+
+    if (tuning.updateRate !== undefined && tuning.updateRate !== ctrl.UPDATE_RATE) {
+        ctrl.UPDATE_RATE = tuning.updateRate;
+
+        // Restart the loop so the new rate takes effect immediately
+        if (ctrl.active && ctrl.controlInterval) {
+            clearInterval(ctrl.controlInterval);
+            ctrl.controlInterval = setInterval(() => updateRPMController(ctrl), ctrl.UPDATE_RATE);
+        }
+    }
+
+    console.log(`🎯 RPM Control tuning updated [${ctrl.id}]: ${JSON.stringify(tuning)}`);
+}
+
 // Broadcast RPM status to all connected clients
-function broadcastRPMStatus() {
+function broadcastRPMStatus(ctrl) {
     if (io) {
         io.emit('rpmStatus', {
-            active: rpmControlState.active,
-            targetRPM: rpmControlState.targetRPM,
-            currentRPM: rpmControlState.currentRPM,
-            currentPWM: rpmControlState.currentPWM,
-            error: rpmControlState.error,
-            controlPin: rpmControlState.controlPin,
-            sensorNumber: rpmControlState.sensorNumber,
+            controllerId: ctrl.id,
+            active: ctrl.active,
+            targetRPM: ctrl.targetRPM,
+            setpointRPM: ctrl.setpointRPM,
+            currentRPM: ctrl.currentRPM,
+            currentPWM: ctrl.currentPWM,
+            error: ctrl.error,
+            controlPin: ctrl.controlPin,
+            sensorNumber: ctrl.sensorNumber,
+            fault: ctrl.fault,
             timestamp: Date.now()
         });
     }
 }
 
-// Start RPM control
-router.post('/start', (req, res) => {
-    try {
-        const { targetRPM, controlPin, sensorNumber, gain } = req.body;
-        
-        if (!targetRPM || targetRPM <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Target RPM must be greater than 0'
-            });
+// Start (or restart) a controller's loop. Throws an error carrying an HTTP status
+// when the sensor is not ready, the pin/sensor is taken or the E-STOP is latched.
+function startController(ctrl, { targetRPM, controlPin = ctrl.controlPin, sensorNumber = ctrl.sensorNumber }) {
+    if (!sensorRoutes || !sensorRoutes.sensorState) {
+        throw Object.assign(new Error('Sensor system not available'), { status: 500 });
+    }
+    
+    // Check if sensor is enabled (use number key to match sensor storage)
+    const sensorData = sensorRoutes.sensorState.activeSensors.get(sensorNumber);
+    if (!sensorData || !sensorData.enabled) {
+        throw Object.assign(new Error(`Sensor ${sensorNumber} is not enabled. Please enable it first.`), { status: 400 });
+    }
+    
+    if (ctrl.autotune && ctrl.autotune.status === 'running') {
+        throw Object.assign(new Error(`RPM controller "${ctrl.id}" is auto-tuning. Cancel it first.`), { status: 409 });
+    }
+    
+    // Nothing restarts a motor while the E-STOP is latched, not even a sequence or move timer
+    const latched = latchedError();
+    if (latched) {
+        throw Object.assign(new Error(latched), { status: 409 });
+    }
+    
+    // Two controllers must never drive the same motor or share an encoder
+    const conflict = findConflictingController(ctrl, controlPin, sensorNumber);
+    if (conflict) {
+        throw Object.assign(new Error(`RPM controller "${conflict.id}" is already running on GPIO ${conflict.controlPin} / Sensor ${conflict.sensorNumber}`), { status: 409 });
+    }
+    
+    claimControlPin(ctrl, controlPin);
+    
+    // Stop any existing control
+    if (ctrl.controlInterval) {
+        clearInterval(ctrl.controlInterval);
+    }
+    
+    // Update control parameters. A profiled start ramps the reference up from rest.
+    ctrl.setpointRPM = targetRPM;
+    ctrl.targetRPM = ctrl.profile.mode === 'step' ? targetRPM : 0;
+    ctrl.setpointRate = 0;
+    ctrl.controlPin = controlPin;
+    ctrl.sensorNumber = sensorNumber;
+    ctrl.active = true;
+    
+    // Initialize startup PWM with proportional kick
+    ctrl.currentPWM = ctrl.baseKick + ctrl.feedForward * ctrl.targetRPM;
+    ctrl.lastPulseCount = sensorData.pulses || 0;
+    ctrl.lastUpdateTime = Date.now();
+    ctrl.integralTerm = 0; // Reset integral accumulator
+    ctrl.lastError = ctrl.targetRPM; // Initialize to target to prevent derivative spike
+    ctrl.satTimer = 0;     // Reset saturation timer
+    ctrl.stallTimer = 0;
+    
+    // Starting again acknowledges any previous fault
+    if (ctrl.fault) {
+        console.log(`🎯 RPM Control [${ctrl.id}]: clearing ${ctrl.fault.type} fault`);
+        ctrl.fault = null;
+    }
+    
+    // Reset sensor RPM filter to avoid stale readings
+    if (sensorRoutes.sensorState.rpmFilters) {
+        sensorRoutes.sensorState.rpmFilters.set(sensorData.pin, 0);
+    }
+    
+    // Start control loop
+    ctrl.controlInterval = setInterval(() => updateRPMController(ctrl), ctrl.UPDATE_RATE);
+    
+    console.log(`🎯 RPM Control Started [${ctrl.id}]: Target=${targetRPM} RPM, Pin=GPIO ${ctrl.controlPin}, Sensor=${sensorNumber}, Gain=${ctrl.gain}, Profile=${ctrl.profile.mode}`);
+    
+    // Broadcast initial status
+    broadcastRPMStatus(ctrl);
+}
+
+// Point a controller at another pin and/or sensor. A running controller takes the new pin
+// from the pin registry (giving the old one back, driven low); an idle one may only pick a
+// pin nobody holds. Throws status errors like startController.
+function retargetController(ctrl, controlPin, sensorNumber) {
+    if (ctrl.output && controlPin !== ctrl.controlPin) {
+        throw Object.assign(new Error(`RPM controller "${ctrl.id}" drives a robot wheel; its pin comes from ROBOT_CONFIG`), { status: 400 });
+    }
+    
+    if (ctrl.autotune && ctrl.autotune.status === 'running') {
+        throw Object.assign(new Error(`RPM controller "${ctrl.id}" is auto-tuning. Cancel it first.`), { status: 409 });
+    }
+    
+    if (ctrl.active) {
+        const sensorData = sensorRoutes && sensorRoutes.sensorState.activeSensors.get(sensorNumber);
+        if (!sensorData || !sensorData.enabled) {
+            throw Object.assign(new Error(`Sensor ${sensorNumber} is not enabled. Please enable it first.`), { status: 400 });
         }
         
-        if (!sensorRoutes || !sensorRoutes.sensorState) {
-            return res.status(500).json({
-                success: false,
-                error: 'Sensor system not available'
-            });
+        const conflict = findConflictingController(ctrl, controlPin, sensorNumber);
+        if (conflict) {
+            throw Object.assign(new Error(`RPM controller "${conflict.id}" is already running on GPIO ${conflict.controlPin} / Sensor ${conflict.sensorNumber}`), { status: 409 });
         }
         
-        // Check if sensor is enabled (use number key to match sensor storage)
-        const sensorData = sensorRoutes.sensorState.activeSensors.get(sensorNumber);
-        if (!sensorData || !sensorData.enabled) {
-            return res.status(400).json({
-                success: false,
-                error: `Sensor ${sensorNumber} is not enabled. Please enable it first.`
-            });
+        if (controlPin !== ctrl.controlPin) {
+            claimControlPin(ctrl, controlPin);
+            sendPWMCommand(ctrl.controlPin, 0);
         }
-        
-        // Stop any existing control
-        if (rpmControlState.controlInterval) {
-            clearInterval(rpmControlState.controlInterval);
+        if (sensorNumber !== ctrl.sensorNumber) {
+            ctrl.lastPulseCount = sensorData.pulses || 0;
+            ctrl.lastUpdateTime = Date.now();
         }
-        
-        // Update control parameters
-        rpmControlState.targetRPM = targetRPM;
-        rpmControlState.controlPin = controlPin || 18;
-        rpmControlState.sensorNumber = sensorNumber || 1;
-        // Note: gain parameter now handled by two-zone system, kept for compatibility
-        rpmControlState.active = true;
-        
-        // Initialize startup PWM with proportional kick
-        rpmControlState.currentPWM = rpmControlState.baseKick + 0.15 * targetRPM;  // match reduced kick
-        rpmControlState.lastPulseCount = sensorData.pulses || 0;
-        rpmControlState.lastUpdateTime = Date.now();
-        rpmControlState.integralTerm = 0; // Reset integral accumulator
-        rpmControlState.lastError = targetRPM; // Initialize to target to prevent derivative spike
-        rpmControlState.satTimer = 0;     // Reset saturation timer
-        
-        // Reset sensor RPM filter to avoid stale readings
-        if (sensorRoutes.sensorState.rpmFilters) {
-            sensorRoutes.sensorState.rpmFilters.set(sensorData.pin, 0);
+    } else if (!ctrl.output) {
+        const error = pinRegistry.conflictError(controlPin, `rpm-control/${ctrl.id}`, 'pwm');
+        if (error) {
+            throw Object.assign(new Error(error), { status: 409, owner: pinRegistry.getClaim(controlPin) });
         }
-        
-        // Start control loop
-        rpmControlState.controlInterval = setInterval(updateRPMController, rpmControlState.UPDATE_RATE);
-        
-        console.log(`🎯 RPM Control Started: Target=${targetRPM} RPM, Pin=GPIO ${rpmControlState.controlPin}, Sensor=${sensorNumber}, Gain=${gain}`);
-        
-        // Broadcast initial status
-        broadcastRPMStatus();
-        
-        res.json({
-            success: true,
-            message: `RPM control started: ${targetRPM} RPM on GPIO ${rpmControlState.controlPin}`,
-            controlState: {
-                targetRPM: rpmControlState.targetRPM,
-                controlPin: rpmControlState.controlPin,
-                sensorNumber: rpmControlState.sensorNumber,
-                gainZone: (targetRPM < 20) ? 'LOW_SPEED' : 'HIGH_SPEED',
-                baseKick: rpmControlState.baseKick,
-                updateRate: rpmControlState.UPDATE_RATE
-            }
-        });
-        
-    } catch (error) {
-        console.error('RPM control start error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to start RPM control'
-        });
     }
-});
+    
+    ctrl.controlPin = controlPin;
+    ctrl.sensorNumber = sensorNumber;
+}
 
-// Stop RPM control
-router.post('/stop', (req, res) => {
-    try {
-        rpmControlState.active = false;
+// Stop a controller: cancel any auto-tune, sequence or move, then halt the loop and motor
+function stopController(ctrl) {
+    finishAutotune(ctrl, 'cancelled');
+    finishSequence(ctrl, 'cancelled');
+    finishMove(ctrl, 'cancelled');
+    haltController(ctrl);
+}
+
+// Stop every busy controller: running loops, and idle ones whose auto-tune, sequence or move
+// still owns a timer (a relay experiment, or a sequence waiting in an rpm: 0 step). Returns
+// the ids of the controllers stopped.
+function stopAll() {
+    const stopped = [];
+    controllers.forEach(ctrl => {
+        const busy = ctrl.active
+            || Boolean(ctrl.autotune && ctrl.autotune.status === 'running')
+            || Boolean(ctrl.sequence && ctrl.sequence.status === 'running')
+            || Boolean(ctrl.move && ctrl.move.status === 'running');
         
-        if (rpmControlState.controlInterval) {
-            clearInterval(rpmControlState.controlInterval);
-            rpmControlState.controlInterval = null;
+        if (busy) {
+            stopController(ctrl);
+            stopped.push(ctrl.id);
+            broadcastRPMStatus(ctrl);
         }
-        
-        // Stop motor
-        sendPWMCommand(rpmControlState.controlPin, 0);
-        rpmControlState.currentPWM = 0;
-        rpmControlState.integralTerm = 0;
-        rpmControlState.lastError = 0;
-        rpmControlState.satTimer = 0;
-        
-        console.log('🎯 RPM Control Stopped');
-        
-        // Broadcast final status
-        broadcastRPMStatus();
-        
-        res.json({
-            success: true,
-            message: 'RPM control stopped'
-        });
-        
-    } catch (error) {
-        console.error('RPM control stop error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to stop RPM control'
-        });
+    });
+    return stopped;
+}
+
+// Halt the control loop and its motor
+function haltController(ctrl) {
+    const wasActive = ctrl.active;
+    ctrl.active = false;
+    
+    if (ctrl.controlInterval) {
+        clearInterval(ctrl.controlInterval);
+        ctrl.controlInterval = null;
     }
-});
+    
+    // Stop motor - only if this controller was driving it: an idle controller must not zero
+    // a pin (or robot wheel) that something else is using now
+    if (wasActive || ownsControlPin(ctrl)) {
+        writeMotor(ctrl, 0);
+        releaseControlPin(ctrl);
+    }
+    ctrl.currentPWM = 0;
+    ctrl.integralTerm = 0;
+    ctrl.lastError = 0;
+    ctrl.satTimer = 0;
+    ctrl.stallTimer = 0;
+    ctrl.setpointRate = 0;
+}
 
-// Update RPM target
-router.post('/set-rpm', (req, res) => {
-    try {
-        const { targetRPM } = req.body;
-        
-        if (!targetRPM || targetRPM < 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid target RPM'
-            });
-        }
-        
-        rpmControlState.targetRPM = targetRPM;
-        
-        if (targetRPM === 0 && rpmControlState.active) {
-            // Stop control if RPM set to 0
-            rpmControlState.active = false;
-            if (rpmControlState.controlInterval) {
-                clearInterval(rpmControlState.controlInterval);
-                rpmControlState.controlInterval = null;
-            }
-            sendPWMCommand(rpmControlState.controlPin, 0);
-            rpmControlState.currentPWM = 0;
-        }
-        
-        console.log(`🎯 RPM Target updated: ${targetRPM} RPM`);
-        
-        // Broadcast updated status
-        broadcastRPMStatus();
-        
-        res.json({
-            success: true,
-            message: `Target RPM updated to ${targetRPM}`,
-            targetRPM: targetRPM
-        });
-        
-    } catch (error) {
-        console.error('RPM set error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to set target RPM'
-        });
+// Hold a motor at an RPM on behalf of another module (e.g. robot drive): starts the loop if
+// it is idle, otherwise retargets it; 0 stops it. Throws status errors like startController.
+function driveController(ctrl, rpm) {
+    if (rpm === 0) {
+        if (ctrl.active) stopController(ctrl);
+    } else if (!ctrl.active) {
+        startController(ctrl, { targetRPM: rpm });
+    } else {
+        finishSequence(ctrl, 'cancelled');
+        finishMove(ctrl, 'cancelled');
+        setSetpoint(ctrl, rpm);
     }
-});
+    broadcastRPMStatus(ctrl);
+}
 
-// Update control parameters
-router.post('/set-params', (req, res) => {
-    try {
-        const { gain, controlPin, sensorNumber } = req.body;
-        
-        // Note: Individual gain parameter deprecated in favor of two-zone system
-        
-        if (controlPin !== undefined) {
-            rpmControlState.controlPin = controlPin;
-        }
-        
-        if (sensorNumber !== undefined) {
-            rpmControlState.sensorNumber = sensorNumber;
-        }
-        
-        console.log(`🎯 RPM Control parameters updated: Pin=${rpmControlState.controlPin}, Sensor=${rpmControlState.sensorNumber}`);
-        
-        // Broadcast updated status
-        broadcastRPMStatus();
-        
-        res.json({
-            success: true,
-            message: 'Control parameters updated',
-            parameters: {
-                controlPin: rpmControlState.controlPin,
-                sensorNumber: rpmControlState.sensorNumber,
-                baseKick: rpmControlState.baseKick
-            }
-        });
-        
-    } catch (error) {
-        console.error('RPM params update error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to update control parameters'
-        });
+// The command a capture sample belongs to. A sequence step's ramp moves the setpoint every
+// tick, so the report groups its ticks by the step and the RPM the step ramps to.
+function captureCommand(ctrl) {
+    const sequence = ctrl.sequence;
+    if (sequence && sequence.status === 'running') {
+        return { commandRPM: sequence.steps[sequence.stepIndex].rpm, sequenceStep: sequence.stepIndex };
     }
-});
+    return { commandRPM: ctrl.setpointRPM, sequenceStep: null };
+}
 
-// Get RPM control status
-router.get('/status', (req, res) => {
-    try {
-        res.json({
-            success: true,
-            rpmControl: {
-                active: rpmControlState.active,
-                targetRPM: rpmControlState.targetRPM,
-                currentRPM: rpmControlState.currentRPM,
-                currentPWM: rpmControlState.currentPWM,
-                error: rpmControlState.error,
-                controlPin: rpmControlState.controlPin,
-                sensorNumber: rpmControlState.sensorNumber,
-                baseKick: rpmControlState.baseKick,
-                updateRate: rpmControlState.UPDATE_RATE,
-                pulsesPerRotation: rpmControlState.PULSES_PER_ROTATION,
-                gainZones: {
-                    lowSpeed: { threshold: 20, kp: 0.35, ki: 0.05, kd: 0 },
-                    highSpeed: { threshold: 20, kp: 2.5, ki: 0.35, kd: 0.04 }
-                }
-            }
-        });
-        
-    } catch (error) {
-        console.error('RPM status error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to get RPM control status'
-        });
+// Request a new setpoint; the profile ramps the reference toward it on each tick
+function setSetpoint(ctrl, rpm) {
+    ctrl.setpointRPM = rpm;
+    if (!ctrl.active || ctrl.profile.mode === 'step') {
+        ctrl.targetRPM = rpm;
+        ctrl.setpointRate = 0;
     }
-});
+}
 
-// Cleanup function for graceful shutdown
-function cleanup() {
-    console.log('🎯 Cleaning up RPM control...');
+// ==============================================
+// TIMED SETPOINT SEQUENCES
+// ==============================================
+
+// Public view of a sequence run
+function getSequenceStatus(sequence) {
+    if (!sequence) return null;
     
-    if (rpmControlState.controlInterval) {
-        clearInterval(rpmControlState.controlInterval);
-        rpmControlState.controlInterval = null;
-    }
+    const step = sequence.steps[sequence.stepIndex];
+    return {
+        status: sequence.status,
+        stepIndex: sequence.stepIndex,
+        totalSteps: sequence.steps.length,
+        step: step || null,
+        stepElapsed: step ? Math.round((Date.now() - sequence.stepStartedAt) / 100) / 10 : null,
+        elapsed: Math.round(((sequence.finishedAt || Date.now()) - sequence.startedAt) / 100) / 10,
+        loop: sequence.loop,
+        error: sequence.error
+    };
+}
+
+// Broadcast sequence progress to all connected clients
+function broadcastSequence(ctrl) {
+    if (!io || !ctrl.sequence) return;
+    
+    io.emit('rpmSequence', {
+        controllerId: ctrl.id,
+        ...getSequenceStatus(ctrl.sequence),
+        timestamp: Date.now()
+    });
+}
+
+// End a sequence run and record the outcome (the controller keeps its last setpoint)
+function finishSequence(ctrl, status, error = null) {
+    const sequence = ctrl.sequence;
+    if (!sequence || sequence.status !== 'running') return;
     
-    rpmControlState.active = false;
-    rpmControlState.currentPWM = 0;
-    rpmControlState.integralTerm = 0;
-    rpmControlState.satTimer = 0;
+    clearInterval(sequence.interval);
+    sequence.interval = null;
+    sequence.status = status;
+    sequence.error = error;
+    sequence.finishedAt = Date.now();
     
-    console.log('✅ RPM control cleanup completed');
+    console.log(`📈 Setpoint sequence ${status} [${ctrl.id}]${error ? `: ${error}` : ''}`);
+    broadcastSequence(ctrl);
 }
 
-module.exports = {
-    router,
-    setSocket,
-    setSensorRoutes,
-    cleanup,
+// Enter a sequence step: start/stop the loop as needed
+function enterSequenceStep(ctrl, index) {
+    const sequence = ctrl.sequence;
+    const step = sequence.steps[index];
+    
+    sequence.stepIndex = index;
+    sequence.stepStartedAt = Date.now();
+    sequence.stepFrom = ctrl.active ? ctrl.setpointRPM : 0;
+    
+    if (step.rpm === 0) {
+        haltController(ctrl);
+        broadcastRPMStatus(ctrl);
+    } else if (!ctrl.active) {
+        // Start from rest; a ramped step begins at 0 RPM
+        startController(ctrl, { targetRPM: step.rpm });
+        setSetpoint(ctrl, setpointProfile.sequenceSetpoint(step, 0, 0));
+    }
+    
+    broadcastSequence(ctrl);
+}
+
+// Sequence tick: follow the current step's ramp and move on when it is done
+function stepSequence(ctrl) {
+    const sequence = ctrl.sequence;
+    let step = sequence.steps[sequence.stepIndex];
+    let elapsed = (Date.now() - sequence.stepStartedAt) / 1000;
+    
+    try {
+        if (elapsed >= setpointProfile.stepDuration(step)) {
+            let next = sequence.stepIndex + 1;
+            if (next >= sequence.steps.length) {
+                if (!sequence.loop) {
+                    finishSequence(ctrl, 'complete');
+                    return;
+                }
+                next = 0;
+            }
+            enterSequenceStep(ctrl, next);
+            step = sequence.steps[next];
+            elapsed = 0;
+        }
+        
+        if (step.rpm > 0 && ctrl.active) {
+            setSetpoint(ctrl, setpointProfile.sequenceSetpoint(step, sequence.stepFrom, elapsed));
+        }
+    } catch (error) {
+        finishSequence(ctrl, 'failed', error.message);
+        return;
+    }
+    
+    // Progress once per second is plenty for dashboards
+    const second = Math.floor(elapsed);
+    if (second !== sequence.lastBroadcastSecond) {
+        sequence.lastBroadcastSecond = second;
+        broadcastSequence(ctrl);
+    }
+}
+
+// ==============================================
+// POSITION MOVES (outer position loop over the RPM loop)
+// ==============================================
+
+// Cumulative pulse count of the controller's sensor
+function getSensorPulses(ctrl) {
+    const sensorData = sensorRoutes && sensorRoutes.sensorState.activeSensors.get(ctrl.sensorNumber);
+    return sensorData ? (sensorData.pulses || 0) : 0;
+}
+
+// Public view of a move, with live position while it runs
+function getMoveStatus(ctrl) {
+    const move = ctrl.move;
+    if (!move) return null;
+    
+    const position = move.status === 'running' ? getSensorPulses(ctrl) - move.startPulses : move.positionPulses;
+    const toRevolutions = (pulses) => Math.round((pulses / move.pulsesPerRotation) * 1000) / 1000;
+    
+    return {
+        status: move.status,
+        phase: move.phase,
+        targetPulses: move.targetPulses,
+        targetRevolutions: toRevolutions(move.targetPulses),
+        positionPulses: position,
+        positionRevolutions: toRevolutions(position),
+        remainingPulses: move.targetPulses - position,
+        errorPulses: move.status === 'running' ? null : position - move.targetPulses,
+        commandRPM: Math.round(move.commandRPM * 10) / 10,
+        maxRPM: move.maxRPM,
+        decel: move.decel,
+        elapsed: Math.round(((move.finishedAt || Date.now()) - move.startedAt) / 100) / 10,
+        error: move.error
+    };
+}
+
+// Broadcast move progress to all connected clients
+function broadcastMove(ctrl) {
+    if (!io || !ctrl.move) return;
+    
+    io.emit('rpmMove', {
+        controllerId: ctrl.id,
+        ...getMoveStatus(ctrl),
+        timestamp: Date.now()
+    });
+}
+
+// End a move and record the final position. The caller decides whether the motor stops.
+function finishMove(ctrl, status, error = null) {
+    const move = ctrl.move;
+    if (!move || move.status !== 'running') return;
+    
+    clearInterval(move.interval);
+    move.interval = null;
+    move.positionPulses = getSensorPulses(ctrl) - move.startPulses;
+    move.status = status;
+    move.error = error;
+    move.commandRPM = 0;
+    move.finishedAt = Date.now();
+    
+    console.log(`📍 Move ${status} [${ctrl.id}]: ${move.positionPulses}/${move.targetPulses} pulses${error ? ` - ${error}` : ''}`);
+    broadcastMove(ctrl);
+}
+
+// Move tick: command the RPM loop from the remaining distance, then let the wheel settle
+function stepMove(ctrl) {
+    const move = ctrl.move;
+    const pulses = getSensorPulses(ctrl);
+    
+    if (pulses < move.startPulses) {
+        haltController(ctrl);
+        finishMove(ctrl, 'failed', 'Sensor pulse count was reset during the move');
+        return;
+    }
+    
+    const remaining = move.targetPulses - (pulses - move.startPulses);
+    
+    if (move.phase === 'moving') {
+        if (Date.now() - move.startedAt > move.timeout * 1000) {
+            haltController(ctrl);
+            broadcastRPMStatus(ctrl);
+            finishMove(ctrl, 'timeout', `Target not reached within ${move.timeout}s`);
+            return;
+        }
+        
+        move.commandRPM = positionMove.commandRPM(move, remaining, move.pulsesPerRotation);
+        
+        if (move.commandRPM === 0) {
+            // Arrived: cut the motor and wait for the wheel to coast to rest
+            haltController(ctrl);
+            broadcastRPMStatus(ctrl);
+            move.phase = 'settling';
+            move.settleStartedAt = Date.now();
+        } else {
+            setSetpoint(ctrl, move.commandRPM);
+        }
+    } else if (Date.now() - move.settleStartedAt >= move.settleTime * 1000) {
+        finishMove(ctrl, 'complete');
+        return;
+    }
+    
+    broadcastMove(ctrl);
+}
+
+// ==============================================
+// AUTO-TUNING
+// ==============================================
+
+// Broadcast auto-tune progress to all connected clients
+function broadcastAutotune(ctrl, extra = {}) {
+    const session = ctrl.autotune;
+    if (!io || !session) return;
+    
+    io.emit('autotuneProgress', {
+        controllerId: ctrl.id,
+        ...getAutotuneStatus(session),
+        ...extra,
+        timestamp: Date.now()
+    });
+}
+
+// Public view of an auto-tune session
+function getAutotuneStatus(session) {
+    if (!session) return null;
+    
+    return {
+        status: session.status,
+        method: session.method,
+        rule: session.rule,
+        apply: session.apply,
+        elapsed: Math.round(((session.finishedAt || Date.now()) - session.startedAt) / 100) / 10,
+        output: session.output,
+        rpm: session.rpm,
+        progress: session.experiment.progress(),
+        measurement: session.measurement,
+        proposedGains: session.proposedGains,
+        applied: session.applied,
+        error: session.error
+    };
+}
+
+// End a session: stop its timer, cut the motor and record the outcome
+function finishAutotune(ctrl, status, error = null) {
+    const session = ctrl.autotune;
+    if (!session || session.status !== 'running') return;
+    
+    clearInterval(session.interval);
+    session.interval = null;
+    writeMotor(ctrl, 0);
+    releaseControlPin(ctrl);
+    ctrl.currentPWM = 0;
+    
+    session.status = status;
+    session.error = error;
+    session.finishedAt = Date.now();
+    
+    console.log(`🎛️  Auto-tune ${status} [${ctrl.id}]${error ? `: ${error}` : ''}`);
+    broadcastAutotune(ctrl);
+}
+
+// One auto-tune sample: read RPM, advance the experiment, write PWM
+function stepAutotune(ctrl) {
+    const session = ctrl.autotune;
+    const t = (Date.now() - session.startedAt) / 1000;
+    
+    if (t > session.timeout) {
+        finishAutotune(ctrl, 'failed', `Experiment timed out after ${session.timeout} s`);
+        return;
+    }
+    
+    session.rpm = calculateCurrentRPM(ctrl);
+    const { output, done } = session.experiment.sample(t, session.rpm);
+    
+    session.output = output;
+    ctrl.currentPWM = output;
+    writeMotor(ctrl, output);
+    
+    if (!done) {
+        broadcastAutotune(ctrl);
+        return;
+    }
+    
+    try {
+        session.measurement = session.experiment.result();
+        session.proposedGains = autotune.proposeGains(session.method, session.rule, session.measurement);
+    } catch (error) {
+        finishAutotune(ctrl, 'failed', error.message);
+        return;
+    }
+    
+    if (session.apply) {
+        const result = pidTuning.validateTuningUpdate(session.proposedGains);
+        if (result.error) {
+            finishAutotune(ctrl, 'failed', `Proposed gains rejected: ${result.error}`);
+            return;
+        }
+        applyTuning(ctrl, { ...result.tuning, gain: pidTuning.NOMINAL_GAIN });
+        session.applied = true;
+    }
+    
+    finishAutotune(ctrl, 'complete');
+}
+
+// Validate optional numeric experiment options: [name, min, max]
+function validateAutotuneOptions(body) {
+    const limits = [
+        ['setpointRPM', 1, 10000],
+        ['bias', 0, 255],
+        ['amplitude', 1, 255],
+        ['hysteresis', 0, 100],
+        ['cycles', 1, 20],
+        ['startPWM', 0, 255],
+        ['stepPWM', 0, 255],
+        ['settleTime', 0.1, 60],
+        ['duration', 0.5, 120],
+        ['timeout', 1, 600]
+    ];
+    
+    for (const [key, min, max] of limits) {
+        if (body[key] === undefined) continue;
+        if (typeof body[key] !== 'number' || !Number.isFinite(body[key]) || body[key] < min || body[key] > max) {
+            return `Invalid ${key}. Must be a number between ${min}-${max}`;
+        }
+    }
+    return null;
+}
+
+// Resolve :id (or the legacy default controller) into req.controller
+function loadController(req, res, next) {
+    const id = req.params.id || DEFAULT_CONTROLLER_ID;
+    const ctrl = controllers.get(id);
+    
+    if (!ctrl) {
+        return res.status(404).json({
+            success: false,
+            error: `RPM controller "${id}" not found`
+        });
+    }
+    
+    req.controller = ctrl;
+    next();
+}
+
+// ==============================================
+// CONTROLLER MANAGEMENT ENDPOINTS
+// ==============================================
+
+// List all controllers
+router.get('/controllers', (req, res) => {
+    res.json({
+        success: true,
+        controllers: Array.from(controllers.values()).map(getControllerStatus)
+    });
+});
+
+// Create a named controller
+router.post('/controllers', (req, res) => {
+    try {
+        const { id, controlPin = 18, sensorNumber = 1 } = req.body;
+        
+        if (!id || typeof id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Controller id must be a non-empty string of letters, digits, "-" or "_"'
+            });
+        }
+        
+        if (controllers.has(id)) {
+            return res.status(409).json({
+                success: false,
+                error: `RPM controller "${id}" already exists`
+            });
+        }
+        
+        const pinError = validatePinAndSensor({ controlPin, sensorNumber });
+        if (pinError) {
+            return res.status(400).json({
+                success: false,
+                error: pinError
+            });
+        }
+        
+        const ctrl = createController(id, { controlPin, sensorNumber });
+        
+        res.status(201).json({
+            success: true,
+            message: `RPM controller "${id}" created`,
+            controller: getControllerStatus(ctrl)
+        });
+
+    } catch (error) {
+        console.error('RPM controller create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create RPM controller'
+        });
+    }
+});
+
+// Get one controller
+router.get('/controllers/:id', loadController, (req, res) => {
+    res.json({
+        success: true,
+        rpmControl: getControllerStatus(req.controller)
+    });
+});
+
+// Delete a controller (stops it first)
+router.delete('/controllers/:id', loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (ctrl.id === DEFAULT_CONTROLLER_ID) {
+        return res.status(400).json({
+            success: false,
+            error: 'The default RPM controller cannot be deleted'
+        });
+    }
+    
+    if (ctrl.output) {
+        return res.status(400).json({
+            success: false,
+            error: `RPM controller "${ctrl.id}" drives a robot wheel and cannot be deleted`
+        });
+    }
+    
+    stopController(ctrl);
+    controllers.delete(ctrl.id);
+    broadcastRPMStatus(ctrl);
+    
+    res.json({
+        success: true,
+        message: `RPM controller "${ctrl.id}" deleted`
+    });
+});
+
+// ==============================================
+// CONTROL ENDPOINTS (legacy paths act on the default controller)
+// ==============================================
+
+// Start RPM control
+router.post(['/start', '/controllers/:id/start'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const { targetRPM, gain } = req.body;
+        const controlPin = req.body.controlPin ?? ctrl.controlPin;
+        const sensorNumber = req.body.sensorNumber ?? ctrl.sensorNumber;
+        
+        if (!targetRPM || targetRPM <= 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Target RPM must be greater than 0'
+            });
+        }
+        
+        const pinError = validatePinAndSensor({ controlPin, sensorNumber });
+        if (pinError) {
+            return res.status(400).json({
+                success: false,
+                error: pinError
+            });
+        }
+        
+        // Optional overall gain, validated like any other tuning update
+        let tuning = null;
+        if (gain !== undefined) {
+            const result = pidTuning.validateTuningUpdate({ gain });
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+            tuning = result.tuning;
+        }
+        
+        startController(ctrl, { targetRPM, controlPin, sensorNumber });
+        
+        if (tuning) {
+            applyTuning(ctrl, tuning);
+        }
+        
+        res.json({
+            success: true,
+            message: `RPM control started: ${targetRPM} RPM on GPIO ${ctrl.controlPin}`,
+            controllerId: ctrl.id,
+            controlState: {
+                targetRPM: ctrl.targetRPM,
+                setpointRPM: ctrl.setpointRPM,
+                profile: ctrl.profile,
+                controlPin: ctrl.controlPin,
+                sensorNumber: ctrl.sensorNumber,
+                gains: pidTuning.gainsForTarget(ctrl.gainSchedule, targetRPM, ctrl.gain),
+                baseKick: ctrl.baseKick,
+                updateRate: ctrl.UPDATE_RATE
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                owner: error.owner
+            });
+        }
+        console.error('RPM control start error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start RPM control'
+        });
+    }
+});
+
+// Stop RPM control
+router.post(['/stop', '/controllers/:id/stop'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        stopController(ctrl);
+        
+        console.log(`🎯 RPM Control Stopped [${ctrl.id}]`);
+        
+        // Broadcast final status
+        broadcastRPMStatus(ctrl);
+        
+        res.json({
+            success: true,
+            message: 'RPM control stopped',
+            controllerId: ctrl.id
+        });
+
+    } catch (error) {
+        console.error('RPM control stop error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stop RPM control'
+        });
+    }
+});
+
+// Update RPM target
+router.post(['/set-rpm', '/controllers/:id/set-rpm'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const { targetRPM } = req.body;
+        
+        if (typeof targetRPM !== 'number' || !Number.isFinite(targetRPM) || targetRPM < 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid target RPM'
+            });
+        }
+        
+        // A manual setpoint overrides any running sequence or move
+        finishSequence(ctrl, 'cancelled');
+        finishMove(ctrl, 'cancelled');
+        setSetpoint(ctrl, targetRPM);
+        
+        if (targetRPM === 0 && ctrl.active) {
+            // Stop control if RPM set to 0
+            stopController(ctrl);
+        }
+        
+        console.log(`🎯 RPM Target updated [${ctrl.id}]: ${targetRPM} RPM`);
+        
+        // Broadcast updated status
+        broadcastRPMStatus(ctrl);
+        
+        res.json({
+            success: true,
+            message: `Target RPM updated to ${targetRPM}`,
+            controllerId: ctrl.id,
+            targetRPM: targetRPM,
+            profile: ctrl.profile.mode
+        });
+
+    } catch (error) {
+        console.error('RPM set error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to set target RPM'
+        });
+    }
+});
+
+// Update control parameters
+router.post(['/set-params', '/controllers/:id/set-params'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const { controlPin, sensorNumber } = req.body;
+        
+        // Any tuning fields (gain, kp/ki/kd, baseKick, ...) go through the same validation as /gains
+        const tuningFields = ['gain', 'kp', 'ki', 'kd', 'gainSchedule', 'integralLimit', 'errorDeadband', 'baseKick', 'feedForward', 'updateRate'];
+        let tuning = null;
+        if (tuningFields.some(key => req.body[key] !== undefined)) {
+            const result = pidTuning.validateTuningUpdate(req.body);
+            if (result.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: result.error
+                });
+            }
+            tuning = result.tuning;
+        }
+        
+        const pinError = validatePinAndSensor({ controlPin, sensorNumber });
+        if (pinError) {
+            return res.status(400).json({
+                success: false,
+                error: pinError
+            });
+        }
+        
+        const newPin = controlPin ?? ctrl.controlPin;
+        const newSensor = sensorNumber ?? ctrl.sensorNumber;
+        if (newPin !== ctrl.controlPin || newSensor !== ctrl.sensorNumber) {
+            retargetController(ctrl, newPin, newSensor);
+        }
+        
+        if (tuning) {
+            applyTuning(ctrl, tuning);
+        }
+        
+        console.log(`🎯 RPM Control parameters updated [${ctrl.id}]: Pin=${ctrl.controlPin}, Sensor=${ctrl.sensorNumber}`);
+        
+        // Broadcast updated status
+        broadcastRPMStatus(ctrl);
+        
+        res.json({
+            success: true,
+            message: 'Control parameters updated',
+            controllerId: ctrl.id,
+            parameters: {
+                controlPin: ctrl.controlPin,
+                sensorNumber: ctrl.sensorNumber,
+                baseKick: ctrl.baseKick,
+                tuning: getTuning(ctrl)
+            }
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                owner: error.owner
+            });
+        }
+        console.error('RPM params update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update control parameters'
+        });
+    }
+});
+
+// Get PID tuning (gains, gain schedule, limits, update rate)
+router.get(['/gains', '/controllers/:id/gains'], loadController, (req, res) => {
+    res.json({
+        success: true,
+        controllerId: req.controller.id,
+        tuning: getTuning(req.controller)
+    });
+});
+
+// Update PID tuning - validated as a whole, then applied live to a running loop
+router.put(['/gains', '/controllers/:id/gains'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const result = pidTuning.validateTuningUpdate(req.body);
+        
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+        
+        applyTuning(ctrl, result.tuning);
+        broadcastRPMStatus(ctrl);
+        
+        res.json({
+            success: true,
+            message: ctrl.active ? 'Tuning updated and applied to running controller' : 'Tuning updated',
+            controllerId: ctrl.id,
+            tuning: getTuning(ctrl)
+        });
+        
+    } catch (error) {
+        console.error('RPM tuning update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update PID tuning'
+        });
+    }
+});
+
+// Start an auto-tuning experiment on the controller's pin/sensor
+router.post(['/autotune', '/controllers/:id/autotune'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const {
+            method = 'relay',
+            rule = 'ziegler-nichols',
+            apply = false,
+            setpointRPM = 40,
+            bias = 128,
+            amplitude = 40,
+            hysteresis = 1,
+            cycles = 4,
+            startPWM = 60,
+            stepPWM = 140,
+            settleTime = 2,
+            duration = 5,
+            timeout = 60
+        } = req.body;
+        
+        if (!autotune.TUNING_RULES[method]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid method. Must be "relay" or "step"'
+            });
+        }
+        
+        if (!autotune.TUNING_RULES[method].includes(rule)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid rule for ${method} method. Must be one of: ${autotune.TUNING_RULES[method].join(', ')}`
+            });
+        }
+        
+        const optionError = validateAutotuneOptions(req.body);
+        if (optionError) {
+            return res.status(400).json({
+                success: false,
+                error: optionError
+            });
+        }
+        
+        if (ctrl.active || (ctrl.autotune && ctrl.autotune.status === 'running')) {
+            return res.status(409).json({
+                success: false,
+                error: `RPM controller "${ctrl.id}" is busy. Stop it before auto-tuning.`
+            });
+        }
+        
+        if (latchedError()) {
+            return res.status(409).json({
+                success: false,
+                error: latchedError()
+            });
+        }
+        
+        const sensorData = sensorRoutes && sensorRoutes.sensorState.activeSensors.get(ctrl.sensorNumber);
+        if (!sensorData || !sensorData.enabled) {
+            return res.status(400).json({
+                success: false,
+                error: `Sensor ${ctrl.sensorNumber} is not enabled. Please enable it first.`
+            });
+        }
+        
+        const conflict = findConflictingController(ctrl, ctrl.controlPin, ctrl.sensorNumber);
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                error: `RPM controller "${conflict.id}" is already running on GPIO ${conflict.controlPin} / Sensor ${conflict.sensorNumber}`
+            });
+        }
+        
+        try {
+            claimControlPin(ctrl, ctrl.controlPin);
+        } catch (error) {
+            if (!error.status) throw error;
+            return res.status(error.status).json({
+                success: false,
+                error: error.message,
+                owner: error.owner
+            });
+        }
+        
+        const experiment = method === 'relay'
+            ? autotune.createRelayExperiment({ setpointRPM, bias, amplitude, hysteresis, cycles })
+            : autotune.createStepExperiment({ startPWM, stepPWM, settleTime, duration });
+        
+        ctrl.currentRPM = 0;
+        ctrl.lastPulseCount = sensorData.pulses || 0;
+        ctrl.lastUpdateTime = Date.now();
+        ctrl.autotune = {
+            status: 'running',
+            method: method,
+            rule: rule,
+            apply: apply === true,
+            timeout: timeout,
+            experiment: experiment,
+            startedAt: Date.now(),
+            finishedAt: null,
+            output: 0,
+            rpm: 0,
+            measurement: null,
+            proposedGains: null,
+            applied: false,
+            error: null,
+            interval: null
+        };
+        ctrl.autotune.interval = setInterval(() => stepAutotune(ctrl), ctrl.UPDATE_RATE);
+        
+        console.log(`🎛️  Auto-tune started [${ctrl.id}]: ${method} / ${rule} on GPIO ${ctrl.controlPin}, Sensor ${ctrl.sensorNumber}`);
+        broadcastAutotune(ctrl);
+        
+        res.status(202).json({
+            success: true,
+            message: `Auto-tune (${method}) started on controller "${ctrl.id}"`,
+            controllerId: ctrl.id,
+            autotune: getAutotuneStatus(ctrl.autotune)
+        });
+        
+    } catch (error) {
+        console.error('Auto-tune start error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start auto-tune'
+        });
+    }
+});
+
+// Get auto-tune status and results
+router.get(['/autotune', '/controllers/:id/autotune'], loadController, (req, res) => {
+    res.json({
+        success: true,
+        controllerId: req.controller.id,
+        autotune: getAutotuneStatus(req.controller.autotune)
+    });
+});
+
+// Cancel a running auto-tune
+router.post(['/autotune/cancel', '/controllers/:id/autotune/cancel'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (!ctrl.autotune || ctrl.autotune.status !== 'running') {
+        return res.status(409).json({
+            success: false,
+            error: `No auto-tune running on controller "${ctrl.id}"`
+        });
+    }
+    
+    finishAutotune(ctrl, 'cancelled');
+    
+    res.json({
+        success: true,
+        message: 'Auto-tune cancelled',
+        controllerId: ctrl.id,
+        autotune: getAutotuneStatus(ctrl.autotune)
+    });
+});
+
+// Get the setpoint profile
+router.get(['/profile', '/controllers/:id/profile'], loadController, (req, res) => {
+    res.json({
+        success: true,
+        controllerId: req.controller.id,
+        profile: req.controller.profile,
+        modes: setpointProfile.PROFILE_MODES
+    });
+});
+
+// Update the setpoint profile (mode, maxAccel in RPM/s, maxJerk in RPM/s²)
+router.put(['/profile', '/controllers/:id/profile'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    const error = setpointProfile.validateProfile(req.body);
+    
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            error: error
+        });
+    }
+    
+    const { mode, maxAccel, maxJerk } = req.body;
+    ctrl.profile = {
+        mode: mode ?? ctrl.profile.mode,
+        maxAccel: maxAccel ?? ctrl.profile.maxAccel,
+        maxJerk: maxJerk ?? ctrl.profile.maxJerk
+    };
+    
+    console.log(`📈 Setpoint profile updated [${ctrl.id}]: ${JSON.stringify(ctrl.profile)}`);
+    
+    res.json({
+        success: true,
+        message: 'Setpoint profile updated',
+        controllerId: ctrl.id,
+        profile: ctrl.profile
+    });
+});
+
+// Run a timed setpoint sequence, e.g. [{ rpm: 20, hold: 5 }, { rpm: 60, ramp: 2, hold: 3 }, { rpm: 0 }]
+router.post(['/sequence', '/controllers/:id/sequence'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const { steps, loop = false } = req.body;
+        const error = setpointProfile.validateSequence(steps);
+        
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+        
+        if (ctrl.autotune && ctrl.autotune.status === 'running') {
+            return res.status(409).json({
+                success: false,
+                error: `RPM controller "${ctrl.id}" is auto-tuning. Cancel it first.`
+            });
+        }
+        
+        if (latchedError()) {
+            return res.status(409).json({
+                success: false,
+                error: latchedError()
+            });
+        }
+        
+        // Replace any sequence or move already running on this controller
+        finishSequence(ctrl, 'cancelled');
+        finishMove(ctrl, 'cancelled');
+        
+        ctrl.sequence = {
+            status: 'running',
+            steps: steps.map(({ rpm, ramp, hold }) => ({ rpm, ramp: ramp || 0, hold: hold || 0 })),
+            loop: loop === true,
+            stepIndex: 0,
+            stepFrom: 0,
+            startedAt: Date.now(),
+            stepStartedAt: Date.now(),
+            finishedAt: null,
+            lastBroadcastSecond: 0,
+            error: null,
+            interval: null
+        };
+        
+        enterSequenceStep(ctrl, 0);
+        ctrl.sequence.interval = setInterval(() => stepSequence(ctrl), ctrl.UPDATE_RATE);
+        
+        console.log(`📈 Setpoint sequence started [${ctrl.id}]: ${steps.length} steps${loop ? ' (looping)' : ''}`);
+        
+        res.status(202).json({
+            success: true,
+            message: `Sequence of ${steps.length} steps started on controller "${ctrl.id}"`,
+            controllerId: ctrl.id,
+            sequence: getSequenceStatus(ctrl.sequence)
+        });
+
+    } catch (error) {
+        // Starting the first step failed (e.g. sensor not enabled)
+        if (req.controller.sequence) {
+            finishSequence(req.controller, 'failed', error.message);
+        }
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to start setpoint sequence'
+        });
+    }
+});
+
+// Get sequence progress
+router.get(['/sequence', '/controllers/:id/sequence'], loadController, (req, res) => {
+    res.json({
+        success: true,
+        controllerId: req.controller.id,
+        sequence: getSequenceStatus(req.controller.sequence)
+    });
+});
+
+// Cancel a running sequence (the controller keeps running at its current setpoint)
+router.post(['/sequence/cancel', '/controllers/:id/sequence/cancel'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (!ctrl.sequence || ctrl.sequence.status !== 'running') {
+        return res.status(409).json({
+            success: false,
+            error: `No sequence running on controller "${ctrl.id}"`
+        });
+    }
+    
+    finishSequence(ctrl, 'cancelled');
+    
+    res.json({
+        success: true,
+        message: 'Sequence cancelled',
+        controllerId: ctrl.id,
+        sequence: getSequenceStatus(ctrl.sequence)
+    });
+});
+
+// Rotate the wheel by a number of revolutions or pulses, e.g. { revolutions: 3, maxRPM: 40 }
+router.post(['/move', '/controllers/:id/move'], loadController, (req, res) => {
+    try {
+        const ctrl = req.controller;
+        const pulsesPerRotation = getPulsesPerRotation(ctrl);
+        const { error, move } = positionMove.validateMove(req.body, pulsesPerRotation);
+        
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: error
+            });
+        }
+        
+        if (ctrl.autotune && ctrl.autotune.status === 'running') {
+            return res.status(409).json({
+                success: false,
+                error: `RPM controller "${ctrl.id}" is auto-tuning. Cancel it first.`
+            });
+        }
+        
+        // A move takes over the setpoint from any sequence or previous move
+        finishSequence(ctrl, 'cancelled');
+        finishMove(ctrl, 'cancelled');
+        
+        // A target within tolerance is reached before the wheel moves: stop rather than start
+        const firstCommand = positionMove.commandRPM(move, move.targetPulses, pulsesPerRotation);
+        const reached = firstCommand === 0;
+        if (reached) {
+            if (ctrl.active) {
+                haltController(ctrl);
+                broadcastRPMStatus(ctrl);
+            }
+        } else if (ctrl.active) {
+            setSetpoint(ctrl, firstCommand);
+        } else {
+            startController(ctrl, { targetRPM: firstCommand });
+        }
+        
+        ctrl.move = {
+            ...move,
+            pulsesPerRotation: pulsesPerRotation,
+            status: 'running',
+            phase: reached ? 'settling' : 'moving',
+            startPulses: getSensorPulses(ctrl),
+            commandRPM: firstCommand,
+            positionPulses: 0,
+            startedAt: Date.now(),
+            settleStartedAt: null,
+            finishedAt: null,
+            error: null,
+            interval: null
+        };
+        
+        if (reached) {
+            finishMove(ctrl, 'complete');
+            return res.json({
+                success: true,
+                message: `Target of ${move.targetPulses} pulses is within the ${move.tolerance} pulse tolerance; nothing to move`,
+                controllerId: ctrl.id,
+                move: getMoveStatus(ctrl)
+            });
+        }
+        
+        ctrl.move.interval = setInterval(() => stepMove(ctrl), ctrl.UPDATE_RATE);
+        
+        console.log(`📍 Move started [${ctrl.id}]: ${move.targetPulses} pulses (${(move.targetPulses / pulsesPerRotation).toFixed(2)} rev) at up to ${move.maxRPM} RPM`);
+        broadcastMove(ctrl);
+        
+        res.status(202).json({
+            success: true,
+            message: `Move of ${move.targetPulses} pulses started on controller "${ctrl.id}"`,
+            controllerId: ctrl.id,
+            move: getMoveStatus(ctrl)
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Failed to start move'
+        });
+    }
+});
+
+// Get move progress or the result of the last move
+router.get(['/move', '/controllers/:id/move'], loadController, (req, res) => {
+    res.json({
+        success: true,
+        controllerId: req.controller.id,
+        move: getMoveStatus(req.controller)
+    });
+});
+
+// Cancel a running move and stop the motor
+router.post(['/move/cancel', '/controllers/:id/move/cancel'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (!ctrl.move || ctrl.move.status !== 'running') {
+        return res.status(409).json({
+            success: false,
+            error: `No move running on controller "${ctrl.id}"`
+        });
+    }
+    
+    finishMove(ctrl, 'cancelled');
+    haltController(ctrl);
+    broadcastRPMStatus(ctrl);
+    
+    res.json({
+        success: true,
+        message: 'Move cancelled',
+        controllerId: ctrl.id,
+        move: getMoveStatus(ctrl)
+    });
+});
+
+// Start recording every control tick (replaces any previous capture)
+router.post(['/capture/start', '/controllers/:id/capture/start'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    const { maxSamples = 10000 } = req.body;
+    
+    if (!Number.isInteger(maxSamples) || maxSamples < 10 || maxSamples > 100000) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid maxSamples. Must be an integer between 10-100000'
+        });
+    }
+    
+    ctrl.capture = controlCapture.createCapture({ maxSamples });
+    console.log(`📼 Capture started [${ctrl.id}] (max ${maxSamples} samples)`);
+    
+    res.json({
+        success: true,
+        message: `Capture started on controller "${ctrl.id}"`,
+        controllerId: ctrl.id,
+        maxSamples: maxSamples
+    });
+});
+
+// Stop recording (the buffer is kept for export and reporting)
+router.post(['/capture/stop', '/controllers/:id/capture/stop'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (!ctrl.capture) {
+        return res.status(404).json({
+            success: false,
+            error: `No capture on controller "${ctrl.id}"`
+        });
+    }
+    
+    ctrl.capture.active = false;
+    ctrl.capture.stoppedAt = Date.now();
+    
+    res.json({
+        success: true,
+        message: 'Capture stopped',
+        controllerId: ctrl.id,
+        samples: ctrl.capture.samples.length,
+        dropped: ctrl.capture.dropped
+    });
+});
+
+// Export the captured ticks as JSON (default) or CSV (?format=csv)
+router.get(['/capture', '/controllers/:id/capture'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    const { format = 'json' } = req.query;
+    
+    if (!ctrl.capture) {
+        return res.status(404).json({
+            success: false,
+            error: `No capture on controller "${ctrl.id}"`
+        });
+    }
+    
+    if (format === 'csv') {
+        res.type('text/csv');
+        res.attachment(`rpm-capture-${ctrl.id}-${ctrl.capture.startedAt}.csv`);
+        return res.send(controlCapture.toCSV(ctrl.capture));
+    }
+    
+    if (format !== 'json') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid format. Must be "json" or "csv"'
+        });
+    }
+    
+    res.json({
+        success: true,
+        controllerId: ctrl.id,
+        capture: {
+            active: ctrl.capture.active,
+            startedAt: new Date(ctrl.capture.startedAt).toISOString(),
+            stoppedAt: ctrl.capture.stoppedAt ? new Date(ctrl.capture.stoppedAt).toISOString() : null,
+            maxSamples: ctrl.capture.maxSamples,
+            dropped: ctrl.capture.dropped,
+            samples: ctrl.capture.samples
+        }
+    });
+});
+
+// Performance report: rise time, overshoot, settling time, steady-state error and IAE per setpoint change
+router.get(['/capture/report', '/controllers/:id/capture/report'], loadController, (req, res) => {
+    const ctrl = req.controller;
+    
+    if (!ctrl.capture) {
+        return res.status(404).json({
+            success: false,
+            error: `No capture on controller "${ctrl.id}"`
+        });
+    }
+    
+    res.json({
+        success: true,
+        controllerId: ctrl.id,
+        report: controlCapture.buildReport(ctrl.capture)
+    });
+});
+
+// Get RPM control status
+router.get(['/status', '/controllers/:id/status'], loadController, (req, res) => {
+    try {
+        res.json({
+            success: true,
+            rpmControl: getControllerStatus(req.controller)
+        });
+
+    } catch (error) {
+        console.error('RPM status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get RPM control status'
+        });
+    }
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+    console.log('🎯 Cleaning up RPM control...');
+    
+    controllers.forEach(ctrl => {
+        if (ctrl.controlInterval) {
+            clearInterval(ctrl.controlInterval);
+            ctrl.controlInterval = null;
+        }
+        
+        if (ctrl.autotune && ctrl.autotune.interval) {
+            clearInterval(ctrl.autotune.interval);
+            ctrl.autotune.interval = null;
+        }
+        
+        if (ctrl.sequence && ctrl.sequence.interval) {
+            clearInterval(ctrl.sequence.interval);
+            ctrl.sequence.interval = null;
+        }
+        
+        if (ctrl.move && ctrl.move.interval) {
+            clearInterval(ctrl.move.interval);
+            ctrl.move.interval = null;
+        }
+        
+        ctrl.active = false;
+        ctrl.currentPWM = 0;
+        ctrl.integralTerm = 0;
+        ctrl.satTimer = 0;
+    });
+    
+    console.log('✅ RPM control cleanup completed');
+}
+
+// Loop signals of every controller, for telemetry history
+function getTelemetry() {
+    const values = {};
+    controllers.forEach(ctrl => {
+        values[`rpm.${ctrl.id}.active`] = ctrl.active;
+        values[`rpm.${ctrl.id}.target`] = ctrl.active ? ctrl.targetRPM : 0;
+        values[`rpm.${ctrl.id}.current`] = ctrl.currentRPM;
+        values[`rpm.${ctrl.id}.error`] = ctrl.active ? ctrl.error : 0;
+        values[`rpm.${ctrl.id}.pwm`] = ctrl.currentPWM;
+    });
+    return values;
+}
+
+module.exports = {
+    router,
+    setSocket,
+    getTelemetry,
+    setSensorRoutes,
+    createController,
+    getController,
+    stopController,
+    stopAll,
+    driveController,
+    getTuning,
+    applyTuning,
+    cleanup,
+    controllers,
     rpmControlState
-}; 
\ No newline at end of file
+};
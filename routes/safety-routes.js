@@ -0,0 +1,311 @@
+// Safety routes module
+// Server-wide emergency-stop supervisor. Any trigger (REST, WebSocket, watchdog, GPIO button)
+// halts the robot, every RPM controller and every PWM output and latches the E-STOP state:
+// motion commands stay rejected until POST /api/safety/reset.
+
+const express = require('express');
+const router = express.Router();
+
+const gpioDriver = require('../lib/gpio-driver');
+const pinRegistry = require('../lib/pin-registry');
+const robotRoutes = require('./robot-routes');
+const rpmControlRoutes = require('./rpm-control-routes');
+const pwmRoutes = require('./pwm-routes');
+
+const SAFETY_HISTORY = 20;      // Triggers kept for status queries
+const BUTTON_DEBOUNCE_MS = 50;  // Ignore button bounce after a press
+
+const safetyState = {
+  latched: false,
+  latchedAt: null,
+  source: null,     // What latched the E-STOP (the first trigger)
+  detail: null,
+  triggers: [],     // Recent triggers, oldest first: { source, detail, at }
+  resets: 0,
+  lastReset: null
+};
+
+// Physical e-stop input (ESTOP_PIN): { pin, activeLevel, gpio, lastPress }
+let button = null;
+
+// Modules to notify on every trigger (missions, session replay, ...)
+const estopListeners = [];
+
+// Socket.IO instance (will be set from server.js)
+let io = null;
+
+function setSocket(socketInstance) {
+  io = socketInstance;
+}
+
+function onEStop(listener) {
+  estopListeners.push(listener);
+}
+
+// ==============================================
+// E-STOP STATE
+// ==============================================
+
+function isLatched() {
+  return safetyState.latched;
+}
+
+// Error for a motion command while the E-STOP is latched, or null
+function latchedError() {
+  if (!safetyState.latched) {
+    return null;
+  }
+  return `Emergency stop latched (${safetyState.source}) - POST /api/safety/reset to clear it`;
+}
+
+// Paths under which state-changing requests are refused while latched, unless they only stop something
+const MOTION_PATHS = ['/api/robot', '/api/pwm', '/api/rpm-control', '/api/missions'];
+const STOP_REQUEST = /\/(stop|stop-all|abort|cancel)$/;
+
+// App-wide middleware: rejects motion requests while the E-STOP is latched. Express routes
+// paths case-insensitively, so they are matched lower-cased here too.
+function latchGate(req, res, next) {
+  const error = latchedError();
+  const requestPath = req.path.toLowerCase();
+
+  if (error &&
+      ['POST', 'PUT', 'DELETE'].includes(req.method) &&
+      MOTION_PATHS.some(prefix => requestPath.startsWith(prefix)) &&
+      !STOP_REQUEST.test(requestPath)) {
+    return res.status(409).json({
+      success: false,
+      error: error,
+      safety: getSafetyStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+function isButtonPressed() {
+  return Boolean(button && button.gpio.digitalRead() === button.activeLevel);
+}
+
+function getSafetyStatus() {
+  return {
+    state: safetyState.latched ? 'estop' : 'ok',
+    latched: safetyState.latched,
+    latchedAt: safetyState.latchedAt,
+    source: safetyState.source,
+    detail: safetyState.detail,
+    button: button ? { pin: button.pin, activeLevel: button.activeLevel, pressed: isButtonPressed() } : null,
+    triggers: safetyState.triggers,
+    resets: safetyState.resets,
+    lastReset: safetyState.lastReset
+  };
+}
+
+function broadcastSafety(event) {
+  if (io) {
+    io.emit('safetyUpdate', {
+      event: event,
+      safety: getSafetyStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// Stop every output: robot (cancelling any move), RPM controllers (with their auto-tunes,
+// sequences and moves) and PWM pins
+function haltOutputs() {
+  robotRoutes.abortMotion('Emergency stop');
+  robotRoutes.stopRobot();
+
+  return {
+    stoppedControllers: rpmControlRoutes.stopAll(),
+    stoppedPins: pwmRoutes.haltAll()
+  };
+}
+
+// Halt everything and latch the E-STOP. Triggers while latched halt again and are logged,
+// but the latch keeps its first source. Returns what was stopped.
+function triggerEStop(source, detail = null) {
+  const at = new Date().toISOString();
+  const first = !safetyState.latched;
+
+  console.error(`🛑 E-STOP triggered by ${source}${detail ? ` (${detail})` : ''}${first ? '' : ' - already latched'}`);
+
+  safetyState.triggers.push({ source: source, detail: detail, at: at });
+  if (safetyState.triggers.length > SAFETY_HISTORY) {
+    safetyState.triggers.shift();
+  }
+
+  if (first) {
+    safetyState.latched = true;
+    safetyState.latchedAt = at;
+    safetyState.source = source;
+    safetyState.detail = detail;
+  }
+
+  const halted = haltOutputs();
+
+  estopListeners.forEach(listener => {
+    try {
+      listener(source);
+    } catch (error) {
+      console.error('E-STOP listener error:', error);
+    }
+  });
+
+  broadcastSafety(first ? 'latched' : 'trigger');
+  return halted;
+}
+
+// Clear the latch. Returns { status, body }.
+function resetCommand() {
+  if (!safetyState.latched) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: 'Emergency stop is not latched',
+        safety: getSafetyStatus(),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  if (isButtonPressed()) {
+    return {
+      status: 409,
+      body: {
+        success: false,
+        error: `E-stop button on GPIO ${button.pin} is still pressed - release it before resetting`,
+        safety: getSafetyStatus(),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  console.log(`✅ E-STOP reset (latched by ${safetyState.source} at ${safetyState.latchedAt})`);
+
+  safetyState.latched = false;
+  safetyState.resets++;
+  safetyState.lastReset = new Date().toISOString();
+  broadcastSafety('reset');
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Emergency stop reset - motion commands are accepted again',
+      safety: getSafetyStatus(),
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// ==============================================
+// E-STOP BUTTON
+// ==============================================
+
+// Watch a physical e-stop button when ESTOP_PIN is set. ESTOP_ACTIVE_LEVEL is the level
+// while pressed: 0 (default, button to ground with the pull-up) or 1 (pull-down).
+function startButton() {
+  if (process.env.ESTOP_PIN === undefined || process.env.ESTOP_PIN === '') {
+    return;
+  }
+
+  const pin = parseInt(process.env.ESTOP_PIN);
+  const activeLevel = parseInt(process.env.ESTOP_ACTIVE_LEVEL || '0');
+
+  if (!Number.isInteger(pin) || pin < 0 || pin > 27 || ![0, 1].includes(activeLevel)) {
+    console.error(`❌ Invalid e-stop button: ESTOP_PIN=${process.env.ESTOP_PIN} ESTOP_ACTIVE_LEVEL=${process.env.ESTOP_ACTIVE_LEVEL} (GPIO 0-27, level 0 or 1)`);
+    return;
+  }
+
+  try {
+    pinRegistry.claim(pin, 'safety', 'input', 'E-stop button');
+  } catch (error) {
+    console.error(`❌ E-stop button not started: ${error.message}`);
+    return;
+  }
+
+  const gpio = gpioDriver.openInput(pin, { pull: activeLevel === 0 ? 'up' : 'down', alert: true });
+  button = { pin: pin, activeLevel: activeLevel, gpio: gpio, lastPress: 0 };
+
+  gpio.on('alert', (level) => {
+    const now = Date.now();
+    if (level !== activeLevel || now - button.lastPress < BUTTON_DEBOUNCE_MS) return;
+
+    button.lastPress = now;
+    triggerEStop('button', `GPIO ${pin}`);
+  });
+
+  console.log(`🔴 E-stop button on GPIO ${pin} (active ${activeLevel ? 'high' : 'low'}, ${gpioDriver.name} driver)`);
+
+  // A button held down at startup latches at once
+  if (isButtonPressed()) {
+    triggerEStop('button', `GPIO ${pin} pressed at startup`);
+  }
+}
+
+// ==============================================
+// SAFETY ENDPOINTS
+// ==============================================
+
+// E-STOP state, button and recent triggers
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    safety: getSafetyStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Trigger the E-STOP: { reason? }
+router.post('/estop', (req, res) => {
+  const { reason } = req.body;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid reason. Must be a string of up to 200 characters',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const halted = triggerEStop('api', reason || null);
+
+  res.json({
+    success: true,
+    message: 'Emergency stop latched - all outputs stopped',
+    ...halted,
+    safety: getSafetyStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Clear a latched E-STOP
+router.post('/reset', (req, res) => {
+  const { status, body } = resetCommand();
+  res.status(status).json(body);
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  if (button) {
+    button.gpio.close();
+    pinRegistry.release(button.pin, 'safety');
+    button = null;
+  }
+}
+
+module.exports = {
+  router,
+  setSocket,
+  onEStop,
+  isLatched,
+  latchedError,
+  latchGate,
+  getSafetyStatus,
+  triggerEStop,
+  resetCommand,
+  startButton,
+  cleanup
+};
@@ -4,22 +4,16 @@
 const express = require('express');
 const router = express.Router();
 
-// Initialize pigpio for real GPIO monitoring
-let Gpio;
-let pigpioAvailable = false;
-
-try {
-    Gpio = require('pigpio').Gpio;
-    pigpioAvailable = true;
-    console.log('📡 Sensor routes: pigpio library loaded for real GPIO monitoring');
-} catch (error) {
-    console.log('📡 Sensor routes: pigpio not available - cannot monitor GPIO inputs');
-    console.log('   To enable real GPIO: sudo apt-get install pigpio && sudo systemctl start pigpio');
-}
+// Shared GPIO driver (pigpio on the Pi, mock driver elsewhere)
+const gpioDriver = require('../lib/gpio-driver');
+const quadrature = require('../lib/quadrature');
+const sensorConfig = require('../lib/sensor-config');
+const sessionRecorder = require('../lib/session-recorder');
+const pinRegistry = require('../lib/pin-registry');
 
 // Global sensor state - tracks all active sensor monitoring
 const sensorState = {
-    activeSensors: new Map(), // Map of sensor -> { pin, enabled, pulses, rate, lastPulse, gpio, filteredRPM }
+    activeSensors: new Map(), // Map of sensor -> { pin, pinB, decoding, config, enabled, pulses, position, direction, rate, lastPulse, gpio, filteredRPM, signedRPM, zeroSpeed }
     pulseCounts: new Map(),   // Map of pin -> pulse count
     pulseRates: new Map(),    // Map of pin -> pulses per second
     lastPulseTimes: new Map(), // Map of pin -> last pulse timestamp
@@ -28,6 +22,9 @@ const sensorState = {
     lastEdgeTick: new Map()   // Map of pin -> last edge tick for debouncing
 };
 
+const ZERO_SPEED_CHECK_MS = 50; // How often idle sensors are checked for RPM decay / zero speed
+let zeroSpeedInterval = null;
+
 // Socket.IO instance for real-time updates
 let io = null;
 
@@ -37,21 +34,20 @@ function setSocket(socketInstance) {
     console.log('📡 Sensor routes: Socket.IO instance set for real-time sensor updates');
 }
 
-// Real GPIO input monitoring using pigpio alerts (interrupt-based)
+// Monitoring mode reported to clients
+function monitoringMode() {
+    return gpioDriver.isHardware ? 'real_gpio_interrupt' : 'mock_gpio_interrupt';
+}
+
+// GPIO input monitoring using driver alerts (interrupt-based)
 function startGPIOMonitoring(pin, sensor) {
-    console.log(`📡 Starting real GPIO monitoring for pin ${pin} (Sensor ${sensor})`);
-    
-    if (!pigpioAvailable) {
-        console.log(`❌ pigpio not available, cannot monitor GPIO ${pin}.`);
-        return false;
-    }
+    console.log(`📡 Starting ${gpioDriver.name} GPIO monitoring for pin ${pin} (Sensor ${sensor})`);
     
     try {
-        // Create GPIO instance for input monitoring
-        const gpio = new Gpio(pin, {
-            mode: Gpio.INPUT,
-            pullUpDown: Gpio.PUD_UP, // Use internal pull-up resistor
-            alert: true // Enable alerts for interrupt-based detection
+        // Open GPIO input through the shared driver
+        const gpio = gpioDriver.openInput(pin, {
+            pull: 'up',  // Use internal pull-up resistor
+            alert: true  // Enable alerts for interrupt-based detection
         });
         
         // Initialize pulse timing for accurate RPM calculation
@@ -68,7 +64,11 @@ function startGPIOMonitoring(pin, sensor) {
         // Set up interrupt-based edge detection
         const sensorKey = parseInt(sensor);
         gpio.on('alert', (level, tick) => {
-            if (level === 1 && sensorState.activeSensors.get(sensorKey)?.enabled) {
+            if (!sensorState.activeSensors.get(sensorKey)?.enabled) return;
+            
+            // Raw edges (both levels, before debounce) are what a session replay feeds back in
+            sessionRecorder.recordEdge(pin, level, tick);
+            if (level === 1) {
                 detectRealPulseInterrupt(pin, sensorKey, tick);
             }
         });
@@ -82,7 +82,7 @@ function startGPIOMonitoring(pin, sensor) {
             sensorData.polling = null; // No polling needed with interrupts
         }
         
-        console.log(`✅ Real GPIO monitoring active on pin ${pin} for Sensor ${sensor} (Interrupt mode)`);
+        console.log(`✅ GPIO monitoring active on pin ${pin} for Sensor ${sensor} (Interrupt mode, ${gpioDriver.name} driver)`);
         return true;
         
     } catch (error) {
@@ -91,16 +91,110 @@ function startGPIOMonitoring(pin, sensor) {
     }
 }
 
+// Quadrature (A/B) monitoring: alerts on both edges of both channels
+function startQuadratureMonitoring(pinA, pinB, sensor, decoding) {
+    console.log(`📡 Starting ${gpioDriver.name} quadrature monitoring on GPIO ${pinA}/${pinB} (Sensor ${sensor}, ${decoding})`);
+    
+    try {
+        const gpioA = gpioDriver.openInput(pinA, { pull: 'up', alert: true });
+        const gpioB = gpioDriver.openInput(pinB, { pull: 'up', alert: true });
+        
+        sensorState.pulseTimes.set(pinA, []);
+        sensorState.rpmFilters.set(pinA, 0);
+        
+        const sensorKey = parseInt(sensor);
+        const sensorData = sensorState.activeSensors.get(sensorKey);
+        sensorData.gpio = gpioA;
+        sensorData.gpioB = gpioB;
+        sensorData.polling = null;
+        sensorData.decoder = quadrature.createDecoder(decoding, gpioA.digitalRead(), gpioB.digitalRead());
+        
+        gpioA.on('alert', (level, tick) => {
+            if (sensorState.activeSensors.get(sensorKey)?.enabled) {
+                sessionRecorder.recordEdge(pinA, level, tick);
+                detectQuadratureEdge(sensorKey, 'A', level, tick);
+            }
+        });
+        gpioB.on('alert', (level, tick) => {
+            if (sensorState.activeSensors.get(sensorKey)?.enabled) {
+                sessionRecorder.recordEdge(pinB, level, tick);
+                detectQuadratureEdge(sensorKey, 'B', level, tick);
+            }
+        });
+        
+        console.log(`✅ Quadrature monitoring active on GPIO ${pinA}/${pinB} for Sensor ${sensor} (${decoding}, ${gpioDriver.name} driver)`);
+        return true;
+        
+    } catch (error) {
+        console.error(`❌ Failed to setup quadrature monitoring on GPIO ${pinA}/${pinB}:`, error);
+        return false;
+    }
+}
+
+// Quadrature edge: decode direction, update the signed position and signed RPM.
+// No time debounce here - the decoder already cancels contact bounce.
+function detectQuadratureEdge(sensor, channel, level, tick) {
+    const sensorData = sensorState.activeSensors.get(sensor);
+    const pin = sensorData.pin;
+    const timestamp = Date.now();
+    
+    const delta = quadrature.decodeEdge(sensorData.decoder, channel, level);
+    
+    // Legacy unsigned pulse count: one per A rising edge, whatever the direction
+    if (channel === 'A' && level === 1) {
+        sensorData.pulses = (sensorData.pulses || 0) + 1;
+        sensorState.pulseCounts.set(pin, sensorData.pulses);
+    }
+    
+    if (delta === 0) return;
+    
+    sensorData.position += delta;
+    
+    // Direction change: restart the RPM window so counts from both directions never mix
+    if (delta !== sensorData.direction) {
+        sensorData.direction = delta;
+        sensorState.pulseTimes.set(pin, []);
+        sensorState.rpmFilters.set(pin, 0);
+        sensorData.filterHistory = [];
+    }
+    
+    markMoving(sensor, sensorData);
+    const rate = updateRollingRPM(sensorData, tick, countsPerRevolution(sensorData), Math.abs(sensorData.position));
+    
+    sensorState.lastPulseTimes.set(pin, timestamp);
+    sensorState.pulseRates.set(pin, rate);
+    
+    sensorData.rate = rate;
+    sensorData.lastPulse = timestamp;
+    sensorData.filteredRPM = sensorState.rpmFilters.get(pin) ?? 0;
+    sensorData.signedRPM = sensorData.direction * sensorData.filteredRPM;
+    
+    if (io) {
+        io.emit('sensorPulse', {
+            sensor: sensor,
+            pin: pin,
+            pulses: sensorData.pulses,
+            position: sensorData.position,
+            direction: sensorData.direction,
+            rate: rate,
+            rpm: sensorData.signedRPM,
+            timestamp: timestamp,
+            source: monitoringMode()
+        });
+    }
+}
+
 // Interrupt-based pulse detection with rolling window RPM calculation
 function detectRealPulseInterrupt(pin, sensor, tick) {
     const timestamp = Date.now();
-    // pigpio tick is µs since boot → convert once to seconds
-    const tickTime = tick / 1_000_000;
+    const sensorData = sensorState.activeSensors.get(parseInt(sensor));
+    const config = sensorData.config;
 
-    // ── Debounce: ignore edges <1 ms apart ─────────────────────
+    // ── Debounce: ignore edges closer than the sensor's debounceMs ─────
+    // (ticks are µs and wrap at 2^32, so the difference is taken modulo 2^32)
     sensorState.lastEdgeTick ??= new Map();
-    const lastTick = sensorState.lastEdgeTick.get(pin) ?? 0;
-    if (tick - lastTick < 5_000) return;  // increase debounce to 5 ms
+    const lastTick = sensorState.lastEdgeTick.get(pin);
+    if (lastTick !== undefined && ((tick - lastTick) >>> 0) < config.debounceMs * 1000) return;
     sensorState.lastEdgeTick.set(pin, tick);
     
     // Increment pulse count
@@ -112,20 +206,66 @@ function detectRealPulseInterrupt(pin, sensor, tick) {
     console.log(`🔍 [Sensor ${sensor}] pulse #${newCount} on GPIO ${pin}, filteredRPM=${fr.toFixed(1)}, timestamp=${timestamp}`);
     
     // Rolling window RPM calculation for better accuracy
+    markMoving(parseInt(sensor), sensorData);
+    const rate = updateRollingRPM(sensorData, tick, countsPerRevolution(sensorData), newCount);
+    
+    sensorState.lastPulseTimes.set(pin, timestamp);
+    sensorState.pulseRates.set(pin, rate);
+    
+    // Update sensor state - always publish filteredRPM
+    sensorData.pulses = newCount;
+    sensorData.position = newCount; // Single channel: always counting forward
+    sensorData.rate = rate;
+    sensorData.lastPulse = timestamp;
+    sensorData.filteredRPM = sensorState.rpmFilters.get(pin) ?? 0;
+    sensorData.signedRPM = sensorData.filteredRPM;
+    console.log(`🔍 [Sensor ${sensor}] → sensorState.activeSensors.get(${sensor}).pulses=${sensorData.pulses}, filteredRPM=${sensorData.filteredRPM.toFixed(1)}`);
+    
+    // Log first few pulses for diagnostics
+    if (newCount <= 5) {
+        console.log(`🔄 Sensor ${sensor}: Pulse #${newCount} detected on GPIO ${pin}, RPM: ${(sensorState.rpmFilters.get(pin) ?? 0).toFixed(1)}`);
+    }
+    
+    // Broadcast sensor pulse to all WebSocket clients
+    if (io) {
+        io.emit('sensorPulse', {
+            sensor: sensor,
+            pin: pin,
+            pulses: newCount,
+            rate: rate,
+            rpm: sensorState.rpmFilters.get(pin) ?? 0,
+            timestamp: timestamp,
+            source: gpioDriver.isHardware ? 'real_gpio_interrupt' : 'mock_gpio_interrupt'
+        });
+    }
+    
+
+}
+
+// Rolling window of edge times → count rate and filtered RPM for one sensor, using its config.
+// Returns the rate in counts per second; the filtered RPM is kept in sensorState.rpmFilters.
+// Edge ticks are µs and wrap at 2^32: each edge time (in seconds) continues from the window's
+// previous edge by the wrapped tick difference, so the window stays ordered across the wrap.
+function updateRollingRPM(sensorData, tick, countsPerRevolution, count) {
+    const pin = sensorData.pin;
+    const config = sensorData.config;
     const pulseTimes = sensorState.pulseTimes.get(pin) || [];
+    const tickTime = pulseTimes.length
+        ? pulseTimes[pulseTimes.length - 1] + ((tick - sensorData.lastWindowTick) >>> 0) / 1_000_000
+        : tick / 1_000_000;
+    sensorData.lastWindowTick = tick;
     pulseTimes.push(tickTime);
     
-    // Keep a 1 s window of timestamps
-    while (pulseTimes.length && (tickTime - pulseTimes[0]) > 1.0) {
+    // Keep a windowMs window of timestamps
+    while (pulseTimes.length && (tickTime - pulseTimes[0]) > config.windowMs / 1000) {
         pulseTimes.shift();
     }
     
     let rate = 0;
-    let instantRPM = 0;
     
-    // Debug timing for first few pulses
-    if (newCount <= 10) {
-        console.log(`🔧 Pulse ${newCount}: tickTime=${tickTime.toFixed(6)}s, pulseTimes.length=${pulseTimes.length}`);
+    // Debug timing for first few counts
+    if (count <= 10) {
+        console.log(`🔧 Count ${count}: tickTime=${tickTime.toFixed(6)}s, pulseTimes.length=${pulseTimes.length}`);
     }
     
     if (pulseTimes.length >= 2) { // Require at least 2 pulses for calculation
@@ -134,23 +274,22 @@ function detectRealPulseInterrupt(pin, sensor, tick) {
         const windowPulses = pulseTimes.length - 1;
         
         // Debug the window calculation
-        if (newCount <= 10) {
-            console.log(`🔧 Window: ${windowPulses} pulses in ${windowTime.toFixed(6)}s`);
+        if (count <= 10) {
+            console.log(`🔧 Window: ${windowPulses} counts in ${windowTime.toFixed(6)}s`);
         }
         
-        if (windowTime > 0.025) {           // >=25 ms window
-            const pulsesPerSecond = windowPulses / windowTime;
-            rate = Math.round(pulsesPerSecond);
-            instantRPM = (pulsesPerSecond * 60) / 45; // 45 pulses per rotation
+        if (windowTime > config.minWindowMs / 1000) {
+            rate = Math.round(windowPulses / windowTime);
+            const instantRPM = sensorConfig.instantRPM(config, pulseTimes, countsPerRevolution);
             
-            // Apply single-pole IIR filter for smoothing - start with first valid RPM, never 0
+            // Smooth with the sensor's filter - start with first valid RPM, never 0
             const currentFilter = sensorState.rpmFilters.get(pin) ?? instantRPM;
-            const filteredRPM = currentFilter * 0.6 + instantRPM * 0.4;
+            const filteredRPM = sensorConfig.applyFilter(config, currentFilter, sensorData.filterHistory, instantRPM);
             sensorState.rpmFilters.set(pin, filteredRPM);
             
             // Debug logging for calculations
-            if (newCount <= 10) {
-                console.log(`🔧 RPM Calc: ${pulsesPerSecond.toFixed(1)} pps = ${instantRPM.toFixed(1)} RPM, filtered: ${filteredRPM.toFixed(1)}`);
+            if (count <= 10) {
+                console.log(`🔧 RPM Calc (${config.filter}): ${instantRPM.toFixed(1)} RPM, filtered: ${filteredRPM.toFixed(1)}`);
             }
         } else {
             // keep previous filteredRPM so controller never sees 0
@@ -158,39 +297,72 @@ function detectRealPulseInterrupt(pin, sensor, tick) {
     }
     
     sensorState.pulseTimes.set(pin, pulseTimes);
-    sensorState.lastPulseTimes.set(pin, timestamp);
-    sensorState.pulseRates.set(pin, rate);
-    
-    // Update sensor state (ensure sensor key is number) - always publish filteredRPM
-    const sensorKey = parseInt(sensor);
-    if (sensorState.activeSensors.has(sensorKey)) {
-        const sensorData = sensorState.activeSensors.get(sensorKey);
-        sensorData.pulses = newCount;
-        sensorData.rate = rate;
-        sensorData.lastPulse = timestamp;
-        sensorData.filteredRPM = sensorState.rpmFilters.get(pin) ?? 0;
-        console.log(`🔍 [Sensor ${sensor}] → sensorState.activeSensors.get(${sensor}).pulses=${sensorData.pulses}, filteredRPM=${sensorData.filteredRPM.toFixed(1)}`);
-    }
-    
-    // Log first few pulses for diagnostics
-    if (newCount <= 5) {
-        console.log(`🔄 Sensor ${sensor}: Pulse #${newCount} detected on GPIO ${pin}, RPM: ${(sensorState.rpmFilters.get(pin) ?? 0).toFixed(1)}`);
-    }
-    
-    // Broadcast sensor pulse to all WebSocket clients
+    return rate;
+}
+
+// Counts per wheel rotation: PPR, times the quadrature decoding multiplier
+function countsPerRevolution(sensorData) {
+    return sensorData.config.pulsesPerRotation * (sensorData.decoding ? quadrature.countsPerLine(sensorData.decoding) : 1);
+}
+
+// Broadcast a zero-speed transition
+function emitSensorStall(sensor, sensorData) {
     if (io) {
-        io.emit('sensorPulse', {
+        io.emit('sensorStall', {
             sensor: sensor,
-            pin: pin,
-            pulses: newCount,
-            rate: rate,
-            rpm: sensorState.rpmFilters.get(pin) ?? 0,
-            timestamp: timestamp,
-            source: 'real_gpio_interrupt'
+            pin: sensorData.pin,
+            zeroSpeed: sensorData.zeroSpeed,
+            lastPulse: sensorData.lastPulse,
+            timestamp: Date.now()
         });
     }
+}
+
+// An edge arrived: leave zero speed if the sensor was there
+function markMoving(sensor, sensorData) {
+    if (!sensorData.zeroSpeed) return;
     
+    sensorData.zeroSpeed = false;
+    if (sensorData.lastPulse !== null) {
+        console.log(`📡 Sensor ${sensor} moving again`);
+        emitSensorStall(sensor, sensorData);
+    }
+}
 
+// Edges only arrive while the wheel turns, so a stopped wheel would keep its last RPM
+// forever. Between edges the wheel can be turning at most one count per elapsed time:
+// decay the RPM to that bound, and report zero speed after zeroSpeedTimeoutMs.
+function checkZeroSpeed() {
+    const now = Date.now();
+    
+    sensorState.activeSensors.forEach((sensorData, sensor) => {
+        if (!sensorData.enabled || sensorData.zeroSpeed || sensorData.lastPulse === null) return;
+        
+        const pin = sensorData.pin;
+        const since = now - sensorData.lastPulse;
+        
+        if (since >= sensorData.config.zeroSpeedTimeoutMs) {
+            sensorData.zeroSpeed = true;
+            sensorData.rate = 0;
+            sensorData.filteredRPM = 0;
+            sensorData.signedRPM = 0;
+            sensorData.filterHistory = [];
+            sensorState.rpmFilters.set(pin, 0);
+            sensorState.pulseTimes.set(pin, []);
+            sensorState.pulseRates.set(pin, 0);
+            
+            console.log(`📡 Sensor ${sensor} zero speed: no edges for ${since} ms`);
+            emitSensorStall(sensor, sensorData);
+            return;
+        }
+        
+        const maxRPM = 60000 / (countsPerRevolution(sensorData) * since);
+        if (maxRPM < (sensorData.filteredRPM ?? 0)) {
+            sensorData.filteredRPM = maxRPM;
+            sensorData.signedRPM = sensorData.direction * maxRPM;
+            sensorState.rpmFilters.set(pin, maxRPM);
+        }
+    });
 }
 
 function stopGPIOMonitoring(sensor) {
@@ -199,12 +371,19 @@ function stopGPIOMonitoring(sensor) {
     
     const pin = sensorData.pin;
     
-    // Remove alert listener and clean up GPIO
+    // Remove alert listener and release the input through the driver
     if (sensorData.gpio) {
-        sensorData.gpio.removeAllListeners('alert');
+        sensorData.gpio.close();
         sensorData.gpio = null;
         console.log(`📡 Stopped GPIO interrupt monitoring for Sensor ${sensor} (GPIO ${pin})`);
     }
+    if (sensorData.gpioB) {
+        sensorData.gpioB.close();
+        sensorData.gpioB = null;
+        console.log(`📡 Stopped quadrature channel B monitoring for Sensor ${sensor} (GPIO ${sensorData.pinB})`);
+    }
+    
+    pinRegistry.releaseOwner(`sensor/${parseInt(sensor)}`);
     
     // Clear pulse timing data
     if (sensorState.pulseTimes) {
@@ -216,11 +395,68 @@ function stopGPIOMonitoring(sensor) {
 }
 
 
+// Enable monitoring for a sensor on a pin (used by the REST route and the simulator).
+// With options.pinB the sensor is decoded as a quadrature encoder (options.decoding 1x/2x/4x).
+// options.config is a validated partial sensor config; a re-enabled sensor keeps its previous config.
+function enableSensor(sensor, pin, { pinB = null, decoding = '4x', config = {} } = {}) {
+    console.log(`📡 Enabling sensor monitoring: Sensor ${sensor} on GPIO ${pin}${pinB !== null ? ` / ${pinB} (quadrature ${decoding})` : ''}`);
+    
+    // Encoder inputs must be free (or already this sensor's) - nothing else may drive them
+    const owner = `sensor/${parseInt(sensor)}`;
+    const pins = pinB !== null ? [pin, pinB] : [pin];
+    pins.forEach(inputPin => {
+        const conflict = pinRegistry.conflictError(inputPin, owner, 'input');
+        if (conflict) {
+            throw Object.assign(new Error(conflict), { status: 409 });
+        }
+    });
+    
+    // Release any previous input for this sensor before re-enabling it
+    stopGPIOMonitoring(sensor);
+    pins.forEach((inputPin, index) => pinRegistry.claim(inputPin, owner, 'input',
+        pinB !== null ? `Sensor ${sensor} channel ${index === 0 ? 'A' : 'B'}` : `Sensor ${sensor} encoder`));
+    
+    const previous = sensorState.activeSensors.get(parseInt(sensor));
+    
+    // Initialize sensor data (ensure sensor is stored as number)
+    sensorState.activeSensors.set(parseInt(sensor), {
+        pin: pin,
+        pinB: pinB,
+        decoding: pinB !== null ? decoding : null,
+        config: { ...(previous ? previous.config : sensorConfig.defaultSensorConfig()), ...config },
+        filterHistory: [], // Recent readings for the moving-average / median filters
+        enabled: true,
+        pulses: 0,
+        position: 0,       // Signed count (quadrature counts, or pulses on a single channel)
+        direction: 1,      // +1 forward, -1 reverse
+        zeroSpeed: true,   // No edge within zeroSpeedTimeoutMs (true until the first edge)
+        rate: 0,
+        lastPulse: null,
+        gpio: null,
+        polling: null
+    });
+    
+    // Initialize counters for this pin
+    sensorState.pulseCounts.set(pin, 0);
+    sensorState.pulseRates.set(pin, 0);
+    sensorState.lastPulseTimes.set(pin, null);
+    sensorState.lastEdgeTick.delete(pin);
+    
+    if (!zeroSpeedInterval) {
+        zeroSpeedInterval = setInterval(checkZeroSpeed, ZERO_SPEED_CHECK_MS);
+    }
+    
+    // Start GPIO monitoring
+    if (pinB !== null) {
+        return startQuadratureMonitoring(pin, pinB, sensor, decoding);
+    }
+    return startGPIOMonitoring(pin, sensor);
+}
 
 // Enable sensor monitoring
 router.post('/enable', (req, res) => {
     try {
-        const { sensor, pin } = req.body;
+        const { sensor, pin, pinB, decoding } = req.body;
         
         if (!sensor || pin === undefined) {
             return res.status(400).json({
@@ -229,33 +465,49 @@ router.post('/enable', (req, res) => {
             });
         }
         
-        if (!pigpioAvailable) {
-            return res.status(500).json({
+        if (decoding !== undefined && pinB === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'decoding requires pinB (quadrature channel B)'
+            });
+        }
+        
+        if (decoding !== undefined && !quadrature.DECODING_MODES.includes(decoding)) {
+            return res.status(400).json({
                 success: false,
-                error: 'GPIO monitoring not available - pigpio library not loaded'
+                error: `Invalid decoding. Must be one of: ${quadrature.DECODING_MODES.join(', ')}`
             });
         }
         
-        console.log(`📡 Enabling sensor monitoring: Sensor ${sensor} on GPIO ${pin}`);
+        if (pinB !== undefined && (!Number.isInteger(pinB) || pinB < 0 || pinB > 27 || pinB === pin)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid pinB. Must be a GPIO pin 0-27 different from pin'
+            });
+        }
         
-        // Initialize sensor data (ensure sensor is stored as number)
-        sensorState.activeSensors.set(parseInt(sensor), {
-            pin: pin,
-            enabled: true,
-            pulses: 0,
-            rate: 0,
-            lastPulse: null,
-            gpio: null,
-            polling: null
-        });
+        // Optional per-sensor settings (pulsesPerRotation, debounceMs, windowMs, minWindowMs, filter, ...)
+        const { error: configError, config } = sensorConfig.validateSensorConfig(req.body);
+        if (configError) {
+            return res.status(400).json({
+                success: false,
+                error: configError
+            });
+        }
         
-        // Initialize counters for this pin
-        sensorState.pulseCounts.set(pin, 0);
-        sensorState.pulseRates.set(pin, 0);
-        sensorState.lastPulseTimes.set(pin, null);
+        const previous = sensorState.activeSensors.get(parseInt(sensor));
+        const { error: mergeError } = sensorConfig.mergeSensorConfig(previous ? previous.config : sensorConfig.defaultSensorConfig(), config);
+        if (mergeError) {
+            return res.status(400).json({
+                success: false,
+                error: mergeError
+            });
+        }
         
-        // Start GPIO monitoring
-        const success = startGPIOMonitoring(pin, sensor);
+        // Initialize state and start GPIO monitoring
+        const success = pinB !== undefined
+            ? enableSensor(sensor, pin, { pinB, decoding, config })
+            : enableSensor(sensor, pin, { config });
         
         if (!success) {
             return res.status(500).json({
@@ -273,19 +525,24 @@ router.post('/enable', (req, res) => {
             });
         }
         
+        const sensorData = sensorState.activeSensors.get(parseInt(sensor));
+        
         res.json({
             success: true,
-            message: `Sensor ${sensor} monitoring enabled on GPIO ${pin}`,
+            message: `Sensor ${sensor} monitoring enabled on GPIO ${pin}${sensorData.pinB !== null ? ` / ${sensorData.pinB} (quadrature ${sensorData.decoding})` : ''}`,
             sensor: sensor,
             pin: pin,
-            mode: 'real_gpio_polling'
+            pinB: sensorData.pinB,
+            decoding: sensorData.decoding,
+            config: sensorData.config,
+            mode: monitoringMode()
         });
         
     } catch (error) {
         console.error('Sensor enable error:', error);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Failed to enable sensor monitoring'
+            error: error.status ? error.message : 'Failed to enable sensor monitoring'
         });
     }
 });
@@ -359,6 +616,7 @@ router.post('/reset', (req, res) => {
             const pin = sensorData.pin;
             
             sensorData.pulses = 0;
+            sensorData.position = 0;
             sensorData.rate = 0;
             sensorData.lastPulse = null;
             
@@ -400,11 +658,18 @@ router.get('/status', (req, res) => {
             sensors.push({
                 sensor: sensor,
                 pin: data.pin,
+                pinB: data.pinB,
+                decoding: data.decoding,
                 enabled: data.enabled,
                 pulses: data.pulses,
+                position: data.position,
+                direction: data.direction,
+                rpm: data.signedRPM ?? 0,
+                zeroSpeed: data.zeroSpeed,
                 rate: data.rate,
+                config: data.config,
                 lastPulse: data.lastPulse,
-                mode: 'real_gpio_polling'
+                mode: monitoringMode()
             });
         });
         
@@ -412,7 +677,8 @@ router.get('/status', (req, res) => {
             success: true,
             activeSensors: sensors,
             totalSensors: sensorState.activeSensors.size,
-            pigpioAvailable: pigpioAvailable,
+            pigpioAvailable: gpioDriver.isHardware,
+            driver: gpioDriver.name,
             message: 'Sensor status retrieved successfully'
         });
         
@@ -425,10 +691,86 @@ router.get('/status', (req, res) => {
     }
 });
 
+// Get a sensor's encoder configuration
+router.get('/:id/config', (req, res) => {
+    const sensorData = sensorState.activeSensors.get(parseInt(req.params.id));
+    
+    if (!sensorData) {
+        return res.status(404).json({
+            success: false,
+            error: `Sensor ${req.params.id} not found`
+        });
+    }
+    
+    res.json({
+        success: true,
+        sensor: parseInt(req.params.id),
+        config: sensorData.config,
+        filters: sensorConfig.FILTER_TYPES
+    });
+});
+
+// Update a sensor's encoder configuration (partial). Applies to the next edge;
+// the RPM window and filter restart so old readings never mix with new settings.
+router.put('/:id/config', (req, res) => {
+    const sensor = parseInt(req.params.id);
+    const sensorData = sensorState.activeSensors.get(sensor);
+    
+    if (!sensorData) {
+        return res.status(404).json({
+            success: false,
+            error: `Sensor ${req.params.id} not found`
+        });
+    }
+    
+    const { error, config } = sensorConfig.validateSensorConfig(req.body);
+    if (error || Object.keys(config).length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: error || 'No sensor configuration provided'
+        });
+    }
+    
+    const merged = sensorConfig.mergeSensorConfig(sensorData.config, config);
+    if (merged.error) {
+        return res.status(400).json({
+            success: false,
+            error: merged.error
+        });
+    }
+    
+    sensorData.config = merged.config;
+    sensorData.filterHistory = [];
+    sensorState.pulseTimes.set(sensorData.pin, []);
+    sensorState.rpmFilters.set(sensorData.pin, 0);
+    
+    console.log(`📡 Sensor ${sensor} config updated: ${JSON.stringify(sensorData.config)}`);
+    
+    if (io) {
+        io.emit('sensorUpdate', {
+            message: `Sensor ${sensor} configuration updated`,
+            sensor: sensor,
+            config: sensorData.config
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: `Sensor ${sensor} configuration updated`,
+        sensor: sensor,
+        config: sensorData.config
+    });
+});
+
 // Cleanup function for graceful shutdown
 function cleanup() {
     console.log('📡 Cleaning up sensor monitoring...');
     
+    if (zeroSpeedInterval) {
+        clearInterval(zeroSpeedInterval);
+        zeroSpeedInterval = null;
+    }
+    
     // Stop all GPIO monitoring
     sensorState.activeSensors.forEach((data, sensor) => {
         stopGPIOMonitoring(sensor);
@@ -460,9 +802,36 @@ function cleanup() {
     console.log('✅ Sensor monitoring cleanup completed');
 }
 
+// Setup of every enabled sensor, so a recorded session can be replayed with the same encoders
+function getEnabledSensors() {
+    const sensors = [];
+    sensorState.activeSensors.forEach((data, sensor) => {
+        if (!data.enabled) return;
+        sensors.push({ sensor: sensor, pin: data.pin, pinB: data.pinB, decoding: data.decoding, config: { ...data.config } });
+    });
+    return sensors;
+}
+
+// Current readings of every enabled sensor, for telemetry history
+function getTelemetry() {
+    const values = {};
+    sensorState.activeSensors.forEach((data, sensor) => {
+        if (!data.enabled) return;
+        values[`sensor.${sensor}.pulses`] = data.pulses;
+        values[`sensor.${sensor}.position`] = data.position;
+        values[`sensor.${sensor}.rate`] = data.rate;
+        values[`sensor.${sensor}.rpm`] = data.signedRPM ?? 0;
+    });
+    return values;
+}
+
 module.exports = {
     router,
     setSocket,
+    enableSensor,
+    getEnabledSensors,
+    countsPerRevolution,
+    getTelemetry,
     cleanup,
     sensorState
 }; 
\ No newline at end of file
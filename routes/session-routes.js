@@ -0,0 +1,440 @@
+// Session routes module
+// Records full runs (commands, sensor edges, PWM writes) and replays them against the
+// mock GPIO driver so the RPM loop and robot logic can be re-run offline and compared.
+
+const express = require('express');
+const router = express.Router();
+const http = require('http');
+const { performance } = require('perf_hooks');
+
+const gpioDriver = require('../lib/gpio-driver');
+const motorSim = require('../lib/motor-sim');
+const sessionRecorder = require('../lib/session-recorder');
+const pwmRoutes = require('./pwm-routes');
+const sensorRoutes = require('./sensor-routes');
+const rpmControlRoutes = require('./rpm-control-routes');
+const safetyRoutes = require('./safety-routes');
+
+const REPLAY_PROGRESS_MS = 1000; // How often replay progress is broadcast
+const REPLAY_SETTLE_MS = 250;    // Keep capturing this long after the last event
+
+// Recorded REST commands that are not replayed: the control lock and the safety supervisor
+// belong to the people at the robot now, not to the recording
+const UNREPLAYED_PATHS = ['/api/control', '/api/safety'];
+
+// Current/last replay: { name, status, startedAt, startTime, duration, events, index, timer,
+// progressTimer, startTick, recordedStartTick, recordedPWM, replayedPWM, onWrite, port, client,
+// comparison, error }
+let replay = null;
+
+// Socket.IO instance and the server's socket command dispatcher, (event, socket, client, data) =>
+// result: replayed socket commands go through the same latch and control lock checks as live ones
+let io = null;
+let dispatchSocketCommand = null;
+
+function setSocket(socketInstance) {
+  io = socketInstance;
+}
+
+function setSocketDispatcher(dispatcher) {
+  dispatchSocketCommand = dispatcher;
+}
+
+function isReplaying() {
+  return replay !== null && replay.status === 'running';
+}
+
+// Controller tuning and profiles at the start of a recording, so a replay starts from the same loop settings
+function getControllerSetup() {
+  return Array.from(rpmControlRoutes.controllers.values()).map(ctrl => {
+    const { activeGains, ...tuning } = rpmControlRoutes.getTuning(ctrl);
+    return { id: ctrl.id, tuning: tuning, profile: { ...ctrl.profile } };
+  });
+}
+
+// ==============================================
+// REPLAY
+// ==============================================
+
+function getReplayStatus() {
+  if (!replay) return null;
+
+  return {
+    name: replay.name,
+    status: replay.status,
+    startedAt: replay.startedAt,
+    elapsed: replay.status === 'running' ? Math.round(performance.now() - replay.startTime) / 1000 : replay.duration / 1000,
+    duration: replay.duration / 1000,
+    events: replay.events.length,
+    dispatched: replay.index,
+    comparison: replay.comparison,
+    error: replay.error
+  };
+}
+
+function broadcastReplay() {
+  if (io) {
+    io.emit('sessionReplay', { ...getReplayStatus(), timestamp: new Date().toISOString() });
+  }
+}
+
+// Put controllers and outputs into a known idle state
+function stopOutputs() {
+  rpmControlRoutes.controllers.forEach(ctrl => rpmControlRoutes.stopController(ctrl));
+  pwmRoutes.cleanup();
+}
+
+// Re-issue a recorded REST command against this server, as the client that started the replay
+// (so it passes the control lock only if that client may send commands)
+function replayRestCommand(event) {
+  const requestPath = event.path.toLowerCase();
+  if (UNREPLAYED_PATHS.some(prefix => requestPath.startsWith(prefix))) return;
+
+  const body = JSON.stringify(event.body || {});
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+  if (replay.client) headers['X-Client-Id'] = replay.client;
+
+  const request = http.request({
+    host: '127.0.0.1',
+    port: replay.port,
+    method: event.method,
+    path: event.path,
+    headers: headers
+  }, (response) => response.resume());
+
+  request.on('error', (error) => console.error(`❌ Replay: ${event.method} ${event.path} failed:`, error.message));
+  request.end(body);
+}
+
+function dispatchEvent(event) {
+  switch (event.type) {
+    case 'edge': {
+      // Keep the recorded spacing between edges exactly, shifted onto the current tick base
+      const offset = (event.tick - replay.recordedStartTick) >>> 0;
+      gpioDriver.injectEdge(event.pin, event.level, (replay.startTick + offset) >>> 0);
+      break;
+    }
+    case 'command':
+      if (event.source === 'rest') {
+        replayRestCommand(event);
+      } else if (dispatchSocketCommand) {
+        // Replayed socket commands act like a socket that is not connected, sent by the client
+        // that started the replay
+        dispatchSocketCommand(event.event, { id: 'replay', broadcast: io }, replay.client, event.data);
+      }
+      break;
+    // Recorded PWM writes are the reference output, not inputs
+  }
+}
+
+// Dispatch every event that is due, then sleep until the next one
+function pumpReplay() {
+  const elapsed = performance.now() - replay.startTime;
+
+  while (replay.index < replay.events.length && replay.events[replay.index].t <= elapsed) {
+    try {
+      dispatchEvent(replay.events[replay.index]);
+    } catch (error) {
+      console.error('❌ Replay event failed:', error.message);
+    }
+    replay.index++;
+  }
+
+  if (replay.index < replay.events.length) {
+    replay.timer = setTimeout(pumpReplay, Math.max(0, replay.events[replay.index].t - elapsed));
+  } else {
+    replay.timer = setTimeout(() => finishReplay('complete'), Math.max(0, replay.duration + REPLAY_SETTLE_MS - elapsed));
+  }
+}
+
+function finishReplay(status, error = null) {
+  if (!isReplaying()) return;
+
+  clearTimeout(replay.timer);
+  clearInterval(replay.progressTimer);
+  gpioDriver.removeListener('write', replay.onWrite);
+
+  replay.status = status;
+  replay.error = error;
+  replay.comparison = sessionRecorder.comparePWM(replay.recordedPWM, replay.replayedPWM, { duration: replay.duration });
+
+  // Leave the motors off whatever state the recording ended in
+  stopOutputs();
+
+  console.log(`⏏️  Session replay ${status}: ${replay.name} (${replay.comparison.match ? 'PWM output matches' : 'PWM output differs'})`);
+  broadcastReplay();
+}
+
+async function startReplay(name, port, client = null) {
+  if (gpioDriver.isHardware) {
+    throw Object.assign(new Error('Replay is only available with the mock GPIO driver'), { status: 409 });
+  }
+  if (motorSim.getStatus().running) {
+    throw Object.assign(new Error('Stop the simulation before replaying - it would add its own encoder edges'), { status: 409 });
+  }
+  if (sessionRecorder.isRecording()) {
+    throw Object.assign(new Error('Stop recording before replaying'), { status: 409 });
+  }
+  if (isReplaying()) {
+    throw Object.assign(new Error(`Already replaying session "${replay.name}"`), { status: 409 });
+  }
+  if (safetyRoutes.isLatched()) {
+    throw Object.assign(new Error(safetyRoutes.latchedError()), { status: 409 });
+  }
+
+  const { header, events, summary } = await sessionRecorder.loadSession(name);
+
+  // Start from the recorded setup: idle outputs, the same encoders and the same loop settings
+  stopOutputs();
+  header.sensors.forEach(s => sensorRoutes.enableSensor(s.sensor, s.pin, { pinB: s.pinB, decoding: s.decoding || '4x', config: s.config }));
+  (header.controllers || []).forEach(setup => {
+    const ctrl = rpmControlRoutes.getController(setup.id);
+    if (!ctrl) return;
+    rpmControlRoutes.applyTuning(ctrl, setup.tuning);
+    ctrl.profile = { ...setup.profile };
+  });
+
+  replay = {
+    name: name,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    startTime: performance.now(),
+    duration: summary.duration * 1000,
+    events: events,
+    index: 0,
+    timer: null,
+    progressTimer: null,
+    startTick: gpioDriver.getTick(),
+    recordedStartTick: header.startTick,
+    recordedPWM: events.filter(event => event.type === 'pwm'),
+    replayedPWM: [],
+    onWrite: null,
+    port: port,
+    client: client,
+    comparison: null,
+    error: null
+  };
+
+  const run = replay;
+  // Digital writes (H-bridge direction pins) are recorded as duty 0/255, so capture them the same way
+  run.onWrite = (entry) => {
+    if (entry.type === 'pwm' || entry.type === 'digital') {
+      const dutyCycle = entry.type === 'digital' ? entry.value * 255 : entry.value;
+      run.replayedPWM.push({ t: performance.now() - run.startTime, pin: entry.pin, dutyCycle: dutyCycle });
+    }
+  };
+  gpioDriver.on('write', run.onWrite);
+
+  run.progressTimer = setInterval(broadcastReplay, REPLAY_PROGRESS_MS);
+  pumpReplay();
+
+  console.log(`▶️  Session replay started: ${name} (${events.length} events, ${summary.duration}s)`);
+  broadcastReplay();
+  return getReplayStatus();
+}
+
+// Shared error response for the session endpoints
+function sendError(res, error) {
+  if (!error.status) console.error('Session error:', error);
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function requireValidName(req, res, next) {
+  if (!sessionRecorder.isValidName(req.params.name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid session name. Use 1-64 letters, digits, - or _',
+      timestamp: new Date().toISOString()
+    });
+  }
+  next();
+}
+
+// ==============================================
+// SESSION ENDPOINTS
+// ==============================================
+
+// List saved sessions with the recording and replay state
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      recording: sessionRecorder.getRecordingStatus(),
+      replay: getReplayStatus(),
+      sessions: await sessionRecorder.listSessions(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Start recording
+router.post('/record/start', (req, res) => {
+  const { name = `session-${new Date().toISOString().replace(/[:.]/g, '-')}` } = req.body;
+
+  if (!sessionRecorder.isValidName(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid session name. Use 1-64 letters, digits, - or _',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (isReplaying()) {
+    return res.status(409).json({
+      success: false,
+      error: 'Cannot record while a session is replaying',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  try {
+    const recording = sessionRecorder.startRecording({
+      name: name,
+      driver: gpioDriver.name,
+      startTick: gpioDriver.getTick(),
+      sensors: sensorRoutes.getEnabledSensors(),
+      controllers: getControllerSetup()
+    });
+
+    res.json({
+      success: true,
+      message: `Recording session "${name}"`,
+      recording: recording,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stop recording and save the session file
+router.post('/record/stop', async (req, res) => {
+  try {
+    const session = await sessionRecorder.stopRecording();
+
+    res.json({
+      success: true,
+      message: `Session "${session.name}" saved`,
+      session: session,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get the current recording
+router.get('/record/status', (req, res) => {
+  res.json({
+    success: true,
+    recording: sessionRecorder.getRecordingStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get the current/last replay and its comparison report
+router.get('/replay/status', (req, res) => {
+  res.json({
+    success: true,
+    replay: getReplayStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cancel the running replay
+router.post('/replay/cancel', (req, res) => {
+  if (!isReplaying()) {
+    return res.status(409).json({
+      success: false,
+      error: 'No replay running',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  finishReplay('cancelled');
+
+  res.json({
+    success: true,
+    message: 'Replay cancelled',
+    replay: getReplayStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Get a saved session's summary and setup
+router.get('/:name', requireValidName, async (req, res) => {
+  try {
+    const { header, summary } = await sessionRecorder.loadSession(req.params.name);
+
+    res.json({
+      success: true,
+      session: summary,
+      sensors: header.sensors,
+      controllers: header.controllers || [],
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a saved session
+router.delete('/:name', requireValidName, async (req, res) => {
+  try {
+    await sessionRecorder.deleteSession(req.params.name);
+
+    res.json({
+      success: true,
+      message: `Session "${req.params.name}" deleted`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replay a saved session in real time (mock driver only). Poll /replay/status or listen
+// for sessionReplay events; the final status carries the PWM comparison report.
+router.post('/:name/replay', requireValidName, async (req, res) => {
+  try {
+    const status = await startReplay(req.params.name, req.socket.localPort, req.get('X-Client-Id') || null);
+
+    res.status(202).json({
+      success: true,
+      message: `Replaying session "${req.params.name}"`,
+      replay: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Stop a running replay (e.g. on emergency stop)
+function cancelReplay(reason) {
+  finishReplay('cancelled', reason);
+}
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  if (isReplaying()) {
+    clearTimeout(replay.timer);
+    clearInterval(replay.progressTimer);
+    gpioDriver.removeListener('write', replay.onWrite);
+    replay.status = 'cancelled';
+  }
+}
+
+module.exports = {
+  router,
+  setSocket,
+  setSocketDispatcher,
+  cancelReplay,
+  cleanup
+};
@@ -0,0 +1,137 @@
+// Simulation routes module
+// Controls the simulated DC motor + encoder plants used for offline closed-loop testing
+
+const express = require('express');
+const router = express.Router();
+
+const motorSim = require('../lib/motor-sim');
+const sensorRoutes = require('./sensor-routes');
+
+function isValidPin(pin) {
+  return Number.isInteger(pin) && pin >= 0 && pin <= 27;
+}
+
+// Start the simulator with the given motors (defaults to one plant per robot wheel)
+// and, unless disabled, enable the matching encoder sensors.
+function startSimulation({ motors = motorSim.DEFAULT_SIM_MOTORS, params = {}, enableSensors = true } = {}) {
+  const added = motors.map(motor => motorSim.addMotor({ ...motor, params: { ...params, ...(motor.params || {}) } }));
+
+  motorSim.start();
+
+  // Sensors count with the plant's own encoder resolution
+  if (enableSensors) {
+    added
+      .filter(motor => motor.sensor)
+      .forEach(motor => sensorRoutes.enableSensor(motor.sensor, motor.encoderPin, {
+        config: { pulsesPerRotation: motor.params.pulsesPerRotation }
+      }));
+  }
+
+  return motorSim.getStatus();
+}
+
+// ==============================================
+// SIMULATION ENDPOINTS
+// ==============================================
+
+// Get simulator status and plant state
+router.get('/status', (req, res) => {
+  res.json({
+    success: true,
+    simulation: motorSim.getStatus(),
+    defaultParams: motorSim.DEFAULT_MOTOR_PARAMS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Start simulation
+router.post('/start', (req, res) => {
+  const { motors, params, enableSensors = true } = req.body;
+
+  if (motors !== undefined) {
+    const invalid = !Array.isArray(motors) || motors.some(motor =>
+      !isValidPin(motor.pwmPin) || !isValidPin(motor.encoderPin) || motor.pwmPin === motor.encoderPin);
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid motors. Each needs distinct pwmPin and encoderPin between 0-27',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  try {
+    const simulation = startSimulation({ motors, params, enableSensors });
+
+    res.json({
+      success: true,
+      message: `Simulation running with ${simulation.motors.length} motors`,
+      simulation: simulation,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Simulation start error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: 'Failed to start simulation',
+      details: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Stop simulation (plants are kept so it can be restarted)
+router.post('/stop', (req, res) => {
+  motorSim.stop();
+
+  res.json({
+    success: true,
+    message: 'Simulation stopped',
+    simulation: motorSim.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Update plant parameters of one simulated motor
+router.put('/motors/:pwmPin', (req, res) => {
+  const pwmPin = parseInt(req.params.pwmPin);
+
+  try {
+    const motor = motorSim.updateMotor(pwmPin, req.body);
+
+    if (!motor) {
+      return res.status(404).json({
+        success: false,
+        error: `No simulated motor on GPIO ${pwmPin}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Simulated motor on GPIO ${pwmPin} updated`,
+      params: motor.params,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  motorSim.stop();
+}
+
+module.exports = {
+  router,
+  startSimulation,
+  cleanup
+};
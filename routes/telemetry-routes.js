@@ -0,0 +1,113 @@
+// Telemetry routes module
+// Time-series history of PWM, sensor, RPM controller and robot signals
+
+const express = require('express');
+const router = express.Router();
+
+const telemetry = require('../lib/telemetry');
+
+// Parse a time parameter: epoch milliseconds or an ISO date string
+function parseTime(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) return parseInt(value);
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : time;
+}
+
+// Start sampling with settings from the environment (see README)
+function startTelemetry() {
+  telemetry.start({
+    interval: parseInt(process.env.TELEMETRY_INTERVAL_MS) || undefined,
+    capacity: parseInt(process.env.TELEMETRY_CAPACITY) || undefined,
+    file: process.env.TELEMETRY_FILE || null,
+    maxFileBytes: parseInt(process.env.TELEMETRY_MAX_FILE_BYTES) || undefined
+  });
+}
+
+// ==============================================
+// TELEMETRY ENDPOINTS
+// ==============================================
+
+// List recorded signals and the sampling configuration
+router.get('/signals', (req, res) => {
+  res.json({
+    success: true,
+    config: telemetry.getConfig(),
+    signals: telemetry.listSignals(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Query history: ?signals=rpm.frontLeft.*,pwm.18.duty&from=...&to=...&downsample=1000
+router.get('/query', (req, res) => {
+  const { signals, downsample } = req.query;
+
+  if (!signals) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing signals parameter (comma-separated names, "prefix.*" wildcards allowed)',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
+
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid from/to. Use epoch milliseconds or an ISO date',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let bucket = null;
+  if (downsample !== undefined) {
+    bucket = parseInt(downsample);
+    if (!/^\d+$/.test(downsample) || bucket < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid downsample. Must be a bucket width in milliseconds (integer >= 1)',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  const names = telemetry.matchSignals(signals.split(',').map(name => name.trim()).filter(Boolean));
+
+  if (names.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: `No recorded signals match "${signals}"`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const range = { from: from ?? 0, to: to ?? Date.now() };
+  const series = {};
+  names.forEach(name => {
+    series[name] = telemetry.querySeries(name, range.from, range.to, bucket);
+  });
+
+  res.json({
+    success: true,
+    from: range.from,
+    to: range.to,
+    downsample: bucket,
+    series: series,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Cleanup function for graceful shutdown
+function cleanup() {
+  telemetry.stop();
+}
+
+module.exports = {
+  router,
+  startTelemetry,
+  addSource: telemetry.addSource,
+  cleanup
+};
@@ -17,6 +17,17 @@ const pwmRoutes = require('./routes/pwm-routes');
 const robotRoutes = require('./routes/robot-routes'); // Add robot routes
 const sensorRoutes = require('./routes/sensor-routes'); // Add sensor routes
 const rpmControlRoutes = require('./routes/rpm-control-routes'); // Add RPM control routes
+const gpioRoutes = require('./routes/gpio-routes'); // GPIO driver info and mock edge injection
+const simRoutes = require('./routes/sim-routes'); // Simulated motor + encoder plants
+const telemetryRoutes = require('./routes/telemetry-routes'); // Time-series history
+const sessionRoutes = require('./routes/session-routes'); // Session recording and replay
+const missionRoutes = require('./routes/mission-routes'); // Queued multi-step robot missions
+const controlRoutes = require('./routes/control-routes'); // Single-operator control lock
+const safetyRoutes = require('./routes/safety-routes'); // Latched emergency-stop supervisor
+const gpioDriver = require('./lib/gpio-driver');
+const sessionRecorder = require('./lib/session-recorder');
+const watchdog = require('./lib/watchdog');
+const motorDriver = require('./lib/motor-driver');
 
 // Create Express application instance
 const app = express();
@@ -33,7 +44,7 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Client-Id', 'X-Admin-Token']
 }));
 
 // Request logging middleware for development
@@ -47,6 +58,27 @@ app.use(express.json({ limit: '10mb' }));
 // Parse URL-encoded request bodies
 app.use(express.urlencoded({ extended: true }));
 
+// Safety supervisor - while the emergency stop is latched, state-changing robot, PWM, RPM
+// control and mission requests are rejected, except those that only stop something
+app.use(safetyRoutes.latchGate);
+
+// Control lock - while a client holds it, state-changing robot, PWM, RPM control, mission and
+// safety requests from anyone else are rejected. The emergency stop is always accepted.
+app.use(controlRoutes.controlGate);
+
+// Session recording - log every state-changing request while a session is being recorded.
+// Session control itself, mock edge injection and the simulator are left out: their
+// effect already shows up in the recording as sensor edges.
+const UNRECORDED_PATHS = ['/api/sessions', '/api/gpio/mock', '/api/sim'];
+app.use((req, res, next) => {
+  if (sessionRecorder.isRecording() &&
+      ['POST', 'PUT', 'DELETE'].includes(req.method) &&
+      !UNRECORDED_PATHS.some(prefix => req.path.toLowerCase().startsWith(prefix))) {
+    sessionRecorder.recordRestCommand(req.method, req.originalUrl, req.body);
+  }
+  next();
+});
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -72,6 +104,27 @@ app.use('/api/sensors', sensorRoutes.router);
 // RPM control routes - Server-side closed-loop RPM control
 app.use('/api/rpm-control', rpmControlRoutes.router);
 
+// GPIO driver routes - active driver and mock edge injection
+app.use('/api/gpio', gpioRoutes);
+
+// Simulation routes - offline motor/encoder plants for closed-loop testing
+app.use('/api/sim', simRoutes.router);
+
+// Telemetry routes - time-series history of PWM, sensor, controller and robot signals
+app.use('/api/telemetry', telemetryRoutes.router);
+
+// Session routes - record runs and replay them against the mock GPIO driver
+app.use('/api/sessions', sessionRoutes.router);
+
+// Mission routes - upload and run multi-step robot programs
+app.use('/api/missions', missionRoutes.router);
+
+// Control lock routes
+app.use('/api/control', controlRoutes.router);
+
+// Emergency-stop supervisor routes
+app.use('/api/safety', safetyRoutes.router);
+
 // Root endpoint - simple welcome message
 app.get('/', (req, res) => {
   const protocol = req.secure ? 'https' : 'http';
@@ -81,6 +134,7 @@ app.get('/', (req, res) => {
     message: 'Server Pi is running successfully! 🚀',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
+    gpioDriver: gpioDriver.name,
     features: {
       pwmControl: 'Available at /api/pwm',
       robotControl: 'Available at /api/robot',
@@ -114,7 +168,37 @@ app.use('*', (req, res) => {
       'POST /api/robot/speed',
       'POST /api/robot/wheel',
       'POST /api/robot/stop',
-      'POST /api/robot/reset-adjustments'
+      'POST /api/robot/reset-adjustments',
+      'POST /api/robot/drive',
+      'GET /api/robot/kinematics',
+      'GET /api/robot/ramp',
+      'POST /api/robot/move',
+      'POST /api/robot/turn',
+      'GET /api/robot/motion',
+      'GET /api/robot/pose',
+      'POST /api/robot/pose/reset',
+      'GET /api/rpm-control/controllers',
+      'GET /api/gpio/driver',
+      'GET /api/gpio/pins',
+      'GET /api/sim/status',
+      'GET /api/telemetry/signals',
+      'GET /api/telemetry/query',
+      'GET /api/missions',
+      'POST /api/missions',
+      'POST /api/missions/:id/pause',
+      'POST /api/missions/:id/resume',
+      'POST /api/missions/:id/abort',
+      'GET /api/safety',
+      'POST /api/safety/estop',
+      'POST /api/safety/reset',
+      'GET /api/control',
+      'POST /api/control/lock',
+      'DELETE /api/control/lock',
+      'GET /api/sessions',
+      'POST /api/sessions/record/start',
+      'POST /api/sessions/record/stop',
+      'POST /api/sessions/:name/replay',
+      'GET /api/sessions/replay/status'
     ]
   });
 });
@@ -148,6 +232,136 @@ const io = new Server(httpServer, {
   }
 });
 
+// Client command handlers by event name. Kept in one table so a session replay can
+// invoke the same handlers as a live client.
+// Each command runs through the same validated path as its REST endpoint and answers the
+// optional acknowledgement callback with that endpoint's response body.
+function acknowledge(ack, result) {
+  if (typeof ack === 'function') {
+    ack(result.body);
+  }
+}
+
+const socketCommands = {
+  // Handle real-time speed control from client (as POST /api/robot/speed)
+  setRobotSpeed: (socket, data, ack) => {
+    console.log(`🎮 Real-time speed control: ${data && data.speed}% from ${socket.id}`);
+    const result = robotRoutes.speedCommand(data || {});
+    if (!result.body.success) {
+      console.log(`❌ Speed command from ${socket.id} rejected: ${result.body.error}`);
+    }
+    acknowledge(ack, result);
+    return result;
+  },
+  
+  // Handle real-time wheel adjustment from client (as POST /api/robot/wheel)
+  setWheelAdjustment: (socket, data, ack) => {
+    console.log(`⚙️  Real-time wheel adjustment: ${data && data.wheel} ${data && data.adjustment}% from ${socket.id}`);
+    const result = robotRoutes.wheelCommand(data || {});
+    if (!result.body.success) {
+      console.log(`❌ Wheel adjustment from ${socket.id} rejected: ${result.body.error}`);
+    }
+    acknowledge(ack, result);
+    return result;
+  },
+  
+  // Handle real-time PWM control from client (as POST /api/pwm/set)
+  setPWM: (socket, data, ack) => {
+    const { pin, dutyCycle } = data || {};
+    console.log(`🎛️  Real-time PWM control: GPIO ${pin} = ${dutyCycle} (${Math.round((dutyCycle/255)*100)}%) from ${socket.id}`);
+    
+    const result = pwmRoutes.setPWMCommand(data || {});
+    if (result.body.success) {
+      // Broadcast PWM update to all other clients for real-time sync
+      socket.broadcast.emit('pwmUpdate', {
+        pin: result.body.pin,
+        dutyCycle: result.body.dutyCycle,
+        frequency: result.body.frequency,
+        source: 'realtime',
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      console.log(`❌ Invalid PWM data from ${socket.id}: ${result.body.error}`);
+    }
+    acknowledge(ack, result);
+    return result;
+  },
+  
+  // Handle emergency stop from WebSocket (as POST /api/robot/stop)
+  emergencyStop: (socket, data, ack) => {
+    console.log(`🛑 Emergency stop triggered via WebSocket from ${socket.id}`);
+    // Always stop: a missing or invalid mode falls back to the configured stop mode
+    const { mode } = data || {};
+    const result = robotRoutes.stopCommand(motorDriver.STOP_MODES.includes(mode) ? { mode } : {}, 'websocket');
+    
+    if (result.body.success) {
+      // Broadcast emergency stop to all clients
+      io.emit('emergencyStop', {
+        source: 'websocket',
+        triggeredBy: socket.id,
+        timestamp: new Date().toISOString()
+      });
+    }
+    acknowledge(ack, result);
+    return result;
+  }
+};
+
+// Commands that can leave outputs running, with the output each drives: a client whose
+// command leaves its output running takes a watchdog lease and must keep it alive with
+// heartbeats; the lease is released once every output it drove is back at zero
+const LEASED_COMMANDS = {
+  setRobotSpeed: () => 'robot',
+  setWheelAdjustment: () => 'robot',
+  setPWM: (data) => `pwm/${data.pin}`
+};
+
+// Whether a leased output is still running: the robot with a non-zero target (a ramp down
+// to zero is already a stop) or a PWM pin that is on
+function isOutputRunning(output) {
+  if (output === 'robot') {
+    return robotRoutes.robotState.targetSpeed !== 0;
+  }
+  return pwmRoutes.isPinRunning(parseInt(output.split('/')[1]));
+}
+
+// Control lock identity of a socket: the clientId it connected with (io({ auth: { clientId } }),
+// the same id a page sends as X-Client-Id so its HTTP and socket commands share the lock),
+// or else its socket id
+function controlClient(socket) {
+  const { clientId } = socket.handshake.auth || {};
+  return typeof clientId === 'string' && clientId.length > 0 && clientId.length <= 128 ? clientId : socket.id;
+}
+
+// Run a client command for `client` (its control lock identity). The emergency stop always
+// runs; other commands only from the control lock holder and while no E-STOP is latched.
+// Shared by connected sockets and session replay; returns the command's result, or null if
+// it was rejected.
+function dispatchSocketCommand(event, socket, client, data, ack) {
+  const handler = socketCommands[event];
+  if (!handler) return null;
+
+  const error = event !== 'emergencyStop' &&
+    (safetyRoutes.latchedError() || controlRoutes.controlError(client));
+  if (error) {
+    console.log(`🔒 ${event} from ${socket.id} rejected: ${error}`);
+    acknowledge(ack, {
+      body: {
+        success: false,
+        error: error,
+        control: controlRoutes.getControlStatus(client),
+        safety: safetyRoutes.getSafetyStatus(),
+        timestamp: new Date().toISOString()
+      }
+    });
+    return null;
+  }
+
+  sessionRecorder.recordSocketCommand(event, data);
+  controlRoutes.renewControl(client);
+  return handler(socket, data, ack);
+}
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log(`🔌 WebSocket client connected: ${socket.id}`);
@@ -157,70 +371,44 @@ io.on('connection', (socket) => {
   socket.emit('robotUpdate', {
     type: 'initialState',
     robotState: robotState,
+    control: controlRoutes.getControlStatus(controlClient(socket)),
+    safety: safetyRoutes.getSafetyStatus(),
     timestamp: new Date().toISOString()
   });
   
-  // Handle client disconnect
+  // Handle client disconnect (trips the watchdog if the client held a lease)
   socket.on('disconnect', () => {
     console.log(`❌ WebSocket client disconnected: ${socket.id}`);
+    watchdog.drop(socket.id, 'disconnect');
+    controlRoutes.releaseControl(controlClient(socket), 'disconnect');
   });
   
-  // Handle real-time speed control from client
-  socket.on('setRobotSpeed', async (data) => {
-    console.log(`🎮 Real-time speed control: ${data.speed}% from ${socket.id}`);
-    
-    // Broadcast speed change to all other clients
-    socket.broadcast.emit('robotUpdate', {
-      type: 'speedChange',
-      speed: data.speed,
-      source: 'realtime',
-      timestamp: new Date().toISOString()
-    });
+  // Watchdog heartbeat: extends this client's lease (and its control lock lease, if it holds
+  // the lock), answers with the watchdog lease state
+  socket.on('heartbeat', (data, ack) => {
+    watchdog.heartbeat(socket.id);
+    controlRoutes.renewControl(controlClient(socket));
+    if (typeof ack === 'function') {
+      ack({ success: true, ...watchdog.getLease(socket.id), timestamp: new Date().toISOString() });
+    }
   });
   
-  // Handle real-time wheel adjustment from client
-  socket.on('setWheelAdjustment', async (data) => {
-    console.log(`⚙️  Real-time wheel adjustment: ${data.wheel} ${data.adjustment}% from ${socket.id}`);
-    
-    // Broadcast wheel adjustment to all other clients
-    socket.broadcast.emit('robotUpdate', {
-      type: 'wheelAdjustment',
-      wheel: data.wheel,
-      adjustment: data.adjustment,
-      source: 'realtime',
-      timestamp: new Date().toISOString()
-    });
+  // Control lock: { name?, force?, adminToken? } to take it, acknowledged like POST/DELETE /api/control/lock
+  socket.on('requestControl', (data, ack) => {
+    acknowledge(ack, controlRoutes.acquireCommand(controlClient(socket), data || {}, 'websocket'));
   });
-  
-  // Handle real-time PWM control from client
-  socket.on('setPWM', async (data) => {
-    const { pin, dutyCycle, frequency = 1000 } = data;
-    console.log(`🎛️  Real-time PWM control: GPIO ${pin} = ${dutyCycle} (${Math.round((dutyCycle/255)*100)}%) from ${socket.id}`);
-    
-    // Validate PWM data
-    if (pin >= 0 && pin <= 27 && dutyCycle >= 0 && dutyCycle <= 255) {
-      // Broadcast PWM update to all other clients for real-time sync
-      socket.broadcast.emit('pwmUpdate', {
-        pin: pin,
-        dutyCycle: dutyCycle,
-        frequency: frequency,
-        source: 'realtime',
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      console.log(`❌ Invalid PWM data from ${socket.id}: pin=${pin}, dutyCycle=${dutyCycle}`);
-    }
+  socket.on('releaseControl', (data, ack) => {
+    acknowledge(ack, controlRoutes.releaseCommand(controlClient(socket)));
   });
   
-  // Handle emergency stop from WebSocket
-  socket.on('emergencyStop', async () => {
-    console.log(`🛑 Emergency stop triggered via WebSocket from ${socket.id}`);
-    
-    // Broadcast emergency stop to all clients
-    io.emit('emergencyStop', {
-      source: 'websocket',
-      triggeredBy: socket.id,
-      timestamp: new Date().toISOString()
+  // Client commands (recorded while a session is being recorded)
+  Object.keys(socketCommands).forEach(event => {
+    socket.on(event, (data, ack) => {
+      const result = dispatchSocketCommand(event, socket, controlClient(socket), data, ack);
+      if (result && LEASED_COMMANDS[event] && result.body.success) {
+        const output = LEASED_COMMANDS[event](data);
+        watchdog.track(socket.id, output, isOutputRunning(output));
+      }
     });
   });
 });
@@ -235,6 +423,71 @@ sensorRoutes.setSocket(io);
 rpmControlRoutes.setSocket(io);
 rpmControlRoutes.setSensorRoutes(sensorRoutes);
 
+// Session replay broadcasts progress and re-issues recorded socket commands (without a
+// watchdog lease: the replay itself is server-driven and cancelled by any emergency stop)
+sessionRoutes.setSocket(io);
+sessionRoutes.setSocketDispatcher(dispatchSocketCommand);
+
+// Missions report step progress, and any emergency stop cancels them
+missionRoutes.setSocket(io);
+
+// Every emergency stop (POST /api/robot/stop, the emergencyStop event, the watchdog, the
+// e-stop button, POST /api/safety/estop) latches the safety supervisor, which halts all
+// outputs and cancels missions and session replays
+safetyRoutes.setSocket(io);
+robotRoutes.onEmergencyStop((source) => safetyRoutes.triggerEStop(source));
+safetyRoutes.onEStop((source) => missionRoutes.abortAll(`Emergency stop (${source})`));
+safetyRoutes.onEStop((source) => sessionRoutes.cancelReplay(`Emergency stop (${source})`));
+safetyRoutes.startButton();
+
+// Lock changes are broadcast as robotUpdate events
+controlRoutes.setSocket(io);
+if (process.env.CONTROL_LOCK_TIMEOUT_MS) {
+  controlRoutes.setLeaseTimeout(parseInt(process.env.CONTROL_LOCK_TIMEOUT_MS));
+}
+
+// Dead-man watchdog: when a remote client's lease lapses or it disconnects, latch the
+// emergency stop (robot, motions, missions, RPM controllers and PWM outputs)
+watchdog.onTrip((trip) => {
+  console.log(`🐕 Watchdog tripped (${trip.reason}) by ${trip.client} - stopping all outputs`);
+  const halted = safetyRoutes.triggerEStop('watchdog', `${trip.reason} of ${trip.client}`);
+  
+  io.emit('watchdogTripped', {
+    ...trip,
+    ...halted,
+    timestamp: new Date().toISOString()
+  });
+});
+watchdog.start({ timeout: parseInt(process.env.WATCHDOG_TIMEOUT_MS) || undefined, isRunning: isOutputRunning });
+
+// One RPM controller per robot wheel, named after the wheel (e.g. /api/rpm-control/controllers/frontLeft)
+Object.entries(robotRoutes.ROBOT_CONFIG.wheels).forEach(([wheelKey, wheel]) => {
+  rpmControlRoutes.createController(wheelKey, {
+    controlPin: wheel.pin,
+    sensorNumber: wheel.sensor,
+    output: robotRoutes.wheelOutput(wheelKey) // Through the wheel's motor driver, in the drive direction
+  });
+});
+
+// Sample every module's signals into the telemetry history
+telemetryRoutes.addSource(pwmRoutes.getTelemetry);
+telemetryRoutes.addSource(sensorRoutes.getTelemetry);
+telemetryRoutes.addSource(rpmControlRoutes.getTelemetry);
+telemetryRoutes.addSource(robotRoutes.getTelemetry);
+telemetryRoutes.startTelemetry();
+
+// Track the robot pose from the wheel encoders
+robotRoutes.startOdometry();
+
+// Start the simulated motor plants when requested (SIMULATION=1, mock GPIO driver only)
+if (process.env.SIMULATION === '1' || process.env.SIMULATION === 'true') {
+  try {
+    simRoutes.startSimulation();
+  } catch (error) {
+    console.error('⚠️  Could not start simulation:', error.message);
+  }
+}
+
 // Start HTTP server with WebSocket support
 httpServer.listen(PORT, '0.0.0.0', () => {
   console.log(`🌐 HTTP Server running on port ${PORT}`);
@@ -263,6 +516,9 @@ function gracefulShutdown(signal) {
   const servers = global.servers || {};
   const serverPromises = [];
   
+  // Closing the sockets must not trip the watchdog
+  watchdog.stop();
+  
   // Close WebSocket connections
   if (servers.io) {
     console.log('🔌 Closing WebSocket connections...');
@@ -296,6 +552,30 @@ function gracefulShutdown(signal) {
       rpmControlRoutes.cleanup();
     }
     
+    // Abort any mission before the modules it drives
+    missionRoutes.cleanup();
+    
+    // Release the e-stop button input
+    safetyRoutes.cleanup();
+    
+    // Stop the control lock lease timer
+    controlRoutes.cleanup();
+    
+    // Stop odometry updates
+    robotRoutes.cleanup();
+    
+    // Stop any session replay before the modules it drives
+    sessionRoutes.cleanup();
+    
+    // Stop motor simulation
+    simRoutes.cleanup();
+    
+    // Stop telemetry sampling and flush any persisted samples
+    telemetryRoutes.cleanup();
+    
+    // Release the GPIO driver last, after every module has stopped using it
+    gpioDriver.terminate();
+    
     console.log('✅ Cleanup completed');
     process.exit(0);
   });
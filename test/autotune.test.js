@@ -0,0 +1,97 @@
+// Auto-tuning math: relay limit-cycle measurement, FOPDT step-response fitting and the
+// tuning rules that turn them into gains.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const autotune = require('../lib/autotune');
+
+function near(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+// Feed `experiment` samples every dt seconds until it is done
+function run(experiment, rpmAt, dt = 0.01, limit = 60) {
+  const outputs = [];
+  for (let t = 0; t < limit; t += dt) {
+    const { output, done } = experiment.sample(t, rpmAt(t));
+    outputs.push(output);
+    if (done) return outputs;
+  }
+  throw new Error('experiment did not finish');
+}
+
+test('the relay switches around the setpoint with hysteresis', () => {
+  const relay = autotune.createRelayExperiment({ setpointRPM: 50, bias: 100, amplitude: 40, hysteresis: 2 });
+  assert.strictEqual(relay.sample(0, 40).output, 140);
+  assert.strictEqual(relay.sample(0.1, 51).output, 140);  // Inside the hysteresis band
+  assert.strictEqual(relay.sample(0.2, 53).output, 60);
+  assert.strictEqual(relay.sample(0.3, 49).output, 60);
+  assert.strictEqual(relay.sample(0.4, 47).output, 140);
+  assert.deepStrictEqual(relay.progress(), { cyclesCompleted: 0, cyclesRequired: 4, relayHigh: true });
+});
+
+test('the relay measures the ultimate gain and period of the limit cycle', () => {
+  const period = 0.8;
+  const swing = 10;
+  const relay = autotune.createRelayExperiment({ setpointRPM: 50, bias: 100, amplitude: 40, hysteresis: 1 });
+  run(relay, t => 50 + swing * Math.sin(2 * Math.PI * t / period));
+
+  const measurement = relay.result();
+  near(measurement.ultimatePeriod, period, 0.02);
+  near(measurement.oscillationAmplitude, swing, 0.05);
+  near(measurement.ultimateGain, 4 * 40 / (Math.PI * Math.sqrt(swing * swing - 1)), 0.05);
+
+  const gains = autotune.proposeGains('relay', 'ziegler-nichols', measurement);
+  near(gains.kp, 0.6 * measurement.ultimateGain, 1e-9);
+  near(gains.ki, gains.kp / (0.5 * measurement.ultimatePeriod), 1e-9);
+  near(gains.kd, gains.kp * 0.125 * measurement.ultimatePeriod, 1e-9);
+});
+
+test('a relay without complete cycles has no result', () => {
+  const relay = autotune.createRelayExperiment({ setpointRPM: 50, bias: 100 });
+  relay.sample(0, 0);
+  assert.throws(() => relay.result(), /No complete relay oscillation cycles/);
+});
+
+test('the step experiment fits a first-order-plus-dead-time model', () => {
+  const [gain, tau, theta] = [0.5, 0.4, 0.1];
+  const settleTime = 1;
+  const step = autotune.createStepExperiment({ startPWM: 60, stepPWM: 140, settleTime: settleTime, duration: 3 });
+  const outputs = run(step, t => {
+    const elapsed = t - settleTime - theta;
+    return 30 + (elapsed > 0 ? gain * 80 * (1 - Math.exp(-elapsed / tau)) : 0);
+  });
+
+  assert.strictEqual(outputs[0], 60);
+  assert.strictEqual(outputs[outputs.length - 1], 140);
+
+  const model = step.result();
+  near(model.processGain, gain, 0.01);
+  near(model.timeConstant, tau, 0.03);
+  near(model.deadTime, theta, 0.03);
+  near(model.initialRPM, 30, 1e-9);
+
+  const gains = autotune.proposeGains('step', 'ziegler-nichols', model);
+  near(gains.kp, 1.2 * model.timeConstant / (model.processGain * model.deadTime), 1e-9);
+});
+
+test('a step without an RPM change has no result', () => {
+  const step = autotune.createStepExperiment({ settleTime: 0.1, duration: 0.5 });
+  run(step, () => 20);
+  assert.throws(() => step.result(), /no measurable RPM change/);
+});
+
+test('every listed rule produces gains and unknown rules are refused', () => {
+  const relayMeasurement = { ultimateGain: 2, ultimatePeriod: 0.5 };
+  const stepModel = { processGain: 0.5, timeConstant: 0.4, deadTime: 0.1 };
+  autotune.TUNING_RULES.relay.forEach(rule => {
+    const gains = autotune.proposeGains('relay', rule, relayMeasurement);
+    assert.ok(gains.kp > 0 && gains.ki > 0 && gains.kd >= 0, rule);
+  });
+  autotune.TUNING_RULES.step.forEach(rule => {
+    const gains = autotune.proposeGains('step', rule, stepModel);
+    assert.ok(gains.kp > 0 && gains.ki > 0 && gains.kd > 0, rule);
+  });
+  assert.throws(() => autotune.proposeGains('relay', 'cohen-coon', relayMeasurement), /Unknown relay tuning rule/);
+});
@@ -0,0 +1,84 @@
+// Control tick capture: bounded buffer, CSV export and the step-response report.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const controlCapture = require('../lib/control-capture');
+
+// A capture holding hand-made samples at fixed times
+function captureOf(samples) {
+  const capture = controlCapture.createCapture();
+  capture.samples = samples;
+  return capture;
+}
+
+// First-order response from `from` to `target`, sampled every 50 ms for `seconds`
+function response(from, target, startTime, seconds, extra = {}) {
+  const samples = [];
+  for (let t = 0; t <= seconds + 1e-9; t += 0.05) {
+    samples.push({
+      t: startTime + t,
+      targetRPM: target,
+      currentRPM: target + (from - target) * Math.exp(-t / 0.2),
+      ...extra
+    });
+  }
+  return samples;
+}
+
+test('recordSample drops the oldest samples past maxSamples and ignores stopped captures', () => {
+  const capture = controlCapture.createCapture({ maxSamples: 3 });
+  for (let i = 0; i < 5; i++) {
+    controlCapture.recordSample(capture, { targetRPM: 100, currentRPM: i });
+  }
+  assert.deepStrictEqual(capture.samples.map(sample => sample.currentRPM), [2, 3, 4]);
+  assert.strictEqual(capture.dropped, 2);
+
+  capture.active = false;
+  controlCapture.recordSample(capture, { targetRPM: 100, currentRPM: 5 });
+  assert.strictEqual(capture.samples.length, 3);
+});
+
+test('toCSV writes one row per tick with rounded numbers and 0/1 flags', () => {
+  const capture = captureOf([{ t: 0.1234567, targetRPM: 100, currentRPM: 50.00049, pwm: 80, saturated: true }]);
+  const lines = controlCapture.toCSV(capture).trim().split('\n');
+
+  assert.strictEqual(lines[0], 't,setpointRPM,targetRPM,currentRPM,filteredRPM,p,i,d,pwm,saturated');
+  assert.strictEqual(lines[1], '0.123,,100,50,,,,,80,1');
+});
+
+test('buildReport analyzes one segment per commanded step', () => {
+  const capture = captureOf([...response(0, 100, 0, 2), ...response(100, 50, 2.05, 2)]);
+  const report = controlCapture.buildReport(capture);
+
+  assert.strictEqual(report.setpointChanges.length, 2);
+  const [up, down] = report.setpointChanges;
+
+  assert.strictEqual(up.fromTarget, null);
+  assert.strictEqual(up.targetRPM, 100);
+  assert.strictEqual(up.overshootPercent, 0);
+  assert.ok(up.riseTime > 0.3 && up.riseTime < 0.6, `rise time ${up.riseTime}`);
+  assert.ok(up.settlingTime !== null && up.settlingTime < 1.2, `settling time ${up.settlingTime}`);
+  assert.ok(Math.abs(up.steadyStateError) < 1);
+
+  assert.strictEqual(down.fromTarget, 100);
+  assert.strictEqual(down.targetRPM, 50);
+  assert.ok(down.settlingTime !== null);
+});
+
+test('a ramped setpoint is one segment toward its commanded RPM', () => {
+  const samples = response(0, 100, 0, 2).map((sample, index) => ({
+    ...sample,
+    setpointRPM: 100,
+    targetRPM: Math.min(100, index * 10)
+  }));
+  const report = controlCapture.buildReport(captureOf(samples));
+
+  assert.strictEqual(report.setpointChanges.length, 1);
+  assert.strictEqual(report.setpointChanges[0].targetRPM, 100);
+});
+
+test('a response that has not held the band long enough is not settled', () => {
+  const report = controlCapture.buildReport(captureOf(response(0, 100, 0, 1)));
+  assert.strictEqual(report.setpointChanges[0].settlingTime, null);
+});
@@ -0,0 +1,128 @@
+// Control lock: one holder at a time, forced takeover with the admin token, lease expiry,
+// and the app-wide gate (paths matched case-insensitively, like Express routes them).
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+// The lock logs every change; keep the runner's output readable
+console.log = () => {};
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const controlRoutes = require('../routes/control-routes');
+
+let server = null;
+let baseUrl = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function request(method, path, client, body = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (client) headers['X-Client-Id'] = client;
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: method,
+    headers: headers,
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Drop whoever holds the lock between tests
+function unlock() {
+  ['alice', 'bob'].forEach(client => controlRoutes.releaseControl(client));
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(controlRoutes.controlGate);
+  app.use('/api/control', controlRoutes.router);
+  // Stand-ins for the controlled endpoints
+  app.all(['/api/robot/*', '/api/pwm/*', '/api/safety/*'], (req, res) => res.json({ success: true }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(unlock);
+
+after(async () => {
+  unlock();
+  controlRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('anyone can send commands while nobody holds the lock', async () => {
+  assert.strictEqual((await request('POST', '/api/robot/speed', 'bob')).status, 200);
+  assert.strictEqual((await request('POST', '/api/robot/speed', null)).status, 200);
+});
+
+test('only the holder can send commands', async () => {
+  const lock = await request('POST', '/api/control/lock', 'alice', { name: 'Alice' });
+  assert.strictEqual(lock.status, 200);
+  assert.strictEqual(lock.body.control.youHold, true);
+
+  assert.strictEqual((await request('POST', '/api/robot/speed', 'alice')).status, 200);
+
+  const refused = await request('POST', '/api/robot/speed', 'bob');
+  assert.strictEqual(refused.status, 423);
+  assert.match(refused.body.error, /held by Alice/);
+  assert.strictEqual(refused.body.control.youHold, false);
+  assert.strictEqual((await request('POST', '/api/robot/speed', null)).status, 423);
+
+  // Reads and the emergency stops are never locked
+  assert.strictEqual((await request('GET', '/api/robot/status', 'bob')).status, 200);
+  assert.strictEqual((await request('POST', '/api/robot/stop', 'bob')).status, 200);
+  assert.strictEqual((await request('POST', '/api/safety/estop', 'bob')).status, 200);
+  assert.strictEqual((await request('POST', '/api/safety/reset', 'bob')).status, 423);
+});
+
+test('the gate matches paths case-insensitively', async () => {
+  await request('POST', '/api/control/lock', 'alice');
+
+  assert.strictEqual((await request('POST', '/API/robot/speed', 'bob')).status, 423);
+  assert.strictEqual((await request('POST', '/api/Robot/speed', 'bob')).status, 423);
+  assert.strictEqual((await request('POST', '/api/PWM/set', 'bob')).status, 423);
+  assert.strictEqual((await request('POST', '/api/robot/STOP', 'bob')).status, 200);
+});
+
+test('taking a held lock needs force and the admin token', async () => {
+  await request('POST', '/api/control/lock', 'alice', { name: 'Alice' });
+
+  assert.strictEqual((await request('POST', '/api/control/lock', 'bob')).status, 423);
+  assert.strictEqual((await request('POST', '/api/control/lock', 'bob', { force: true })).status, 403);
+
+  const forced = controlRoutes.acquireCommand('bob', { name: 'Bob', force: true, adminToken: 'test-admin-token' });
+  assert.strictEqual(forced.status, 200);
+  assert.match(forced.body.message, /taken over from Alice/);
+  assert.strictEqual(controlRoutes.controlError('bob'), null);
+  assert.match(controlRoutes.controlError('alice'), /held by Bob/);
+});
+
+test('lock requests are validated', () => {
+  assert.strictEqual(controlRoutes.acquireCommand(undefined).status, 400);
+  assert.strictEqual(controlRoutes.acquireCommand('alice', { name: '' }).status, 400);
+  assert.strictEqual(controlRoutes.acquireCommand('alice', { force: 'yes' }).status, 400);
+  assert.strictEqual(controlRoutes.releaseCommand('alice').status, 409);
+});
+
+test('the lock is released when its lease runs out', async () => {
+  controlRoutes.setLeaseTimeout(1000);
+  controlRoutes.acquireCommand('alice', { name: 'Alice' });
+  assert.strictEqual(controlRoutes.getControlStatus().locked, true);
+
+  // Commands from the holder renew the lease
+  await sleep(600);
+  assert.strictEqual((await request('POST', '/api/robot/speed', 'alice')).status, 200);
+  await sleep(600);
+  assert.strictEqual(controlRoutes.getControlStatus().locked, true);
+
+  await sleep(600);
+  assert.strictEqual(controlRoutes.getControlStatus().locked, false);
+  assert.strictEqual((await request('POST', '/api/robot/speed', 'bob')).status, 200);
+});
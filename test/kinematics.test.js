@@ -0,0 +1,70 @@
+// Drive kinematics: validation, differential and mecanum wheel RPMs, and path-keeping scaling.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const kinematics = require('../lib/kinematics');
+
+const WHEELS = {
+  frontLeft: { side: 'left', axle: 'front' },
+  frontRight: { side: 'right', axle: 'front' },
+  backLeft: { side: 'left', axle: 'rear' },
+  backRight: { side: 'right', axle: 'rear' }
+};
+
+// RPM of a wheel moving at `speed` m/s
+function rpmFor(config, speed) {
+  return speed / (2 * Math.PI * config.wheelRadius) * 60;
+}
+
+test('validateKinematics accepts partial updates and rejects bad values', () => {
+  assert.deepStrictEqual(kinematics.validateKinematics({ trackWidth: 0.2, type: 'mecanum' }),
+    { config: { trackWidth: 0.2, type: 'mecanum' } });
+  assert.match(kinematics.validateKinematics({ wheelRadius: 0 }).error, /wheelRadius/);
+  assert.match(kinematics.validateKinematics({ maxWheelRPM: 'fast' }).error, /maxWheelRPM/);
+  assert.match(kinematics.validateKinematics({ type: 'tank' }).error, /type/);
+  assert.match(kinematics.validateKinematics({ output: 'volts' }).error, /output/);
+});
+
+test('differential: straight driving turns every wheel at the same RPM', () => {
+  const config = kinematics.defaultKinematics();
+  const { rpm, scale } = kinematics.wheelRPMs(config, WHEELS, { linear: 0.1, lateral: 0, angular: 0 });
+  const expected = Math.round(rpmFor(config, 0.1) * 10) / 10;
+  Object.values(rpm).forEach(value => assert.strictEqual(value, expected));
+  assert.strictEqual(scale, 1);
+});
+
+test('differential: turning left speeds up the right side', () => {
+  const config = kinematics.defaultKinematics();
+  const { rpm } = kinematics.wheelRPMs(config, WHEELS, { linear: 0, lateral: 0, angular: 1 });
+  const expected = Math.round(rpmFor(config, config.trackWidth / 2) * 10) / 10;
+  assert.strictEqual(rpm.frontRight, expected);
+  assert.strictEqual(rpm.backRight, expected);
+  assert.strictEqual(rpm.frontLeft, -expected);
+  assert.strictEqual(rpm.backLeft, -expected);
+});
+
+test('mecanum: strafing left runs the diagonals against each other', () => {
+  const config = { ...kinematics.defaultKinematics(), type: 'mecanum' };
+  const { rpm } = kinematics.wheelRPMs(config, WHEELS, { linear: 0, lateral: 0.05, angular: 0 });
+  assert.ok(rpm.frontLeft < 0 && rpm.backRight < 0);
+  assert.ok(rpm.frontRight > 0 && rpm.backLeft > 0);
+  assert.strictEqual(rpm.frontLeft, -rpm.frontRight);
+});
+
+test('targets above maxWheelRPM are scaled down together', () => {
+  const config = kinematics.defaultKinematics();
+  const { rpm, scale } = kinematics.wheelRPMs(config, WHEELS, { linear: 1, lateral: 0, angular: 2 });
+  const fastest = Math.max(...Object.values(rpm).map(Math.abs));
+  assert.ok(scale < 1);
+  assert.ok(Math.abs(fastest - config.maxWheelRPM) < 0.1);
+  // The ratio between the sides (the path) is kept
+  const unscaled = kinematics.wheelRPMs({ ...config, maxWheelRPM: 1e9 }, WHEELS, { linear: 1, lateral: 0, angular: 2 }).rpm;
+  assert.ok(Math.abs(rpm.frontLeft / rpm.frontRight - unscaled.frontLeft / unscaled.frontRight) < 0.01);
+});
+
+test('trims adjust a wheel by a percentage', () => {
+  const config = kinematics.defaultKinematics();
+  const { rpm } = kinematics.wheelRPMs(config, WHEELS, { linear: 0.1, lateral: 0, angular: 0 }, { frontLeft: 10 });
+  assert.ok(Math.abs(rpm.frontLeft / rpm.frontRight - 1.1) < 0.01);
+});
@@ -0,0 +1,61 @@
+// Mission programs: step validation with defaults, error messages and progress descriptions.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const mission = require('../lib/mission');
+
+test('validateMission fills in defaults for every step type', () => {
+  const { error, mission: validated } = mission.validateMission({
+    name: 'square',
+    steps: [
+      { type: 'drive', distance: 50 },
+      { type: 'turn', angle: 90, output: 'pwm' },
+      { type: 'setRPM', controller: 'left', rpm: 0 },
+      { type: 'wait', seconds: 1.5 },
+      { type: 'setPWM', pin: 12, dutyCycle: 128 },
+      { type: 'waitForSensorCount', sensor: 1, count: 20 },
+      { type: 'stop', mode: 'coast' }
+    ]
+  });
+
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(validated.name, 'square');
+  assert.strictEqual(validated.steps[0].motion.target, 0.5);
+  assert.strictEqual(validated.steps[1].output, 'pwm');
+  assert.strictEqual(validated.steps[4].frequency, 1000);
+  assert.strictEqual(validated.steps[5].timeout, 30);
+  assert.deepStrictEqual(validated.steps[6], { type: 'stop', mode: 'coast' });
+});
+
+test('validateMission names the failing step', () => {
+  assert.match(mission.validateMission({ steps: [] }).error, /steps must be an array/);
+  assert.match(mission.validateMission({ name: '', steps: [{ type: 'wait', seconds: 1 }] }).error, /name/);
+
+  const { error } = mission.validateMission({ steps: [{ type: 'wait', seconds: 1 }, { type: 'setPWM', pin: 30, dutyCycle: 10 }] });
+  assert.match(error, /^Step 2 \(setPWM\): Invalid pin number/);
+
+  assert.match(mission.validateMission({ steps: [{ type: 'jump' }] }).error, /^Step 1 \(jump\): Invalid type/);
+  assert.match(mission.validateMission({ steps: [null] }).error, /^Step 1: Invalid type/);
+  assert.match(mission.validateMission({ steps: [{ type: 'drive', distance: 10, output: 'volts' }] }).error, /output/);
+  assert.match(mission.validateMission({ steps: [{ type: 'stop', mode: 'skid' }] }).error, /mode/);
+  assert.match(mission.validateMission({ steps: [{ type: 'setRPM', controller: 'left', rpm: -5 }] }).error, /rpm/);
+});
+
+test('describeStep summarizes validated steps in API units', () => {
+  const { mission: validated } = mission.validateMission({
+    steps: [
+      { type: 'drive', distance: -25 },
+      { type: 'turn', angle: 45 },
+      { type: 'waitForSensorCount', sensor: 2, count: 100 },
+      { type: 'stop' }
+    ]
+  });
+
+  assert.deepStrictEqual(validated.steps.map(mission.describeStep), [
+    'drive -25 cm',
+    'turn 45°',
+    'waitForSensorCount sensor 2 +100',
+    'stop'
+  ]);
+});
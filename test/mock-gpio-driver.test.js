@@ -0,0 +1,75 @@
+// Mock GPIO driver: recorded writes, injected edges and pulses, and a 32-bit wrapping tick.
+
+// The driver announces itself on creation; keep the runner's output readable
+console.log = () => {};
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createMockDriver } = require('../lib/mock-gpio-driver');
+
+test('output writes are recorded and reflected in the pin state', () => {
+  const driver = createMockDriver();
+  const seen = [];
+  driver.on('write', entry => seen.push(entry));
+
+  const output = driver.openOutput(18);
+  output.pwmFrequency(2000);
+  output.pwmWrite(128);
+  output.digitalWrite(0);
+
+  assert.deepStrictEqual(driver.writes.map(w => [w.pin, w.type, w.value]),
+    [[18, 'frequency', 2000], [18, 'pwm', 128], [18, 'digital', 0]]);
+  assert.strictEqual(seen.length, 3);
+  assert.deepStrictEqual(driver.getPin(18), {
+    pin: 18, mode: 'output', level: 0, dutyCycle: 0, frequency: 2000, pull: 'off'
+  });
+
+  driver.clearWrites();
+  assert.strictEqual(driver.writes.length, 0);
+  assert.strictEqual(driver.getPin(5), null);
+});
+
+test('injected edges reach the input with their tick', () => {
+  const driver = createMockDriver();
+  const input = driver.openInput(23, { pull: 'up', alert: true });
+  const alerts = [];
+  input.on('alert', (level, tick) => alerts.push([level, tick]));
+
+  assert.strictEqual(input.digitalRead(), 1);
+  driver.injectEdge(23, 0, 1000);
+  assert.strictEqual(input.digitalRead(), 0);
+  driver.pulse(23, 2000, 50);
+
+  assert.deepStrictEqual(alerts, [[0, 1000], [1, 2000], [0, 2050]]);
+
+  input.close();
+  driver.injectEdge(23, 1, 3000);
+  assert.strictEqual(alerts.length, 3);
+});
+
+test('inputs opened without alerts stay silent', () => {
+  const driver = createMockDriver();
+  const input = driver.openInput(24, { alert: false });
+  let alerts = 0;
+  input.on('alert', () => alerts++);
+  driver.injectEdge(24, 1);
+  assert.strictEqual(alerts, 0);
+  assert.strictEqual(input.digitalRead(), 1);
+});
+
+test('a pulse across the tick wrap ends just after zero', () => {
+  const driver = createMockDriver();
+  const input = driver.openInput(25);
+  const ticks = [];
+  input.on('alert', (level, tick) => ticks.push(tick));
+
+  driver.pulse(25, 4294967290, 100);
+  assert.deepStrictEqual(ticks, [4294967290, 94]);
+});
+
+test('ticks are 32-bit microsecond counts', () => {
+  const driver = createMockDriver();
+  const tick = driver.getTick();
+  assert.ok(Number.isInteger(tick) && tick >= 0 && tick < 2 ** 32);
+});
@@ -0,0 +1,66 @@
+// H-bridge motor drivers: config validation and the pin writes for signed duties and stop modes.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const motorDriver = require('../lib/motor-driver');
+
+// Pin → value map of a set of outputs
+function levels(outputs) {
+  return Object.fromEntries(outputs.map(output => [output.pin, output.value]));
+}
+
+test('validateDriver checks the type, every pin and repeated pins', () => {
+  assert.strictEqual(motorDriver.validateDriver(18, { type: 'pwm' }), null);
+  assert.strictEqual(motorDriver.validateDriver(18, { type: 'l298n', in1: 5, in2: 6 }), null);
+  assert.match(motorDriver.validateDriver(18, { type: 'h-bridge' }), /driver type/);
+  assert.match(motorDriver.validateDriver(18, { type: 'tb6612', in1: 5, in2: 6 }), /stby/);
+  assert.match(motorDriver.validateDriver(18, { type: 'l298n', in1: 5, in2: 40 }), /in2/);
+  assert.match(motorDriver.validateDriver(18, { type: 'l298n', in1: 18, in2: 6 }), /must all be different/);
+});
+
+test('driverPins and canReverse describe each driver', () => {
+  assert.deepStrictEqual(motorDriver.driverPins(18, { type: 'tb6612', in1: 5, in2: 6, stby: 13 }), [18, 5, 6, 13]);
+  assert.deepStrictEqual(motorDriver.driverPins(18, { type: 'drv8833', in2: 19 }), [18, 19]);
+  assert.strictEqual(motorDriver.canReverse({ type: 'pwm' }), false);
+  assert.strictEqual(motorDriver.canReverse({ type: 'drv8833', in2: 19 }), true);
+});
+
+test('l298n: direction pins are written before the speed pin', () => {
+  const driver = { type: 'l298n', in1: 5, in2: 6 };
+
+  const forward = motorDriver.motorOutputs(18, driver, 120.4);
+  assert.deepStrictEqual(forward.map(output => output.pin), [5, 6, 18]);
+  assert.deepStrictEqual(levels(forward), { 5: 1, 6: 0, 18: 120 });
+
+  assert.deepStrictEqual(levels(motorDriver.motorOutputs(18, driver, -300)), { 5: 0, 6: 1, 18: 255 });
+});
+
+test('l298n and tb6612: zero duty brakes or coasts', () => {
+  const l298n = { type: 'l298n', in1: 5, in2: 6 };
+  assert.deepStrictEqual(levels(motorDriver.motorOutputs(18, l298n, 0)), { 5: 1, 6: 1, 18: 255 });
+  assert.deepStrictEqual(levels(motorDriver.motorOutputs(18, l298n, 0, 'coast')), { 5: 0, 6: 0, 18: 0 });
+
+  const tb6612 = { type: 'tb6612', in1: 5, in2: 6, stby: 13 };
+  const outputs = motorDriver.motorOutputs(18, tb6612, 0, 'coast');
+  assert.deepStrictEqual(outputs[0], { pin: 13, type: 'digital', value: 1 });
+  assert.deepStrictEqual(levels(outputs), { 13: 1, 5: 0, 6: 0, 18: 0 });
+});
+
+test('drv8833: PWM one input with the other held low', () => {
+  const driver = { type: 'drv8833', in2: 19 };
+
+  const forward = motorDriver.motorOutputs(18, driver, 100);
+  assert.deepStrictEqual(forward, [{ pin: 19, type: 'pwm', value: 0 }, { pin: 18, type: 'pwm', value: 100 }]);
+
+  const reverse = motorDriver.motorOutputs(18, driver, -100);
+  assert.deepStrictEqual(reverse, [{ pin: 18, type: 'pwm', value: 0 }, { pin: 19, type: 'pwm', value: 100 }]);
+
+  assert.deepStrictEqual(levels(motorDriver.motorOutputs(18, driver, 0)), { 18: 255, 19: 255 });
+  assert.deepStrictEqual(levels(motorDriver.motorOutputs(18, driver, 0, 'coast')), { 18: 0, 19: 0 });
+});
+
+test('plain PWM pins run forward only', () => {
+  assert.deepStrictEqual(motorDriver.motorOutputs(18, { type: 'pwm' }, 90), [{ pin: 18, type: 'pwm', value: 90 }]);
+  assert.deepStrictEqual(motorDriver.motorOutputs(18, { type: 'pwm' }, -90), [{ pin: 18, type: 'pwm', value: 0 }]);
+});
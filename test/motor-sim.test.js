@@ -0,0 +1,82 @@
+// Motor + encoder plant: PWM duty spins the simulated wheel, which emits ordered encoder
+// edges, also across the 32-bit tick wrap.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The simulator logs starts and stops; keep the runner's output readable
+console.log = () => {};
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const gpioDriver = require('../lib/gpio-driver');
+const motorSim = require('../lib/motor-sim');
+
+const PWM_PIN = 20;
+const ENCODER_PIN = 21;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Signed µs from tick a to tick b on the wrapping counter
+function tickDiff(a, b) {
+  return (b - a) | 0;
+}
+
+after(() => {
+  motorSim.stop();
+});
+
+test('plant parameters are validated', () => {
+  assert.throws(() => motorSim.addMotor({ pwmPin: 1, encoderPin: 2, params: { maxRPM: 0 } }), { status: 400 });
+  assert.throws(() => motorSim.addMotor({ pwmPin: 1, encoderPin: 2, params: { friction: 1 } }), { status: 400 });
+  assert.strictEqual(motorSim.updateMotor(99, { maxRPM: 10 }), null);
+});
+
+test('full duty spins the wheel up and emits ordered encoder edges across the tick wrap', async () => {
+  // Start the tick close to the wrap so it rolls over while the wheel is turning
+  const realGetTick = gpioDriver.getTick;
+  const offset = 2 ** 32 - realGetTick() - 300000;
+  gpioDriver.getTick = () => (realGetTick() + offset) >>> 0;
+
+  const ticks = [];
+  const input = gpioDriver.openInput(ENCODER_PIN);
+  input.on('alert', (level, tick) => {
+    if (level === 1) ticks.push(tick);
+  });
+
+  try {
+    motorSim.addMotor({ pwmPin: PWM_PIN, encoderPin: ENCODER_PIN, params: { noise: 0 } });
+    motorSim.start();
+    gpioDriver.openOutput(PWM_PIN).pwmWrite(255);
+
+    await sleep(800);
+
+    const motor = motorSim.getStatus().motors.find(m => m.pwmPin === PWM_PIN);
+    assert.ok(motor.rpm > 60 && motor.rpm <= 120, `rpm ${motor.rpm}`);
+    assert.strictEqual(motor.pulses, ticks.length);
+
+    // The counter wrapped during the run and every edge is after the one before it
+    assert.ok(ticks.some(tick => tick > 2 ** 31) && ticks.some(tick => tick < 2 ** 31));
+    for (let i = 1; i < ticks.length; i++) {
+      assert.ok(tickDiff(ticks[i - 1], ticks[i]) > 0, `edge ${i} out of order`);
+    }
+  } finally {
+    motorSim.stop();
+    gpioDriver.getTick = realGetTick;
+    input.close();
+  }
+});
+
+test('a motor below the friction level stays at rest', async () => {
+  motorSim.addMotor({ pwmPin: PWM_PIN, encoderPin: ENCODER_PIN, params: { noise: 0 } });
+  motorSim.start();
+  gpioDriver.openOutput(PWM_PIN).pwmWrite(30);
+
+  await sleep(200);
+  const motor = motorSim.getStatus().motors.find(m => m.pwmPin === PWM_PIN);
+  assert.strictEqual(motor.rpm, 0);
+  assert.strictEqual(motor.pulses, 0);
+  motorSim.stop();
+});
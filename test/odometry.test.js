@@ -0,0 +1,63 @@
+// Wheel odometry: angle wrapping, straight lines, arcs and turning on the spot.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const odometry = require('../lib/odometry');
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('normalizeAngle wraps into (-π, π]', () => {
+  near(odometry.normalizeAngle(3 * Math.PI), Math.PI);
+  near(odometry.normalizeAngle(-Math.PI), Math.PI);
+  near(odometry.normalizeAngle(-3 * Math.PI / 2), Math.PI / 2);
+  near(odometry.normalizeAngle(0.5), 0.5);
+});
+
+test('equal wheel travel drives straight along the heading', () => {
+  const pose = odometry.createPose({ heading: Math.PI / 2 });
+  odometry.integrate(pose, 0.5, 0.5, 0.14, 1);
+  near(pose.x, 0);
+  near(pose.y, 0.5);
+  near(pose.heading, Math.PI / 2);
+  near(pose.distance, 0.5);
+  near(pose.linear, 0.5);
+  near(pose.angular, 0);
+});
+
+test('opposite wheel travel turns on the spot', () => {
+  const trackWidth = 0.14;
+  const pose = odometry.createPose();
+  // A quarter turn counter-clockwise: each side travels a quarter of the track circle
+  const arc = Math.PI / 4 * trackWidth;
+  odometry.integrate(pose, -arc, arc, trackWidth, 0.5);
+  near(pose.x, 0);
+  near(pose.y, 0);
+  near(pose.heading, Math.PI / 2);
+  near(pose.angular, Math.PI);
+  near(pose.distance, 0);
+});
+
+test('small steps around a circle come back to the start', () => {
+  const trackWidth = 0.2;
+  const radius = 0.5;
+  const pose = odometry.createPose();
+  const steps = 1000;
+  const step = 2 * Math.PI / steps;
+  for (let i = 0; i < steps; i++) {
+    odometry.integrate(pose, (radius - trackWidth / 2) * step, (radius + trackWidth / 2) * step, trackWidth, 0.01);
+  }
+  near(pose.x, 0, 1e-6);
+  near(pose.y, 0, 1e-6);
+  near(pose.heading, 0, 1e-6);
+  near(pose.distance, 2 * Math.PI * radius, 1e-6);
+});
+
+test('describePose rounds and reports degrees', () => {
+  const pose = odometry.createPose({ x: 1.234567, heading: Math.PI / 2 });
+  const view = odometry.describePose(pose);
+  assert.strictEqual(view.x, 1.2346);
+  assert.strictEqual(view.headingDegrees, 90);
+});
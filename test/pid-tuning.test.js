@@ -0,0 +1,73 @@
+// Runtime PID tuning: update validation, gain schedules and scheduled gain lookup.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const pidTuning = require('../lib/pid-tuning');
+
+const SCHEDULE = {
+  interpolation: 'linear',
+  breakpoints: [
+    { rpm: 0, kp: 1, ki: 0.1, kd: 0 },
+    { rpm: 50, kp: 3, ki: 0.3, kd: 0.2 },
+    { rpm: 100, kp: 5, ki: 0.5, kd: 0.4 }
+  ]
+};
+
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+test('the default schedule is a valid two-zone step schedule', () => {
+  const schedule = pidTuning.defaultGainSchedule();
+  assert.strictEqual(pidTuning.validateGainSchedule(schedule), null);
+  assert.deepStrictEqual(pidTuning.gainsForTarget(schedule, 10), { kp: 0.35, ki: 0.05, kd: 0 });
+  assert.deepStrictEqual(pidTuning.gainsForTarget(schedule, 20), { kp: 2.5, ki: 0.35, kd: 0.04 });
+});
+
+test('schedules must have valid, strictly increasing breakpoints', () => {
+  assert.match(pidTuning.validateGainSchedule(null), /must be an object/);
+  assert.match(pidTuning.validateGainSchedule({ interpolation: 'cubic', breakpoints: [] }), /interpolation/);
+  assert.match(pidTuning.validateGainSchedule({ breakpoints: [] }), /1-16 entries/);
+  assert.match(pidTuning.validateGainSchedule({ breakpoints: [{ rpm: 0, kp: 1, ki: 0, kd: -1 }] }), /kd/);
+  assert.match(pidTuning.validateGainSchedule({
+    breakpoints: [{ rpm: 10, kp: 1, ki: 0, kd: 0 }, { rpm: 10, kp: 2, ki: 0, kd: 0 }]
+  }), /strictly increasing/);
+});
+
+test('linear schedules interpolate between breakpoints and clamp outside them', () => {
+  const middle = pidTuning.gainsForTarget(SCHEDULE, 75);
+  near(middle.kp, 4);
+  near(middle.ki, 0.4);
+  near(middle.kd, 0.3);
+  assert.deepStrictEqual(pidTuning.gainsForTarget(SCHEDULE, 500), { kp: 5, ki: 0.5, kd: 0.4 });
+  assert.deepStrictEqual(pidTuning.gainsForTarget(SCHEDULE, 0), { kp: 1, ki: 0.1, kd: 0 });
+});
+
+test('step schedules hold the lower breakpoint', () => {
+  const step = { ...SCHEDULE, interpolation: 'step' };
+  assert.deepStrictEqual(pidTuning.gainsForTarget(step, 75), { kp: 3, ki: 0.3, kd: 0.2 });
+});
+
+test('the overall gain scales the schedule around the nominal gain', () => {
+  const scaled = pidTuning.gainsForTarget(SCHEDULE, 100, pidTuning.NOMINAL_GAIN / 2);
+  assert.deepStrictEqual(scaled, { kp: 2.5, ki: 0.25, kd: 0.2 });
+});
+
+test('flat gains replace the schedule with one breakpoint', () => {
+  const { tuning } = pidTuning.validateTuningUpdate({ kp: 2, ki: 0.5, gain: 1.5 });
+  assert.deepStrictEqual(tuning, {
+    gain: 1.5,
+    gainSchedule: { interpolation: 'step', breakpoints: [{ rpm: 0, kp: 2, ki: 0.5, kd: 0 }] }
+  });
+});
+
+test('tuning updates are validated', () => {
+  assert.match(pidTuning.validateTuningUpdate({}).error, /No tuning parameters/);
+  assert.match(pidTuning.validateTuningUpdate({ updateRate: 5 }).error, /updateRate/);
+  assert.match(pidTuning.validateTuningUpdate({ kp: -1 }).error, /^kp must be/);
+  assert.match(pidTuning.validateTuningUpdate({ kp: 1, gainSchedule: SCHEDULE }).error, /not both/);
+
+  const { tuning } = pidTuning.validateTuningUpdate({ gainSchedule: { breakpoints: [{ rpm: 0, kp: 1, ki: 0, kd: 0, extra: 1 }] } });
+  assert.deepStrictEqual(tuning.gainSchedule, { interpolation: 'step', breakpoints: [{ rpm: 0, kp: 1, ki: 0, kd: 0 }] });
+});
@@ -0,0 +1,66 @@
+// Pin registry: one owner per pin, conflicts, releases and the board map.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const pinRegistry = require('../lib/pin-registry');
+
+test('a pin has one owner, who may change how it uses it', () => {
+  pinRegistry.claim(5, 'pwm', 'pwm', 'PWM output');
+  assert.strictEqual(pinRegistry.conflictError(5, 'pwm', 'output'), null);
+
+  const claim = pinRegistry.claim(5, 'pwm', 'output', 'PWM output');
+  assert.strictEqual(claim.mode, 'output');
+  assert.strictEqual(pinRegistry.getClaim(5).owner, 'pwm');
+
+  assert.match(pinRegistry.conflictError(5, 'sensor/1', 'input'), /GPIO 5 is owned by pwm \(PWM output, output\)/);
+  assert.throws(() => pinRegistry.claim(5, 'sensor/1', 'input'), (error) => {
+    assert.strictEqual(error.status, 409);
+    assert.strictEqual(error.pin, 5);
+    assert.strictEqual(error.owner.owner, 'pwm');
+    return true;
+  });
+
+  assert.strictEqual(pinRegistry.release(5, 'pwm'), true);
+  assert.strictEqual(pinRegistry.getClaim(5), null);
+});
+
+test('claims are checked for pin number and mode', () => {
+  assert.throws(() => pinRegistry.claim(28, 'pwm', 'pwm'), { status: 400 });
+  assert.throws(() => pinRegistry.claim(1.5, 'pwm', 'pwm'), { status: 400 });
+  assert.throws(() => pinRegistry.claim(6, 'pwm', 'analog'), /Invalid pin mode/);
+  assert.strictEqual(pinRegistry.getClaim(6), null);
+});
+
+test('only the owner can release a pin', () => {
+  pinRegistry.claim(7, 'robot/frontLeft', 'pwm');
+  assert.strictEqual(pinRegistry.release(7, 'pwm'), false);
+  assert.strictEqual(pinRegistry.getClaim(7).owner, 'robot/frontLeft');
+  assert.strictEqual(pinRegistry.release(7, 'robot/frontLeft'), true);
+});
+
+test('releaseOwner gives back every pin except those kept', () => {
+  pinRegistry.claim(8, 'rpm-control/bench', 'pwm');
+  pinRegistry.claim(9, 'rpm-control/bench', 'pwm');
+  pinRegistry.claim(10, 'rpm-control/other', 'pwm');
+
+  assert.deepStrictEqual(pinRegistry.releaseOwner('rpm-control/bench', [9]), [8]);
+  assert.strictEqual(pinRegistry.getClaim(9).owner, 'rpm-control/bench');
+  assert.deepStrictEqual(pinRegistry.releaseOwner('rpm-control/bench'), [9]);
+  assert.strictEqual(pinRegistry.getClaim(10).owner, 'rpm-control/other');
+  pinRegistry.releaseOwner('rpm-control/other');
+});
+
+test('the board map lists every pin with its subsystem', () => {
+  pinRegistry.claim(18, 'robot/frontLeft', 'pwm', 'Front Left wheel speed');
+  const map = pinRegistry.getBoardMap();
+
+  assert.strictEqual(map.length, 28);
+  assert.deepStrictEqual(map.filter(pin => pin.hardwarePwm).map(pin => pin.pin), pinRegistry.HARDWARE_PWM_PINS);
+  const pin18 = map[18];
+  assert.strictEqual(pin18.owner, 'robot/frontLeft');
+  assert.strictEqual(pin18.subsystem, 'robot');
+  assert.strictEqual(pin18.label, 'Front Left wheel speed');
+  assert.strictEqual(map[0].owner, null);
+  pinRegistry.release(18, 'robot/frontLeft');
+});
@@ -0,0 +1,44 @@
+// Position moves: request validation and the braking-curve RPM command.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const positionMove = require('../lib/position-move');
+
+const PPR = 45;
+
+test('a move needs exactly one of revolutions and pulses', () => {
+  assert.match(positionMove.validateMove({}, PPR).error, /either revolutions or pulses/);
+  assert.match(positionMove.validateMove({ revolutions: 1, pulses: 45 }, PPR).error, /either revolutions or pulses/);
+  assert.strictEqual(positionMove.validateMove({ revolutions: 2 }, PPR).move.targetPulses, 90);
+  assert.strictEqual(positionMove.validateMove({ pulses: 100 }, PPR).move.targetPulses, 100);
+});
+
+test('move options are validated and defaulted', () => {
+  const { move } = positionMove.validateMove({ pulses: 100, maxRPM: 30 }, PPR);
+  assert.strictEqual(move.maxRPM, 30);
+  assert.strictEqual(move.decel, positionMove.MOVE_DEFAULTS.decel);
+
+  assert.match(positionMove.validateMove({ revolutions: 0 }, PPR).error, /revolutions/);
+  assert.match(positionMove.validateMove({ pulses: 1.5 }, PPR).error, /pulses/);
+  assert.match(positionMove.validateMove({ pulses: 10, timeout: 0 }, PPR).error, /timeout/);
+  assert.match(positionMove.validateMove({ pulses: 10, minRPM: 50, maxRPM: 20 }, PPR).error, /minRPM/);
+});
+
+test('the command cruises, brakes into the target and stops within tolerance', () => {
+  const { move } = positionMove.validateMove({ pulses: 4500 }, PPR);
+
+  // Far away: cruise at maxRPM
+  assert.strictEqual(positionMove.commandRPM(move, 4500, PPR), move.maxRPM);
+
+  // Within braking distance: v = √(2·a·d), in RPM
+  const remaining = 9; // 0.2 revolutions
+  const expected = Math.sqrt(2 * (move.decel / 60) * (remaining / PPR)) * 60;
+  assert.ok(Math.abs(positionMove.commandRPM(move, remaining, PPR) - expected) < 1e-9);
+
+  // Never below the creep speed until arrived
+  const { move: gentle } = positionMove.validateMove({ pulses: 4500, decel: 1 }, PPR);
+  assert.strictEqual(positionMove.commandRPM(gentle, gentle.tolerance + 1, PPR), gentle.minRPM);
+  assert.strictEqual(positionMove.commandRPM(move, move.tolerance, PPR), 0);
+  assert.strictEqual(positionMove.commandRPM(move, -3, PPR), 0);
+});
@@ -0,0 +1,109 @@
+// PWM pin ownership: /api/pwm only stops its own pins, the emergency stop halts every pin,
+// and missions give their setPWM pins back when they end early.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The robot and PWM layers log every write; keep the runner's output readable
+console.log = () => {};
+console.error = () => {};
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const robotRoutes = require('../routes/robot-routes');
+const pwmRoutes = require('../routes/pwm-routes');
+const missionRoutes = require('../routes/mission-routes');
+const safetyRoutes = require('../routes/safety-routes');
+const pinRegistry = require('../lib/pin-registry');
+
+const WHEEL_PIN = robotRoutes.ROBOT_CONFIG.wheels.frontLeft.pin;
+const PWM_PIN = 5;
+const MISSION_PIN = 6;
+
+let server = null;
+let baseUrl = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function post(path, body = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/pwm', pwmRoutes);
+  app.use('/api/missions', missionRoutes.router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (safetyRoutes.isLatched()) safetyRoutes.resetCommand();
+  missionRoutes.cleanup();
+  robotRoutes.stopRobot();
+  robotRoutes.cleanup();
+  pwmRoutes.cleanup();
+  safetyRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('/api/pwm refuses to stop a pin another subsystem drives', async () => {
+  assert.strictEqual(robotRoutes.speedCommand({ speed: 40, immediate: true }).status, 200);
+  assert.strictEqual(pinRegistry.getClaim(WHEEL_PIN).owner, 'robot/frontLeft');
+
+  const stop = await post('/api/pwm/stop', { pin: WHEEL_PIN });
+  assert.strictEqual(stop.status, 409);
+  assert.strictEqual(stop.body.owner.owner, 'robot/frontLeft');
+  assert.strictEqual(pwmRoutes.isPinRunning(WHEEL_PIN), true);
+
+  assert.strictEqual((await post('/api/pwm/set', { pin: WHEEL_PIN, dutyCycle: 10 })).status, 409);
+});
+
+test('/api/pwm/stop-all stops only manual outputs', async () => {
+  assert.strictEqual((await post('/api/pwm/set', { pin: PWM_PIN, dutyCycle: 100 })).status, 200);
+  assert.strictEqual(pinRegistry.getClaim(PWM_PIN).owner, 'pwm');
+
+  const stopAll = await post('/api/pwm/stop-all');
+  assert.strictEqual(stopAll.status, 200);
+  assert.ok(stopAll.body.stoppedPins.includes(PWM_PIN));
+  assert.ok(!stopAll.body.stoppedPins.includes(WHEEL_PIN));
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+  assert.strictEqual(pinRegistry.getClaim(PWM_PIN), null);
+  assert.strictEqual(pwmRoutes.isPinRunning(WHEEL_PIN), true);
+});
+
+test('the emergency stop halts every pin', () => {
+  pwmRoutes.setPWMCommand({ pin: PWM_PIN, dutyCycle: 100 });
+
+  const halted = safetyRoutes.triggerEStop('test');
+  assert.ok(halted.stoppedPins.includes(PWM_PIN));
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+  assert.strictEqual(pwmRoutes.isPinRunning(WHEEL_PIN), false);
+  assert.strictEqual(safetyRoutes.resetCommand().status, 200);
+});
+
+test('an aborted mission stops and frees its setPWM pins', async () => {
+  const start = await post('/api/missions', {
+    steps: [{ type: 'setPWM', pin: MISSION_PIN, dutyCycle: 50 }, { type: 'wait', seconds: 10 }]
+  });
+  assert.strictEqual(start.status, 202);
+  await sleep(50);
+  assert.strictEqual(pwmRoutes.isPinRunning(MISSION_PIN), true);
+  assert.strictEqual(pinRegistry.getClaim(MISSION_PIN).owner, 'pwm');
+
+  assert.strictEqual((await post(`/api/missions/${start.body.mission.id}/abort`)).status, 200);
+  assert.strictEqual(pwmRoutes.isPinRunning(MISSION_PIN), false);
+  assert.strictEqual(pinRegistry.getClaim(MISSION_PIN), null);
+});
@@ -0,0 +1,51 @@
+// Quadrature decoding: signed counts at 1x/2x/4x, bounce cancellation and repeated levels.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const quadrature = require('../lib/quadrature');
+
+// One full forward cycle (A leads B): 00 → 10 → 11 → 01 → 00
+const FORWARD = [['A', 1], ['B', 1], ['A', 0], ['B', 0]];
+// One full reverse cycle (B leads A): 00 → 01 → 11 → 10 → 00
+const REVERSE = [['B', 1], ['A', 1], ['B', 0], ['A', 0]];
+
+function decodeAll(mode, edges, cycles = 1) {
+  const decoder = quadrature.createDecoder(mode, 0, 0);
+  let position = 0;
+  for (let i = 0; i < cycles; i++) {
+    edges.forEach(([channel, level]) => {
+      position += quadrature.decodeEdge(decoder, channel, level);
+    });
+  }
+  return position;
+}
+
+test('counts forward cycles at the mode resolution', () => {
+  assert.strictEqual(decodeAll('4x', FORWARD, 3), 12);
+  assert.strictEqual(decodeAll('2x', FORWARD, 3), 6);
+  assert.strictEqual(decodeAll('1x', FORWARD, 3), 3);
+});
+
+test('counts reverse cycles negative', () => {
+  assert.strictEqual(decodeAll('4x', REVERSE, 2), -8);
+  assert.strictEqual(decodeAll('2x', REVERSE, 2), -4);
+  assert.strictEqual(decodeAll('1x', REVERSE, 2), -2);
+});
+
+test('a bounce on one channel cancels out', () => {
+  const bounce = [['A', 1], ['A', 0], ['A', 1], ['A', 0]];
+  assert.strictEqual(decodeAll('4x', bounce), 0);
+  assert.strictEqual(decodeAll('2x', bounce), 0);
+});
+
+test('a repeated level is not a transition', () => {
+  const decoder = quadrature.createDecoder('4x', 1, 0);
+  assert.strictEqual(quadrature.decodeEdge(decoder, 'A', 1), 0);
+  assert.strictEqual(quadrature.decodeEdge(decoder, 'B', 1), 1);
+});
+
+test('countsPerLine matches the decoding mode', () => {
+  assert.deepStrictEqual(quadrature.DECODING_MODES.map(quadrature.countsPerLine), [1, 2, 4]);
+  assert.strictEqual(quadrature.countsPerLine('unknown'), 1);
+});
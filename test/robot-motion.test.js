@@ -0,0 +1,57 @@
+// Robot motion commands: validation in API units, the braking speed profile and heading correction.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const robotMotion = require('../lib/robot-motion');
+
+const DEG = Math.PI / 180;
+
+test('validateMotion converts centimetres and degrees to internal units', () => {
+  const { motion: move } = robotMotion.validateMotion('move', { distance: 50, tolerance: 1 });
+  assert.strictEqual(move.kind, 'move');
+  assert.strictEqual(move.target, 0.5);
+  assert.strictEqual(move.tolerance, 0.01);
+  assert.strictEqual(move.speed, robotMotion.MOTION_DEFAULTS.move.speed);
+
+  const { motion: turn } = robotMotion.validateMotion('turn', { angle: -90, speed: 90 });
+  assert.ok(Math.abs(turn.target + Math.PI / 2) < 1e-12);
+  assert.ok(Math.abs(turn.speed - 90 * DEG) < 1e-12);
+});
+
+test('validateMotion rejects missing targets, bad options and minSpeed above speed', () => {
+  assert.match(robotMotion.validateMotion('move', {}).error, /distance/);
+  assert.match(robotMotion.validateMotion('move', { distance: 0 }).error, /distance/);
+  assert.match(robotMotion.validateMotion('turn', { angle: 40000 }).error, /angle/);
+  assert.match(robotMotion.validateMotion('move', { distance: 10, timeout: 0 }).error, /timeout/);
+  assert.match(robotMotion.validateMotion('move', { distance: 10, speed: 0.05, minSpeed: 0.1 }).error, /minSpeed/);
+});
+
+test('commandSpeed cruises, brakes into the target and creeps at minSpeed', () => {
+  const { motion } = robotMotion.validateMotion('move', { distance: 100 });
+
+  assert.strictEqual(robotMotion.commandSpeed(motion, 1), motion.speed);
+
+  const braking = robotMotion.commandSpeed(motion, 0.05);
+  assert.ok(Math.abs(braking - Math.sqrt(2 * motion.decel * 0.05)) < 1e-12);
+
+  assert.strictEqual(robotMotion.commandSpeed(motion, 0.006), motion.minSpeed);
+  assert.strictEqual(robotMotion.commandSpeed(motion, 0.004), 0);
+  assert.strictEqual(robotMotion.commandSpeed(motion, -0.1), 0);
+});
+
+test('commandSpeed is signed by the direction of the target', () => {
+  const { motion } = robotMotion.validateMotion('turn', { angle: -180 });
+  assert.strictEqual(robotMotion.commandSpeed(motion, -Math.PI), -motion.speed);
+  assert.strictEqual(robotMotion.commandSpeed(motion, 0.1), 0);
+});
+
+test('headingCorrection steers back and never reverses the slower side', () => {
+  const { motion } = robotMotion.validateMotion('move', { distance: 100 });
+
+  assert.ok(Math.abs(robotMotion.headingCorrection(motion, 0.01, 0.2, 0.15) + 0.02) < 1e-12);
+
+  const limited = robotMotion.headingCorrection(motion, -1, 0.2, 0.15);
+  assert.ok(Math.abs(limited - 0.2 / 0.15) < 1e-12);
+  assert.ok(0.2 - limited * 0.15 / 2 > 0);
+});
@@ -0,0 +1,122 @@
+// Named RPM controllers: the registry endpoints, and stops that never touch an idle
+// controller's pin.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The control loops log every tick; keep the runner's output readable
+console.log = () => {};
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const gpioDriver = require('../lib/gpio-driver');
+const sensorRoutes = require('../routes/sensor-routes');
+const rpmControlRoutes = require('../routes/rpm-control-routes');
+
+const MOTOR_PIN = 20;
+const SENSOR = 2;
+const SENSOR_PIN = 24;
+
+let server = null;
+let baseUrl = null;
+
+async function request(method, path, body) {
+  const res = await fetch(`${baseUrl}/api/rpm-control${path}`, {
+    method: method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Writes to a pin since write index `from`
+function writesSince(from, pin) {
+  return gpioDriver.writes.slice(from).filter(w => w.pin === pin);
+}
+
+before(async () => {
+  rpmControlRoutes.setSensorRoutes(sensorRoutes);
+  sensorRoutes.enableSensor(SENSOR, SENSOR_PIN);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/rpm-control', rpmControlRoutes.router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  rpmControlRoutes.controllers.forEach(ctrl => rpmControlRoutes.stopController(ctrl));
+  rpmControlRoutes.cleanup();
+  sensorRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('controllers are created, listed and deleted by id', async () => {
+  const created = await request('POST', '/controllers', { id: 'bench', controlPin: MOTOR_PIN, sensorNumber: SENSOR });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.controller.controllerId, 'bench');
+
+  assert.strictEqual((await request('POST', '/controllers', { id: 'bench' })).status, 409);
+  assert.strictEqual((await request('POST', '/controllers', { id: 'no spaces' })).status, 400);
+  assert.strictEqual((await request('POST', '/controllers', { id: 'other', controlPin: 40 })).status, 400);
+
+  const list = await request('GET', '/controllers');
+  const ids = list.body.controllers.map(ctrl => ctrl.controllerId);
+  assert.ok(ids.includes('default') && ids.includes('bench'));
+
+  assert.strictEqual((await request('GET', '/controllers/missing')).status, 404);
+  assert.strictEqual((await request('DELETE', '/controllers/default')).status, 400);
+
+  assert.strictEqual((await request('POST', '/controllers', { id: 'spare', controlPin: 21, sensorNumber: SENSOR })).status, 201);
+  assert.strictEqual((await request('DELETE', '/controllers/spare')).status, 200);
+  assert.strictEqual(rpmControlRoutes.getController('spare'), undefined);
+});
+
+test('/set-rpm validates the target and 0 stops a running controller', async () => {
+  assert.strictEqual((await request('POST', '/controllers/bench/set-rpm', { targetRPM: 'fast' })).status, 400);
+  assert.strictEqual((await request('POST', '/controllers/bench/set-rpm', { targetRPM: -5 })).status, 400);
+  assert.strictEqual((await request('POST', '/controllers/bench/set-rpm', {})).status, 400);
+
+  assert.strictEqual((await request('POST', '/controllers/bench/start', { targetRPM: 40 })).status, 200);
+  assert.strictEqual(rpmControlRoutes.getController('bench').active, true);
+
+  const stop = await request('POST', '/controllers/bench/set-rpm', { targetRPM: 0 });
+  assert.strictEqual(stop.status, 200);
+  assert.strictEqual(stop.body.targetRPM, 0);
+  assert.strictEqual(rpmControlRoutes.getController('bench').active, false);
+});
+
+test('stopping an idle controller leaves its pin alone', async () => {
+  // Something else is driving the idle controller's pin
+  gpioDriver.openOutput(MOTOR_PIN).pwmWrite(90);
+  const before = gpioDriver.writes.length;
+
+  assert.strictEqual((await request('POST', '/controllers/bench/stop')).status, 200);
+  assert.deepStrictEqual(writesSince(before, MOTOR_PIN), []);
+  assert.strictEqual(gpioDriver.getPin(MOTOR_PIN).dutyCycle, 90);
+
+  // A running controller is stopped and its motor cut
+  assert.strictEqual((await request('POST', '/controllers/bench/start', { targetRPM: 40 })).status, 200);
+  const running = gpioDriver.writes.length;
+  assert.strictEqual((await request('POST', '/controllers/bench/stop')).status, 200);
+  const writes = writesSince(running, MOTOR_PIN);
+  assert.strictEqual(writes[writes.length - 1].value, 0);
+});
+
+test('controllers with a custom output cannot be deleted', async () => {
+  const written = [];
+  rpmControlRoutes.createController('wheel', { controlPin: 22, sensorNumber: SENSOR, output: duty => written.push(duty) });
+
+  const deleted = await request('DELETE', '/controllers/wheel');
+  assert.strictEqual(deleted.status, 400);
+  assert.match(deleted.body.error, /cannot be deleted/);
+
+  // Stopping it while idle does not drive its output
+  assert.strictEqual((await request('POST', '/controllers/wheel/stop')).status, 200);
+  assert.deepStrictEqual(written, []);
+});
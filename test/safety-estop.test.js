@@ -0,0 +1,128 @@
+// E-STOP supervisor: a latched emergency stop must silence every RPM controller, including
+// auto-tune experiments and sequences that are between steps, and keep them silent.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The control loops log every tick; keep the runner's output readable
+console.log = () => {};
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const gpioDriver = require('../lib/gpio-driver');
+const sensorRoutes = require('../routes/sensor-routes');
+const rpmControlRoutes = require('../routes/rpm-control-routes');
+const safetyRoutes = require('../routes/safety-routes');
+
+const SENSOR = 1;
+const SENSOR_PIN = 23;
+const MOTOR_PIN = 20;
+
+let server = null;
+let baseUrl = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function post(path, body = {}) {
+  const res = await fetch(`${baseUrl}/api/rpm-control${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Non-zero PWM written to the test motor pin since write index `from`
+function motorWritesSince(from) {
+  return gpioDriver.writes.slice(from).filter(w => w.pin === MOTOR_PIN && w.type === 'pwm' && w.value > 0);
+}
+
+// Clear the latch between tests
+function reset() {
+  if (safetyRoutes.isLatched()) {
+    assert.strictEqual(safetyRoutes.resetCommand().status, 200);
+  }
+}
+
+before(async () => {
+  rpmControlRoutes.setSensorRoutes(sensorRoutes);
+  sensorRoutes.enableSensor(SENSOR, SENSOR_PIN);
+  rpmControlRoutes.createController('bench', { controlPin: MOTOR_PIN, sensorNumber: SENSOR });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/rpm-control', rpmControlRoutes.router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  rpmControlRoutes.stopAll();
+  rpmControlRoutes.cleanup();
+  sensorRoutes.cleanup();
+  safetyRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('E-STOP cancels a running auto-tune and no PWM is written afterwards', async () => {
+  reset();
+
+  const start = await post('/controllers/bench/autotune', { method: 'relay' });
+  assert.strictEqual(start.status, 202);
+
+  // The relay experiment drives the motor while the wheel is below its setpoint
+  const before = gpioDriver.writes.length;
+  await sleep(350);
+  assert.ok(motorWritesSince(before).length > 0, 'auto-tune should be writing PWM');
+
+  const halted = safetyRoutes.triggerEStop('test');
+  assert.ok(halted.stoppedControllers.includes('bench'));
+  assert.strictEqual(rpmControlRoutes.getController('bench').autotune.status, 'cancelled');
+
+  const afterStop = gpioDriver.writes.length;
+  await sleep(500);
+  assert.deepStrictEqual(motorWritesSince(afterStop), []);
+});
+
+test('E-STOP cancels a sequence waiting in an rpm: 0 step', async () => {
+  reset();
+
+  const start = await post('/controllers/bench/sequence', {
+    steps: [{ rpm: 0, hold: 0.3 }, { rpm: 40, hold: 10 }]
+  });
+  assert.strictEqual(start.status, 202);
+  assert.strictEqual(rpmControlRoutes.getController('bench').active, false);
+
+  const halted = safetyRoutes.triggerEStop('test');
+  assert.ok(halted.stoppedControllers.includes('bench'));
+
+  // Past the point where the next step would have started the motor
+  const afterStop = gpioDriver.writes.length;
+  await sleep(600);
+
+  const ctrl = rpmControlRoutes.getController('bench');
+  assert.strictEqual(ctrl.active, false);
+  assert.strictEqual(ctrl.sequence.status, 'cancelled');
+  assert.deepStrictEqual(motorWritesSince(afterStop), []);
+});
+
+test('controllers refuse to start while the E-STOP is latched', async () => {
+  reset();
+  safetyRoutes.triggerEStop('test');
+
+  const start = await post('/controllers/bench/start', { targetRPM: 40 });
+  assert.strictEqual(start.status, 409);
+  assert.match(start.body.error, /Emergency stop latched/);
+  assert.strictEqual(rpmControlRoutes.getController('bench').active, false);
+
+  reset();
+  const restarted = await post('/controllers/bench/start', { targetRPM: 40 });
+  assert.strictEqual(restarted.status, 200);
+  assert.strictEqual((await post('/controllers/bench/stop')).status, 200);
+});
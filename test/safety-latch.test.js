@@ -0,0 +1,109 @@
+// E-STOP latch: motion requests are refused while latched, whatever the path's case, and the
+// commands check the latch themselves so socket commands and missions cannot go around it.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The robot and PWM layers log every write; keep the runner's output readable
+console.log = () => {};
+console.error = () => {};
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const robotRoutes = require('../routes/robot-routes');
+const pwmRoutes = require('../routes/pwm-routes');
+const safetyRoutes = require('../routes/safety-routes');
+
+const PWM_PIN = 5;
+
+let server = null;
+let baseUrl = null;
+
+async function post(path, body = {}) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(safetyRoutes.latchGate);
+  app.use('/api/robot', robotRoutes);
+  app.use('/api/pwm', pwmRoutes);
+  app.use('/api/safety', safetyRoutes.router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+// Every test starts latched
+beforeEach(() => {
+  safetyRoutes.triggerEStop('test');
+});
+
+after(async () => {
+  if (safetyRoutes.isLatched()) safetyRoutes.resetCommand();
+  robotRoutes.stopRobot();
+  robotRoutes.cleanup();
+  pwmRoutes.cleanup();
+  safetyRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('motion requests are refused while latched', async () => {
+  const speed = await post('/api/robot/speed', { speed: 30 });
+  assert.strictEqual(speed.status, 409);
+  assert.match(speed.body.error, /Emergency stop latched \(test\)/);
+  assert.strictEqual(speed.body.safety.latched, true);
+
+  assert.strictEqual((await post('/api/pwm/set', { pin: PWM_PIN, dutyCycle: 100 })).status, 409);
+  assert.strictEqual(robotRoutes.robotState.targetSpeed, 0);
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+});
+
+test('the latch matches paths case-insensitively', async () => {
+  assert.strictEqual((await post('/API/robot/speed', { speed: 30 })).status, 409);
+  assert.strictEqual((await post('/api/Robot/Speed', { speed: 30 })).status, 409);
+  assert.strictEqual((await post('/api/PWM/set', { pin: PWM_PIN, dutyCycle: 100 })).status, 409);
+  assert.strictEqual(robotRoutes.robotState.targetSpeed, 0);
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+});
+
+test('stops still go through while latched', async () => {
+  assert.strictEqual((await post('/api/robot/stop')).status, 200);
+  assert.strictEqual((await post('/api/pwm/stop-all')).status, 200);
+  assert.strictEqual((await post('/api/PWM/Stop-All')).status, 200);
+});
+
+test('the commands check the latch themselves', () => {
+  const speed = robotRoutes.speedCommand({ speed: 30 });
+  assert.strictEqual(speed.status, 409);
+  assert.match(speed.body.error, /Emergency stop latched/);
+
+  const pwm = pwmRoutes.setPWMCommand({ pin: PWM_PIN, dutyCycle: 100 });
+  assert.strictEqual(pwm.status, 409);
+
+  assert.strictEqual(robotRoutes.robotState.targetSpeed, 0);
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+});
+
+test('a reset clears the latch and commands are accepted again', async () => {
+  const reset = await post('/api/safety/reset');
+  assert.strictEqual(reset.status, 200);
+  assert.strictEqual(reset.body.safety.latched, false);
+
+  assert.strictEqual(pwmRoutes.setPWMCommand({ pin: PWM_PIN, dutyCycle: 100 }).status, 200);
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), true);
+
+  // A new trigger stops the output it left running
+  const halted = safetyRoutes.triggerEStop('test');
+  assert.ok(halted.stoppedPins.includes(PWM_PIN));
+  assert.strictEqual(pwmRoutes.isPinRunning(PWM_PIN), false);
+});
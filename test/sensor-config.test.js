@@ -0,0 +1,105 @@
+// Per-sensor encoder configuration: validation, RPM filters, and the edge pipeline's
+// debounce and rolling window, including edges that straddle the 32-bit tick wrap.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The sensor pipeline logs every edge; keep the runner's output readable
+console.log = () => {};
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const gpioDriver = require('../lib/gpio-driver');
+const sensorConfig = require('../lib/sensor-config');
+const sensorRoutes = require('../routes/sensor-routes');
+
+const SENSOR = 1;
+const PIN = 23;
+const PPR = 45;
+
+// Pulses every `intervalMicros` starting at `tick`; returns the tick after the last one
+function pulseTrain(count, intervalMicros, tick) {
+  for (let i = 0; i < count; i++) {
+    gpioDriver.pulse(PIN, tick);
+    tick = (tick + intervalMicros) >>> 0;
+  }
+  return tick;
+}
+
+function sensorData() {
+  return sensorRoutes.sensorState.activeSensors.get(SENSOR);
+}
+
+beforeEach(() => {
+  sensorRoutes.enableSensor(SENSOR, PIN, { config: { pulsesPerRotation: PPR, filter: 'moving-average' } });
+});
+
+after(() => {
+  sensorRoutes.cleanup();
+});
+
+test('config updates are validated', () => {
+  assert.deepStrictEqual(sensorConfig.validateSensorConfig({ debounceMs: 2, filter: 'median', sensor: 1 }),
+    { config: { debounceMs: 2, filter: 'median' } });
+  assert.match(sensorConfig.validateSensorConfig({ pulsesPerRotation: 1.5 }).error, /an integer/);
+  assert.match(sensorConfig.validateSensorConfig({ iirAlpha: 0 }).error, /iirAlpha/);
+  assert.match(sensorConfig.validateSensorConfig({ filter: 'kalman' }).error, /Invalid filter/);
+
+  const defaults = sensorConfig.defaultSensorConfig();
+  assert.match(sensorConfig.mergeSensorConfig(defaults, { minWindowMs: defaults.windowMs }).error, /minWindowMs/);
+  assert.strictEqual(sensorConfig.mergeSensorConfig(defaults, { windowMs: 500 }).config.windowMs, 500);
+});
+
+test('instant RPM uses the window average, or the last period', () => {
+  const times = [0, 0.01, 0.02, 0.04];
+  const average = sensorConfig.instantRPM({ filter: 'iir' }, times, 10);
+  assert.ok(Math.abs(average - 3 / 0.04 * 60 / 10) < 1e-9);
+  const period = sensorConfig.instantRPM({ filter: 'period' }, times, 10);
+  assert.ok(Math.abs(period - 60 / (10 * 0.02)) < 1e-9);
+});
+
+test('filters smooth readings', () => {
+  assert.strictEqual(sensorConfig.applyFilter({ filter: 'iir', iirAlpha: 0.25 }, 100, [], 200), 125);
+  assert.strictEqual(sensorConfig.applyFilter({ filter: 'period' }, 100, [], 200), 200);
+
+  const history = [];
+  const average = { filter: 'moving-average', filterSize: 3 };
+  [10, 20, 30, 40].forEach(reading => sensorConfig.applyFilter(average, 0, history, reading));
+  assert.deepStrictEqual(history, [20, 30, 40]);
+
+  const median = { filter: 'median', filterSize: 5 };
+  const readings = [];
+  let result;
+  [50, 10, 1000, 30].forEach(reading => {
+    result = sensorConfig.applyFilter(median, 0, readings, reading);
+  });
+  assert.strictEqual(result, 40);
+});
+
+test('a steady pulse train gives its RPM', () => {
+  // 100 pulses per second at 45 PPR
+  pulseTrain(30, 10000, 1000000);
+  assert.strictEqual(sensorData().pulses, 30);
+  assert.ok(Math.abs(sensorData().filteredRPM - 100 * 60 / PPR) < 0.5, `rpm ${sensorData().filteredRPM}`);
+});
+
+test('edges closer than debounceMs are ignored', () => {
+  let tick = pulseTrain(5, 10000, 1000000);
+  // Contact bounce 1 ms after a real edge
+  gpioDriver.pulse(PIN, (tick - 10000 + 1000) >>> 0);
+  assert.strictEqual(sensorData().pulses, 5);
+  tick = pulseTrain(1, 10000, tick);
+  assert.strictEqual(sensorData().pulses, 6);
+});
+
+test('debounce and the RPM window work across the tick wrap', () => {
+  // Start 50 ms before the counter wraps
+  const start = 2 ** 32 - 50000;
+  pulseTrain(20, 10000, start);
+  assert.strictEqual(sensorData().pulses, 20);
+  assert.ok(Math.abs(sensorData().filteredRPM - 100 * 60 / PPR) < 0.5, `rpm ${sensorData().filteredRPM}`);
+
+  // A bounce just after the wrap is still caught
+  gpioDriver.pulse(PIN, (start + 19 * 10000 + 1000) >>> 0);
+  assert.strictEqual(sensorData().pulses, 20);
+});
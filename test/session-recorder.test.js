@@ -0,0 +1,98 @@
+// Session recording: NDJSON round trip, name checks, the event cap and PWM log comparison.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SESSION_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+
+// Recording logs when it starts and stops; keep the runner's output readable
+console.log = () => {};
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const sessionRecorder = require('../lib/session-recorder');
+
+after(() => {
+  fs.rmSync(process.env.SESSION_DIR, { recursive: true, force: true });
+});
+
+test('isValidName keeps session names to safe file names', () => {
+  assert.strictEqual(sessionRecorder.isValidName('bench_run-2'), true);
+  assert.strictEqual(sessionRecorder.isValidName('../etc/passwd'), false);
+  assert.strictEqual(sessionRecorder.isValidName(''), false);
+  assert.strictEqual(sessionRecorder.isValidName('x'.repeat(65)), false);
+  assert.strictEqual(sessionRecorder.isValidName(42), false);
+});
+
+test('a recording is saved, listed, loaded and deleted', async () => {
+  sessionRecorder.recordEdge(23, 1, 100);
+  assert.strictEqual(sessionRecorder.isRecording(), false);
+
+  sessionRecorder.startRecording({ name: 'round-trip', driver: 'mock', startTick: 100, sensors: [{ sensorNumber: 1 }] });
+  assert.throws(() => sessionRecorder.startRecording({ name: 'other', driver: 'mock', startTick: 0 }), { status: 409 });
+
+  sessionRecorder.recordRestCommand('POST', '/api/pwm/set', { pin: 12, dutyCycle: 100 });
+  sessionRecorder.recordSocketCommand('setSpeed', { speed: 50 });
+  sessionRecorder.recordEdge(23, 1, 1100);
+  sessionRecorder.recordPWM(12, 100, 1000);
+
+  const summary = await sessionRecorder.stopRecording();
+  assert.strictEqual(summary.events, 4);
+  assert.strictEqual(summary.commands, 2);
+  assert.strictEqual(summary.edges, 1);
+  assert.strictEqual(summary.pwmWrites, 1);
+  assert.strictEqual(summary.truncated, false);
+  await assert.rejects(sessionRecorder.stopRecording(), { status: 409 });
+
+  const sessions = await sessionRecorder.listSessions();
+  assert.deepStrictEqual(sessions.map(session => session.name), ['round-trip']);
+
+  const { header, events } = await sessionRecorder.loadSession('round-trip');
+  assert.strictEqual(header.startTick, 100);
+  assert.deepStrictEqual(header.sensors, [{ sensorNumber: 1 }]);
+  assert.deepStrictEqual(events.map(event => event.type), ['command', 'command', 'edge', 'pwm']);
+  assert.strictEqual(events[0].path, '/api/pwm/set');
+  assert.strictEqual(events[2].tick, 1100);
+
+  await sessionRecorder.deleteSession('round-trip');
+  await assert.rejects(sessionRecorder.loadSession('round-trip'), { status: 404 });
+  await assert.rejects(sessionRecorder.deleteSession('round-trip'), { status: 404 });
+});
+
+test('files that are not session files are refused', async () => {
+  fs.writeFileSync(path.join(process.env.SESSION_DIR, 'bogus.ndjson'), '{"type":"edge"}\n');
+  await assert.rejects(sessionRecorder.loadSession('bogus'), { status: 422 });
+});
+
+test('comparePWM samples both logs as step functions and reports divergence', () => {
+  const recorded = [{ t: 0, pin: 12, dutyCycle: 100 }, { t: 500, pin: 12, dutyCycle: 200 }];
+
+  const jittered = [{ t: 0, pin: 12, dutyCycle: 100 }, { t: 480, pin: 12, dutyCycle: 200 }];
+  const same = sessionRecorder.comparePWM(recorded, jittered, { duration: 1000, step: 100 });
+  assert.strictEqual(same.match, true);
+
+  const different = [{ t: 0, pin: 12, dutyCycle: 100 }, { t: 500, pin: 12, dutyCycle: 150 }, { t: 0, pin: 13, dutyCycle: 4 }];
+  const result = sessionRecorder.comparePWM(recorded, different, { duration: 1000, step: 100 });
+  assert.strictEqual(result.match, false);
+  assert.deepStrictEqual(result.pins.map(pin => pin.pin), [12, 13]);
+  assert.strictEqual(result.pins[0].firstDivergence, 0.5);
+  assert.strictEqual(result.pins[0].maxAbsDiff, 50);
+  assert.strictEqual(result.pins[1].match, true);
+});
+
+test('a recording stops growing at the event cap and is marked truncated', async () => {
+  sessionRecorder.startRecording({ name: 'capped', driver: 'mock', startTick: 0 });
+  for (let i = 0; i < 250001; i++) {
+    sessionRecorder.recordEdge(23, i & 1, i);
+  }
+
+  const status = sessionRecorder.getRecordingStatus();
+  assert.strictEqual(status.events, 250000);
+  assert.strictEqual(status.truncated, true);
+
+  const summary = await sessionRecorder.stopRecording();
+  assert.strictEqual(summary.truncated, true);
+  assert.strictEqual((await sessionRecorder.loadSession('capped')).summary.truncated, true);
+});
@@ -0,0 +1,78 @@
+// Setpoint profiles and timed sequences: step, trapezoidal and S-curve references.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const setpointProfile = require('../lib/setpoint-profile');
+
+const DT = 0.01;
+
+// Run the reference from `from` to `goal`; returns every state along the way
+function profileRun(profile, from, goal, limit = 10000) {
+  let state = { value: from, rate: 0 };
+  const states = [];
+  for (let i = 0; i < limit && state.value !== goal; i++) {
+    state = setpointProfile.advanceSetpoint(state, goal, DT, profile);
+    states.push(state);
+  }
+  return states;
+}
+
+test('profile updates are validated', () => {
+  assert.strictEqual(setpointProfile.validateProfile({ mode: 's-curve', maxAccel: 20, maxJerk: 40 }), null);
+  assert.match(setpointProfile.validateProfile({ mode: 'cubic' }), /Invalid mode/);
+  assert.match(setpointProfile.validateProfile({ maxAccel: 0 }), /maxAccel/);
+  assert.match(setpointProfile.validateProfile({ maxJerk: 1e6 }), /maxJerk/);
+});
+
+test('step mode jumps straight to the goal', () => {
+  const profile = setpointProfile.defaultProfile();
+  assert.deepStrictEqual(setpointProfile.advanceSetpoint({ value: 0, rate: 0 }, 80, DT, profile), { value: 80, rate: 0 });
+});
+
+test('trapezoidal mode ramps at maxAccel without overshoot', () => {
+  const profile = { mode: 'trapezoidal', maxAccel: 40, maxJerk: 80 };
+  const states = profileRun(profile, 0, 20);
+
+  // 20 RPM at 40 RPM/s takes half a second
+  assert.ok(Math.abs(states.length * DT - 0.5) < 2 * DT);
+  states.forEach(state => assert.ok(state.value <= 20));
+  assert.strictEqual(states[states.length - 1].value, 20);
+
+  const down = profileRun(profile, 20, 0);
+  assert.strictEqual(down[0].rate, -40);
+  assert.strictEqual(down[down.length - 1].value, 0);
+});
+
+test('S-curve mode limits both the rate and its change', () => {
+  const profile = { mode: 's-curve', maxAccel: 40, maxJerk: 80 };
+  const states = profileRun(profile, 0, 60);
+
+  let previousRate = 0;
+  states.forEach(state => {
+    assert.ok(state.value <= 60);
+    assert.ok(Math.abs(state.rate) <= profile.maxAccel + 1e-9);
+    assert.ok(Math.abs(state.rate - previousRate) <= profile.maxJerk * DT + 1e-9 || state.value === 60);
+    previousRate = state.rate;
+  });
+  assert.strictEqual(states[states.length - 1].value, 60);
+  // Slower than a trapezoid: the rate has to build up and ease out
+  assert.ok(states.length > profileRun({ ...profile, mode: 'trapezoidal' }, 0, 60).length);
+});
+
+test('sequences are validated', () => {
+  assert.strictEqual(setpointProfile.validateSequence([{ rpm: 0, hold: 1 }, { rpm: 40, ramp: 2 }]), null);
+  assert.match(setpointProfile.validateSequence([]), /1-100 entries/);
+  assert.match(setpointProfile.validateSequence([{ rpm: -1 }]), /steps\[0\]\.rpm/);
+  assert.match(setpointProfile.validateSequence([{ rpm: 10, hold: 'long' }]), /steps\[0\]\.hold/);
+});
+
+test('sequence steps ramp linearly, then hold', () => {
+  const step = { rpm: 60, ramp: 2, hold: 3 };
+  assert.strictEqual(setpointProfile.sequenceSetpoint(step, 20, 0), 20);
+  assert.strictEqual(setpointProfile.sequenceSetpoint(step, 20, 1), 40);
+  assert.strictEqual(setpointProfile.sequenceSetpoint(step, 20, 2.5), 60);
+  assert.strictEqual(setpointProfile.sequenceSetpoint({ rpm: 30 }, 0, 0), 30);
+  assert.strictEqual(setpointProfile.stepDuration(step), 5);
+  assert.strictEqual(setpointProfile.stepDuration({ rpm: 30 }), 0);
+});
@@ -0,0 +1,92 @@
+// Speed ramp: /speed moves every wheel toward its target by at most the ramp rate per tick,
+// `immediate` jumps straight there and a stop cancels the ramp where it is.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The robot layer logs every write; keep the runner's output readable
+console.log = () => {};
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const robotRoutes = require('../routes/robot-routes');
+
+const { robotState, ROBOT_CONFIG } = robotRoutes;
+
+let server = null;
+let baseUrl = null;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function post(path, body = {}) {
+  const res = await fetch(`${baseUrl}/api/robot${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/robot', robotRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  robotRoutes.stopRobot();
+  robotRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a speed change ramps every wheel within the rate and reports completion', async () => {
+  const duties = [robotState.wheels.frontLeft.speed];
+  const sampler = setInterval(() => duties.push(robotState.wheels.frontLeft.speed), 10);
+
+  const result = await post('/speed', { speed: 20 });
+  assert.strictEqual(result.status, 200);
+  assert.match(result.body.message, /ramping to 20%/);
+  assert.strictEqual(result.body.ramp.active, true);
+  assert.ok(robotState.totalSpeed > 0 && robotState.totalSpeed < 20);
+
+  await sleep(600);
+  clearInterval(sampler);
+  duties.push(robotState.wheels.frontLeft.speed);
+
+  assert.strictEqual(robotState.totalSpeed, 20);
+  assert.strictEqual(robotState.wheels.frontLeft.speed, Math.round(ROBOT_CONFIG.maxSpeed * 0.2));
+  for (let i = 1; i < duties.length; i++) {
+    assert.ok(Math.abs(duties[i] - duties[i - 1]) <= ROBOT_CONFIG.speedSmoothness + 1,
+      `duty jumped from ${duties[i - 1]} to ${duties[i]}`);
+  }
+});
+
+test('immediate jumps straight to the new speed', async () => {
+  const result = await post('/speed', { speed: 60, immediate: true });
+  assert.strictEqual(result.status, 200);
+  assert.strictEqual(result.body.ramp.active, false);
+  assert.strictEqual(robotState.totalSpeed, 60);
+  assert.strictEqual(robotState.wheels.frontLeft.speed, Math.round(ROBOT_CONFIG.maxSpeed * 0.6));
+});
+
+test('a stop cancels a ramp in progress', async () => {
+  await post('/speed', { speed: 0, immediate: true });
+  await post('/speed', { speed: 100 });
+
+  assert.strictEqual((await post('/stop')).status, 200);
+  await sleep(150);
+  assert.strictEqual(robotState.totalSpeed, 0);
+  Object.values(robotState.wheels).forEach(wheel => assert.strictEqual(wheel.speed, 0));
+});
+
+test('invalid immediate values are refused', async () => {
+  assert.strictEqual((await post('/speed', { speed: 10, immediate: 'yes' })).status, 400);
+});
@@ -0,0 +1,109 @@
+// Zero-speed detection on the encoders and stall faults on the RPM controllers.
+
+process.env.GPIO_DRIVER = 'mock';
+
+// The sensor pipeline and control loops log every edge and tick; keep the runner's output readable
+console.log = () => {};
+console.error = () => {};
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const gpioDriver = require('../lib/gpio-driver');
+const sensorRoutes = require('../routes/sensor-routes');
+const rpmControlRoutes = require('../routes/rpm-control-routes');
+
+let server = null;
+let baseUrl = null;
+
+const SENSOR = 3;
+const SENSOR_PIN = 25;
+const MOTOR_PIN = 20;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function request(method, path, body) {
+  const res = await fetch(`${baseUrl}/api/rpm-control${path}`, {
+    method: method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function sensorData() {
+  return sensorRoutes.sensorState.activeSensors.get(SENSOR);
+}
+
+before(async () => {
+  rpmControlRoutes.setSensorRoutes(sensorRoutes);
+  sensorRoutes.enableSensor(SENSOR, SENSOR_PIN, { config: { zeroSpeedTimeoutMs: 150 } });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/rpm-control', rpmControlRoutes.router);
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  rpmControlRoutes.controllers.forEach(ctrl => rpmControlRoutes.stopController(ctrl));
+  rpmControlRoutes.cleanup();
+  sensorRoutes.cleanup();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('a sensor without edges reports zero speed after its timeout', async () => {
+  assert.strictEqual(sensorData().zeroSpeed, true);
+
+  let tick = gpioDriver.getTick();
+  for (let i = 0; i < 10; i++) {
+    gpioDriver.pulse(SENSOR_PIN, tick);
+    tick = (tick + 10000) >>> 0;
+  }
+  assert.strictEqual(sensorData().zeroSpeed, false);
+  assert.ok(sensorData().filteredRPM > 0);
+
+  await sleep(400);
+  assert.strictEqual(sensorData().zeroSpeed, true);
+  assert.strictEqual(sensorData().filteredRPM, 0);
+  assert.strictEqual(sensorData().rate, 0);
+});
+
+test('stall settings are validated with the other tuning fields', async () => {
+  const created = await request('POST', '/controllers', { id: 'bench', controlPin: MOTOR_PIN, sensorNumber: SENSOR });
+  assert.strictEqual(created.status, 201);
+
+  assert.strictEqual((await request('PUT', '/controllers/bench/gains', { stallTimeout: 0 })).status, 400);
+  assert.strictEqual((await request('PUT', '/controllers/bench/gains', { stallPWM: 300 })).status, 400);
+
+  const updated = await request('PUT', '/controllers/bench/gains', { stallPWM: 1, stallTimeout: 0.2 });
+  assert.strictEqual(updated.status, 200);
+  assert.strictEqual(rpmControlRoutes.getController('bench').stallTimeout, 0.2);
+});
+
+test('a controller driving a wheel that does not turn faults and stops', async () => {
+  const ctrl = rpmControlRoutes.getController('bench');
+  assert.strictEqual((await request('POST', '/controllers/bench/start', { targetRPM: 60 })).status, 200);
+  assert.strictEqual(ctrl.active, true);
+
+  await sleep(600);
+  assert.strictEqual(ctrl.active, false);
+  assert.strictEqual(ctrl.fault.type, 'stall');
+  assert.match(ctrl.fault.message, /Motor stalled/);
+  assert.strictEqual(gpioDriver.getPin(MOTOR_PIN).dutyCycle, 0);
+
+  const status = await request('GET', '/controllers/bench/status');
+  assert.strictEqual(status.body.rpmControl.fault.type, 'stall');
+
+  // The next start clears the fault
+  assert.strictEqual((await request('POST', '/controllers/bench/start', { targetRPM: 60 })).status, 200);
+  assert.strictEqual(ctrl.fault, null);
+  assert.strictEqual((await request('POST', '/controllers/bench/stop')).status, 200);
+});
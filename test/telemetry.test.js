@@ -0,0 +1,75 @@
+// Telemetry history: ring buffers, signal matching, downsampled queries and NDJSON persistence.
+
+// Sampling logs when it starts; keep the runner's output readable
+console.log = () => {};
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const telemetry = require('../lib/telemetry');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'telemetry-test-'));
+
+after(() => {
+  telemetry.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('each signal keeps only the newest `capacity` samples', () => {
+  telemetry.start({ interval: 60000, capacity: 5 });
+  telemetry.stop();
+
+  for (let t = 1; t <= 8; t++) {
+    telemetry.record('ring.value', t * 10, t);
+  }
+
+  assert.deepStrictEqual(telemetry.querySeries('ring.value', 0, 100), [[4, 40], [5, 50], [6, 60], [7, 70], [8, 80]]);
+  assert.deepStrictEqual(telemetry.querySeries('ring.value', 5, 6), [[5, 50], [6, 60]]);
+});
+
+test('booleans are stored as 1/0 and other non-numbers are skipped', () => {
+  telemetry.record('flag.on', true, 1);
+  telemetry.record('flag.on', false, 2);
+  telemetry.record('flag.on', 'high', 3);
+  telemetry.record('flag.on', NaN, 4);
+
+  assert.deepStrictEqual(telemetry.querySeries('flag.on', 0, 10), [[1, 1], [2, 0]]);
+});
+
+test('matchSignals accepts exact names and prefix wildcards', () => {
+  telemetry.record('rpm.left.current', 1, 1);
+  telemetry.record('rpm.left.target', 1, 1);
+  telemetry.record('rpm.right.current', 1, 1);
+
+  assert.deepStrictEqual(telemetry.matchSignals(['rpm.left.*']), ['rpm.left.current', 'rpm.left.target']);
+  assert.deepStrictEqual(telemetry.matchSignals(['rpm.right.current', 'rpm.unknown']), ['rpm.right.current']);
+});
+
+test('downsampled queries average each bucket', () => {
+  telemetry.record('bucket.value', 1, 100);
+  telemetry.record('bucket.value', 3, 150);
+  telemetry.record('bucket.value', 10, 210);
+
+  assert.deepStrictEqual(telemetry.querySeries('bucket.value', 0, 1000, 100), [[100, 2], [200, 10]]);
+});
+
+test('samples of every source are persisted and restored from the file', () => {
+  const file = path.join(dir, 'telemetry.ndjson');
+
+  telemetry.addSource(() => ({ 'persist.speed': 42 }));
+  telemetry.start({ interval: 60000, file: file });
+  telemetry.sample(1000);
+  telemetry.stop();
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8').trim()), { t: 1000, v: { 'persist.speed': 42 } });
+
+  fs.appendFileSync(file, JSON.stringify({ t: 2000, v: { 'restored.value': 7 } }) + '\n{"t": 30');
+  telemetry.start({ interval: 60000, file: file });
+  telemetry.stop();
+
+  assert.deepStrictEqual(telemetry.querySeries('restored.value', 0, 5000), [[2000, 7]]);
+  assert.ok(telemetry.listSignals().some(signal => signal.signal === 'persist.speed'));
+});
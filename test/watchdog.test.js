@@ -0,0 +1,127 @@
+// Dead-man watchdog: leases are taken by running outputs, released at zero, and trip when
+// they lapse or their client leaves while an output is still running.
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const watchdog = require('../lib/watchdog');
+
+const TIMEOUT = 150;
+
+// Outputs the test reports as running
+const running = new Set();
+const trips = [];
+watchdog.onTrip(trip => trips.push(trip));
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+beforeEach(() => {
+  running.clear();
+  trips.length = 0;
+  watchdog.start({ timeout: TIMEOUT, isRunning: output => running.has(output) });
+});
+
+after(() => {
+  watchdog.stop();
+});
+
+test('validateTimeout enforces the limits', () => {
+  const [min, max] = watchdog.TIMEOUT_LIMITS;
+  assert.strictEqual(watchdog.validateTimeout(min), null);
+  assert.strictEqual(watchdog.validateTimeout(max), null);
+  assert.match(watchdog.validateTimeout(min - 1), /Invalid timeout/);
+  assert.match(watchdog.validateTimeout('1000'), /Invalid timeout/);
+});
+
+test('heartbeats only extend an existing lease', () => {
+  assert.strictEqual(watchdog.heartbeat('alice'), null);
+  assert.strictEqual(watchdog.getLease('alice').leased, false);
+
+  running.add('robot');
+  watchdog.track('alice', 'robot', true);
+  assert.ok(watchdog.heartbeat('alice'));
+  assert.strictEqual(watchdog.getLease('alice').leased, true);
+});
+
+test('a lease is released once every output it drove is back at zero', () => {
+  running.add('robot');
+  running.add('pwm/5');
+  watchdog.track('alice', 'robot', true);
+  watchdog.track('alice', 'pwm/5', true);
+  assert.deepStrictEqual(watchdog.getStatus().leases[0].outputs, ['robot', 'pwm/5']);
+
+  running.delete('robot');
+  assert.ok(watchdog.track('alice', 'robot', false));
+  assert.strictEqual(watchdog.getLease('alice').leased, true);
+
+  running.delete('pwm/5');
+  assert.strictEqual(watchdog.track('alice', 'pwm/5', false), null);
+  assert.strictEqual(watchdog.getLease('alice').leased, false);
+
+  // A stop without a lease does not take one
+  assert.strictEqual(watchdog.track('bob', 'robot', false), null);
+  assert.strictEqual(watchdog.getLease('bob').leased, false);
+});
+
+test('a lapsed lease trips while its output is running', async () => {
+  running.add('robot');
+  watchdog.track('alice', 'robot', true);
+
+  await sleep(TIMEOUT + 150);
+  assert.strictEqual(trips.length, 1);
+  assert.strictEqual(trips[0].reason, 'timeout');
+  assert.strictEqual(trips[0].client, 'alice');
+  assert.deepStrictEqual(watchdog.getStatus().leases, []);
+});
+
+test('heartbeats keep a lease alive', async () => {
+  running.add('robot');
+  watchdog.track('alice', 'robot', true);
+
+  for (let i = 0; i < 5; i++) {
+    await sleep(TIMEOUT / 3);
+    watchdog.heartbeat('alice');
+  }
+  assert.strictEqual(trips.length, 0);
+  assert.strictEqual(watchdog.getLease('alice').leased, true);
+});
+
+test('a lapsed lease whose outputs were stopped by someone else is just released', async () => {
+  running.add('pwm/5');
+  watchdog.track('alice', 'pwm/5', true);
+  running.delete('pwm/5');
+
+  await sleep(TIMEOUT + 150);
+  assert.strictEqual(trips.length, 0);
+  assert.strictEqual(watchdog.getLease('alice').leased, false);
+});
+
+test('a disconnect trips only while an output is running', () => {
+  running.add('robot');
+  watchdog.track('alice', 'robot', true);
+  watchdog.track('bob', 'robot', true);
+
+  watchdog.drop('carol');
+  assert.strictEqual(trips.length, 0);
+
+  watchdog.drop('alice');
+  assert.strictEqual(trips.length, 1);
+  assert.strictEqual(trips[0].reason, 'disconnect');
+  // A trip drops every lease
+  assert.strictEqual(watchdog.getLease('bob').leased, false);
+
+  running.clear();
+  watchdog.track('dave', 'robot', true);
+  watchdog.drop('dave');
+  assert.strictEqual(trips.length, 1);
+});
+
+test('release gives a lease up without tripping', () => {
+  running.add('robot');
+  watchdog.track('alice', 'robot', true);
+  assert.strictEqual(watchdog.release('alice'), true);
+  watchdog.drop('alice');
+  assert.strictEqual(trips.length, 0);
+});